@@ -4,9 +4,15 @@
 //
 // 🎯 PURPOSE: Clean up all existing orders and start fresh
 //
+// Cancels are pipelined through the deployer's TransactionManager - all
+// of them are sent before the first receipt is awaited
+//
 
 const { ethers } = require("hardhat");
 const { getContract } = require("./config/contracts");
+const { Usdc } = require("./sdk/precision");
+const { decodeError, formatError } = require("./sdk/errors");
+const { TransactionManager } = require("./sdk/tx-manager");
 
 // 🎨 Color Palette
 const colors = {
@@ -42,10 +48,9 @@ async function main() {
     );
     console.log(
       colorText(
-        `💰 Margin reserved before: $${ethers.formatUnits(
-          marginBefore.marginReserved,
-          6
-        )}`,
+        `💰 Margin reserved before: $${Usdc.fromUnits(
+          marginBefore.marginReserved
+        ).format(2)}`,
         colors.cyan
       )
     );
@@ -60,65 +65,74 @@ async function main() {
       return;
     }
 
-    // Cancel each order
+    // Skip ghost orders, then send every cancel before waiting on any
     console.log(colorText("\n🗑️ Cancelling orders...", colors.yellow));
-    let cancelledCount = 0;
-    let failedCount = 0;
-
-    for (let i = 0; i < userOrders.length; i++) {
-      const orderId = userOrders[i];
-
-      try {
-        // Check if order still exists
-        const order = await orderBook.getOrder(orderId);
-
-        if (order.trader === "0x0000000000000000000000000000000000000000") {
-          console.log(
-            colorText(
-              `   Order ${orderId}: ALREADY DELETED (ghost order)`,
-              colors.yellow
-            )
-          );
-          continue;
-        }
-
+    const txs = TransactionManager.for(deployer);
+    const liveOrders = [];
+    for (const orderId of userOrders) {
+      const order = await orderBook.getOrder(orderId);
+      if (order.trader === ethers.ZeroAddress) {
         console.log(
-          colorText(`   Cancelling Order ${orderId}...`, colors.cyan)
+          colorText(
+            `   Order ${orderId}: ALREADY DELETED (ghost order)`,
+            colors.yellow
+          )
         );
-        const cancelTx = await orderBook.cancelOrder(orderId);
-        await cancelTx.wait();
+        continue;
+      }
+      liveOrders.push(orderId);
+    }
 
-        cancelledCount++;
+    const outcomes = await Promise.allSettled(
+      liveOrders.map(async (orderId) => {
+        const sent = await txs.send(orderBook, "cancelOrder", [orderId]);
         console.log(
           colorText(
-            `   ✅ Order ${orderId} cancelled successfully`,
-            colors.green
+            `   Cancelling Order ${orderId} (nonce ${sent.nonce})...`,
+            colors.cyan
           )
         );
-      } catch (error) {
-        failedCount++;
+        return sent.wait();
+      })
+    );
+
+    let cancelledCount = 0;
+    let failedCount = 0;
+    for (let i = 0; i < liveOrders.length; i++) {
+      const orderId = liveOrders[i];
+      const outcome = outcomes[i];
+
+      if (outcome.status === "fulfilled") {
+        cancelledCount++;
         console.log(
           colorText(
-            `   ❌ Order ${orderId} failed: ${error.message}`,
-            colors.red
+            `   ✅ Order ${orderId} cancelled (gas ${outcome.value.gasUsed})`,
+            colors.green
           )
         );
+        continue;
+      }
+
+      failedCount++;
+      const failure = decodeError(outcome.reason);
+      console.log(
+        colorText(
+          `   ❌ Order ${orderId} failed: ${formatError(failure)}`,
+          colors.red
+        )
+      );
 
-        // If it's a "not order owner" error, try to get order details
-        if (error.message.includes("Not order owner")) {
-          try {
-            const order = await orderBook.getOrder(orderId);
-            console.log(
-              colorText(
-                `      Order belongs to: ${order.trader}`,
-                colors.yellow
-              )
-            );
-          } catch (detailError) {
-            console.log(
-              colorText(`      Could not get order details`, colors.yellow)
-            );
-          }
+      // If it's a "not order owner" error, try to get order details
+      if (failure.code === "NOT_ORDER_OWNER") {
+        try {
+          const order = await orderBook.getOrder(orderId);
+          console.log(
+            colorText(`      Order belongs to: ${order.trader}`, colors.yellow)
+          );
+        } catch (detailError) {
+          console.log(
+            colorText(`      Could not get order details`, colors.yellow)
+          );
         }
       }
     }
@@ -147,10 +161,9 @@ async function main() {
     );
     console.log(
       colorText(
-        `💰 Margin reserved after: $${ethers.formatUnits(
-          marginAfter.marginReserved,
-          6
-        )}`,
+        `💰 Margin reserved after: $${Usdc.fromUnits(
+          marginAfter.marginReserved
+        ).format(2)}`,
         colors.cyan
       )
     );
@@ -162,14 +175,11 @@ async function main() {
       );
       for (let i = 0; i < pendingOrdersAfter.length; i++) {
         const pending = pendingOrdersAfter[i];
-        const reservedAmount = Number(
-          ethers.formatUnits(pending.marginReserved, 6)
-        );
         console.log(
           colorText(
-            `   Order ${pending.orderId}: $${reservedAmount.toFixed(
-              2
-            )} reserved`,
+            `   Order ${pending.orderId}: $${Usdc.fromUnits(
+              pending.marginReserved
+            ).format(2)} reserved`,
             colors.white
           )
         );
@@ -187,10 +197,7 @@ async function main() {
     }
 
     // Final verification
-    if (
-      userOrdersAfter.length === 0 &&
-      Number(ethers.formatUnits(marginAfter.marginReserved, 6)) === 0
-    ) {
+    if (userOrdersAfter.length === 0 && marginAfter.marginReserved === 0n) {
       console.log(
         colorText(
           "\n🎉 ORDER BOOK IS NOW COMPLETELY CLEAN!",
@@ -202,7 +209,7 @@ async function main() {
       console.log(colorText("   • Ready for fresh trading", colors.green));
     } else if (
       userOrdersAfter.length === 0 &&
-      Number(ethers.formatUnits(marginAfter.marginReserved, 6)) > 0
+      marginAfter.marginReserved > 0n
     ) {
       console.log(
         colorText(
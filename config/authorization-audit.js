@@ -0,0 +1,376 @@
+// authorization-audit.js - Role and registration audit for every OrderBook
+//
+// 🎯 PURPOSE:
+//   - Enumerate every OrderBook known to the vault or the factory
+//   - Build a role/registration matrix per book
+//   - Turn every gap into the exact transaction that closes it
+//
+// 🔍 CHECKS (per OrderBook):
+//   ORDERBOOK_ROLE     vault.hasRole(ORDERBOOK_ROLE, book)
+//   registered         vault.registeredOrderBooks(book)
+//   assigned           vault.marketToOrderBook(marketId) == book
+//   authorized         vault.authorizedMarkets(marketId)
+//   UPDATER_ROLE       router.hasRole(UPDATER_ROLE, book)
+//
+// 🔄 USAGE:
+//   const { auditAuthorization } = require('../config/authorization-audit');
+//   const audit = await auditAuthorization({ signer });
+//   audit.books        // matrix rows
+//   audit.remediation  // [{ description, to, method, args, data, ... }]
+//
+const { ethers } = require("hardhat");
+const { getContract, ROLES } = require("./contracts");
+
+const CHECKS = {
+  orderBookRole: "ORDERBOOK_ROLE",
+  registered: "Registered",
+  assigned: "Assigned",
+  authorized: "Authorized",
+  updaterRole: "UPDATER_ROLE",
+};
+
+/**
+ * Read one OrderBook's authorization state
+ * @returns {Promise<object>} Matrix row
+ */
+async function auditOrderBook(contracts, orderBook, listedBy) {
+  const { vault, factory, router } = contracts;
+  const book = await ethers.getContractAt("OrderBook", orderBook);
+
+  let marketId = null;
+  try {
+    marketId = await book.marketId();
+  } catch (error) {
+    // Not an OrderBook (or not deployed) - market checks can't run
+  }
+
+  const [orderBookRole, registered, updaterRole] = await Promise.all([
+    vault.hasRole(ROLES.ORDERBOOK_ROLE, orderBook),
+    vault.registeredOrderBooks(orderBook),
+    router.hasRole(ROLES.UPDATER_ROLE, orderBook),
+  ]);
+
+  const row = {
+    orderBook,
+    marketId,
+    symbol: null,
+    listedBy,
+    assignedOrderBook: null,
+    supersededBy: null,
+    checks: {
+      orderBookRole,
+      registered,
+      assigned: false,
+      authorized: false,
+      updaterRole,
+    },
+  };
+
+  if (marketId) {
+    const [assignedOrderBook, authorized, symbol] = await Promise.all([
+      vault.marketToOrderBook(marketId),
+      vault.authorizedMarkets(marketId),
+      factory.marketSymbols(marketId),
+    ]);
+    row.symbol = symbol || null;
+    row.assignedOrderBook = assignedOrderBook;
+    row.checks.assigned = assignedOrderBook === orderBook;
+    row.checks.authorized = authorized;
+
+    // The factory keeps listing a book after scripts/migrate-orderbook.js
+    // hands its market to a replacement - that book is retired, not broken
+    row.supersededBy =
+      !registered &&
+      assignedOrderBook !== ethers.ZeroAddress &&
+      assignedOrderBook !== orderBook
+        ? assignedOrderBook
+        : null;
+  }
+
+  return row;
+}
+
+/**
+ * Work out the transactions that close a book's gaps
+ * @returns {object[]} Remediation steps (unencoded)
+ */
+function planRemediation(row) {
+  const steps = [];
+  const { checks, orderBook, marketId } = row;
+  const label = row.symbol || orderBook;
+
+  if (!checks.registered) {
+    // registerOrderBook also grants ORDERBOOK_ROLE
+    steps.push({
+      contract: "vault",
+      method: "registerOrderBook",
+      args: [orderBook],
+      requiredRole: "FACTORY_ROLE",
+      description: `Register ${label} with the vault`,
+    });
+  } else if (!checks.orderBookRole) {
+    steps.push({
+      contract: "vault",
+      method: "grantRole",
+      args: [ROLES.ORDERBOOK_ROLE, orderBook],
+      requiredRole: "DEFAULT_ADMIN_ROLE",
+      description: `Grant ORDERBOOK_ROLE to ${label}`,
+    });
+  }
+
+  if (marketId && !checks.assigned) {
+    if (checks.authorized) {
+      // assignMarketToOrderBook refuses already-authorized markets
+      steps.push({
+        contract: "vault",
+        method: "setMarketAuthorization",
+        args: [marketId, false],
+        requiredRole: "DEFAULT_ADMIN_ROLE",
+        description: `Clear stale authorization of ${label} (assigned to ${row.assignedOrderBook})`,
+      });
+    }
+    steps.push({
+      contract: "vault",
+      method: "assignMarketToOrderBook",
+      args: [marketId, orderBook],
+      requiredRole: "FACTORY_ROLE",
+      description: `Assign ${label} market to ${orderBook}`,
+    });
+  } else if (marketId && !checks.authorized) {
+    steps.push({
+      contract: "vault",
+      method: "setMarketAuthorization",
+      args: [marketId, true],
+      requiredRole: "DEFAULT_ADMIN_ROLE",
+      description: `Authorize ${label} market`,
+    });
+  }
+
+  if (!checks.updaterRole) {
+    steps.push({
+      contract: "router",
+      method: "grantUpdaterRole",
+      args: [orderBook],
+      requiredRole: "ADMIN_ROLE",
+      description: `Grant UPDATER_ROLE on TradingRouter to ${label}`,
+    });
+  }
+
+  return steps;
+}
+
+/**
+ * Audit every OrderBook registered with the vault or created by the factory
+ * @param {object} options - { signer } - remediation is planned for this
+ *   account (defaults to the first signer)
+ * @returns {Promise<object>} { factoryHasRole, books, gaps, remediation }
+ */
+async function auditAuthorization(options = {}) {
+  const signer = options.signer || (await ethers.getSigners())[0];
+  const [vault, factory, router] = await Promise.all([
+    getContract("CENTRALIZED_VAULT"),
+    getContract("FUTURES_MARKET_FACTORY"),
+    getContract("TRADING_ROUTER"),
+  ]);
+  const contracts = { vault, factory, router };
+  const factoryAddress = await factory.getAddress();
+
+  const [vaultBooks, factoryBooks, factoryHasRole] = await Promise.all([
+    vault.getAllOrderBooks(),
+    factory.getAllOrderBooks(),
+    vault.hasRole(ROLES.FACTORY_ROLE, factoryAddress),
+  ]);
+
+  // Union of both lists, remembering who knows about each book
+  const listedBy = new Map();
+  for (const [source, books] of [
+    ["vault", vaultBooks],
+    ["factory", factoryBooks],
+  ]) {
+    for (const orderBook of books) {
+      listedBy.set(orderBook, [...(listedBy.get(orderBook) || []), source]);
+    }
+  }
+
+  const books = [];
+  for (const [orderBook, sources] of listedBy) {
+    books.push(await auditOrderBook(contracts, orderBook, sources));
+  }
+
+  const gaps = [];
+  const steps = [];
+
+  if (!factoryHasRole) {
+    gaps.push({ orderBook: null, check: "FACTORY_ROLE" });
+    steps.push({
+      contract: "vault",
+      method: "grantRole",
+      args: [ROLES.FACTORY_ROLE, factoryAddress],
+      requiredRole: "DEFAULT_ADMIN_ROLE",
+      description: "Grant FACTORY_ROLE to FuturesMarketFactory",
+    });
+  }
+
+  for (const row of books) {
+    if (row.supersededBy) {
+      continue;
+    }
+    for (const [check, ok] of Object.entries(row.checks)) {
+      if (
+        !ok &&
+        (row.marketId || !["assigned", "authorized"].includes(check))
+      ) {
+        gaps.push({ orderBook: row.orderBook, check });
+      }
+    }
+    steps.push(...planRemediation(row));
+  }
+
+  // FACTORY_ROLE steps normally run through the factory; when the signer
+  // lacks the role, grant it for the duration of the fix (as
+  // setup-authorization.js does)
+  const needsFactoryRole = steps.some(
+    (step) => step.requiredRole === "FACTORY_ROLE"
+  );
+  const grantsTemporaryRole =
+    needsFactoryRole &&
+    !(await vault.hasRole(ROLES.FACTORY_ROLE, signer.address));
+  if (grantsTemporaryRole) {
+    steps.unshift({
+      contract: "vault",
+      method: "grantRole",
+      args: [ROLES.FACTORY_ROLE, signer.address],
+      requiredRole: "DEFAULT_ADMIN_ROLE",
+      description: "Temporarily grant FACTORY_ROLE to the signer",
+    });
+    steps.push({
+      contract: "vault",
+      method: "revokeRole",
+      args: [ROLES.FACTORY_ROLE, signer.address],
+      requiredRole: "DEFAULT_ADMIN_ROLE",
+      description: "Revoke the temporary FACTORY_ROLE",
+    });
+  }
+
+  const remediation = [];
+  for (const step of steps) {
+    const target = contracts[step.contract];
+    remediation.push({
+      ...step,
+      to: await target.getAddress(),
+      data: target.interface.encodeFunctionData(step.method, step.args),
+      signerHasRole:
+        (grantsTemporaryRole && step.requiredRole === "FACTORY_ROLE") ||
+        (await target.hasRole(ROLES[step.requiredRole], signer.address)),
+    });
+  }
+
+  return {
+    signer: signer.address,
+    factoryHasRole,
+    books,
+    gaps,
+    remediation,
+  };
+}
+
+/**
+ * Print the audit as a matrix
+ * @param {object} audit - From auditAuthorization()
+ */
+function displayAudit(audit) {
+  const mark = (ok) => (ok ? "✅" : "❌");
+
+  console.log(
+    `\nFactory has FACTORY_ROLE on Vault: ${mark(audit.factoryHasRole)}`
+  );
+
+  if (audit.books.length === 0) {
+    console.log("ℹ️  No OrderBooks registered or created yet");
+    return;
+  }
+
+  console.log(
+    `\n${"OrderBook".padEnd(44)} ${"Market".padEnd(14)} ${Object.values(CHECKS)
+      .map((name) => name.padEnd(15))
+      .join("")}Listed by`
+  );
+  console.log("─".repeat(44 + 15 + 15 * Object.keys(CHECKS).length + 14));
+
+  for (const row of audit.books) {
+    if (row.supersededBy) {
+      console.log(
+        `${row.orderBook.padEnd(44)} ${(row.symbol || "?").padEnd(
+          14
+        )} ↪️  superseded by ${row.supersededBy}`
+      );
+      continue;
+    }
+
+    const cells = Object.keys(CHECKS).map((check) => {
+      const skipped =
+        !row.marketId && ["assigned", "authorized"].includes(check);
+      // Emoji marks are two columns wide
+      return skipped ? "—".padEnd(14) : mark(row.checks[check]).padEnd(13);
+    });
+    console.log(
+      `${row.orderBook.padEnd(44)} ${(row.symbol || "?").padEnd(
+        14
+      )} ${cells.join(" ")} ${row.listedBy.join(", ")}`
+    );
+  }
+}
+
+/**
+ * Print the remediation transactions with calldata
+ * @param {object} audit - From auditAuthorization()
+ */
+function displayRemediation(audit) {
+  if (audit.remediation.length === 0) {
+    console.log("\n✅ No gaps - nothing to remediate");
+    return;
+  }
+
+  console.log(`\n🔧 REMEDIATION (${audit.remediation.length} transactions):`);
+  audit.remediation.forEach((tx, i) => {
+    console.log(`  ${i + 1}. ${tx.description}`);
+    console.log(`     ${tx.method}(${tx.args.join(", ")})`);
+    console.log(`     to:   ${tx.to}`);
+    console.log(`     data: ${tx.data}`);
+    console.log(
+      `     requires ${tx.requiredRole} ${
+        tx.signerHasRole ? "✅" : `❌ (${audit.signer} does not hold it)`
+      }`
+    );
+  });
+}
+
+/**
+ * Send the remediation transactions in order
+ * @param {object} audit - From auditAuthorization()
+ * @param {Signer} signer - Must be the account the audit planned for
+ * @returns {Promise<object[]>} Receipts
+ */
+async function executeRemediation(audit, signer) {
+  if (signer.address !== audit.signer) {
+    throw new Error(
+      `❌ Remediation was planned for ${audit.signer}, not ${signer.address}`
+    );
+  }
+
+  const receipts = [];
+  for (const tx of audit.remediation) {
+    console.log(`  🔧 ${tx.description}...`);
+    const sent = await signer.sendTransaction({ to: tx.to, data: tx.data });
+    receipts.push(await sent.wait());
+    console.log(`     ✅ ${sent.hash}`);
+  }
+  return receipts;
+}
+
+module.exports = {
+  auditAuthorization,
+  displayAudit,
+  displayRemediation,
+  executeRemediation,
+};
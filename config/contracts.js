@@ -11,13 +11,22 @@
 //   const tradingRouter = await getContract('TRADING_ROUTER');
 //
 // 📝 UPDATE PROCESS:
-//   1. Run deployment script
-//   2. Update CONTRACT_ADDRESSES below
-//   3. All scripts automatically use new addresses
+//   1. Run deployment script against a network
+//   2. It writes deployments/<network>-deployment.json
+//   3. All scripts on that network automatically use the new addresses
 //
-const { ethers } = require("hardhat");
+// 🌐 ADDRESS RESOLUTION:
+//   Addresses are never hardcoded here. The chainId of the connected
+//   provider selects a NETWORK_CONFIG entry, and that entry's key selects
+//   deployments/<key>-deployment.json (e.g. localhost-deployment.json).
+//   A missing manifest is an error - we never fall back to another
+//   network's addresses.
+//
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { getManifestPath, readManifest } = require("./deployment-manifest");
 
-// 📋 CONTRACT ADDRESSES - PRODUCTION MARGIN RELEASE DEPLOYMENT
+// 📋 PRODUCTION MARGIN RELEASE DEPLOYMENT
 //
 // 🎯 FIXES APPLIED:
 //   ✅ Fixed position netting logic for partial closes
@@ -49,20 +58,11 @@ const { ethers } = require("hardhat");
 //   ✅ Exact price matches don't trigger margin adjustment
 //   ✅ Gas efficient - updates happen in-place
 //
-const CONTRACT_ADDRESSES = {
-  // Core contracts - PRODUCTION MARGIN RELEASE DEPLOYMENT
-  TRADING_ROUTER: "0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9",
-  CENTRALIZED_VAULT: "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512",
-  FUTURES_MARKET_FACTORY: "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0",
-
-  // Market-specific contracts (populated during deployment)
-  ORDERBOOK: "0x75537828f2ce51be7289709686A69CbFDbB714F1", // BTC-USD market
-  BTC_ORDERBOOK: "0x413b1AfCa96a3df5A686d8BFBF93d30688a7f7D9",
-  ALUMINUM_ORDERBOOK: "0x75537828f2ce51be7289709686A69CbFDbB714F1", // Temporary - using same as BTC
-
-  // Mock contracts
-  MOCK_USDC: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
-};
+
+// 📋 LOADED DEPLOYMENT MANIFESTS - chainId => manifest
+const deployments = new Map();
+let activeChainId = null;
+let providerChainId = null;
 
 // 📋 CONTRACT NAMES - Maps to hardhat artifacts
 const CONTRACT_NAMES = {
@@ -73,47 +73,16 @@ const CONTRACT_NAMES = {
   BTC_ORDERBOOK: "OrderBook",
   ALUMINUM_ORDERBOOK: "OrderBook",
   MOCK_USDC: "MockUSDC",
+  MULTICALL3: "Multicall3",
 };
 
+// Manifest keys not listed above resolve by pattern: any *_ORDERBOOK key, or
+// one with a suffix after it like ALUMINUM_ORDERBOOK_VWAP
+// (deploy-vwap-orderbook.js), is an OrderBook
+const CONTRACT_NAME_PATTERNS = [[/_ORDERBOOK(_|$)/, "OrderBook"]];
+
 // 📊 MARKET INFORMATION
-const MARKET_INFO = {
-  BTC: {
-    symbol: "BTC-USD",
-    marketId: ethers.keccak256(ethers.toUtf8Bytes("BTC-USD")),
-    name: "Bitcoin Futures",
-    orderBook: "0x413b1AfCa96a3df5A686d8BFBF93d30688a7f7D9",
-    leverageEnabled: false, // 1:1 margin by default
-    maxLeverage: "1x",
-    marginRequirement: "100%", // 1:1 ratio
-    defaultMargin: "100%", // Conservative default
-    riskLevel: "LOW", // No leverage = low risk
-    collateralRatio: "1:1", // $100 position = $100 collateral
-    features: {
-      marginRelease: true, // Margin adjusts to execution price
-      cumulativeTracking: true, // Tracks margin across partial fills
-      multiPriceLevel: true, // Handles fills at multiple price levels
-    },
-  },
-  ALUMINUM: {
-    symbol: "ALU-USD",
-    marketId: ethers.keccak256(ethers.toUtf8Bytes("ALU-USD")),
-    name: "Aluminum Futures",
-    orderBook: "0xB54cA5001EF6C89E3A576a098b8951CD8eFf2378",
-    leverageEnabled: false,
-    maxLeverage: "1x",
-    marginRequirement: "100%",
-    defaultMargin: "100%",
-    riskLevel: "LOW",
-    collateralRatio: "1:1",
-    features: {
-      marginRelease: true,
-      cumulativeTracking: true,
-      multiPriceLevel: true,
-    },
-  },
-  // Additional markets can be created using FuturesMarketFactory
-  // All new markets start with 1:1 margin by default
-};
+// Markets are discovered from FuturesMarketFactory at runtime - see config/markets.js
 
 // 🌐 NETWORK CONFIGURATIONS
 const NETWORK_CONFIG = {
@@ -123,11 +92,21 @@ const NETWORK_CONFIG = {
     blockConfirmations: 1,
     gasLimit: 30000000,
   },
+  ganache: {
+    name: "Ganache Local",
+    chainId: 1337,
+    blockConfirmations: 1,
+  },
   polygon: {
     name: "Polygon Mainnet",
     chainId: 137,
     blockConfirmations: 5,
   },
+  mumbai: {
+    name: "Polygon Mumbai",
+    chainId: 80001,
+    blockConfirmations: 3,
+  },
   // Add more networks as needed
 };
 
@@ -138,6 +117,10 @@ const ROLES = {
   SETTLEMENT_ROLE: ethers.keccak256(ethers.toUtf8Bytes("SETTLEMENT_ROLE")),
   FACTORY_ROLE: ethers.keccak256(ethers.toUtf8Bytes("FACTORY_ROLE")),
 
+  // TradingRouter roles
+  UPDATER_ROLE: ethers.keccak256(ethers.toUtf8Bytes("UPDATER_ROLE")),
+  ADMIN_ROLE: ethers.keccak256(ethers.toUtf8Bytes("ADMIN_ROLE")),
+
   // Default admin role (from OpenZeppelin AccessControl)
   DEFAULT_ADMIN_ROLE:
     "0x0000000000000000000000000000000000000000000000000000000000000000",
@@ -145,18 +128,154 @@ const ROLES = {
 
 // 🔧 HELPER FUNCTIONS
 
+/**
+ * Find the NETWORK_CONFIG entry for a chainId
+ * @param {number} chainId - Chain ID
+ * @returns {object|null} Network config with its key, or null if unknown
+ */
+function findNetworkByChainId(chainId) {
+  for (const [key, config] of Object.entries(NETWORK_CONFIG)) {
+    if (config.chainId === chainId) {
+      return { key, ...config };
+    }
+  }
+  return null;
+}
+
+/**
+ * Load (and cache) the deployment manifest for a chainId
+ * @param {number} chainId - Chain ID
+ * @returns {object} Parsed manifest ({ network, chainId, contracts, ... })
+ */
+function loadDeployment(chainId) {
+  if (deployments.has(chainId)) {
+    return deployments.get(chainId);
+  }
+
+  const networkConfig = findNetworkByChainId(chainId);
+  if (!networkConfig) {
+    throw new Error(
+      `❌ No network configured for chainId ${chainId}. Add it to NETWORK_CONFIG in config/contracts.js`
+    );
+  }
+
+  const deploymentPath = getManifestPath(networkConfig.key);
+  const manifest = readManifest(networkConfig.key);
+  if (!manifest) {
+    throw new Error(
+      `❌ No deployment manifest for ${networkConfig.name} (chainId ${chainId}). ` +
+        `Expected ${path.relative(process.cwd(), deploymentPath)} - ` +
+        `run: npx hardhat run scripts/deploy.js --network ${networkConfig.key}`
+    );
+  }
+
+  if (manifest.chainId !== undefined && Number(manifest.chainId) !== chainId) {
+    throw new Error(
+      `❌ ${path.basename(deploymentPath)} was deployed to chainId ${
+        manifest.chainId
+      }, but ${networkConfig.name} is chainId ${chainId}`
+    );
+  }
+
+  if (!manifest.contracts || typeof manifest.contracts !== "object") {
+    throw new Error(
+      `❌ ${path.basename(deploymentPath)} has no "contracts" section`
+    );
+  }
+
+  deployments.set(chainId, manifest);
+  return manifest;
+}
+
+/**
+ * Resolve the chainId Hardhat is configured for, without an RPC call
+ * @returns {number|undefined} Chain ID, if known from hardhat.config.js
+ */
+function getConfiguredChainId() {
+  if (network.config.chainId !== undefined) {
+    return Number(network.config.chainId);
+  }
+  return NETWORK_CONFIG[network.name]?.chainId;
+}
+
+/**
+ * Get the manifest for the active network (synchronous)
+ * @returns {object} Deployment manifest
+ */
+function getActiveDeployment() {
+  if (activeChainId === null) {
+    const chainId = getConfiguredChainId();
+    if (chainId === undefined) {
+      throw new Error(
+        `❌ Cannot determine chainId for network "${network.name}". Call await loadAddresses() first`
+      );
+    }
+    activeChainId = chainId;
+  }
+
+  return loadDeployment(activeChainId);
+}
+
+/**
+ * Load addresses for the network the provider is actually connected to
+ * @returns {Promise<object>} Contract addresses for the connected network
+ */
+async function loadAddresses() {
+  if (providerChainId === null) {
+    const networkConfig = await getNetworkConfig();
+    providerChainId = networkConfig.chainId;
+  }
+
+  activeChainId = providerChainId;
+  return loadDeployment(activeChainId).contracts;
+}
+
+/**
+ * Drop cached manifests and load addresses again - for scripts that rewrite
+ * the manifest (or swap the chain state under it) mid-run
+ * @returns {Promise<object>} Contract addresses for the connected network
+ */
+async function reloadAddresses() {
+  deployments.clear();
+  return loadAddresses();
+}
+
+/**
+ * Resolve the hardhat artifact name for a contract key
+ * @param {string} contractKey - Key from the deployment manifest
+ * @returns {string|undefined} Artifact name
+ */
+function getContractName(contractKey) {
+  if (CONTRACT_NAMES[contractKey]) {
+    return CONTRACT_NAMES[contractKey];
+  }
+
+  for (const [pattern, name] of CONTRACT_NAME_PATTERNS) {
+    if (pattern.test(contractKey)) {
+      return name;
+    }
+  }
+
+  return undefined;
+}
+
 /**
  * Get contract instance by name
- * @param {string} contractKey - Key from CONTRACT_ADDRESSES
+ * @param {string} contractKey - Key from the deployment manifest
  * @param {object} options - Optional parameters
  * @returns {Promise<Contract>} Contract instance
  */
 async function getContract(contractKey, options = {}) {
-  const address = CONTRACT_ADDRESSES[contractKey];
-  const contractName = CONTRACT_NAMES[contractKey];
+  const addresses = await loadAddresses();
+  const address = addresses[contractKey];
+  const contractName = getContractName(contractKey);
 
   if (!address) {
-    throw new Error(`❌ Contract address not found for: ${contractKey}`);
+    throw new Error(
+      `❌ Contract address not found for: ${contractKey} in ${path.basename(
+        getManifestPath(findNetworkByChainId(activeChainId).key)
+      )}`
+    );
   }
 
   if (!contractName) {
@@ -212,19 +331,22 @@ async function getCoreContracts(options = {}) {
  * @returns {string} Contract address
  */
 function getAddress(contractKey) {
-  const address = CONTRACT_ADDRESSES[contractKey];
+  const address = getActiveDeployment().contracts[contractKey];
   if (!address) {
-    throw new Error(`❌ Address not found for contract: ${contractKey}`);
+    throw new Error(
+      `❌ Address not found for contract: ${contractKey} on chainId ${activeChainId}`
+    );
   }
   return address;
 }
 
 /**
- * Update contract addresses (useful for deployment scripts)
+ * Update contract addresses in memory for the active network
+ * (useful for deployment scripts; does not touch the manifest on disk)
  * @param {object} newAddresses - Object with new addresses
  */
 function updateAddresses(newAddresses) {
-  Object.assign(CONTRACT_ADDRESSES, newAddresses);
+  Object.assign(getActiveDeployment().contracts, newAddresses);
   console.log(
     `✅ Updated ${Object.keys(newAddresses).length} contract addresses`
   );
@@ -235,14 +357,13 @@ function updateAddresses(newAddresses) {
  * @returns {object} Network config
  */
 async function getNetworkConfig() {
-  const network = await ethers.provider.getNetwork();
-  const chainId = Number(network.chainId);
+  const providerNetwork = await ethers.provider.getNetwork();
+  const chainId = Number(providerNetwork.chainId);
 
   // Find matching network config
-  for (const [key, config] of Object.entries(NETWORK_CONFIG)) {
-    if (config.chainId === chainId) {
-      return { key, ...config };
-    }
+  const networkConfig = findNetworkByChainId(chainId);
+  if (networkConfig) {
+    return networkConfig;
   }
 
   return {
@@ -258,9 +379,10 @@ async function getNetworkConfig() {
  * @returns {boolean} True if all addresses are valid
  */
 function validateAddresses() {
+  const addresses = getActiveDeployment().contracts;
   const missing = [];
 
-  for (const [key, address] of Object.entries(CONTRACT_ADDRESSES)) {
+  for (const [key, address] of Object.entries(addresses)) {
     if (!address || address === "0x0000000000000000000000000000000000000000") {
       missing.push(key);
     }
@@ -272,9 +394,7 @@ function validateAddresses() {
   }
 
   console.log(
-    `✅ All ${
-      Object.keys(CONTRACT_ADDRESSES).length
-    } contract addresses are valid`
+    `✅ All ${Object.keys(addresses).length} contract addresses are valid`
   );
   return true;
 }
@@ -286,8 +406,10 @@ function displayConfig() {
   console.log("\n📋 CURRENT CONTRACT CONFIGURATION:");
   console.log("═".repeat(60));
 
-  for (const [key, address] of Object.entries(CONTRACT_ADDRESSES)) {
-    const contractName = CONTRACT_NAMES[key] || "Unknown";
+  for (const [key, address] of Object.entries(
+    getActiveDeployment().contracts
+  )) {
+    const contractName = getContractName(key) || "Unknown";
     console.log(`${key.padEnd(20)} │ ${contractName.padEnd(15)} │ ${address}`);
   }
 
@@ -302,26 +424,19 @@ async function displayFullConfig() {
   console.log("═".repeat(80));
 
   console.log("\n🏢 CONTRACT ADDRESSES:");
-  for (const [key, address] of Object.entries(CONTRACT_ADDRESSES)) {
-    const contractName = CONTRACT_NAMES[key] || "Unknown";
+  for (const [key, address] of Object.entries(await loadAddresses())) {
+    const contractName = getContractName(key) || "Unknown";
     console.log(
       `  ${key.padEnd(20)} │ ${contractName.padEnd(15)} │ ${address}`
     );
   }
 
-  console.log("\n📊 MARKET INFORMATION:");
-  for (const [key, market] of Object.entries(MARKET_INFO)) {
-    console.log(`  ${key}:`);
-    console.log(`    Symbol: ${market.symbol}`);
-    console.log(`    Market ID: ${market.marketId}`);
-    console.log(`    OrderBook: ${market.orderBook}`);
-    console.log(`    Margin Requirement: ${market.marginRequirement}`);
-    console.log(`    Features:`);
-    if (market.features) {
-      for (const [feat, enabled] of Object.entries(market.features)) {
-        console.log(`      - ${feat}: ${enabled ? "✅" : "❌"}`);
-      }
-    }
+  // Required lazily - markets.js depends on this module
+  const { displayMarkets } = require("./markets");
+  try {
+    await displayMarkets();
+  } catch (error) {
+    console.log(`\n📊 MARKETS: ⚠️  ${error.message}`);
   }
 
   const networkConfig = await getNetworkConfig();
@@ -338,57 +453,34 @@ async function displayFullConfig() {
 }
 
 /**
- * Check and display authorization status
+ * Check and display authorization status for every OrderBook
+ * (see config/authorization-audit.js; scripts/audit-authorization.js fixes gaps)
+ * @returns {Promise<object|null>} Status of the default ORDERBOOK plus the full audit
  */
 async function checkAuthorization() {
   console.log("\n🔒 AUTHORIZATION STATUS:");
   console.log("═".repeat(60));
 
   try {
-    const vault = await getContract("CENTRALIZED_VAULT");
-    const factory = await getContract("FUTURES_MARKET_FACTORY");
-    const orderBook = await getContract("ORDERBOOK");
-
-    // Check Factory -> Vault authorization
-    const factoryHasRole = await vault.hasRole(
-      ROLES.FACTORY_ROLE,
-      await factory.getAddress()
-    );
-    console.log(
-      `Factory has FACTORY_ROLE on Vault: ${factoryHasRole ? "✅" : "❌"}`
-    );
-
-    // Check OrderBook -> Vault authorization
-    const orderBookHasRole = await vault.hasRole(
-      ROLES.ORDERBOOK_ROLE,
-      await orderBook.getAddress()
-    );
-    console.log(
-      `OrderBook has ORDERBOOK_ROLE on Vault: ${orderBookHasRole ? "✅" : "❌"}`
-    );
-
-    // Check OrderBook registration
-    const isRegistered = await vault.registeredOrderBooks(
-      await orderBook.getAddress()
-    );
-    console.log(
-      `OrderBook is registered in Vault: ${isRegistered ? "✅" : "❌"}`
-    );
-
-    // Check market assignment
-    const marketId = MARKET_INFO.BTC.marketId;
-    const assignedOrderBook = await vault.marketToOrderBook(marketId);
-    const isAssigned = assignedOrderBook === (await orderBook.getAddress());
-    console.log(
-      `BTC market assigned to OrderBook: ${isAssigned ? "✅" : "❌"}`
+    // Required lazily - authorization-audit.js depends on this module
+    const {
+      auditAuthorization,
+      displayAudit,
+    } = require("./authorization-audit");
+    const audit = await auditAuthorization();
+    displayAudit(audit);
+
+    const defaultBook = audit.books.find(
+      (row) => row.orderBook === getAddress("ORDERBOOK")
     );
 
     console.log("═".repeat(60));
     return {
-      factoryHasRole,
-      orderBookHasRole,
-      isRegistered,
-      isAssigned,
+      factoryHasRole: audit.factoryHasRole,
+      orderBookHasRole: Boolean(defaultBook?.checks.orderBookRole),
+      isRegistered: Boolean(defaultBook?.checks.registered),
+      isAssigned: Boolean(defaultBook?.checks.assigned),
+      audit,
     };
   } catch (error) {
     console.error(`❌ Error checking authorization: ${error.message}`);
@@ -396,6 +488,22 @@ async function checkAuthorization() {
   }
 }
 
+// 📋 CONTRACT ADDRESSES - live view of the active network's manifest
+// (kept as a plain-object lookalike for scripts that read ADDRESSES.X)
+const CONTRACT_ADDRESSES = new Proxy(
+  {},
+  {
+    get: (_, key) => getActiveDeployment().contracts[key],
+    has: (_, key) => key in getActiveDeployment().contracts,
+    ownKeys: () => Reflect.ownKeys(getActiveDeployment().contracts),
+    getOwnPropertyDescriptor: (_, key) => {
+      const contracts = getActiveDeployment().contracts;
+      if (!(key in contracts)) return undefined;
+      return { value: contracts[key], enumerable: true, configurable: true };
+    },
+  }
+);
+
 // 📤 EXPORTS
 module.exports = {
   // Main functions
@@ -405,6 +513,10 @@ module.exports = {
 
   // Address functions
   getAddress,
+  loadAddresses,
+  reloadAddresses,
+  loadDeployment,
+  getContractName,
   updateAddresses,
   validateAddresses,
 
@@ -418,7 +530,6 @@ module.exports = {
   ADDRESSES: CONTRACT_ADDRESSES,
   NAMES: CONTRACT_NAMES,
   NETWORKS: NETWORK_CONFIG,
-  MARKET_INFO,
   ROLES,
 
   // Direct access to addresses (for scripts that need them)
@@ -0,0 +1,323 @@
+// deploy-plan.js - Declarative deployment plans for scripts/deploy.js
+//
+// 🎯 PURPOSE:
+//   - Describe a deployment as data: core contracts, markets, roles, funding
+//   - Resolve "$KEY" references between plan entries
+//   - Persist progress so an interrupted deployment resumes where it stopped
+//
+// 📄 PLAN FORMAT (config/deploy-plans/<name>.json):
+//   {
+//     "name": "default",
+//     "core": [{ "key": "CENTRALIZED_VAULT", "contract": "CentralizedVault",
+//                "args": ["$MOCK_USDC", "$deployer"] }, ...],
+//     "roles": [{ "contract": "CENTRALIZED_VAULT", "role": "FACTORY_ROLE",
+//                 "account": "$FUTURES_MARKET_FACTORY" }, ...],
+//     "markets": [{ "key": "ALUMINUM_ORDERBOOK", "symbol": "ALU-USD",
+//                   "metricUrl": "...", "settlementDays": 365,
+//                   "startPrice": "2500", "dataSource": "...", "tags": [...],
+//                   "marginRequirementBps": 10000, "tradingFeeBps": 10,
+//                   "liquidity": { "makers": [1, 2], "levels": 5,
+//                                  "spacingBps": 50, "size": "1" } }],
+//     "funding": [{ "signers": [1, 2, 3], "wallet": "9000",
+//                   "collateral": "1000" }]
+//   }
+//
+// 💧 LIQUIDITY (optional, per market):
+//   Seeds a symmetric ladder around "centerPrice" (defaults to startPrice):
+//   level i rests a bid at center * (1 - i * spacingBps / 10000) and an ask
+//   at center * (1 + i * spacingBps / 10000), each of "size" units. Levels
+//   rotate through the "makers" signer indexes. Use different makers for
+//   each market: the vault tracks reserved margin by (trader, orderId) and
+//   order ids restart at 1 in every book.
+//
+// 🔄 PLAN SELECTION:
+//   DEPLOY_PLAN=<name or path> npx hardhat run scripts/deploy.js --network localhost
+//   Without DEPLOY_PLAN: config/deploy-plans/<network>.json, then default.json
+//
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+
+const PLANS_DIR = path.join(__dirname, "deploy-plans");
+const DEPLOYMENTS_DIR = path.join(__dirname, "../deployments");
+
+/**
+ * Resolve which plan file to use
+ * @param {string} networkKey - Key from NETWORK_CONFIG
+ * @returns {string} Absolute plan path
+ */
+function resolvePlanPath(networkKey) {
+  const requested = process.env.DEPLOY_PLAN;
+
+  if (requested) {
+    const candidates = [
+      path.resolve(requested),
+      path.join(PLANS_DIR, requested),
+      path.join(PLANS_DIR, `${requested}.json`),
+    ];
+    const found = candidates.find((candidate) => fs.existsSync(candidate));
+    if (!found) {
+      throw new Error(`❌ Deployment plan not found: ${requested}`);
+    }
+    return found;
+  }
+
+  const networkPlan = path.join(PLANS_DIR, `${networkKey}.json`);
+  return fs.existsSync(networkPlan)
+    ? networkPlan
+    : path.join(PLANS_DIR, "default.json");
+}
+
+/**
+ * Check a market's liquidity ladder
+ * @param {object} liquidity - Plan liquidity block
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateLiquidity(liquidity) {
+  const errors = [];
+  const { makers, levels, spacingBps, size } = liquidity;
+
+  if (!Array.isArray(makers) || makers.length === 0) {
+    errors.push(`needs a non-empty "makers" array`);
+  }
+  if (!Number.isInteger(levels) || levels <= 0) {
+    errors.push(`"levels" must be a positive integer`);
+  }
+  if (!Number.isInteger(spacingBps) || spacingBps <= 0) {
+    errors.push(`"spacingBps" must be a positive integer`);
+  } else if (Number.isInteger(levels) && levels * spacingBps >= 10000) {
+    errors.push(`"levels" * "spacingBps" must stay below 10000`);
+  }
+  if (size === undefined || Number(size) <= 0) {
+    errors.push(`"size" must be positive`);
+  }
+
+  return errors;
+}
+
+/**
+ * Check a plan's structure
+ * @param {object} plan - Parsed plan
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validatePlan(plan) {
+  const errors = [];
+  const keys = new Set(["deployer"]);
+
+  if (typeof plan.name !== "string" || plan.name.length === 0) {
+    errors.push("name is required");
+  }
+
+  for (const [i, entry] of (plan.core || []).entries()) {
+    if (!entry.key || !entry.contract) {
+      errors.push(`core[${i}] needs "key" and "contract"`);
+    }
+    if (keys.has(entry.key)) {
+      errors.push(`core[${i}] duplicates key ${entry.key}`);
+    }
+    keys.add(entry.key);
+  }
+
+  for (const [i, market] of (plan.markets || []).entries()) {
+    for (const field of ["key", "symbol", "metricUrl", "startPrice"]) {
+      if (market[field] === undefined) {
+        errors.push(`markets[${i}] is missing "${field}"`);
+      }
+    }
+    if (
+      market.settlementDate === undefined &&
+      market.settlementDays === undefined
+    ) {
+      errors.push(
+        `markets[${i}] needs "settlementDate" (unix) or "settlementDays"`
+      );
+    }
+    if (keys.has(market.key)) {
+      errors.push(`markets[${i}] duplicates key ${market.key}`);
+    }
+    keys.add(market.key);
+
+    if (market.liquidity !== undefined) {
+      errors.push(
+        ...validateLiquidity(market.liquidity).map(
+          (error) => `markets[${i}].liquidity ${error}`
+        )
+      );
+    }
+  }
+
+  if ((plan.markets || []).filter((market) => market.default).length > 1) {
+    errors.push(`only one market can be "default"`);
+  }
+
+  for (const [i, grant] of (plan.roles || []).entries()) {
+    if (!grant.contract || !grant.role || !grant.account) {
+      errors.push(`roles[${i}] needs "contract", "role" and "account"`);
+    }
+  }
+
+  for (const [i, funding] of (plan.funding || []).entries()) {
+    if (!Array.isArray(funding.signers) || funding.signers.length === 0) {
+      errors.push(`funding[${i}] needs a non-empty "signers" array`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Load and validate a deployment plan
+ * @param {string} networkKey - Key from NETWORK_CONFIG
+ * @returns {object} Plan with `path` and `hash` attached
+ */
+function loadPlan(networkKey) {
+  const planPath = resolvePlanPath(networkKey);
+  const raw = fs.readFileSync(planPath, "utf8");
+  const plan = JSON.parse(raw);
+
+  const errors = validatePlan(plan);
+  if (errors.length > 0) {
+    throw new Error(
+      `❌ Invalid deployment plan ${path.basename(
+        planPath
+      )}:\n  - ${errors.join("\n  - ")}`
+    );
+  }
+
+  return {
+    core: [],
+    roles: [],
+    markets: [],
+    funding: [],
+    ...plan,
+    path: planPath,
+    hash: ethers.id(raw),
+  };
+}
+
+/**
+ * Resolve "$KEY" references against deployed addresses
+ * @param {*} value - Plan value (string, array or literal)
+ * @param {object} addresses - Known addresses, including `deployer`
+ * @returns {*} Resolved value
+ */
+function resolveReference(value, addresses) {
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveReference(item, addresses));
+  }
+
+  if (typeof value === "string" && value.startsWith("$")) {
+    const key = value.slice(1);
+    if (!addresses[key]) {
+      throw new Error(`❌ Plan references ${value} before it is deployed`);
+    }
+    return addresses[key];
+  }
+
+  return value;
+}
+
+/**
+ * Build the symmetric order ladder for a market's liquidity block
+ * @param {object} market - Plan market entry with `liquidity`
+ * @returns {object[]} Orders ({ level, isBuy, price, amount, maker }),
+ *   prices in 6 decimals and amounts in 18 decimals
+ */
+function buildLadder(market) {
+  const { makers, levels, spacingBps, size, centerPrice } = market.liquidity;
+  const center = ethers.parseUnits(String(centerPrice ?? market.startPrice), 6);
+  const amount = ethers.parseUnits(String(size), 18);
+  const orders = [];
+
+  for (let level = 1; level <= levels; level++) {
+    const offset = BigInt(level * spacingBps);
+    const maker = makers[(level - 1) % makers.length];
+
+    orders.push(
+      {
+        level,
+        isBuy: true,
+        price: (center * (10000n - offset)) / 10000n,
+        amount,
+        maker,
+      },
+      {
+        level,
+        isBuy: false,
+        price: (center * (10000n + offset)) / 10000n,
+        amount,
+        maker,
+      }
+    );
+  }
+
+  return orders;
+}
+
+/**
+ * Get a role hash by name
+ * @param {string} role - e.g. "ORDERBOOK_ROLE" or "DEFAULT_ADMIN_ROLE"
+ * @returns {string} bytes32 role
+ */
+function getRoleHash(role) {
+  return role === "DEFAULT_ADMIN_ROLE" ? ethers.ZeroHash : ethers.id(role);
+}
+
+/**
+ * Get the progress file path for a network
+ * @param {string} networkKey - Key from NETWORK_CONFIG
+ * @returns {string} Absolute path
+ */
+function getStatePath(networkKey) {
+  return path.join(DEPLOYMENTS_DIR, `${networkKey}-deploy-state.json`);
+}
+
+/**
+ * Read saved progress for a network
+ * @param {string} networkKey - Key from NETWORK_CONFIG
+ * @returns {object|null} Saved progress
+ */
+function readState(networkKey) {
+  const statePath = getStatePath(networkKey);
+  return fs.existsSync(statePath)
+    ? JSON.parse(fs.readFileSync(statePath, "utf8"))
+    : null;
+}
+
+/**
+ * Save progress after a step
+ * @param {string} networkKey - Key from NETWORK_CONFIG
+ * @param {object} state - Progress to save
+ */
+function writeState(networkKey, state) {
+  const statePath = getStatePath(networkKey);
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  fs.writeFileSync(
+    statePath,
+    JSON.stringify({ ...state, updatedAt: new Date().toISOString() }, null, 2)
+  );
+}
+
+/**
+ * Remove saved progress once a deployment completes
+ * @param {string} networkKey - Key from NETWORK_CONFIG
+ */
+function clearState(networkKey) {
+  const statePath = getStatePath(networkKey);
+  if (fs.existsSync(statePath)) {
+    fs.unlinkSync(statePath);
+  }
+}
+
+module.exports = {
+  loadPlan,
+  validatePlan,
+  resolvePlanPath,
+  resolveReference,
+  buildLadder,
+  getRoleHash,
+  getStatePath,
+  readState,
+  writeState,
+  clearState,
+};
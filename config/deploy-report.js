@@ -0,0 +1,477 @@
+// deploy-report.js - Gas, cost and bytecode size report for scripts/deploy.js
+//
+// 🎯 PURPOSE:
+//   - Record every transaction a deployment sends: gas used, gas price, cost
+//   - Measure each deployed contract's bytecode against the EIP-170 limit
+//     (24,576 bytes) - allowUnlimitedContractSize hides overruns locally,
+//     a real network rejects the deployment
+//   - Compare with the previous report so size and gas creep show up
+//
+// 📄 OUTPUT (overwritten by each deployment that sends transactions):
+//   deployments/<network>-deploy-report.json   machine-readable
+//   deployments/<network>-deploy-report.md     the same, as tables
+//
+// 🔄 USAGE (see scripts/deploy.js):
+//   const recorder = createTransactionRecorder(signerAddresses);
+//   const fromBlock = await ethers.provider.getBlockNumber();
+//   ... send a step's transactions ...
+//   await recorder.collect(stepId, label, fromBlock + 1);
+//   const report = await buildDeployReport({ ... });
+//   writeDeployReport(networkKey, report);
+//
+const fs = require("fs");
+const path = require("path");
+const { ethers, artifacts } = require("hardhat");
+const { getContractName } = require("./contracts");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "../deployments");
+const REPORT_SCHEMA_VERSION = 1;
+
+// EIP-170 runtime code and EIP-3860 initcode limits
+const CODE_SIZE_LIMIT = 24576;
+const INITCODE_SIZE_LIMIT = 49152;
+
+// Warn once a contract's runtime code passes this share of the limit
+const SIZE_WARNING_RATIO = 0.9;
+
+/**
+ * Get the report paths for a network
+ * @param {string} networkKey - Key from NETWORK_CONFIG
+ * @returns {{ json: string, markdown: string }} Absolute paths
+ */
+function getReportPaths(networkKey) {
+  const base = path.join(DEPLOYMENTS_DIR, `${networkKey}-deploy-report`);
+  return { json: `${base}.json`, markdown: `${base}.md` };
+}
+
+/**
+ * Read the last written report for a network
+ * @param {string} networkKey - Key from NETWORK_CONFIG
+ * @returns {object|null} Report
+ */
+function readDeployReport(networkKey) {
+  const { json } = getReportPaths(networkKey);
+  return fs.existsSync(json) ? JSON.parse(fs.readFileSync(json, "utf8")) : null;
+}
+
+/**
+ * Collect the transactions a deployment sends, one step at a time
+ * Transactions are found by scanning the blocks mined while a step ran for
+ * ones sent from our accounts, so deploy steps don't need to hand over
+ * their receipts.
+ * @param {string[]} accounts - Addresses whose transactions to record
+ * @returns {object} { transactions, collect(stepId, label, fromBlock) }
+ */
+function createTransactionRecorder(accounts) {
+  const senders = new Set(accounts.map((account) => account.toLowerCase()));
+  const transactions = [];
+
+  return {
+    transactions,
+
+    async collect(stepId, label, fromBlock) {
+      const toBlock = await ethers.provider.getBlockNumber();
+      for (let number = fromBlock; number <= toBlock; number++) {
+        const block = await ethers.provider.getBlock(number, true);
+        for (const tx of block.prefetchedTransactions) {
+          if (!senders.has(tx.from.toLowerCase())) {
+            continue;
+          }
+          const receipt = await ethers.provider.getTransactionReceipt(tx.hash);
+          transactions.push({
+            step: stepId,
+            label,
+            hash: tx.hash,
+            blockNumber: receipt.blockNumber,
+            from: tx.from,
+            to: tx.to,
+            contractAddress: receipt.contractAddress,
+            data: tx.data,
+            gasUsed: receipt.gasUsed,
+            gasPrice: receipt.gasPrice,
+            cost: receipt.gasUsed * receipt.gasPrice,
+            status: receipt.status,
+          });
+        }
+      }
+    },
+  };
+}
+
+/**
+ * Load interfaces for every contract a deployment touches
+ * @param {object} contracts - Manifest contracts (key => address)
+ * @returns {Promise<Map<string, { name: string, iface: Interface }>>}
+ *   lowercased address => artifact name and interface
+ */
+async function loadInterfaces(contracts) {
+  const byAddress = new Map();
+  for (const [key, address] of Object.entries(contracts)) {
+    const name = getContractName(key);
+    if (!name || byAddress.has(address.toLowerCase())) {
+      continue;
+    }
+    const { abi } = await artifacts.readArtifact(name);
+    byAddress.set(address.toLowerCase(), {
+      name,
+      iface: new ethers.Interface(abi),
+    });
+  }
+  return byAddress;
+}
+
+/**
+ * Measure runtime (on chain) and initcode (artifact) size per contract
+ * @param {object} contracts - Manifest contracts (key => address)
+ * @returns {Promise<object[]>} One entry per address
+ */
+async function measureContracts(contracts) {
+  const byAddress = new Map();
+  for (const [key, address] of Object.entries(contracts)) {
+    const entry = byAddress.get(address.toLowerCase());
+    if (entry) {
+      entry.keys.push(key);
+      continue;
+    }
+
+    const name = getContractName(key);
+    const code = await ethers.provider.getCode(address);
+    const artifact = name ? await artifacts.readArtifact(name) : null;
+    const runtimeSize = (code.length - 2) / 2;
+
+    byAddress.set(address.toLowerCase(), {
+      keys: [key],
+      name: name || null,
+      address,
+      runtimeSize,
+      initcodeSize: artifact ? (artifact.bytecode.length - 2) / 2 : null,
+      percentOfLimit: Number(
+        ((runtimeSize / CODE_SIZE_LIMIT) * 100).toFixed(1)
+      ),
+    });
+  }
+  return [...byAddress.values()];
+}
+
+/**
+ * Build the report for a finished deployment
+ * @param {object} options - { networkConfig, deploymentId, plan, contracts,
+ *   transactions, stepsSkipped, previous }
+ * @returns {Promise<object>} Report
+ */
+async function buildDeployReport(options) {
+  const { networkConfig, deploymentId, plan, contracts, previous } = options;
+  const interfaces = await loadInterfaces(contracts);
+  // First key wins, so aliases like ORDERBOOK don't hide the market key
+  const names = new Map();
+  for (const [key, address] of Object.entries(contracts)) {
+    if (!names.has(address.toLowerCase())) {
+      names.set(address.toLowerCase(), key);
+    }
+  }
+
+  const transactions = options.transactions.map(({ data, ...transaction }) => {
+    if (!transaction.to) {
+      const key = names.get(transaction.contractAddress?.toLowerCase());
+      return { ...transaction, contract: key || null, method: "deploy" };
+    }
+
+    const target = interfaces.get(transaction.to.toLowerCase());
+    const parsed = target?.iface.parseTransaction({ data });
+    return {
+      ...transaction,
+      contract: names.get(transaction.to.toLowerCase()) || null,
+      method: parsed ? parsed.name : data.slice(0, 10),
+    };
+  });
+
+  const gasUsed = transactions.reduce((sum, tx) => sum + tx.gasUsed, 0n);
+  const cost = transactions.reduce((sum, tx) => sum + tx.cost, 0n);
+  const sizes = await measureContracts(contracts);
+
+  // Instances of the same contract (e.g. one OrderBook per market) share
+  // their code - warn once per contract and size
+  const groups = new Map();
+  for (const contract of sizes) {
+    const id = `${contract.name || contract.keys[0]}:${contract.runtimeSize}`;
+    const group = groups.get(id) || { ...contract, keys: [] };
+    group.keys.push(...contract.keys);
+    groups.set(id, group);
+  }
+
+  const warnings = [];
+  for (const contract of groups.values()) {
+    const label = `${contract.name || contract.keys[0]} (${contract.keys.join(
+      ", "
+    )})`;
+    if (contract.runtimeSize > CODE_SIZE_LIMIT) {
+      warnings.push(
+        `${label} is ${contract.runtimeSize} bytes - over the ${CODE_SIZE_LIMIT} byte limit, deployment will fail outside allowUnlimitedContractSize`
+      );
+    } else if (contract.runtimeSize >= CODE_SIZE_LIMIT * SIZE_WARNING_RATIO) {
+      warnings.push(
+        `${label} is ${contract.runtimeSize} bytes - ${contract.percentOfLimit}% of the ${CODE_SIZE_LIMIT} byte limit`
+      );
+    }
+    if (contract.initcodeSize > INITCODE_SIZE_LIMIT) {
+      warnings.push(
+        `${label} initcode is ${contract.initcodeSize} bytes - over the ${INITCODE_SIZE_LIMIT} byte EIP-3860 limit`
+      );
+    }
+  }
+  for (const tx of transactions.filter((entry) => entry.status !== 1)) {
+    warnings.push(`${tx.label}: transaction ${tx.hash} reverted`);
+  }
+
+  const report = {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    deploymentId,
+    network: networkConfig.key,
+    chainId: networkConfig.chainId,
+    generatedAt: new Date().toISOString(),
+    plan: plan ? { name: plan.name, hash: plan.hash } : null,
+    // Steps found already done on chain - their gas isn't in this report
+    stepsSkipped: options.stepsSkipped || 0,
+    totals: {
+      transactions: transactions.length,
+      gasUsed,
+      cost,
+    },
+    transactions,
+    contracts: sizes,
+    warnings,
+    comparison: null,
+  };
+
+  if (previous) {
+    report.comparison = compareReports(report, previous);
+  }
+  return report;
+}
+
+/**
+ * Compare a report with the previous one
+ * Contracts are matched by manifest key, steps by step id.
+ * @param {object} report - From buildDeployReport()
+ * @param {object} previous - From readDeployReport() (bigints as strings)
+ * @returns {object} { previousDeploymentId, gasUsed, contracts, steps }
+ */
+function compareReports(report, previous) {
+  const sumByStep = (transactions) => {
+    const totals = new Map();
+    for (const tx of transactions) {
+      totals.set(tx.step, (totals.get(tx.step) || 0n) + BigInt(tx.gasUsed));
+    }
+    return totals;
+  };
+
+  const contracts = [];
+  for (const contract of report.contracts) {
+    const before = previous.contracts.find((entry) =>
+      entry.keys.includes(contract.keys[0])
+    );
+    if (before) {
+      contracts.push({
+        keys: contract.keys,
+        name: contract.name,
+        before: before.runtimeSize,
+        after: contract.runtimeSize,
+        delta: contract.runtimeSize - before.runtimeSize,
+      });
+    }
+  }
+
+  const beforeSteps = sumByStep(previous.transactions);
+  const steps = [];
+  for (const [step, gasUsed] of sumByStep(report.transactions)) {
+    if (beforeSteps.has(step)) {
+      steps.push({
+        step,
+        before: beforeSteps.get(step),
+        after: gasUsed,
+        delta: gasUsed - beforeSteps.get(step),
+      });
+    }
+  }
+
+  const previousGas = BigInt(previous.totals.gasUsed);
+  return {
+    previousDeploymentId: previous.deploymentId,
+    gasUsed: {
+      before: previousGas,
+      after: report.totals.gasUsed,
+      delta: report.totals.gasUsed - previousGas,
+    },
+    contracts,
+    steps,
+  };
+}
+
+function formatDelta(delta) {
+  const value = BigInt(delta);
+  return value > 0n ? `+${value}` : `${value}`;
+}
+
+/**
+ * Render a report as Markdown
+ * @param {object} report - From buildDeployReport()
+ * @returns {string} Markdown
+ */
+function renderMarkdown(report) {
+  const lines = [
+    `# Deployment report - ${report.deploymentId}`,
+    "",
+    `- Network: ${report.network} (chainId ${report.chainId})`,
+    `- Plan: ${report.plan ? report.plan.name : "-"}`,
+    `- Generated: ${report.generatedAt}`,
+    `- Transactions: ${report.totals.transactions}${
+      report.stepsSkipped > 0
+        ? ` (${report.stepsSkipped} steps were already done and are not included)`
+        : ""
+    }`,
+    `- Gas used: ${report.totals.gasUsed}`,
+    `- Cost: ${ethers.formatEther(report.totals.cost)} (native token)`,
+    "",
+  ];
+
+  if (report.warnings.length > 0) {
+    lines.push("## ⚠️ Warnings", "");
+    report.warnings.forEach((warning) => lines.push(`- ${warning}`));
+    lines.push("");
+  }
+
+  lines.push(
+    "## Contract sizes",
+    "",
+    `| Contract | Keys | Address | Runtime bytes | % of ${CODE_SIZE_LIMIT} | Initcode bytes | Change |`,
+    "| --- | --- | --- | ---: | ---: | ---: | ---: |"
+  );
+  for (const contract of report.contracts) {
+    const change = report.comparison?.contracts.find(
+      (entry) => entry.keys[0] === contract.keys[0]
+    );
+    lines.push(
+      `| ${contract.name || "-"} | ${contract.keys.join(", ")} | \`${
+        contract.address
+      }\` | ${contract.runtimeSize} | ${contract.percentOfLimit}% | ${
+        contract.initcodeSize ?? "-"
+      } | ${change ? formatDelta(change.delta) : "-"} |`
+    );
+  }
+  lines.push("");
+
+  lines.push(
+    "## Transactions",
+    "",
+    "| Step | Contract | Method | Gas used | Gas price (gwei) | Cost | Tx |",
+    "| --- | --- | --- | ---: | ---: | ---: | --- |"
+  );
+  for (const tx of report.transactions) {
+    lines.push(
+      `| ${tx.label} | ${tx.contract || tx.to || "-"} | ${tx.method} | ${
+        tx.gasUsed
+      } | ${ethers.formatUnits(tx.gasPrice, "gwei")} | ${ethers.formatEther(
+        tx.cost
+      )} | \`${tx.hash}\` |`
+    );
+  }
+  lines.push("");
+
+  if (report.comparison) {
+    const { comparison } = report;
+    lines.push(
+      `## Compared with ${comparison.previousDeploymentId}`,
+      "",
+      `- Gas used: ${comparison.gasUsed.before} → ${
+        comparison.gasUsed.after
+      } (${formatDelta(comparison.gasUsed.delta)})`,
+      ""
+    );
+
+    const changedSteps = comparison.steps.filter((step) => step.delta !== 0n);
+    if (changedSteps.length > 0) {
+      lines.push(
+        "| Step | Gas before | Gas after | Change |",
+        "| --- | ---: | ---: | ---: |"
+      );
+      for (const step of changedSteps) {
+        lines.push(
+          `| ${step.step} | ${step.before} | ${step.after} | ${formatDelta(
+            step.delta
+          )} |`
+        );
+      }
+      lines.push("");
+    }
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Write a report as JSON and Markdown
+ * @param {string} networkKey - Key from NETWORK_CONFIG
+ * @param {object} report - From buildDeployReport()
+ * @returns {{ json: string, markdown: string }} Paths written
+ */
+function writeDeployReport(networkKey, report) {
+  const paths = getReportPaths(networkKey);
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+
+  fs.writeFileSync(
+    paths.json,
+    JSON.stringify(
+      report,
+      (key, value) => (typeof value === "bigint" ? value.toString() : value),
+      2
+    ) + "\n"
+  );
+  fs.writeFileSync(paths.markdown, renderMarkdown(report) + "\n");
+  return paths;
+}
+
+/**
+ * Print the headline numbers and warnings
+ * @param {object} report - From buildDeployReport()
+ */
+function displayDeployReport(report) {
+  console.log(
+    `  ⛽ ${report.totals.transactions} transactions, ${
+      report.totals.gasUsed
+    } gas, ${ethers.formatEther(report.totals.cost)} in fees (native token)`
+  );
+
+  for (const contract of report.contracts) {
+    const change = report.comparison?.contracts.find(
+      (entry) => entry.keys[0] === contract.keys[0]
+    );
+    console.log(
+      `     ${contract.keys[0].padEnd(26)} ${String(
+        contract.runtimeSize
+      ).padStart(6)} bytes (${contract.percentOfLimit}% of limit)${
+        change && change.delta !== 0 ? ` ${formatDelta(change.delta)}` : ""
+      }`
+    );
+  }
+
+  if (report.comparison) {
+    console.log(
+      `  📊 vs ${report.comparison.previousDeploymentId}: ${formatDelta(
+        report.comparison.gasUsed.delta
+      )} gas`
+    );
+  }
+  report.warnings.forEach((warning) => console.log(`  ⚠️  ${warning}`));
+}
+
+module.exports = {
+  CODE_SIZE_LIMIT,
+  INITCODE_SIZE_LIMIT,
+  getReportPaths,
+  readDeployReport,
+  createTransactionRecorder,
+  buildDeployReport,
+  compareReports,
+  writeDeployReport,
+  displayDeployReport,
+};
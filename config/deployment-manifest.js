@@ -0,0 +1,347 @@
+// deployment-manifest.js - Versioned deployment manifests with history
+//
+// 🎯 PURPOSE:
+//   - Own the format of deployments/<network>-deployment.json
+//   - Validate every deployment before it becomes active
+//   - Keep earlier deployments so the team can switch back to them
+//
+// 📄 MANIFEST FORMAT (schemaVersion 1):
+//   {
+//     "schemaVersion": 1,
+//     "deploymentId": "localhost-20250911T170301Z",   ┐
+//     "network": "localhost",                          │ active deployment,
+//     "chainId": 31337,                                │ kept at the top level
+//     "timestamp": "2025-09-11T17:03:01.125Z",         │ so existing readers of
+//     "deployer": "0x...",                             │ .contracts / .deployer
+//     "contracts": { "MOCK_USDC": "0x...", ... },      │ keep working
+//     ...extra fields (e.g. aluminumMarket)            ┘
+//     "history": [ { ...earlier deployments, newest first } ]
+//   }
+//
+// 🔄 USAGE:
+//   const { recordDeployment, useDeployment } = require('./config/deployment-manifest');
+//   await recordDeployment(networkConfig, { deployer, contracts }, { provider });
+//   await useDeployment("localhost", "localhost-20250911T170301Z", { provider });
+//
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "../deployments");
+const MANIFEST_SCHEMA_VERSION = 1;
+
+// Fields every deployment record must carry, with their expected type
+const DEPLOYMENT_SCHEMA = {
+  deploymentId: "string",
+  network: "string",
+  chainId: "number",
+  timestamp: "string",
+  deployer: "address",
+  contracts: "addressMap",
+};
+
+/**
+ * Get the manifest path for a network
+ * @param {string} networkKey - Key from NETWORK_CONFIG
+ * @returns {string} Absolute manifest path
+ */
+function getManifestPath(networkKey) {
+  return path.join(DEPLOYMENTS_DIR, `${networkKey}-deployment.json`);
+}
+
+/**
+ * Build a deployment id from a network key and timestamp
+ * @param {string} networkKey - Key from NETWORK_CONFIG
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} Deployment id, e.g. localhost-20250911T170301Z
+ */
+function createDeploymentId(networkKey, timestamp) {
+  const compact = timestamp.replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z");
+  return `${networkKey}-${compact}`;
+}
+
+/**
+ * Split a manifest into its active record and history
+ * @param {object} manifest - Parsed manifest
+ * @returns {{active: object, history: object[]}}
+ */
+function splitManifest(manifest) {
+  const { schemaVersion, history = [], ...active } = manifest;
+  return { active, history };
+}
+
+/**
+ * Read a network's manifest, upgrading legacy (unversioned) files in memory
+ * @param {string} networkKey - Key from NETWORK_CONFIG
+ * @returns {object|null} Manifest, or null if none exists
+ */
+function readManifest(networkKey) {
+  const manifestPath = getManifestPath(networkKey);
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+
+  if (manifest.schemaVersion === undefined) {
+    // Legacy manifest written before history was tracked
+    return {
+      schemaVersion: MANIFEST_SCHEMA_VERSION,
+      deploymentId: createDeploymentId(
+        networkKey,
+        manifest.timestamp || new Date(0).toISOString()
+      ),
+      ...manifest,
+      history: [],
+    };
+  }
+
+  if (manifest.schemaVersion > MANIFEST_SCHEMA_VERSION) {
+    throw new Error(
+      `❌ ${path.basename(manifestPath)} uses schemaVersion ${
+        manifest.schemaVersion
+      }, this tool understands up to ${MANIFEST_SCHEMA_VERSION}`
+    );
+  }
+
+  return manifest;
+}
+
+/**
+ * Write a manifest atomically (temp file + rename) so a crash never leaves
+ * a half-written file behind
+ * @param {string} networkKey - Key from NETWORK_CONFIG
+ * @param {object} manifest - Manifest to write
+ */
+function writeManifest(networkKey, manifest) {
+  const manifestPath = getManifestPath(networkKey);
+  const tempPath = `${manifestPath}.tmp`;
+
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2) + "\n");
+  fs.renameSync(tempPath, manifestPath);
+}
+
+/**
+ * Check a deployment record against DEPLOYMENT_SCHEMA and, when a provider is
+ * given, that contract code exists at every address
+ * @param {object} record - Deployment record
+ * @param {object} options - { provider }
+ * @returns {Promise<string[]>} Validation errors (empty when valid)
+ */
+async function validateDeployment(record, options = {}) {
+  const errors = [];
+
+  for (const [field, type] of Object.entries(DEPLOYMENT_SCHEMA)) {
+    const value = record[field];
+
+    if (value === undefined || value === null) {
+      errors.push(`${field} is required`);
+      continue;
+    }
+
+    if (type === "address") {
+      if (!ethers.isAddress(value)) {
+        errors.push(`${field} is not an address: ${value}`);
+      }
+    } else if (type === "addressMap") {
+      if (typeof value !== "object" || Object.keys(value).length === 0) {
+        errors.push(`${field} must map contract keys to addresses`);
+        continue;
+      }
+
+      for (const [key, address] of Object.entries(value)) {
+        if (!ethers.isAddress(address)) {
+          errors.push(`${field}.${key} is not an address: ${address}`);
+        } else if (address !== ethers.getAddress(address)) {
+          errors.push(
+            `${field}.${key} is not checksummed: ${address} (expected ${ethers.getAddress(
+              address
+            )})`
+          );
+        }
+      }
+    } else if (typeof value !== type) {
+      errors.push(`${field} must be a ${type}`);
+    }
+  }
+
+  if (
+    typeof record.timestamp === "string" &&
+    Number.isNaN(Date.parse(record.timestamp))
+  ) {
+    errors.push(`timestamp is not an ISO date: ${record.timestamp}`);
+  }
+
+  if (errors.length === 0 && options.provider) {
+    const providerNetwork = await options.provider.getNetwork();
+    if (Number(providerNetwork.chainId) !== record.chainId) {
+      errors.push(
+        `provider is on chainId ${providerNetwork.chainId}, deployment is for ${record.chainId}`
+      );
+    } else {
+      for (const [key, address] of Object.entries(record.contracts)) {
+        const code = await options.provider.getCode(address);
+        if (code === "0x") {
+          errors.push(`contracts.${key} has no contract code at ${address}`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Throw if a deployment record is invalid
+ * @param {object} record - Deployment record
+ * @param {object} options - { provider }
+ */
+async function assertValidDeployment(record, options = {}) {
+  const errors = await validateDeployment(record, options);
+  if (errors.length > 0) {
+    throw new Error(
+      `❌ Invalid deployment ${
+        record.deploymentId || "(no id)"
+      }:\n  - ${errors.join("\n  - ")}`
+    );
+  }
+}
+
+/**
+ * Record a new deployment as active, moving the previous one into history
+ * @param {object} networkConfig - { key, chainId } from getNetworkConfig()
+ * @param {object} deployment - { deployer, contracts, ...extra fields }
+ * @param {object} options - { provider, timestamp }
+ * @returns {Promise<object>} The written manifest
+ */
+async function recordDeployment(networkConfig, deployment, options = {}) {
+  const existing = readManifest(networkConfig.key);
+  const timestamp = options.timestamp || new Date().toISOString();
+
+  let deploymentId = createDeploymentId(networkConfig.key, timestamp);
+  const takenIds = new Set(
+    existing
+      ? [existing.deploymentId, ...existing.history.map((d) => d.deploymentId)]
+      : []
+  );
+  for (let n = 2; takenIds.has(deploymentId); n++) {
+    deploymentId = `${createDeploymentId(networkConfig.key, timestamp)}-${n}`;
+  }
+
+  const record = {
+    deploymentId,
+    network: networkConfig.key,
+    chainId: networkConfig.chainId,
+    timestamp,
+    ...deployment,
+  };
+
+  await assertValidDeployment(record, options);
+
+  const history = [];
+  if (existing) {
+    const { active, history: previous } = splitManifest(existing);
+    history.push(active, ...previous);
+  }
+
+  const manifest = {
+    schemaVersion: MANIFEST_SCHEMA_VERSION,
+    ...record,
+    history,
+  };
+  writeManifest(networkConfig.key, manifest);
+  return manifest;
+}
+
+/**
+ * List every deployment known for a network, newest first
+ * @param {string} networkKey - Key from NETWORK_CONFIG
+ * @returns {object[]} Deployment records with an `active` flag
+ */
+function listDeployments(networkKey) {
+  const manifest = readManifest(networkKey);
+  if (!manifest) {
+    return [];
+  }
+
+  const { active, history } = splitManifest(manifest);
+  return [
+    { ...active, active: true },
+    ...history.map((d) => ({ ...d, active: false })),
+  ];
+}
+
+/**
+ * Make an earlier deployment active again
+ * @param {string} networkKey - Key from NETWORK_CONFIG
+ * @param {string} deploymentId - Id of the deployment to activate
+ * @param {object} options - { provider }
+ * @returns {Promise<object>} The written manifest
+ */
+async function useDeployment(networkKey, deploymentId, options = {}) {
+  const manifest = readManifest(networkKey);
+  if (!manifest) {
+    throw new Error(`❌ No deployment manifest for network: ${networkKey}`);
+  }
+
+  const { active, history } = splitManifest(manifest);
+  if (active.deploymentId === deploymentId) {
+    return manifest;
+  }
+
+  const target = history.find((d) => d.deploymentId === deploymentId);
+  if (!target) {
+    throw new Error(
+      `❌ Deployment ${deploymentId} not found for ${networkKey}. Known: ${[
+        active.deploymentId,
+        ...history.map((d) => d.deploymentId),
+      ].join(", ")}`
+    );
+  }
+
+  await assertValidDeployment(target, options);
+
+  const updated = {
+    schemaVersion: MANIFEST_SCHEMA_VERSION,
+    ...target,
+    history: [
+      active,
+      ...history.filter((d) => d.deploymentId !== deploymentId),
+    ],
+  };
+  writeManifest(networkKey, updated);
+  return updated;
+}
+
+/**
+ * Switch back to the most recent earlier deployment
+ * @param {string} networkKey - Key from NETWORK_CONFIG
+ * @param {object} options - { provider }
+ * @returns {Promise<object>} The written manifest
+ */
+async function rollbackDeployment(networkKey, options = {}) {
+  const manifest = readManifest(networkKey);
+  if (!manifest || manifest.history.length === 0) {
+    throw new Error(
+      `❌ No earlier deployment to roll back to on ${networkKey}`
+    );
+  }
+
+  return useDeployment(networkKey, manifest.history[0].deploymentId, options);
+}
+
+module.exports = {
+  MANIFEST_SCHEMA_VERSION,
+  DEPLOYMENT_SCHEMA,
+  getManifestPath,
+  createDeploymentId,
+  readManifest,
+  writeManifest,
+  validateDeployment,
+  assertValidDeployment,
+  recordDeployment,
+  listDeployments,
+  useDeployment,
+  rollbackDeployment,
+};
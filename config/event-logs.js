@@ -0,0 +1,39 @@
+// event-logs.js - Chunked event queries
+//
+// 🎯 PURPOSE:
+//   - Public RPCs cap the block range of eth_getLogs; query in chunks
+//
+// 🔄 USAGE:
+//   const { queryInChunks } = require('../config/event-logs');
+//   const logs = await queryInChunks(vault, vault.filters.RoleGranted(), 0);
+//
+const { ethers } = require("hardhat");
+
+const LOG_CHUNK_SIZE = 10000;
+
+/**
+ * Query events in block chunks
+ * @param {Contract} contract - Contract to query
+ * @param {object|string} filter - Event filter or event name
+ * @param {number} fromBlock - First block (inclusive)
+ * @param {number} toBlock - Last block (inclusive, defaults to latest)
+ * @returns {Promise<object[]>} Logs ordered by block and log index
+ */
+async function queryInChunks(contract, filter, fromBlock = 0, toBlock) {
+  const lastBlock = toBlock ?? (await ethers.provider.getBlockNumber());
+  const logs = [];
+
+  for (let start = fromBlock; start <= lastBlock; start += LOG_CHUNK_SIZE) {
+    const end = Math.min(start + LOG_CHUNK_SIZE - 1, lastBlock);
+    logs.push(...(await contract.queryFilter(filter, start, end)));
+  }
+
+  return logs.sort(
+    (a, b) => a.blockNumber - b.blockNumber || a.index - b.index
+  );
+}
+
+module.exports = {
+  LOG_CHUNK_SIZE,
+  queryInChunks,
+};
@@ -0,0 +1,300 @@
+// fixtures.js - Named chain snapshots for local testing
+//
+// 🎯 PURPOSE:
+//   - Save the local chain under a name (evm_snapshot) and jump back to it
+//     (evm_revert) in one call, instead of cancelling orders and closing
+//     positions one transaction at a time
+//   - Build the standard states on demand from the deploy plan:
+//       deployed     contracts, roles and markets      (DEPLOY_UNTIL=markets)
+//       funded       + trading accounts funded         (DEPLOY_UNTIL=funding)
+//       seeded-book  + each market's liquidity ladder  (full plan)
+//
+// ⚠️  LOCAL CHAINS ONLY:
+//   Every entry point refuses to run unless the provider reports a local
+//   chainId (31337 Hardhat, 1337 Ganache).
+//
+// 📌 SNAPSHOT RULES:
+//   - evm_revert consumes the snapshot, so a restore takes a new one
+//   - Reverting discards every snapshot taken after the restored one
+//   - Snapshots die with the node; a fixture whose block no longer matches
+//     the chain is stale and gets rebuilt
+//   The deployment manifest is saved with each fixture and written back on
+//   restore, so config/contracts.js always points at what is on chain.
+//
+// 🔄 USAGE:
+//   const { loadFixture, saveFixture } = require('../config/fixtures');
+//   await loadFixture("seeded-book");   // restore, building it if needed
+//   await saveFixture("my-scenario");   // save whatever is on chain now
+//   await loadFixture("my-scenario");
+//
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { ethers, network } = require("hardhat");
+const { getNetworkConfig, reloadAddresses } = require("./contracts");
+const { readManifest, writeManifest } = require("./deployment-manifest");
+const { clearState } = require("./deploy-plan");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "../deployments");
+const DEPLOY_SCRIPT = path.join(__dirname, "../scripts/deploy.js");
+
+const LOCAL_CHAIN_IDS = [31337, 1337];
+
+// Standard fixtures: each is built on top of its parent by running
+// scripts/deploy.js up to a stage
+const STANDARD_FIXTURES = {
+  deployed: { parent: null, stage: "markets" },
+  funded: { parent: "deployed", stage: "funding" },
+  "seeded-book": { parent: "funded", stage: "liquidity" },
+};
+
+/**
+ * Refuse to touch anything but a local chain
+ * @returns {Promise<object>} Network config
+ */
+async function assertLocalChain() {
+  const networkConfig = await getNetworkConfig();
+  if (!LOCAL_CHAIN_IDS.includes(networkConfig.chainId)) {
+    throw new Error(
+      `❌ Fixtures only run on local chains (chainId ${LOCAL_CHAIN_IDS.join(
+        ", "
+      )}) - connected to ${networkConfig.name} (chainId ${
+        networkConfig.chainId
+      })`
+    );
+  }
+  return networkConfig;
+}
+
+/**
+ * Get the fixture registry path for a network
+ * @param {string} networkKey - Key from NETWORK_CONFIG
+ * @returns {string} Absolute path
+ */
+function getRegistryPath(networkKey) {
+  return path.join(DEPLOYMENTS_DIR, `${networkKey}-fixtures.json`);
+}
+
+function readRegistry(networkKey) {
+  const registryPath = getRegistryPath(networkKey);
+  if (!fs.existsSync(registryPath)) {
+    return { fixtures: {} };
+  }
+  return JSON.parse(fs.readFileSync(registryPath, "utf8"));
+}
+
+function writeRegistry(networkKey, registry) {
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  fs.writeFileSync(
+    getRegistryPath(networkKey),
+    JSON.stringify(registry, null, 2) + "\n"
+  );
+}
+
+/**
+ * Check that a fixture's block is still part of the chain
+ * @param {object} fixture - Registry entry
+ * @returns {Promise<boolean>}
+ */
+async function isOnChain(fixture) {
+  const block = await ethers.provider.getBlock(fixture.blockNumber);
+  return Boolean(block) && block.hash === fixture.blockHash;
+}
+
+/**
+ * Save the current chain state under a name (replaces an existing fixture)
+ * @param {string} name - Fixture name
+ * @returns {Promise<object>} Registry entry
+ */
+async function saveFixture(name) {
+  const networkConfig = await assertLocalChain();
+  const snapshotId = await ethers.provider.send("evm_snapshot", []);
+  const block = await ethers.provider.getBlock("latest");
+
+  const registry = readRegistry(networkConfig.key);
+  registry.fixtures[name] = {
+    snapshotId,
+    blockNumber: block.number,
+    blockHash: block.hash,
+    savedAt: new Date().toISOString(),
+    manifest: readManifest(networkConfig.key),
+  };
+  writeRegistry(networkConfig.key, registry);
+
+  return registry.fixtures[name];
+}
+
+/**
+ * Revert the chain to a saved fixture
+ * @param {string} name - Fixture name
+ * @returns {Promise<object>} Registry entry (with its new snapshot id)
+ */
+async function restoreFixture(name) {
+  const networkConfig = await assertLocalChain();
+  const registry = readRegistry(networkConfig.key);
+  const fixture = registry.fixtures[name];
+
+  if (!fixture) {
+    const saved = Object.keys(registry.fixtures);
+    throw new Error(
+      `❌ No fixture named "${name}"${
+        saved.length > 0 ? `. Saved: ${saved.join(", ")}` : ""
+      }`
+    );
+  }
+
+  // Snapshot ids restart with the node - make sure this one is ours
+  if (
+    !(await isOnChain(fixture)) ||
+    !(await ethers.provider.send("evm_revert", [fixture.snapshotId]))
+  ) {
+    delete registry.fixtures[name];
+    writeRegistry(networkConfig.key, registry);
+    throw new Error(
+      `❌ Fixture "${name}" is stale (was the node restarted?) - save or build it again`
+    );
+  }
+
+  // The node dropped every snapshot taken after this one
+  const restoredId = BigInt(fixture.snapshotId);
+  for (const [other, entry] of Object.entries(registry.fixtures)) {
+    if (BigInt(entry.snapshotId) > restoredId) {
+      delete registry.fixtures[other];
+    }
+  }
+
+  fixture.snapshotId = await ethers.provider.send("evm_snapshot", []);
+  writeRegistry(networkConfig.key, registry);
+
+  clearState(networkConfig.key);
+  if (fixture.manifest) {
+    writeManifest(networkConfig.key, fixture.manifest);
+    await reloadAddresses();
+  }
+
+  return fixture;
+}
+
+/**
+ * Run scripts/deploy.js up to a stage against the current network
+ * @param {string} stage - DEPLOY_UNTIL stage
+ * @param {boolean} fresh - Ignore existing deployments (DEPLOY_FRESH)
+ */
+function runDeploy(stage, fresh) {
+  // The deploy runs in its own process, which can't see an in-process chain
+  if (network.name === "hardhat") {
+    throw new Error(
+      "❌ Standard fixtures are built against a running node - start one with `npx hardhat node` and use --network localhost"
+    );
+  }
+
+  const env = { ...process.env, HARDHAT_NETWORK: network.name };
+  env.DEPLOY_UNTIL = stage;
+  delete env.DEPLOY_FRESH;
+  if (fresh) {
+    env.DEPLOY_FRESH = "1";
+  }
+
+  const result = spawnSync(process.execPath, [DEPLOY_SCRIPT], {
+    env,
+    stdio: "inherit",
+  });
+  if (result.status !== 0) {
+    throw new Error(`❌ Deployment up to "${stage}" failed`);
+  }
+}
+
+/**
+ * Build a standard fixture on top of its parent and save it
+ * @param {string} name - Key of STANDARD_FIXTURES
+ * @returns {Promise<object>} Registry entry
+ */
+async function buildFixture(name) {
+  const { parent, stage } = STANDARD_FIXTURES[name];
+  if (parent) {
+    await loadFixture(parent);
+  }
+
+  console.log(`\n🧱 Building fixture "${name}" (DEPLOY_UNTIL=${stage})`);
+  runDeploy(stage, !parent);
+  await reloadAddresses();
+
+  return saveFixture(name);
+}
+
+/**
+ * Restore a fixture; standard fixtures that are missing or stale are built
+ * @param {string} name - Fixture name
+ * @param {object} options - { rebuild } - build a standard fixture again
+ *   even when a saved one exists
+ * @returns {Promise<object>} Registry entry
+ */
+async function loadFixture(name, options = {}) {
+  const networkConfig = await assertLocalChain();
+  const fixture = readRegistry(networkConfig.key).fixtures[name];
+  const standard = Boolean(STANDARD_FIXTURES[name]);
+
+  if (fixture && !options.rebuild) {
+    try {
+      return await restoreFixture(name);
+    } catch (error) {
+      if (!standard) {
+        throw error;
+      }
+      console.log(`⚠️  ${error.message.replace(/^❌ /, "")}`);
+    }
+  }
+
+  if (!standard) {
+    return restoreFixture(name);
+  }
+  return buildFixture(name);
+}
+
+/**
+ * List saved fixtures and whether each can still be restored
+ * @returns {Promise<object[]>} [{ name, snapshotId, blockNumber, savedAt, valid }]
+ */
+async function listFixtures() {
+  const networkConfig = await assertLocalChain();
+  const { fixtures } = readRegistry(networkConfig.key);
+
+  const entries = [];
+  for (const [name, fixture] of Object.entries(fixtures)) {
+    entries.push({
+      name,
+      snapshotId: fixture.snapshotId,
+      blockNumber: fixture.blockNumber,
+      savedAt: fixture.savedAt,
+      deploymentId: fixture.manifest?.deploymentId || null,
+      valid: await isOnChain(fixture),
+    });
+  }
+  return entries;
+}
+
+/**
+ * Forget a fixture (the node keeps the snapshot until it is reverted past)
+ * @param {string} name - Fixture name
+ * @returns {Promise<boolean>} Whether it existed
+ */
+async function dropFixture(name) {
+  const networkConfig = await assertLocalChain();
+  const registry = readRegistry(networkConfig.key);
+  const existed = Boolean(registry.fixtures[name]);
+  delete registry.fixtures[name];
+  writeRegistry(networkConfig.key, registry);
+  return existed;
+}
+
+module.exports = {
+  LOCAL_CHAIN_IDS,
+  STANDARD_FIXTURES,
+  assertLocalChain,
+  getRegistryPath,
+  saveFixture,
+  restoreFixture,
+  loadFixture,
+  listFixtures,
+  dropFixture,
+};
@@ -0,0 +1,270 @@
+// markets.js - Market catalog discovered from FuturesMarketFactory
+//
+// 🎯 PURPOSE:
+//   - Replace the hand-maintained MARKET_INFO with on-chain discovery
+//   - Every market created through the factory is visible to every script
+//   - Cache the catalog on disk so scripts don't re-query the factory each run
+//
+// 🔄 USAGE:
+//   const { getMarket, getMarkets } = require('../config/markets');
+//   const alu = await getMarket("ALU-USD");        // by symbol
+//   const same = await getMarket(alu.marketId);     // or by marketId
+//   const orderBook = await getMarketOrderBook("ALU-USD");
+//
+// 💾 CACHE:
+//   cache/markets/<network>.json - reused while the factory address and
+//   market count are unchanged and the file is younger than maxAgeMs.
+//   Pass { refresh: true } to force a rebuild.
+//
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { getContract, getNetworkConfig } = require("./contracts");
+
+const CACHE_DIR = path.join(__dirname, "../cache/markets");
+const DEFAULT_MAX_AGE_MS = 10 * 60 * 1000; // 10 minutes
+const CATALOG_VERSION = 2;
+
+// In-process catalog - chainId => catalog
+const catalogs = new Map();
+
+/**
+ * Get the on-disk cache path for a network
+ * @param {string} networkKey - Key from NETWORK_CONFIG
+ * @returns {string} Cache file path
+ */
+function getCatalogCachePath(networkKey) {
+  return path.join(CACHE_DIR, `${networkKey}.json`);
+}
+
+/**
+ * Read one market's details from the factory
+ * The vault's assignment wins over the factory's record of the OrderBook:
+ * the factory keeps the original book after a migration
+ * (scripts/migrate-orderbook.js).
+ * @param {Contract} factory - FuturesMarketFactory instance
+ * @param {Contract} vault - CentralizedVault instance
+ * @param {string} marketId - bytes32 market id
+ * @returns {Promise<object>} Catalog entry
+ */
+async function fetchMarket(factory, vault, marketId) {
+  const [details, metadata, leverage, tags, assignedOrderBook] =
+    await Promise.all([
+      factory.getMarketDetails(marketId),
+      factory.getMarketMetadata(marketId),
+      factory.getMarketLeverageInfo(marketId),
+      factory.getMarketTags(marketId),
+      vault.marketToOrderBook(marketId),
+    ]);
+
+  return {
+    marketId,
+    symbol: details.symbol,
+    orderBook:
+      assignedOrderBook !== ethers.ZeroAddress
+        ? assignedOrderBook
+        : details.orderBook,
+    factoryOrderBook: details.orderBook,
+    creator: details.creator,
+    metricUrl: details.metricUrl,
+    settlementDate: Number(details.settlementDate),
+    startPrice: ethers.formatUnits(details.startPrice, 6),
+    startPriceRaw: details.startPrice.toString(),
+    creationTimestamp: Number(details.creationTimestamp),
+    settled: metadata.settled,
+    tags: [...tags],
+    leverage: {
+      enabled: leverage.enabled,
+      maxLeverage: Number(leverage.maxLeverage),
+      marginRequirementBps: Number(leverage.marginRequirement),
+      controller: leverage.controller,
+    },
+  };
+}
+
+/**
+ * Build the catalog from the factory
+ * @param {Contract} factory - FuturesMarketFactory instance
+ * @param {object} networkConfig - From getNetworkConfig()
+ * @returns {Promise<object>} Catalog
+ */
+async function buildCatalog(factory, networkConfig) {
+  const vault = await getContract("CENTRALIZED_VAULT");
+  const marketIds = await factory.getAllMarkets();
+  const markets = [];
+
+  for (const marketId of marketIds) {
+    markets.push(await fetchMarket(factory, vault, marketId));
+  }
+
+  // Oldest first, so symbol lookups can prefer the most recent market
+  markets.sort((a, b) => a.creationTimestamp - b.creationTimestamp);
+
+  return {
+    version: CATALOG_VERSION,
+    network: networkConfig.key,
+    chainId: networkConfig.chainId,
+    factory: await factory.getAddress(),
+    marketCount: markets.length,
+    fetchedAt: Date.now(),
+    markets,
+  };
+}
+
+/**
+ * Read a cached catalog if it is still current
+ * @returns {object|null} Catalog, or null when stale or missing
+ */
+function readCachedCatalog(cachePath, factoryAddress, marketCount, maxAgeMs) {
+  if (!fs.existsSync(cachePath)) {
+    return null;
+  }
+
+  try {
+    const cached = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+    const isCurrent =
+      cached.version === CATALOG_VERSION &&
+      cached.factory === factoryAddress &&
+      cached.marketCount === marketCount &&
+      Date.now() - cached.fetchedAt <= maxAgeMs;
+    return isCurrent ? cached : null;
+  } catch (error) {
+    // Corrupt cache - rebuild
+    return null;
+  }
+}
+
+/**
+ * Load the market catalog for the connected network
+ * @param {object} options - { refresh, maxAgeMs }
+ * @returns {Promise<object>} Catalog ({ factory, markets, ... })
+ */
+async function loadMarketCatalog(options = {}) {
+  const { refresh = false, maxAgeMs = DEFAULT_MAX_AGE_MS } = options;
+  const networkConfig = await getNetworkConfig();
+
+  const memoized = catalogs.get(networkConfig.chainId);
+  if (!refresh && memoized && Date.now() - memoized.fetchedAt <= maxAgeMs) {
+    return memoized;
+  }
+
+  const factory = await getContract("FUTURES_MARKET_FACTORY");
+  const factoryAddress = await factory.getAddress();
+  const marketCount = Number(await factory.getOrderBookCount());
+  const cachePath = getCatalogCachePath(networkConfig.key);
+
+  let catalog = refresh
+    ? null
+    : readCachedCatalog(cachePath, factoryAddress, marketCount, maxAgeMs);
+
+  if (!catalog) {
+    catalog = await buildCatalog(factory, networkConfig);
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    fs.writeFileSync(cachePath, JSON.stringify(catalog, null, 2));
+  }
+
+  catalogs.set(networkConfig.chainId, catalog);
+  return catalog;
+}
+
+/**
+ * Get all markets known to the factory
+ * @param {object} options - Same as loadMarketCatalog
+ * @returns {Promise<object[]>} Catalog entries, oldest first
+ */
+async function getMarkets(options = {}) {
+  const catalog = await loadMarketCatalog(options);
+  return catalog.markets;
+}
+
+/**
+ * Look a market up by symbol ("ALU-USD") or bytes32 marketId
+ * When several markets share a symbol, the most recently created one wins.
+ * @param {string} symbolOrId - Market symbol or marketId
+ * @param {object} options - Same as loadMarketCatalog
+ * @returns {Promise<object>} Catalog entry
+ */
+async function getMarket(symbolOrId, options = {}) {
+  const markets = await getMarkets(options);
+  const isMarketId = ethers.isHexString(symbolOrId, 32);
+  const key = isMarketId ? symbolOrId.toLowerCase() : symbolOrId.toUpperCase();
+
+  const matches = markets.filter((market) =>
+    isMarketId
+      ? market.marketId.toLowerCase() === key
+      : market.symbol.toUpperCase() === key
+  );
+
+  if (matches.length === 0) {
+    if (!options.refresh) {
+      // The market may have been created since the catalog was cached
+      return getMarket(symbolOrId, { ...options, refresh: true });
+    }
+
+    throw new Error(
+      `❌ Market not found: ${symbolOrId}. Known markets: ${
+        markets.map((market) => market.symbol).join(", ") || "none"
+      }`
+    );
+  }
+
+  return matches[matches.length - 1];
+}
+
+/**
+ * Get the OrderBook contract for a market
+ * @param {string} symbolOrId - Market symbol or marketId
+ * @param {object} options - { signer, refresh, maxAgeMs }
+ * @returns {Promise<Contract>} OrderBook instance
+ */
+async function getMarketOrderBook(symbolOrId, options = {}) {
+  const market = await getMarket(symbolOrId, options);
+  const orderBook = await ethers.getContractAt("OrderBook", market.orderBook);
+  return options.signer ? orderBook.connect(options.signer) : orderBook;
+}
+
+/**
+ * Display the market catalog
+ * @param {object} options - Same as loadMarketCatalog
+ */
+async function displayMarkets(options = {}) {
+  const catalog = await loadMarketCatalog(options);
+
+  console.log(`\n📊 MARKETS (factory ${catalog.factory}):`);
+  if (catalog.markets.length === 0) {
+    console.log("  ℹ️  No markets created yet");
+    return;
+  }
+
+  for (const market of catalog.markets) {
+    console.log(`  ${market.symbol}:`);
+    console.log(`    Market ID: ${market.marketId}`);
+    console.log(`    OrderBook: ${market.orderBook}`);
+    console.log(`    Start Price: $${market.startPrice}`);
+    console.log(
+      `    Margin Requirement: ${market.leverage.marginRequirementBps / 100}%`
+    );
+    console.log(
+      `    Leverage: ${
+        market.leverage.enabled ? `${market.leverage.maxLeverage}x` : "1x"
+      }`
+    );
+    console.log(
+      `    Settlement: ${new Date(
+        market.settlementDate * 1000
+      ).toISOString()} ${market.settled ? "(settled)" : ""}`
+    );
+    if (market.tags.length > 0) {
+      console.log(`    Tags: ${market.tags.join(", ")}`);
+    }
+  }
+}
+
+module.exports = {
+  loadMarketCatalog,
+  getMarkets,
+  getMarket,
+  getMarketOrderBook,
+  displayMarkets,
+  getCatalogCachePath,
+};
@@ -0,0 +1,323 @@
+// orderbook-migration.js - Snapshot and reconcile an OrderBook migration
+//
+// 🎯 PURPOSE:
+//   - Capture everything a replacement OrderBook must inherit: resting
+//     orders, positions, reserved margin and trading/VWAP/leverage settings
+//   - Compare snapshots taken before and after a migration and list
+//     anything that didn't make it across, including reserved margin the
+//     vault kept for the old orders or didn't reserve for the new ones
+//
+// 📌 WHAT MOVES AND WHAT DOESN'T:
+//   Positions live in the vault keyed by marketId, so they survive a book
+//   swap untouched. Resting orders live in the book: they have to be
+//   cancelled on the old book and placed again on the new one, which only
+//   works for owners whose keys we hold.
+//
+// 🔄 USAGE:
+//   const { snapshotOrderBook } = require('../config/orderbook-migration');
+//   const before = await snapshotOrderBook(oldBookAddress);
+//   ... migrate ...
+//   const after = await snapshotOrderBook(newBookAddress, { traders: before.traders });
+//   const report = reconcileMigration(before, after, results);
+//
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { getContract } = require("./contracts");
+const { queryInChunks } = require("./event-logs");
+
+const REPORTS_DIR = path.join(__dirname, "../deployments/migrations");
+
+/**
+ * Find every account that has touched a book's market
+ * @returns {Promise<string[]>} Trader addresses
+ */
+async function discoverTraders(vault, orderBook, marketId, fromBlock) {
+  const traders = new Set();
+
+  const [placed, positions, reservations] = await Promise.all([
+    queryInChunks(orderBook, orderBook.filters.OrderPlaced(), fromBlock),
+    queryInChunks(
+      vault,
+      vault.filters.PositionUpdated(null, marketId),
+      fromBlock
+    ),
+    queryInChunks(
+      vault,
+      vault.filters.MarginReserved(null, null, marketId),
+      fromBlock
+    ),
+  ]);
+
+  placed.forEach((event) => traders.add(event.args.trader));
+  positions.forEach((event) => traders.add(event.args.user));
+  reservations.forEach((event) => traders.add(event.args.user));
+
+  return [...traders];
+}
+
+/**
+ * Snapshot an OrderBook's orders, settings and its market's positions
+ * @param {string} orderBookAddress - OrderBook to snapshot
+ * @param {object} options - { fromBlock, traders } - extra traders are
+ *   merged with the ones found in events
+ * @returns {Promise<object>} Snapshot (bigints kept as bigints)
+ */
+async function snapshotOrderBook(orderBookAddress, options = {}) {
+  const vault = await getContract("CENTRALIZED_VAULT");
+  const orderBook = await ethers.getContractAt("OrderBook", orderBookAddress);
+  const blockNumber = await ethers.provider.getBlockNumber();
+
+  const marketId = await orderBook.marketId();
+  const [trading, leverage, vwapTimeWindow, minVolumeForVWAP, useVWAP] =
+    await Promise.all([
+      orderBook.getTradingParameters(),
+      orderBook.getLeverageInfo(),
+      orderBook.vwapTimeWindow(),
+      orderBook.minVolumeForVWAP(),
+      orderBook.useVWAPForMarkPrice(),
+    ]);
+
+  const discovered = await discoverTraders(
+    vault,
+    orderBook,
+    marketId,
+    options.fromBlock || 0
+  );
+  const traders = [...new Set([...(options.traders || []), ...discovered])];
+
+  const orders = [];
+  const positions = {};
+  const reservedMargin = {};
+
+  for (const trader of traders) {
+    for (const orderId of await orderBook.getUserOrders(trader)) {
+      const order = await orderBook.getOrder(orderId);
+      if (order.trader === ethers.ZeroAddress || order.amount === 0n) {
+        continue;
+      }
+      orders.push({
+        orderId: order.orderId,
+        trader: order.trader,
+        price: order.price,
+        amount: order.amount,
+        isBuy: order.isBuy,
+        isMarginOrder: order.isMarginOrder,
+        marginRequired: order.marginRequired,
+        timestamp: order.timestamp,
+      });
+    }
+
+    const position = (await vault.getUserPositions(trader)).find(
+      (entry) => entry.marketId === marketId
+    );
+    if (position && position.size !== 0n) {
+      positions[trader] = {
+        size: position.size,
+        entryPrice: position.entryPrice,
+        marginLocked: position.marginLocked,
+      };
+    }
+
+    const pending = (await vault.getUserPendingOrders(trader)).filter(
+      (entry) => entry.marketId === marketId
+    );
+    if (pending.length > 0) {
+      reservedMargin[trader] = pending.map((entry) => ({
+        orderId: entry.orderId,
+        marginReserved: entry.marginReserved,
+      }));
+    }
+  }
+
+  // Oldest first - re-placing in this order keeps time priority
+  orders.sort((a, b) =>
+    a.orderId < b.orderId ? -1 : a.orderId > b.orderId ? 1 : 0
+  );
+
+  return {
+    orderBook: orderBookAddress,
+    marketId,
+    blockNumber,
+    settings: {
+      marginRequirementBps: trading.marginRequirement,
+      tradingFee: trading.fee,
+      feeRecipient: trading.recipient,
+      leverageEnabled: leverage.enabled,
+      maxLeverage: leverage.maxLev,
+      leverageController: leverage.controller,
+      vwapTimeWindow,
+      minVolumeForVWAP,
+      useVWAP,
+    },
+    traders,
+    orders,
+    positions,
+    reservedMargin,
+  };
+}
+
+/**
+ * Margin the vault reserves for one of a trader's orders in a snapshot
+ * @returns {bigint|null} null when nothing is reserved for it
+ */
+function reservationOf(snapshot, trader, orderId) {
+  const entry = (snapshot.reservedMargin[trader] || []).find(
+    (reservation) => BigInt(reservation.orderId) === BigInt(orderId)
+  );
+  return entry ? entry.marginReserved : null;
+}
+
+/**
+ * Compare reserved margin across a migration: each migrated order's
+ * reservation must move from its old orderId to its new one, and nothing
+ * else may stay reserved for the market
+ * @returns {object[]} { trader, kind: "missing" | "different" | "leftover",
+ *   from, to (orderIds, null when not applicable), before, after }
+ */
+function compareReservations(before, after, migrated) {
+  const changes = [];
+  const carried = new Set();
+
+  for (const { from, to } of migrated) {
+    carried.add(`${from.trader}:${BigInt(to)}`);
+    const old = reservationOf(before, from.trader, from.orderId);
+    const now = reservationOf(after, from.trader, to);
+    if (old === now) {
+      continue;
+    }
+    changes.push({
+      trader: from.trader,
+      kind: old !== null && now === null ? "missing" : "different",
+      from: from.orderId,
+      to,
+      before: old,
+      after: now,
+    });
+  }
+
+  for (const [trader, reservations] of Object.entries(after.reservedMargin)) {
+    for (const { orderId, marginReserved } of reservations) {
+      if (!carried.has(`${trader}:${BigInt(orderId)}`)) {
+        changes.push({
+          trader,
+          kind: "leftover",
+          from: BigInt(orderId),
+          to: null,
+          before: reservationOf(before, trader, orderId),
+          after: marginReserved,
+        });
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Build the reconciliation report
+ * @param {object} before - Snapshot of the old book before migration
+ * @param {object} after - Snapshot of the new book after migration
+ * @param {object} results - { migrated: [{ from, to }], failed: [{ order,
+ *   reason }], stranded: [{ order, reason }], settings: [{ name, reason }] }
+ * @returns {object} Report ({ ok, ... })
+ */
+function reconcileMigration(before, after, results) {
+  const positionChanges = [];
+  const traders = new Set([
+    ...Object.keys(before.positions),
+    ...Object.keys(after.positions),
+  ]);
+
+  for (const trader of traders) {
+    const old = before.positions[trader];
+    const now = after.positions[trader];
+    if (
+      !old ||
+      !now ||
+      old.size !== now.size ||
+      old.entryPrice !== now.entryPrice ||
+      old.marginLocked !== now.marginLocked
+    ) {
+      positionChanges.push({ trader, before: old || null, after: now || null });
+    }
+  }
+
+  // Every migrated order should rest on the new book with the same terms
+  const missing = results.migrated.filter(
+    ({ from, to }) =>
+      !after.orders.some(
+        (order) =>
+          order.orderId === to &&
+          order.trader === from.trader &&
+          order.price === from.price &&
+          order.amount === from.amount &&
+          order.isBuy === from.isBuy
+      )
+  );
+
+  const reservationChanges = compareReservations(
+    before,
+    after,
+    results.migrated
+  );
+
+  return {
+    ok:
+      results.failed.length === 0 &&
+      results.stranded.length === 0 &&
+      results.settings.length === 0 &&
+      positionChanges.length === 0 &&
+      reservationChanges.length === 0 &&
+      missing.length === 0,
+    marketId: before.marketId,
+    oldOrderBook: before.orderBook,
+    newOrderBook: after.orderBook,
+    ordersBefore: before.orders.length,
+    ordersMigrated: results.migrated.length - missing.length,
+    migrated: results.migrated,
+    failed: [
+      ...results.failed,
+      ...missing.map(({ from }) => ({
+        order: from,
+        reason: "not resting on the new book after migration",
+      })),
+    ],
+    stranded: results.stranded,
+    settings: results.settings,
+    positionChanges,
+    reservationChanges,
+  };
+}
+
+/**
+ * Write a report to deployments/migrations/
+ * @param {string} networkKey - Key from NETWORK_CONFIG
+ * @param {string} label - e.g. the market symbol
+ * @param {object} report - From reconcileMigration()
+ * @returns {string} Report path
+ */
+function writeMigrationReport(networkKey, label, report) {
+  fs.mkdirSync(REPORTS_DIR, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").split(".")[0];
+  const reportPath = path.join(
+    REPORTS_DIR,
+    `${networkKey}-${label}-${stamp}Z.json`
+  );
+
+  fs.writeFileSync(
+    reportPath,
+    JSON.stringify(
+      report,
+      (key, value) => (typeof value === "bigint" ? value.toString() : value),
+      2
+    )
+  );
+  return reportPath;
+}
+
+module.exports = {
+  snapshotOrderBook,
+  reconcileMigration,
+  writeMigrationReport,
+};
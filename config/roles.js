@@ -0,0 +1,341 @@
+// roles.js - Role holders and role changes across Vault, Router and Factory
+//
+// 🎯 PURPOSE:
+//   - Reconstruct current role holders from RoleGranted/RoleRevoked events
+//     (the contracts use plain AccessControl, so holders can't be enumerated)
+//   - Encode grant/revoke transactions for each contract's own entry points
+//   - Diff current holders against a desired role spec for key rotation
+//
+// 🎭 MANAGED ROLES:
+//   vault    CentralizedVault      DEFAULT_ADMIN_ROLE, ORDERBOOK_ROLE,
+//                                  SETTLEMENT_ROLE, FACTORY_ROLE
+//   router   TradingRouter         DEFAULT_ADMIN_ROLE, ADMIN_ROLE,
+//                                  UPDATER_ROLE (grantUpdaterRole/revokeUpdaterRole)
+//   factory  FuturesMarketFactory  admin, oracleAdmin (single holder - rotate
+//                                  by granting to the new address)
+//
+// 📄 ROLE SPEC (for diffRoles):
+//   {
+//     "vault": { "DEFAULT_ADMIN_ROLE": ["0xNewAdmin"],
+//                "FACTORY_ROLE": ["$FUTURES_MARKET_FACTORY"] },
+//     "router": { "ADMIN_ROLE": ["0xNewAdmin"] },
+//     "factory": { "admin": "0xNewAdmin" }
+//   }
+//   Roles left out of the spec are not touched. "$KEY" resolves against the
+//   active deployment's contracts (and "$deployer").
+//
+const { ethers } = require("hardhat");
+const { getContract, ROLES } = require("./contracts");
+const { resolveReference } = require("./deploy-plan");
+const { queryInChunks } = require("./event-logs");
+
+// Roles whose last holder must never be revoked - the contract would be
+// left without anyone able to grant roles again
+const ADMIN_ROLES = ["DEFAULT_ADMIN_ROLE", "ADMIN_ROLE"];
+
+const ROLE_TARGETS = {
+  vault: {
+    key: "CENTRALIZED_VAULT",
+    roles: [
+      "DEFAULT_ADMIN_ROLE",
+      "ORDERBOOK_ROLE",
+      "SETTLEMENT_ROLE",
+      "FACTORY_ROLE",
+    ],
+  },
+  router: {
+    key: "TRADING_ROUTER",
+    roles: ["DEFAULT_ADMIN_ROLE", "ADMIN_ROLE", "UPDATER_ROLE"],
+    // Dedicated entry points instead of grantRole/revokeRole
+    methods: {
+      UPDATER_ROLE: { grant: "grantUpdaterRole", revoke: "revokeUpdaterRole" },
+    },
+  },
+  factory: {
+    key: "FUTURES_MARKET_FACTORY",
+    // Single-holder slots: getter and setter
+    slots: {
+      admin: { getter: "admin", setter: "updateAdmin" },
+      oracleAdmin: { getter: "oracleAdmin", setter: "updateOracleAdmin" },
+    },
+  },
+};
+
+/**
+ * Get the contract behind a role target
+ * @param {string} target - "vault", "router" or "factory"
+ * @returns {Promise<Contract>}
+ */
+async function getTargetContract(target) {
+  const config = ROLE_TARGETS[target];
+  if (!config) {
+    throw new Error(
+      `❌ Unknown role target "${target}". Use: ${Object.keys(
+        ROLE_TARGETS
+      ).join(", ")}`
+    );
+  }
+  return getContract(config.key);
+}
+
+/**
+ * Check that a role exists on a target
+ * @param {string} target - "vault", "router" or "factory"
+ * @param {string} role - Role name (e.g. "ORDERBOOK_ROLE" or "admin")
+ */
+function assertRole(target, role) {
+  const config = ROLE_TARGETS[target];
+  const known = config.slots ? Object.keys(config.slots) : config.roles;
+  if (!known.includes(role)) {
+    throw new Error(
+      `❌ ${role} is not managed on ${target}. Use: ${known.join(", ")}`
+    );
+  }
+}
+
+/**
+ * Reconstruct role holders for one target
+ * @param {string} target - "vault", "router" or "factory"
+ * @param {object} options - { fromBlock }
+ * @returns {Promise<object>} role => holder addresses (factory: role => address)
+ */
+async function getTargetHolders(target, options = {}) {
+  const config = ROLE_TARGETS[target];
+  const contract = await getTargetContract(target);
+
+  if (config.slots) {
+    const holders = {};
+    for (const [slot, { getter }] of Object.entries(config.slots)) {
+      holders[slot] = await contract[getter]();
+    }
+    return holders;
+  }
+
+  const fromBlock = options.fromBlock || 0;
+  const toBlock = await ethers.provider.getBlockNumber();
+  const events = [
+    ...(await queryInChunks(
+      contract,
+      contract.filters.RoleGranted(),
+      fromBlock,
+      toBlock
+    )),
+    ...(await queryInChunks(
+      contract,
+      contract.filters.RoleRevoked(),
+      fromBlock,
+      toBlock
+    )),
+  ].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const roleNames = new Map(
+    config.roles.map((role) => [ROLES[role].toLowerCase(), role])
+  );
+  const sets = Object.fromEntries(
+    config.roles.map((role) => [role, new Set()])
+  );
+
+  for (const event of events) {
+    const role = roleNames.get(event.args.role.toLowerCase());
+    if (!role) {
+      continue;
+    }
+    if (event.fragment.name === "RoleGranted") {
+      sets[role].add(event.args.account);
+    } else {
+      sets[role].delete(event.args.account);
+    }
+  }
+
+  // Events can be incomplete when fromBlock is after deployment - confirm
+  // every holder against current state
+  const holders = {};
+  for (const role of config.roles) {
+    holders[role] = [];
+    for (const account of sets[role]) {
+      if (await contract.hasRole(ROLES[role], account)) {
+        holders[role].push(account);
+      }
+    }
+  }
+  return holders;
+}
+
+/**
+ * Reconstruct role holders for every target
+ * @param {object} options - { fromBlock, targets }
+ * @returns {Promise<object>} { vault: {...}, router: {...}, factory: {...} }
+ */
+async function getRoleHolders(options = {}) {
+  const targets = options.targets || Object.keys(ROLE_TARGETS);
+  const holders = {};
+  for (const target of targets) {
+    holders[target] = await getTargetHolders(target, options);
+  }
+  return holders;
+}
+
+/**
+ * Encode one grant or revoke
+ * @param {string} action - "grant" or "revoke"
+ * @param {string} target - "vault", "router" or "factory"
+ * @param {string} role - Role name
+ * @param {string} account - Address
+ * @returns {Promise<object>} { description, to, method, args, data, ... }
+ */
+async function planRoleChange(action, target, role, account) {
+  if (!["grant", "revoke"].includes(action)) {
+    throw new Error(`❌ Unknown action "${action}". Use: grant, revoke`);
+  }
+  const contract = await getTargetContract(target);
+  assertRole(target, role);
+  if (!ethers.isAddress(account)) {
+    throw new Error(`❌ Invalid account address: ${account}`);
+  }
+
+  const config = ROLE_TARGETS[target];
+  const address = ethers.getAddress(account);
+  let method;
+  let args;
+
+  if (config.slots) {
+    if (action === "revoke") {
+      throw new Error(
+        `❌ factory ${role} can't be revoked, only rotated - grant it to the new holder instead`
+      );
+    }
+    method = config.slots[role].setter;
+    args = [address];
+  } else if (config.methods?.[role]) {
+    method = config.methods[role][action];
+    args = [address];
+  } else {
+    method = action === "grant" ? "grantRole" : "revokeRole";
+    args = [ROLES[role], address];
+  }
+
+  return {
+    action,
+    target,
+    role,
+    account: address,
+    description: `${
+      action === "grant" ? "Grant" : "Revoke"
+    } ${target} ${role} ${action === "grant" ? "to" : "from"} ${address}`,
+    to: await contract.getAddress(),
+    method,
+    args,
+    data: contract.interface.encodeFunctionData(method, args),
+  };
+}
+
+/**
+ * Refuse changes that would leave a contract without an admin
+ * @param {object[]} changes - From planRoleChange()
+ * @param {object} holders - From getRoleHolders()
+ */
+function assertAdminsRemain(changes, holders) {
+  for (const [target, roles] of Object.entries(holders)) {
+    for (const role of ADMIN_ROLES) {
+      if (!Array.isArray(roles[role])) {
+        continue;
+      }
+      const remaining = new Set(roles[role]);
+      for (const change of changes) {
+        if (change.target === target && change.role === role) {
+          if (change.action === "grant") {
+            remaining.add(change.account);
+          } else {
+            remaining.delete(change.account);
+          }
+        }
+      }
+      if (remaining.size === 0) {
+        throw new Error(
+          `❌ Refusing to revoke the last ${role} holder on ${target}`
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Diff current holders against a desired role spec
+ * Grants come first and admin revokes last, so a key rotation never
+ * leaves a window without an admin.
+ * @param {object} spec - Desired holders (see ROLE SPEC above)
+ * @param {object} holders - From getRoleHolders()
+ * @param {object} addresses - For "$KEY" references
+ * @returns {Promise<object[]>} Ordered changes from planRoleChange()
+ */
+async function diffRoles(spec, holders, addresses) {
+  const grants = [];
+  const revokes = [];
+
+  for (const [target, roles] of Object.entries(spec)) {
+    for (const [role, desired] of Object.entries(roles)) {
+      assertRole(target, role);
+      const current = holders[target][role];
+
+      if (ROLE_TARGETS[target].slots) {
+        const wanted = ethers.getAddress(resolveReference(desired, addresses));
+        if (wanted !== current) {
+          grants.push(await planRoleChange("grant", target, role, wanted));
+        }
+        continue;
+      }
+
+      const wanted = resolveReference(desired, addresses).map((account) =>
+        ethers.getAddress(account)
+      );
+      for (const account of wanted) {
+        if (!current.includes(account)) {
+          grants.push(await planRoleChange("grant", target, role, account));
+        }
+      }
+      for (const account of current) {
+        if (!wanted.includes(account)) {
+          revokes.push(await planRoleChange("revoke", target, role, account));
+        }
+      }
+    }
+  }
+
+  const isAdmin = (change) => ADMIN_ROLES.includes(change.role);
+  const changes = [
+    ...grants,
+    ...revokes.filter((change) => !isAdmin(change)),
+    ...revokes.filter(isAdmin),
+  ];
+  assertAdminsRemain(changes, holders);
+  return changes;
+}
+
+/**
+ * Send role changes in order
+ * @param {object[]} changes - From planRoleChange() or diffRoles()
+ * @param {Signer} signer - Account holding the admin roles
+ * @returns {Promise<object[]>} Receipts
+ */
+async function executeRoleChanges(changes, signer) {
+  const receipts = [];
+  for (const change of changes) {
+    console.log(`  🔧 ${change.description}...`);
+    const sent = await signer.sendTransaction({
+      to: change.to,
+      data: change.data,
+    });
+    receipts.push(await sent.wait());
+    console.log(`     ✅ ${sent.hash}`);
+  }
+  return receipts;
+}
+
+module.exports = {
+  ROLE_TARGETS,
+  getRoleHolders,
+  planRoleChange,
+  assertAdminsRemain,
+  diffRoles,
+  executeRoleChanges,
+};
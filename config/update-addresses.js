@@ -5,6 +5,12 @@
 //   - Used by deployment scripts to automatically update config
 //   - Provides validation and logging
 //
+// 📄 STORAGE:
+//   Addresses live in deployments/<network>-deployment.json (see
+//   deployment-manifest.js). Every update is recorded as a new deployment,
+//   validated against the schema and the chain, and the previous one is kept
+//   in history so it can be restored with scripts/manage-deployments.js.
+//
 // 🔄 USAGE:
 //   const { updateConfigAddresses } = require('./config/update-addresses');
 //   await updateConfigAddresses({
@@ -12,13 +18,18 @@
 //     CENTRALIZED_VAULT: '0x5678...'
 //   });
 
-const fs = require("fs");
-const path = require("path");
+const { ethers } = require("hardhat");
+const { getNetworkConfig } = require("./contracts");
+const {
+  readManifest,
+  recordDeployment,
+  getManifestPath,
+} = require("./deployment-manifest");
 
 /**
- * Update contract addresses in the config file
+ * Record new contract addresses as a new deployment for the current network
  * @param {object} newAddresses - Object with contract keys and new addresses
- * @param {boolean} validate - Whether to validate addresses after update
+ * @param {boolean} validate - Whether to check contract code at each address
  * @returns {Promise<boolean>} Success status
  */
 async function updateConfigAddresses(newAddresses, validate = true) {
@@ -27,42 +38,41 @@ async function updateConfigAddresses(newAddresses, validate = true) {
       `\n🔄 Updating ${Object.keys(newAddresses).length} contract addresses...`
     );
 
-    // Read current config file
-    const configPath = path.join(__dirname, "contracts.js");
-    let configContent = fs.readFileSync(configPath, "utf8");
-
-    // Update each address in the file
+    const networkConfig = await getNetworkConfig();
+    // Carry forward everything except the fields recordDeployment assigns
+    const {
+      schemaVersion,
+      history,
+      deploymentId,
+      network,
+      chainId,
+      timestamp,
+      ...previous
+    } = readManifest(networkConfig.key) || {};
+
+    const contracts = { ...(previous.contracts || {}) };
     for (const [key, address] of Object.entries(newAddresses)) {
-      // Find and replace the address line
-      const regex = new RegExp(`(${key}:\\s*")[^"]*(")`);
-      const replacement = `$1${address}$2`;
-
-      if (configContent.match(regex)) {
-        configContent = configContent.replace(regex, replacement);
-        console.log(`✅ Updated ${key}: ${address}`);
-      } else {
-        console.warn(`⚠️  Could not find ${key} in config file`);
-      }
+      contracts[key] = ethers.getAddress(address);
+      console.log(`✅ Updated ${key}: ${contracts[key]}`);
     }
 
-    // Write updated config back to file
-    fs.writeFileSync(configPath, configContent);
-    console.log("📝 Config file updated successfully");
-
-    // Validate if requested
-    if (validate) {
-      console.log("\n🔍 Validating updated configuration...");
-      // Clear require cache to get fresh config
-      delete require.cache[require.resolve("./contracts.js")];
-      const { validateAddresses } = require("./contracts.js");
-      const isValid = validateAddresses();
-
-      if (!isValid) {
-        console.error("❌ Validation failed after update");
-        return false;
-      }
-    }
+    const [signer] = await ethers.getSigners();
+    const manifest = await recordDeployment(
+      networkConfig,
+      {
+        ...previous,
+        deployer: previous.deployer || signer.address,
+        contracts,
+        ...(deploymentId && { derivedFrom: deploymentId }),
+      },
+      validate ? { provider: ethers.provider } : {}
+    );
 
+    console.log(
+      `📝 Recorded deployment ${manifest.deploymentId} in ${getManifestPath(
+        networkConfig.key
+      )}`
+    );
     return true;
   } catch (error) {
     console.error("❌ Failed to update config addresses:", error.message);
@@ -70,6 +80,64 @@ async function updateConfigAddresses(newAddresses, validate = true) {
   }
 }
 
+/**
+ * Replace one address everywhere in the active deployment (contracts,
+ * markets and legacy entries such as aluminumMarket) and record the result
+ * as a new deployment - used when a contract is swapped for a new one
+ * @param {string} oldAddress - Address being replaced
+ * @param {string} newAddress - Replacement address
+ * @param {object} extra - Fields to add to the new record (e.g. { lastUpgrade })
+ * @returns {Promise<object>} The recorded manifest
+ */
+async function replaceConfigAddress(oldAddress, newAddress, extra = {}) {
+  const networkConfig = await getNetworkConfig();
+  const {
+    schemaVersion,
+    history,
+    deploymentId,
+    network,
+    chainId,
+    timestamp,
+    ...previous
+  } = readManifest(networkConfig.key) || {};
+
+  const from = ethers.getAddress(oldAddress);
+  const to = ethers.getAddress(newAddress);
+  const replace = (value) => {
+    if (typeof value === "string") {
+      return ethers.isAddress(value) && ethers.getAddress(value) === from
+        ? to
+        : value;
+    }
+    if (Array.isArray(value)) {
+      return value.map(replace);
+    }
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, replace(item)])
+      );
+    }
+    return value;
+  };
+
+  const manifest = await recordDeployment(
+    networkConfig,
+    {
+      ...replace(previous),
+      ...extra,
+      ...(deploymentId && { derivedFrom: deploymentId }),
+    },
+    { provider: ethers.provider }
+  );
+
+  console.log(
+    `📝 Replaced ${from} with ${to} - recorded deployment ${
+      manifest.deploymentId
+    } in ${getManifestPath(networkConfig.key)}`
+  );
+  return manifest;
+}
+
 /**
  * Display deployment summary with copy-paste ready addresses
  * @param {object} addresses - Deployed contract addresses
@@ -83,8 +151,8 @@ function displayDeploymentSummary(addresses) {
   }
 
   console.log("═".repeat(60));
-  console.log("✅ Addresses automatically updated in config/contracts.js");
-  console.log("💡 Run: node update-config.js --validate to verify");
+  console.log("✅ Addresses recorded in deployments/<network>-deployment.json");
+  console.log("💡 Run: node scripts/manage-deployments.js validate to verify");
 }
 
 /**
@@ -112,6 +180,7 @@ function extractAddresses(contracts) {
 
 module.exports = {
   updateConfigAddresses,
+  replaceConfigAddress,
   displayDeploymentSummary,
   extractAddresses,
 };
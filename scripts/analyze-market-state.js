@@ -2,6 +2,7 @@
 
 const { ethers } = require("hardhat");
 const contracts = require("../config/contracts");
+const { Price } = require("../sdk/precision");
 
 const colors = {
   reset: "\x1b[0m",
@@ -214,18 +215,18 @@ async function main() {
       );
 
       if (markPrice > 0) {
-        const priceChange = Number(
-          ethers.formatUnits(markPrice - avgEntryPrice, 6)
-        );
+        const priceChange = Price.fromUnits(markPrice - avgEntryPrice);
+        // Basis points first so the only float is the final percentage
         const percentChange =
-          (priceChange / Number(ethers.formatUnits(avgEntryPrice, 6))) * 100;
+          Number((priceChange.units * 10000n) / BigInt(avgEntryPrice)) / 100;
         console.log(
           `    Current Mark Price: ${ethers.formatUnits(markPrice, 6)} USDC`
         );
         console.log(
-          `    Price Change: ${priceChange >= 0 ? "+" : ""}${formatNumber(
-            priceChange
-          )} USDC (${percentChange >= 0 ? "+" : ""}${formatNumber(
+          `    Price Change: ${priceChange.format(2, {
+            sign: true,
+            group: true,
+          })} USDC (${percentChange >= 0 ? "+" : ""}${formatNumber(
             percentChange
           )}%)`
         );
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+// audit-authorization.js - Audit vault/router authorization for every OrderBook
+//
+// 🎯 WHAT IT DOES:
+//   1. Enumerates vault.getAllOrderBooks() and factory.getAllOrderBooks()
+//   2. Prints a role/registration matrix for each book
+//   3. Prints the exact transactions (with calldata) that close every gap
+//   4. With --fix, sends them after confirmation
+//
+// 🚀 USAGE:
+//   HARDHAT_NETWORK=localhost node scripts/audit-authorization.js
+//   HARDHAT_NETWORK=localhost node scripts/audit-authorization.js --fix
+//   HARDHAT_NETWORK=localhost node scripts/audit-authorization.js --fix --yes   # no prompt
+//   HARDHAT_NETWORK=localhost node scripts/audit-authorization.js --json
+//
+// Exits with code 1 when gaps remain, so it can gate CI or deploy scripts.
+//
+
+const readline = require("readline");
+const { ethers } = require("hardhat");
+const { getNetworkConfig } = require("../config/contracts");
+const {
+  auditAuthorization,
+  displayAudit,
+  displayRemediation,
+  executeRemediation,
+} = require("../config/authorization-audit");
+
+function confirm(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const fix = args.includes("--fix");
+  const assumeYes = args.includes("--yes");
+  const asJson = args.includes("--json");
+
+  const [signer] = await ethers.getSigners();
+  let audit = await auditAuthorization({ signer });
+
+  if (asJson) {
+    console.log(JSON.stringify(audit, null, 2));
+    process.exitCode = audit.gaps.length > 0 ? 1 : 0;
+    return;
+  }
+
+  const networkConfig = await getNetworkConfig();
+  console.log(
+    `\n🔒 AUTHORIZATION AUDIT - ${networkConfig.name} (chainId ${networkConfig.chainId})`
+  );
+  console.log("═".repeat(80));
+
+  displayAudit(audit);
+  displayRemediation(audit);
+
+  if (audit.remediation.length > 0 && fix) {
+    const missingRoles = audit.remediation.filter((tx) => !tx.signerHasRole);
+    if (missingRoles.length > 0) {
+      throw new Error(
+        `${signer.address} lacks the roles for ${missingRoles.length} transaction(s) - run as an admin`
+      );
+    }
+
+    const proceed =
+      assumeYes ||
+      (await confirm(
+        `\nSend ${audit.remediation.length} transactions from ${signer.address}? (y/N) `
+      ));
+
+    if (proceed) {
+      console.log("\n⚙️  Applying remediation...");
+      await executeRemediation(audit, signer);
+
+      console.log("\n🔍 Re-auditing...");
+      audit = await auditAuthorization({ signer });
+      displayAudit(audit);
+    } else {
+      console.log("ℹ️  Nothing sent");
+    }
+  } else if (audit.remediation.length > 0) {
+    console.log("\nℹ️  Re-run with --fix to send these transactions");
+  }
+
+  console.log("═".repeat(80));
+  if (audit.gaps.length > 0) {
+    console.log(`❌ ${audit.gaps.length} authorization gap(s)`);
+    process.exitCode = 1;
+  } else {
+    console.log("✅ Every OrderBook is fully authorized");
+  }
+}
+
+main()
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+// candles.js - OHLCV bars per market, checked against on-chain VWAP
+//
+// 🎯 WHAT IT DOES:
+//   1. Catches up the event index and builds the bars (sdk/candles.js)
+//   2. Prints the latest bars of every market (or --market) at --interval
+//   3. --reconcile: compares each market's getMultiWindowVWAP() with the
+//      VWAP, volume and trade count the bars give for the same windows
+//   4. --follow: keeps the bars live and prints each market's current bar
+//      as trades come in, until Ctrl+C
+//
+// 🚀 USAGE:
+//   HARDHAT_NETWORK=localhost node scripts/candles.js
+//   HARDHAT_NETWORK=localhost node scripts/candles.js --market ALU-USD --interval 1m --limit 60
+//   HARDHAT_NETWORK=localhost node scripts/candles.js --reconcile
+//   HARDHAT_NETWORK=localhost node scripts/candles.js --reconcile --block 1200
+//   HARDHAT_NETWORK=localhost node scripts/candles.js --interval 5m --follow
+//
+// Intervals: 1m 5m 15m 1h 4h 1d. --path <index.sqlite> uses another index.
+//
+
+const { getNetworkConfig } = require("../config/contracts");
+const { EventIndexer } = require("../sdk/event-indexer");
+const { CandleService, INTERVALS } = require("../sdk/candles");
+
+function readOption(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp * 1000)
+    .toISOString()
+    .replace("T", " ")
+    .slice(0, 16);
+}
+
+function formatBar(bar) {
+  return `${formatTime(bar.start)}  O ${bar.open
+    .format(2)
+    .padStart(10)}  H ${bar.high.format(2).padStart(10)}  L ${bar.low
+    .format(2)
+    .padStart(10)}  C ${bar.close.format(2).padStart(10)}  V ${bar.volume
+    .format(4)
+    .padStart(12)}  VWAP ${bar.vwap.format(4).padStart(12)}  ${String(
+    bar.tradeCount
+  ).padStart(4)} trade(s)`;
+}
+
+/**
+ * Markets to show - all indexed ones, or the one --market names
+ * @returns {object[]} { market_id, symbol }
+ */
+function selectMarkets(indexer, wanted) {
+  const markets = indexer.db
+    .prepare("SELECT market_id, symbol FROM markets ORDER BY created_block")
+    .all();
+  if (!wanted) {
+    return markets;
+  }
+  const market = markets.find(
+    (m) =>
+      m.symbol.toLowerCase() === wanted.toLowerCase() ||
+      m.market_id.toLowerCase() === wanted.toLowerCase()
+  );
+  if (!market) {
+    throw new Error(
+      `❌ Unknown market ${wanted} - indexed: ${markets
+        .map((m) => m.symbol)
+        .join(", ")}`
+    );
+  }
+  return [market];
+}
+
+function printReconciliation(symbol, report) {
+  console.log(
+    `\n⚖️  ${symbol} VWAP at block ${report.blockNumber} (${formatTime(
+      report.timestamp
+    )}), min volume ${report.minVolume.format(2)}: ${
+      report.matches ? "✅ matches the bars" : "❌ differs from the bars"
+    }`
+  );
+  console.log(`   OrderBook ${report.orderBook}`);
+  for (const window of report.windows) {
+    console.log(
+      `   ${window.matches ? "✅" : "❌"} ${window.name.padEnd(
+        8
+      )} chain ${window.onChain.format(4).padStart(12)} / bars ${window.expected
+        .format(4)
+        .padStart(12)}   volume ${window.volume
+        .format(4)
+        .padStart(10)} / ${window.expectedVolume
+        .format(4)
+        .padStart(10)}   trades ${window.tradeCount} / ${
+        window.expectedTradeCount
+      }${
+        window.fromBars ? "" : "   (its own trades - bars mix in older books)"
+      }`
+    );
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const interval = readOption(args, "--interval", "1h");
+  if (!INTERVALS[interval]) {
+    throw new Error(
+      `❌ Unknown interval ${interval} - use one of ${Object.keys(
+        INTERVALS
+      ).join(", ")}`
+    );
+  }
+  const limit = Number(readOption(args, "--limit", 20));
+  const follow = args.includes("--follow");
+
+  const networkConfig = await getNetworkConfig();
+  const indexer = await EventIndexer.open({
+    path: readOption(args, "--path", undefined),
+  });
+  const candles = await CandleService.create({ indexer });
+
+  console.log(
+    `\n🕯️  CANDLES - ${networkConfig.name} (chainId ${networkConfig.chainId})`
+  );
+  console.log(`   index ${indexer.filePath}`);
+  console.log("═".repeat(80));
+
+  const { lastBlock } = await candles.run();
+  console.log(`✅ Bars built through block ${lastBlock}`);
+
+  const markets = selectMarkets(indexer, readOption(args, "--market", null));
+  for (const market of markets) {
+    const bars = candles.getCandles(market.market_id, interval, { limit });
+    console.log(`\n📈 ${market.symbol} ${interval}`);
+    if (bars.length === 0) {
+      console.log("   No trades yet");
+    }
+    bars.forEach((bar) => console.log(`   ${formatBar(bar)}`));
+  }
+
+  let mismatches = 0;
+  if (args.includes("--reconcile")) {
+    const blockOption = readOption(args, "--block", undefined);
+    for (const market of markets) {
+      const report = await candles.reconcileVWAP(market.market_id, {
+        blockTag: blockOption === undefined ? undefined : Number(blockOption),
+      });
+      printReconciliation(market.symbol, report);
+      if (!report.matches) mismatches++;
+    }
+  }
+
+  if (follow) {
+    console.log(
+      `\n👀 Following new trades (${interval} bars) - Ctrl+C to stop`
+    );
+    process.on("SIGINT", () => candles.stop());
+    await candles.run({
+      follow: true,
+      onProgress: (progress) => {
+        if (progress.reorg !== undefined) {
+          console.log(`⚠️  Reorg - bars rebuilt from block ${progress.reorg}`);
+          return;
+        }
+        if (!progress.trades) return;
+        for (const market of markets) {
+          const [bar] = candles.getCandles(market.market_id, interval, {
+            limit: 1,
+          });
+          if (bar) {
+            console.log(`   ${market.symbol.padEnd(12)} ${formatBar(bar)}`);
+          }
+        }
+      },
+    });
+  }
+
+  indexer.close();
+  if (mismatches > 0) {
+    throw new Error(`❌ ${mismatches} market(s) don't reconcile`);
+  }
+}
+
+main()
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,5 +1,6 @@
 const { ethers } = require("hardhat");
 const contracts = require("../config/contracts");
+const { Price, Amount, Usdc } = require("../sdk/precision");
 
 const colors = {
   reset: "\x1b[0m",
@@ -78,8 +79,8 @@ async function main() {
     );
 
     for (const position of positions) {
-      const size = Number(ethers.formatUnits(position.size, 18));
-      const entryPrice = Number(ethers.formatUnits(position.entryPrice, 6));
+      const size = Amount.fromUnits(position.size);
+      const entryPrice = Price.fromUnits(position.entryPrice);
       const isLong = position.isLong;
 
       console.log(`   Market: ALU-USD`);
@@ -94,18 +95,18 @@ async function main() {
       colorText(`\n📋 Active Orders (${orderIds.length}):`, colors.blue)
     );
 
-    let totalReservedForOrders = 0;
+    let totalReservedForOrders = Usdc.zero();
 
     for (const orderId of orderIds) {
       const order = await orderBook.getOrder(orderId);
       if (order.trader !== ethers.ZeroAddress && order.amount > 0) {
-        const price = Number(ethers.formatUnits(order.price, 6));
-        const amount = Number(ethers.formatUnits(order.amount, 18));
+        const price = Price.fromUnits(order.price);
+        const amount = Amount.fromUnits(order.amount);
         const side = order.isBuy ? "BUY" : "SELL";
-        const orderValue = price * amount;
+        const orderValue = price.notional(amount);
 
         console.log(
-          `   Order #${orderId}: ${side} ${amount} ALU @ $${price} = $${orderValue.toFixed(
+          `   Order #${orderId}: ${side} ${amount} ALU @ $${price} = $${orderValue.format(
             2
           )} USDC`
         );
@@ -113,14 +114,14 @@ async function main() {
         // For buy orders, the reserved amount is the order value
         // For sell orders, margin requirements might be different
         if (order.isBuy) {
-          totalReservedForOrders += orderValue;
+          totalReservedForOrders = totalReservedForOrders.add(orderValue);
         }
       }
     }
 
     console.log(colorText(`\n💡 Analysis:`, colors.yellow));
     console.log(
-      `   Total reserved for pending BUY orders: $${totalReservedForOrders.toFixed(
+      `   Total reserved for pending BUY orders: $${totalReservedForOrders.format(
         2
       )} USDC`
     );
@@ -132,10 +133,8 @@ async function main() {
     );
 
     // Check if the locked margin matches our calculation
-    const lockedMarginNumber = Number(
-      ethers.formatUnits(marginSummary.totalLockedMargin, 6)
-    );
-    if (Math.abs(lockedMarginNumber - totalReservedForOrders) < 0.01) {
+    const lockedMargin = Usdc.fromUnits(marginSummary.totalLockedMargin);
+    if (lockedMargin.eq(totalReservedForOrders)) {
       console.log(
         colorText(
           `   ✅ The locked margin correctly represents funds reserved for pending orders`,
@@ -1,5 +1,6 @@
 const { ethers } = require("hardhat");
 const contracts = require("../config/contracts");
+const { Price, Amount } = require("../sdk/precision");
 
 async function main() {
   console.log("\n🔍 Checking User 2's P&L Issue");
@@ -56,8 +57,8 @@ async function main() {
       const positionSizeBigInt = BigInt(position.size.toString());
       const isLong = positionSizeBigInt >= 0n;
       const absSize = isLong ? positionSizeBigInt : -positionSizeBigInt;
-      const size = ethers.formatUnits(absSize, 18);
-      const entryPrice = ethers.formatUnits(position.entryPrice, 6);
+      const size = Amount.fromUnits(absSize);
+      const entryPrice = Price.fromUnits(position.entryPrice);
 
       console.log(`\n   Position ${i + 1}:`);
       console.log(`   - Market ID: ${position.marketId}`);
@@ -68,27 +69,18 @@ async function main() {
 
       // Get current mark price
       const markPrice = await vault.marketMarkPrices(position.marketId);
-      console.log(
-        `   - Current Mark Price: $${ethers.formatUnits(markPrice, 6)} USDC`
-      );
+      const mark = Price.fromUnits(markPrice);
+      console.log(`   - Current Mark Price: $${mark} USDC`);
 
       // Calculate P&L manually
-      const sizeNum = parseFloat(size);
-      const entryPriceNum = parseFloat(entryPrice);
-      const markPriceNum = parseFloat(ethers.formatUnits(markPrice, 6));
-
-      let pnl;
-      if (isLong) {
-        pnl = (markPriceNum - entryPriceNum) * sizeNum;
-      } else {
-        pnl = (entryPriceNum - markPriceNum) * sizeNum;
-      }
+      const priceMove = isLong ? mark.sub(entryPrice) : entryPrice.sub(mark);
+      const pnl = priceMove.notional(size);
 
-      console.log(`   - Calculated P&L: $${pnl.toFixed(2)} USDC`);
+      console.log(`   - Calculated P&L: $${pnl.format(2)} USDC`);
       console.log(
         `   - P&L Calculation: ${isLong ? "LONG" : "SHORT"} (${
-          isLong ? markPriceNum : entryPriceNum
-        } - ${isLong ? entryPriceNum : markPriceNum}) × ${sizeNum}`
+          isLong ? mark : entryPrice
+        } - ${isLong ? entryPrice : mark}) × ${size}`
       );
     }
 
@@ -15,6 +15,7 @@
 
 const { ethers } = require("hardhat");
 const { getAddress } = require("../config/contracts");
+const { Price, Amount, Usdc } = require("../sdk/precision");
 
 // Color codes for output
 const colors = {
@@ -35,11 +36,15 @@ const colors = {
 const colorText = (text, color) => `${color}${text}${colors.reset}`;
 
 function formatUSDC(value) {
-  return ethers.formatUnits(value, 6);
+  return Usdc.fromUnits(value).toString();
 }
 
 function formatALU(value) {
-  return ethers.formatUnits(value, 18);
+  return Amount.fromUnits(value).toString();
+}
+
+function formatPrice(value) {
+  return Price.fromUnits(value).toString();
 }
 
 async function displayUserState(vault, user, label) {
@@ -61,8 +66,9 @@ async function displayUserState(vault, user, label) {
       const size = pos.size < 0n ? -pos.size : pos.size;
       const side = pos.size >= 0n ? "LONG" : "SHORT";
       const sideColor = pos.size >= 0n ? colors.green : colors.red;
-      const notionalValue =
-        (size * pos.entryPrice) / ethers.parseUnits("1", 18);
+      const notionalValue = Price.fromUnits(pos.entryPrice).notional(
+        Amount.fromUnits(size)
+      ).units;
       const marginRatio =
         pos.marginLocked > 0n
           ? (pos.marginLocked * 10000n) / notionalValue
@@ -70,7 +76,7 @@ async function displayUserState(vault, user, label) {
 
       console.log(
         colorText(
-          `    - ${side} ${formatALU(size)} ALU @ $${formatUSDC(
+          `    - ${side} ${formatALU(size)} ALU @ $${formatPrice(
             pos.entryPrice
           )}`,
           sideColor
@@ -187,9 +193,9 @@ async function main() {
       await testCase(
         "Test 1.1: Simple margin trade (10 ALU @ $5)",
         async () => {
-          const price = ethers.parseUnits("5", 6);
-          const amount = ethers.parseUnits("10", 18);
-          const expectedMargin = ethers.parseUnits("50", 6); // 100% of $50 notional
+          const price = Price.parse("5").units;
+          const amount = Amount.parse("10").units;
+          const expectedMargin = Usdc.parse("50").units; // 100% of $50 notional
 
           let tx = await orderBook
             .connect(user1)
@@ -227,9 +233,9 @@ async function main() {
       await testCase(
         "Test 1.2: Position increase (add 20 ALU @ $5)",
         async () => {
-          const price = ethers.parseUnits("5", 6);
-          const amount = ethers.parseUnits("20", 18);
-          const expectedTotalMargin = ethers.parseUnits("150", 6); // Total: 30 ALU * $5 = $150
+          const price = Price.parse("5").units;
+          const amount = Amount.parse("20").units;
+          const expectedTotalMargin = Usdc.parse("150").units; // Total: 30 ALU * $5 = $150
 
           let tx = await orderBook
             .connect(user1)
@@ -267,9 +273,9 @@ async function main() {
       await testCase(
         "Test 1.3: Partial position close (reduce 10 ALU)",
         async () => {
-          const price = ethers.parseUnits("5", 6);
-          const amount = ethers.parseUnits("10", 18);
-          const expectedMarginAfter = ethers.parseUnits("100", 6); // Remaining: 20 ALU * $5 = $100
+          const price = Price.parse("5").units;
+          const amount = Amount.parse("10").units;
+          const expectedMarginAfter = Usdc.parse("100").units; // Remaining: 20 ALU * $5 = $100
 
           // User1 sells 10 (closes 10 of their long)
           let tx = await orderBook
@@ -313,9 +319,9 @@ async function main() {
     totalTests++;
     if (
       await testCase("Test 2.1: Position flip - Long to Short", async () => {
-        const price = ethers.parseUnits("5", 6);
-        const amount = ethers.parseUnits("40", 18); // User1 has LONG 20, will flip to SHORT 20
-        const expectedMarginAfter = ethers.parseUnits("100", 6); // SHORT 20 ALU * $5 = $100
+        const price = Price.parse("5").units;
+        const amount = Amount.parse("40").units; // User1 has LONG 20, will flip to SHORT 20
+        const expectedMarginAfter = Usdc.parse("100").units; // SHORT 20 ALU * $5 = $100
 
         let tx = await orderBook
           .connect(user1)
@@ -346,9 +352,9 @@ async function main() {
     totalTests++;
     if (
       await testCase("Test 2.2: Position flip - Short to Long", async () => {
-        const price = ethers.parseUnits("5", 6);
-        const amount = ethers.parseUnits("50", 18); // User1 has SHORT 20, will flip to LONG 30
-        const expectedMarginAfter = ethers.parseUnits("150", 6); // LONG 30 ALU * $5 = $150
+        const price = Price.parse("5").units;
+        const amount = Amount.parse("50").units; // User1 has SHORT 20, will flip to LONG 30
+        const expectedMarginAfter = Usdc.parse("150").units; // LONG 30 ALU * $5 = $150
 
         let tx = await orderBook
           .connect(user1)
@@ -387,8 +393,8 @@ async function main() {
       await testCase(
         "Test 3.1: Minimum trade size (0.000001 ALU)",
         async () => {
-          const price = ethers.parseUnits("10", 6);
-          const amount = ethers.parseUnits("0.000001", 18); // Very small amount
+          const price = Price.parse("10").units;
+          const amount = Amount.parse("0.000001").units; // Very small amount
 
           let tx = await orderBook
             .connect(user1)
@@ -408,12 +414,12 @@ async function main() {
     totalTests++;
     if (
       await testCase("Test 3.2: Maximum position size test", async () => {
-        const price = ethers.parseUnits("1", 6); // $1 per ALU
+        const price = Price.parse("1").units; // $1 per ALU
         const userMargin = await vault.getMarginSummary(user3.address);
         const available = userMargin.availableCollateral;
         // Account for fees: available / (1 + fee%)
         const maxNotional = (available * 10000n) / (10000n + tradingFeeBps);
-        const maxAmount = (maxNotional * ethers.parseUnits("1", 18)) / price;
+        const maxAmount = (maxNotional * Amount.parse("1").units) / price;
 
         let tx = await orderBook
           .connect(user3)
@@ -427,7 +433,7 @@ async function main() {
 
         const user3MarginAfter = await vault.getMarginSummary(user3.address);
         // Should have very little available collateral left (just rounding dust)
-        if (user3MarginAfter.availableCollateral > ethers.parseUnits("1", 6)) {
+        if (user3MarginAfter.availableCollateral > Usdc.parse("1").units) {
           throw new Error(
             `Too much collateral remaining: ${formatUSDC(
               user3MarginAfter.availableCollateral
@@ -445,7 +451,7 @@ async function main() {
         "Test 3.3: Zero price order (should fail)",
         async () => {
           const price = 0n;
-          const amount = ethers.parseUnits("10", 18);
+          const amount = Amount.parse("10").units;
           await orderBook
             .connect(user1)
             .placeMarginLimitOrder(price, amount, true);
@@ -461,7 +467,7 @@ async function main() {
       await testCase(
         "Test 3.4: Zero amount order (should fail)",
         async () => {
-          const price = ethers.parseUnits("10", 6);
+          const price = Price.parse("10").units;
           const amount = 0n;
           await orderBook
             .connect(user1)
@@ -487,8 +493,8 @@ async function main() {
       await testCase(
         "Test 4.1: Order exceeding available collateral (should fail)",
         async () => {
-          const price = ethers.parseUnits("100", 6);
-          const amount = ethers.parseUnits("1000", 18); // $100,000 notional, way more than collateral
+          const price = Price.parse("100").units;
+          const amount = Amount.parse("1000").units; // $100,000 notional, way more than collateral
           await orderBook
             .connect(user1)
             .placeMarginLimitOrder(price, amount, true);
@@ -506,9 +512,9 @@ async function main() {
         async () => {
           const user1Margin = await vault.getMarginSummary(user1.address);
           const available = user1Margin.availableCollateral;
-          const price = ethers.parseUnits("1", 6);
+          const price = Price.parse("1").units;
           // Try to use exactly available collateral (will fail due to fees)
-          const amount = (available * ethers.parseUnits("1", 18)) / price;
+          const amount = (available * Amount.parse("1").units) / price;
 
           await orderBook
             .connect(user1)
@@ -532,8 +538,8 @@ async function main() {
     totalTests++;
     if (
       await testCase("Test 5.1: Spot order placement", async () => {
-        const price = ethers.parseUnits("10", 6);
-        const amount = ethers.parseUnits("5", 18);
+        const price = Price.parse("10").units;
+        const amount = Amount.parse("5").units;
         await orderBook.connect(user1).placeLimitOrder(price, amount, true);
       })
     )
@@ -545,8 +551,8 @@ async function main() {
       await testCase(
         "Test 5.2: Spot order matching (should fail)",
         async () => {
-          const price = ethers.parseUnits("10", 6);
-          const amount = ethers.parseUnits("5", 18);
+          const price = Price.parse("10").units;
+          const amount = Amount.parse("5").units;
           // Try to match the spot order
           await orderBook.connect(user2).placeLimitOrder(price, amount, false);
         },
@@ -561,8 +567,8 @@ async function main() {
       await testCase(
         "Test 5.3: Margin order matching spot order (should fail)",
         async () => {
-          const price = ethers.parseUnits("10", 6);
-          const amount = ethers.parseUnits("5", 18);
+          const price = Price.parse("10").units;
+          const amount = Amount.parse("5").units;
           await orderBook
             .connect(user2)
             .placeMarginLimitOrder(price, amount, false);
@@ -594,21 +600,13 @@ async function main() {
       const closeSide = user1Pos[0].size > 0n ? false : true; // opposite side to close
       let tx = await orderBook
         .connect(user1)
-        .placeMarginLimitOrder(
-          ethers.parseUnits("5", 6),
-          closeAmount,
-          closeSide
-        );
+        .placeMarginLimitOrder(Price.parse("5").units, closeAmount, closeSide);
       await tx.wait();
 
       // Match with deployer
       tx = await orderBook
         .connect(deployer)
-        .placeMarginLimitOrder(
-          ethers.parseUnits("5", 6),
-          closeAmount,
-          !closeSide
-        );
+        .placeMarginLimitOrder(Price.parse("5").units, closeAmount, !closeSide);
       await tx.wait();
     }
 
@@ -616,8 +614,8 @@ async function main() {
     totalTests++;
     if (
       await testCase("Test 6.1: Complete position lifecycle", async () => {
-        const price = ethers.parseUnits("10", 6);
-        const openAmount = ethers.parseUnits("50", 18);
+        const price = Price.parse("10").units;
+        const openAmount = Amount.parse("50").units;
 
         // Step 1: Open position
         console.log("      Step 1: Opening position...");
@@ -638,7 +636,7 @@ async function main() {
 
         // Step 2: Increase position
         console.log("      Step 2: Increasing position...");
-        const increaseAmount = ethers.parseUnits("30", 18);
+        const increaseAmount = Amount.parse("30").units;
         tx = await orderBook
           .connect(user1)
           .placeMarginLimitOrder(price, increaseAmount, true);
@@ -656,7 +654,7 @@ async function main() {
 
         // Step 3: Partial close
         console.log("      Step 3: Partial close...");
-        const partialCloseAmount = ethers.parseUnits("20", 18);
+        const partialCloseAmount = Amount.parse("20").units;
         tx = await orderBook
           .connect(user1)
           .placeMarginLimitOrder(price, partialCloseAmount, false);
@@ -676,7 +674,7 @@ async function main() {
 
         // Step 4: Complete close
         console.log("      Step 4: Complete close...");
-        const finalCloseAmount = ethers.parseUnits("60", 18);
+        const finalCloseAmount = Amount.parse("60").units;
         tx = await orderBook
           .connect(user1)
           .placeMarginLimitOrder(price, finalCloseAmount, false);
@@ -724,9 +722,9 @@ async function main() {
         const initialCollateral = (await vault.getMarginSummary(user1.address))
           .totalCollateral;
 
-        const price = ethers.parseUnits("100", 6);
-        const amount = ethers.parseUnits("10", 18);
-        const notionalValue = ethers.parseUnits("1000", 6); // 10 * $100
+        const price = Price.parse("100").units;
+        const amount = Amount.parse("10").units;
+        const notionalValue = Usdc.parse("1000").units; // 10 * $100
         const expectedFee = (notionalValue * tradingFeeBps) / 10000n;
 
         let tx = await orderBook
@@ -766,9 +764,9 @@ async function main() {
     totalTests++;
     if (
       await testCase("Test 8.1: High price trade ($10,000/ALU)", async () => {
-        const price = ethers.parseUnits("10000", 6);
-        const amount = ethers.parseUnits("0.01", 18); // Small amount due to high price
-        const expectedMargin = ethers.parseUnits("100", 6); // 0.01 * $10,000
+        const price = Price.parse("10000").units;
+        const amount = Amount.parse("0.01").units; // Small amount due to high price
+        const expectedMargin = Usdc.parse("100").units; // 0.01 * $10,000
 
         let tx = await orderBook
           .connect(user1)
@@ -786,9 +784,9 @@ async function main() {
     totalTests++;
     if (
       await testCase("Test 8.2: Low price trade ($0.01/ALU)", async () => {
-        const price = ethers.parseUnits("0.01", 6);
-        const amount = ethers.parseUnits("10000", 18);
-        const expectedMargin = ethers.parseUnits("100", 6); // 10000 * $0.01
+        const price = Price.parse("0.01").units;
+        const amount = Amount.parse("10000").units;
+        const expectedMargin = Usdc.parse("100").units; // 10000 * $0.01
 
         let tx = await orderBook
           .connect(user1)
@@ -5,9 +5,14 @@
  * 1. Showing current positions
  * 2. Executing trades that flip positions from LONG to SHORT and vice versa
  * 3. Displaying the results and P&L
+ *
+ * The "what happens" predictions come from sdk/position-netting.js - the
+ * vault's own netting math - using the users' positions as they are now.
  */
 
 const { ethers } = require("hardhat");
+const { getContract } = require("../config/contracts");
+const { findPosition, previewFill } = require("../sdk/position-netting");
 
 // Color codes
 const colors = {
@@ -35,6 +40,70 @@ function formatALU(value) {
   return ethers.formatUnits(value, 18);
 }
 
+function describePosition(position) {
+  if (!position || position.size === 0n) {
+    return "no position";
+  }
+  const side = position.size > 0n ? "LONG" : "SHORT";
+  const absSize = position.size < 0n ? -position.size : position.size;
+  return `${side} ${formatALU(absSize)} ALU @ $${formatUSDC(
+    position.entryPrice
+  )}`;
+}
+
+// Predicted P&L, and whether the vault ended where the netting said it would
+function logOutcome(preview, position) {
+  const pnl = preview.realizedPnL;
+  console.log(
+    colorText(
+      `• Realized P&L: ${pnl.isNegative() ? "-" : "+"}$${pnl
+        .abs()
+        .format(2)} (predicted)`,
+      pnl.isNegative() ? colors.brightRed : colors.brightGreen
+    )
+  );
+  const size = position ? position.size : 0n;
+  const entryPrice = position ? position.entryPrice : 0n;
+  const matches =
+    size === preview.newSize.units &&
+    entryPrice === preview.newEntryPrice.units;
+  console.log(
+    matches
+      ? colorText("• Position matches the prediction", colors.green)
+      : colorText(
+          "• Position differs from the prediction - the orders filled against other resting orders or at other prices",
+          colors.yellow
+        )
+  );
+}
+
+// Prediction for one side of the flip trade
+function logPrediction(name, position, preview) {
+  console.log(colorText(`${name}:`, colors.yellow));
+  if (preview.closedUnits.isPositive()) {
+    const pnl = preview.realizedPnL;
+    console.log(
+      colorText(
+        `  1. Closes ${preview.closedUnits} ALU of ${describePosition(
+          position
+        )} (realizes ${pnl.isNegative() ? "-" : "+"}$${pnl.abs().format(2)})`,
+        pnl.isNegative() ? colors.red : colors.green
+      )
+    );
+  }
+  console.log(
+    colorText(
+      `  ${
+        preview.closedUnits.isPositive() ? "2" : "1"
+      }. Ends ${describePosition({
+        size: preview.newSize.units,
+        entryPrice: preview.newEntryPrice.units,
+      })} - ${preview.summary.toLowerCase()}`,
+      preview.newSize.isNegative() ? colors.red : colors.green
+    )
+  );
+}
+
 async function main() {
   console.clear();
   console.log(colorText("🔄 POSITION FLIP DEMONSTRATION", colors.brightYellow));
@@ -45,22 +114,28 @@ async function main() {
 
   try {
     // Get contracts
-    const vault = await ethers.getContractAt(
-      "CentralizedVault",
-      "0x959922bE3CAee4b8Cd9a407cc3ac1C251C2007B1"
-    );
-    const orderBook = await ethers.getContractAt(
-      "OrderBook",
-      "0x2b961E3959b79326A8e7F64Ef0d2d825707669b5"
-    );
+    const vault = await getContract("CENTRALIZED_VAULT");
+    const orderBook = await getContract("ALUMINUM_ORDERBOOK");
+    const marketId = await orderBook.marketId();
 
     const [deployer, user1, user2] = await ethers.getSigners();
 
     // Display current state
+    const user1Before = findPosition(
+      await vault.getUserPositions(user1.address),
+      marketId
+    );
+    const user2Before = findPosition(
+      await vault.getUserPositions(user2.address),
+      marketId
+    );
     console.log(colorText("\n📊 CURRENT POSITIONS", colors.brightCyan));
-    console.log(colorText("Based on previous trades:", colors.cyan));
-    console.log(colorText("• User 1: LONG 30 ALU @ $10", colors.green));
-    console.log(colorText("• User 2: SHORT 30 ALU @ $10", colors.red));
+    console.log(
+      colorText(`• User 1: ${describePosition(user1Before)}`, colors.green)
+    );
+    console.log(
+      colorText(`• User 2: ${describePosition(user2Before)}`, colors.red)
+    );
 
     // Get current trade counts
     const user1TradesBefore = await orderBook.getUserTradeCount(user1.address);
@@ -82,27 +157,25 @@ async function main() {
     console.log(colorText("• User 1 will SELL 80 ALU @ $12", colors.magenta));
     console.log(colorText("• User 2 will BUY 80 ALU @ $12", colors.magenta));
 
-    console.log(colorText("\n📊 What happens:", colors.brightCyan));
-    console.log(colorText("User 1:", colors.yellow));
-    console.log(
-      colorText(
-        "  1. Closes LONG 30 ALU (realizes $2/ALU profit = $60)",
-        colors.green
-      )
-    );
-    console.log(colorText("  2. Opens SHORT 50 ALU @ $12", colors.red));
-    console.log(colorText("User 2:", colors.yellow));
-    console.log(
-      colorText(
-        "  1. Closes SHORT 30 ALU (realizes $2/ALU loss = -$60)",
-        colors.red
-      )
-    );
-    console.log(colorText("  2. Opens LONG 50 ALU @ $12", colors.green));
-
     const flipAmount = ethers.parseUnits("80", 18);
     const flipPrice = ethers.parseUnits("12", 6);
 
+    // If both orders fill against each other at $12
+    const user1Preview = previewFill(user1Before, {
+      amount: "80",
+      isBuy: false,
+      price: "12",
+    });
+    const user2Preview = previewFill(user2Before, {
+      amount: "80",
+      isBuy: true,
+      price: "12",
+    });
+
+    console.log(colorText("\n📊 What happens:", colors.brightCyan));
+    logPrediction("User 1", user1Before, user1Preview);
+    logPrediction("User 2", user2Before, user2Preview);
+
     console.log(colorText("\n⏳ Executing flip trades...", colors.yellow));
 
     // User 1 sells 80 ALU
@@ -137,9 +210,12 @@ async function main() {
 
     // Display User 1 results
     console.log(colorText("\nUser 1:", colors.brightCyan));
-    console.log(colorText(`• Started: LONG 30 ALU @ $10`, colors.green));
-    if (user1Positions.length > 0) {
-      const pos = user1Positions[0];
+    console.log(
+      colorText(`• Started: ${describePosition(user1Before)}`, colors.green)
+    );
+    const user1After = findPosition(user1Positions, marketId);
+    if (user1After) {
+      const pos = user1After;
       const size = pos.size;
       const side = size >= 0n ? "LONG" : "SHORT";
       const absSize = size < 0n ? -size : size;
@@ -152,12 +228,7 @@ async function main() {
         )
       );
     }
-    console.log(
-      colorText(
-        `• Realized P&L: +$60 (from closing long at profit)`,
-        colors.brightGreen
-      )
-    );
+    logOutcome(user1Preview, user1After);
     console.log(
       colorText(
         `• Total trades: ${user1TradesAfter} (+${
@@ -169,9 +240,12 @@ async function main() {
 
     // Display User 2 results
     console.log(colorText("\nUser 2:", colors.brightCyan));
-    console.log(colorText(`• Started: SHORT 30 ALU @ $10`, colors.red));
-    if (user2Positions.length > 0) {
-      const pos = user2Positions[0];
+    console.log(
+      colorText(`• Started: ${describePosition(user2Before)}`, colors.red)
+    );
+    const user2After = findPosition(user2Positions, marketId);
+    if (user2After) {
+      const pos = user2After;
       const size = pos.size;
       const side = size >= 0n ? "LONG" : "SHORT";
       const absSize = size < 0n ? -size : size;
@@ -184,12 +258,7 @@ async function main() {
         )
       );
     }
-    console.log(
-      colorText(
-        `• Realized P&L: -$60 (from closing short at loss)`,
-        colors.brightRed
-      )
-    );
+    logOutcome(user2Preview, user2After);
     console.log(
       colorText(
         `• Total trades: ${user2TradesAfter} (+${
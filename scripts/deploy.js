@@ -2,36 +2,223 @@
 
 // deploy.js - Complete deployment script for HyperLiquid v2
 //
-// 🎯 THIS SCRIPT DOES EVERYTHING:
-//   1. Deploys all core contracts (MockUSDC, Vault, Factory, Router)
+// 🎯 THIS SCRIPT DOES EVERYTHING (driven by a plan in config/deploy-plans/):
+//   1. Deploys all core contracts (MockUSDC, Vault, Factory, Router), and
+//      Multicall3 on a local chain that doesn't have it (sdk/multicall.js)
 //   2. Sets up all authorization and roles
-//   3. Creates ALUMINUM market
+//   3. Creates the plan's markets
 //   4. Funds trading accounts with USDC and collateral
-//   5. Updates configuration files
+//   5. Seeds each market's order book with the plan's liquidity ladder
+//   6. Writes deployments/<network>-deployment.json and a gas/size report
+//      (deployments/<network>-deploy-report.json and .md)
+//
+// 🔁 RESUMABLE:
+//   Every step is checked against the chain first and skipped when it is
+//   already done. Progress is saved after each step to
+//   deployments/<network>-deploy-state.json, so re-running the same command
+//   after a failure picks up at the failed step.
 //
 // 🚀 USAGE:
 //   node scripts/deploy.js
 //   OR
 //   npx hardhat run scripts/deploy.js --network localhost
+//   DEPLOY_PLAN=<name or path> npx hardhat run scripts/deploy.js --network localhost
+//   DEPLOY_FRESH=1 npx hardhat run scripts/deploy.js --network localhost   # ignore saved progress
+//   DEPLOY_UNTIL=markets npx hardhat run scripts/deploy.js --network localhost # stop after a stage
+//
+// 🪜 STAGES (DEPLOY_UNTIL):
+//   markets    Steps 1-3 only - contracts, roles and markets, nobody funded
+//   funding    Steps 1-4 - accounts funded, order books still empty
+//   liquidity  Everything (default)
+//   Configuration (step 6) is always written. Later stages can be added by
+//   re-running without DEPLOY_UNTIL - finished steps are skipped.
 //
 
 const { ethers } = require("hardhat");
-const fs = require("fs");
 const path = require("path");
+const { getNetworkConfig } = require("../config/contracts");
+const {
+  recordDeployment,
+  readManifest,
+  getManifestPath,
+} = require("../config/deployment-manifest");
+const {
+  loadPlan,
+  resolveReference,
+  buildLadder,
+  getRoleHash,
+  readState,
+  writeState,
+  clearState,
+  getStatePath,
+} = require("../config/deploy-plan");
+const {
+  createTransactionRecorder,
+  buildDeployReport,
+  readDeployReport,
+  writeDeployReport,
+  displayDeployReport,
+} = require("../config/deploy-report");
+const { formatError } = require("../sdk/errors");
+const {
+  installMulticall,
+  MULTICALL3_ADDRESS,
+  LOCAL_CHAIN_IDS,
+} = require("../sdk/multicall");
+
+const DEPLOY_STAGES = ["markets", "funding", "liquidity"];
+
+/**
+ * Read DEPLOY_UNTIL
+ * @returns {string} Last stage to run
+ */
+function resolveUntilStage() {
+  const stage = process.env.DEPLOY_UNTIL || "liquidity";
+  if (!DEPLOY_STAGES.includes(stage)) {
+    throw new Error(
+      `Unknown DEPLOY_UNTIL "${stage}". Use: ${DEPLOY_STAGES.join(", ")}`
+    );
+  }
+  return stage;
+}
+
+/**
+ * Pick up saved progress for this plan, from an interrupted run or from the
+ * deployment it last produced
+ */
+function loadProgress(networkConfig, plan) {
+  const fresh = {
+    plan: { name: plan.name, hash: plan.hash },
+    chainId: networkConfig.chainId,
+    contracts: {},
+    markets: {},
+    completedSteps: [],
+  };
+
+  if (process.env.DEPLOY_FRESH) {
+    return fresh;
+  }
+
+  const saved = readState(networkConfig.key);
+  if (
+    saved &&
+    saved.plan.name === plan.name &&
+    saved.chainId === networkConfig.chainId
+  ) {
+    console.log(`♻️  Resuming from ${getStatePath(networkConfig.key)}`);
+    return { ...fresh, ...saved, plan: fresh.plan };
+  }
+
+  const manifest = readManifest(networkConfig.key);
+  if (manifest && manifest.plan && manifest.plan.name === plan.name) {
+    console.log(`♻️  Checking against deployment ${manifest.deploymentId}`);
+    return {
+      ...fresh,
+      contracts: { ...manifest.contracts },
+      markets: { ...(manifest.markets || {}) },
+      completedSteps: [...(manifest.completedSteps || [])],
+    };
+  }
+
+  return fresh;
+}
+
+/**
+ * Find a market the factory already created for this symbol (recovers a
+ * market whose creation succeeded but was never saved to progress)
+ */
+async function findExistingMarket(factory, symbol, creator) {
+  const marketIds = await factory.getAllMarkets();
+
+  for (const marketId of [...marketIds].reverse()) {
+    const [marketSymbol, marketCreator] = await Promise.all([
+      factory.marketSymbols(marketId),
+      factory.marketCreators(marketId),
+    ]);
+    if (marketSymbol === symbol && marketCreator === creator) {
+      return { marketId, orderBook: await factory.marketToOrderBook(marketId) };
+    }
+  }
+
+  return null;
+}
 
-// Configuration
-const USDC_PER_USER = "10000"; // 10,000 USDC per user
-const COLLATERAL_PER_USER = "1000"; // 1,000 USDC collateral per user
-const NUM_USERS = 4; // Setup 4 trading accounts
+/**
+ * Check whether a trader already rests an order at this price and side
+ */
+async function hasRestingOrder(orderBook, trader, { price, isBuy }) {
+  const orderIds = await orderBook.getUserOrders(trader);
+
+  for (const orderId of orderIds) {
+    const order = await orderBook.orders(orderId);
+    if (order.price === price && order.isBuy === isBuy && order.amount > 0n) {
+      return true;
+    }
+  }
+
+  return false;
+}
 
 async function main() {
   console.log("\n🚀 HYPERLIQUID V2 - COMPLETE DEPLOYMENT");
   console.log("═".repeat(80));
 
-  const [deployer] = await ethers.getSigners();
+  const signers = await ethers.getSigners();
+  const [deployer] = signers;
   console.log("📋 Deployer:", deployer.address);
 
-  const contracts = {};
+  const networkConfig = await getNetworkConfig();
+  if (networkConfig.key === "unknown") {
+    throw new Error(
+      `No network configured for chainId ${networkConfig.chainId} - add it to NETWORK_CONFIG in config/contracts.js`
+    );
+  }
+  console.log(
+    `🌐 Network: ${networkConfig.name} (chainId ${networkConfig.chainId})`
+  );
+
+  const plan = loadPlan(networkConfig.key);
+  console.log(
+    `📄 Plan: ${plan.name} (${path.relative(process.cwd(), plan.path)})`
+  );
+
+  const untilStage = resolveUntilStage();
+  const runsStage = (stage) =>
+    DEPLOY_STAGES.indexOf(stage) <= DEPLOY_STAGES.indexOf(untilStage);
+  if (untilStage !== "liquidity") {
+    console.log(`🪜 Stopping after stage: ${untilStage}`);
+  }
+
+  const state = loadProgress(networkConfig, plan);
+  const completed = new Set(state.completedSteps);
+  const addresses = () => ({ deployer: deployer.address, ...state.contracts });
+  let executedSteps = 0;
+  let skippedSteps = 0;
+  const recorder = createTransactionRecorder(
+    signers.map((signer) => signer.address)
+  );
+
+  // Run a step unless the chain says it is already done
+  const runStep = async (id, label, { isDone, execute }) => {
+    if (await isDone()) {
+      console.log(`  ⏭️  ${label} (already done)`);
+      skippedSteps++;
+    } else {
+      console.log(`  🔧 ${label}...`);
+      const fromBlock = await ethers.provider.getBlockNumber();
+      await execute();
+      await recorder.collect(id, label, fromBlock + 1);
+      executedSteps++;
+      console.log(`     ✅ Done`);
+    }
+
+    completed.add(id);
+    state.completedSteps = [...completed];
+    writeState(networkConfig.key, state);
+  };
+
+  const hasCode = async (address) =>
+    Boolean(address) && (await ethers.provider.getCode(address)) !== "0x";
 
   try {
     // ============================================
@@ -40,58 +227,55 @@ async function main() {
     console.log("\n📦 STEP 1: DEPLOYING CORE CONTRACTS");
     console.log("─".repeat(60));
 
-    // Deploy MockUSDC
-    console.log("  1️⃣ Deploying MockUSDC...");
-    const MockUSDC = await ethers.getContractFactory("MockUSDC");
-    const mockUSDC = await MockUSDC.deploy(deployer.address);
-    await mockUSDC.waitForDeployment();
-    contracts.MOCK_USDC = await mockUSDC.getAddress();
-    console.log("     ✅ MockUSDC deployed at:", contracts.MOCK_USDC);
-
-    // Deploy CentralizedVault
-    console.log("  2️⃣ Deploying CentralizedVault...");
-    const CentralizedVault = await ethers.getContractFactory(
-      "CentralizedVault"
-    );
-    const vault = await CentralizedVault.deploy(
-      contracts.MOCK_USDC,
-      deployer.address
-    );
-    await vault.waitForDeployment();
-    contracts.CENTRALIZED_VAULT = await vault.getAddress();
-    console.log(
-      "     ✅ CentralizedVault deployed at:",
-      contracts.CENTRALIZED_VAULT
-    );
+    for (const entry of plan.core) {
+      await runStep(`core:${entry.key}`, `Deploy ${entry.contract}`, {
+        isDone: () => hasCode(state.contracts[entry.key]),
+        execute: async () => {
+          const Factory = await ethers.getContractFactory(entry.contract);
+          const args = resolveReference(entry.args || [], addresses());
+          const contract = await Factory.deploy(...args);
+          await contract.waitForDeployment();
+          state.contracts[entry.key] = await contract.getAddress();
+          console.log(
+            `     ✅ ${entry.contract} deployed at: ${
+              state.contracts[entry.key]
+            }`
+          );
+        },
+      });
+    }
 
-    // Deploy FuturesMarketFactory
-    console.log("  3️⃣ Deploying FuturesMarketFactory...");
-    const FuturesMarketFactory = await ethers.getContractFactory(
-      "FuturesMarketFactory"
-    );
-    const factory = await FuturesMarketFactory.deploy(
-      contracts.CENTRALIZED_VAULT,
-      deployer.address,
-      deployer.address
+    // sdk/multicall.js reads MULTICALL3 from the manifest when the chain has
+    // no canonical Multicall3 - install it once here rather than per process
+    if (LOCAL_CHAIN_IDS.includes(networkConfig.chainId)) {
+      await runStep("core:MULTICALL3", "Install Multicall3", {
+        isDone: async () =>
+          (await hasCode(MULTICALL3_ADDRESS)) ||
+          (await hasCode(state.contracts.MULTICALL3)),
+        execute: async () => {
+          const { address, method } = await installMulticall();
+          state.contracts.MULTICALL3 = address;
+          console.log(
+            `     ✅ Multicall3 ${
+              method === "setCode" ? "installed" : "deployed"
+            } at: ${address}`
+          );
+        },
+      });
+    }
+
+    const vault = await ethers.getContractAt(
+      "CentralizedVault",
+      state.contracts.CENTRALIZED_VAULT
     );
-    await factory.waitForDeployment();
-    contracts.FUTURES_MARKET_FACTORY = await factory.getAddress();
-    console.log(
-      "     ✅ FuturesMarketFactory deployed at:",
-      contracts.FUTURES_MARKET_FACTORY
+    const factory = await ethers.getContractAt(
+      "FuturesMarketFactory",
+      state.contracts.FUTURES_MARKET_FACTORY
     );
-
-    // Deploy TradingRouter
-    console.log("  4️⃣ Deploying TradingRouter...");
-    const TradingRouter = await ethers.getContractFactory("TradingRouter");
-    const router = await TradingRouter.deploy(
-      contracts.CENTRALIZED_VAULT,
-      contracts.FUTURES_MARKET_FACTORY,
-      deployer.address
+    const mockUSDC = await ethers.getContractAt(
+      "MockUSDC",
+      state.contracts.MOCK_USDC
     );
-    await router.waitForDeployment();
-    contracts.TRADING_ROUTER = await router.getAddress();
-    console.log("     ✅ TradingRouter deployed at:", contracts.TRADING_ROUTER);
 
     // ============================================
     // STEP 2: SETUP AUTHORIZATION
@@ -99,203 +283,456 @@ async function main() {
     console.log("\n🔒 STEP 2: SETTING UP AUTHORIZATION");
     console.log("─".repeat(60));
 
-    const FACTORY_ROLE = ethers.keccak256(ethers.toUtf8Bytes("FACTORY_ROLE"));
-    const SETTLEMENT_ROLE = ethers.keccak256(
-      ethers.toUtf8Bytes("SETTLEMENT_ROLE")
-    );
-
-    console.log("  🔧 Granting FACTORY_ROLE to FuturesMarketFactory...");
-    await vault.grantRole(FACTORY_ROLE, contracts.FUTURES_MARKET_FACTORY);
-    console.log("     ✅ FACTORY_ROLE granted");
-
-    console.log("  🔧 Granting SETTLEMENT_ROLE to FuturesMarketFactory...");
-    await vault.grantRole(SETTLEMENT_ROLE, contracts.FUTURES_MARKET_FACTORY);
-    console.log("     ✅ SETTLEMENT_ROLE granted");
+    for (const grant of plan.roles) {
+      const target = await ethers.getContractAt(
+        "@openzeppelin/contracts/access/AccessControl.sol:AccessControl",
+        resolveReference(`$${grant.contract}`, addresses())
+      );
+      const account = resolveReference(grant.account, addresses());
+      const role = getRoleHash(grant.role);
+
+      await runStep(
+        `role:${grant.contract}:${grant.role}:${grant.account}`,
+        `Grant ${grant.role} on ${grant.contract} to ${grant.account.replace(
+          /^\$/,
+          ""
+        )}`,
+        {
+          isDone: () => target.hasRole(role, account),
+          execute: async () => {
+            await (await target.grantRole(role, account)).wait();
+          },
+        }
+      );
+    }
 
     // ============================================
-    // STEP 3: CREATE ALUMINUM MARKET
+    // STEP 3: CREATE MARKETS
     // ============================================
-    console.log("\n🏭 STEP 3: CREATING ALUMINUM MARKET");
+    console.log("\n🏭 STEP 3: CREATING MARKETS");
     console.log("─".repeat(60));
 
-    // Market parameters
-    const marketSymbol = "ALU-USD";
-    const marketId = ethers.keccak256(ethers.toUtf8Bytes(marketSymbol));
-    const metricUrl =
-      "https://www.lme.com/en/metals/non-ferrous/lme-aluminium/";
-    const settlementDate = Math.floor(Date.now() / 1000) + 365 * 24 * 60 * 60;
-    const startPrice = ethers.parseUnits("2500", 6);
-    const dataSource = "London Metal Exchange";
-    const tags = ["COMMODITIES", "METALS", "ALUMINUM"];
-    const marginRequirementBps = 10000; // 100% margin (1:1 ratio)
-    const tradingFee = 10; // 0.1%
-
-    console.log("  📊 Market Parameters:");
-    console.log(`     Symbol: ${marketSymbol}`);
-    console.log(`     Start Price: $${ethers.formatUnits(startPrice, 6)}`);
-    console.log(`     Margin Requirement: ${marginRequirementBps / 100}%`);
-    console.log(`     Trading Fee: ${tradingFee / 100}%`);
-
-    // Check and pay creation fee
+    // Admin is exempt; other creators pay from their vault collateral
     const creationFee = await factory.marketCreationFee();
     console.log(
       `  💰 Market creation fee: ${ethers.formatUnits(creationFee, 6)} USDC`
     );
 
-    await mockUSDC.approve(contracts.FUTURES_MARKET_FACTORY, creationFee);
-    console.log("     ✅ Fee approved");
-
-    // Create market
-    console.log("  🚀 Creating ALUMINUM futures market...");
-    const createTx = await factory.createFuturesMarket(
-      marketSymbol,
-      metricUrl,
-      settlementDate,
-      startPrice,
-      dataSource,
-      tags,
-      marginRequirementBps,
-      tradingFee
-    );
+    for (const market of plan.markets) {
+      const startPrice = ethers.parseUnits(String(market.startPrice), 6);
+
+      console.log(`\n  📊 ${market.symbol}:`);
+      console.log(`     Start Price: $${market.startPrice}`);
+      console.log(
+        `     Margin Requirement: ${(market.marginRequirementBps || 0) / 100}%`
+      );
+      console.log(`     Trading Fee: ${(market.tradingFeeBps || 0) / 100}%`);
+
+      await runStep(`market:${market.symbol}`, `Create ${market.symbol}`, {
+        isDone: async () => {
+          const saved = state.markets[market.symbol];
+          if (saved && (await factory.marketExists(saved.marketId))) {
+            return true;
+          }
+
+          const existing = await findExistingMarket(
+            factory,
+            market.symbol,
+            deployer.address
+          );
+          if (existing) {
+            state.markets[market.symbol] = { key: market.key, ...existing };
+            state.contracts[market.key] = existing.orderBook;
+            return true;
+          }
+          return false;
+        },
+        execute: async () => {
+          const latestBlock = await ethers.provider.getBlock("latest");
+          const settlementDate =
+            market.settlementDate ??
+            latestBlock.timestamp + market.settlementDays * 24 * 60 * 60;
+
+          const createTx = await factory.createFuturesMarket(
+            market.symbol,
+            market.metricUrl,
+            settlementDate,
+            startPrice,
+            market.dataSource || "CUSTOM",
+            market.tags || [],
+            market.marginRequirementBps || 0,
+            market.tradingFeeBps || 0
+          );
+          const receipt = await createTx.wait();
+
+          // Get OrderBook address from event
+          const event = receipt.logs
+            .map((log) => {
+              try {
+                return factory.interface.parseLog(log);
+              } catch {
+                return null;
+              }
+            })
+            .find((parsed) => parsed && parsed.name === "FuturesMarketCreated");
+
+          if (!event) {
+            throw new Error("Failed to get OrderBook address from event");
+          }
+
+          state.markets[market.symbol] = {
+            key: market.key,
+            marketId: event.args.marketId,
+            orderBook: event.args.orderBook,
+          };
+          state.contracts[market.key] = event.args.orderBook;
+
+          // A new market starts from scratch - steps done for an earlier
+          // market with this symbol (mark price, liquidity) no longer count
+          for (const id of completed) {
+            if (id.startsWith(`market:${market.symbol}:`)) {
+              completed.delete(id);
+            }
+          }
+
+          console.log(`     ✅ OrderBook deployed at: ${event.args.orderBook}`);
+          console.log(`     ✅ Market ID: ${event.args.marketId}`);
+        },
+      });
+
+      const { marketId, orderBook } = state.markets[market.symbol];
+      const ORDERBOOK_ROLE = getRoleHash("ORDERBOOK_ROLE");
+
+      await runStep(
+        `market:${market.symbol}:orderbook-role`,
+        "Grant ORDERBOOK_ROLE to OrderBook",
+        {
+          isDone: () => vault.hasRole(ORDERBOOK_ROLE, orderBook),
+          execute: async () => {
+            await (await vault.grantRole(ORDERBOOK_ROLE, orderBook)).wait();
+          },
+        }
+      );
 
-    const receipt = await createTx.wait();
-    console.log("     ✅ Market created!");
+      // Lets the OrderBook report trading stats to the router
+      const router = await ethers.getContractAt(
+        "TradingRouter",
+        state.contracts.TRADING_ROUTER
+      );
+      await runStep(
+        `market:${market.symbol}:updater-role`,
+        "Grant UPDATER_ROLE on TradingRouter to OrderBook",
+        {
+          isDone: () => router.hasRole(getRoleHash("UPDATER_ROLE"), orderBook),
+          execute: async () => {
+            await (await router.grantUpdaterRole(orderBook)).wait();
+          },
+        }
+      );
 
-    // Get OrderBook address from event
-    const event = receipt.logs.find((log) => {
-      try {
-        const parsed = factory.interface.parseLog(log);
-        return parsed.name === "FuturesMarketCreated";
-      } catch {
-        return false;
+      if (market.initialMarkPrice !== undefined) {
+        // The factory sets the mark price to the start price; trading on a
+        // fresh book may need a different anchor (e.g. $1 to match liquidity)
+        const markPrice = ethers.parseUnits(String(market.initialMarkPrice), 6);
+        const stepId = `market:${market.symbol}:mark-price`;
+
+        await runStep(stepId, `Set mark price to $${market.initialMarkPrice}`, {
+          isDone: async () =>
+            completed.has(stepId) ||
+            (await vault.marketMarkPrices(marketId)) === markPrice,
+          execute: async () => {
+            await (await vault.updateMarkPrice(marketId, markPrice)).wait();
+          },
+        });
       }
-    });
+    }
 
-    let actualMarketId;
-    if (event) {
-      const parsedEvent = factory.interface.parseLog(event);
-      contracts.ALUMINUM_ORDERBOOK = parsedEvent.args.orderBook;
-      actualMarketId = parsedEvent.args.marketId;
-      console.log(
-        "     ✅ ALUMINUM OrderBook deployed at:",
-        contracts.ALUMINUM_ORDERBOOK
-      );
-      console.log("     ✅ Market ID:", actualMarketId);
-    } else {
-      throw new Error("Failed to get OrderBook address from event");
+    // ============================================
+    // STEP 4: FUND TRADING ACCOUNTS
+    // ============================================
+    console.log("\n💰 STEP 4: FUNDING TRADING ACCOUNTS");
+    console.log("─".repeat(60));
+
+    const fundingPlan = runsStage("funding") ? plan.funding : [];
+    if (!runsStage("funding")) {
+      console.log(`  ⏭️  Skipped (DEPLOY_UNTIL=${untilStage})`);
     }
 
-    // Set initial mark price for the market
-    console.log("  📊 Setting initial mark price...");
-    // SETTLEMENT_ROLE already declared above, grant it to deployer for mark price update
-    await vault.grantRole(SETTLEMENT_ROLE, deployer.address);
-    // Set mark price to $1 to match initial liquidity
-    const actualInitialPrice = ethers.parseUnits("1", 6); // $1 USDC
-    await vault.updateMarkPrice(actualMarketId, actualInitialPrice);
-    console.log(
-      `     ✅ Mark price set to $${ethers.formatUnits(
-        actualInitialPrice,
+    for (const funding of fundingPlan) {
+      const walletTarget = ethers.parseUnits(String(funding.wallet || "0"), 6);
+      const collateralTarget = ethers.parseUnits(
+        String(funding.collateral || "0"),
         6
-      )} (matching initial liquidity)`
-    );
-    console.log(
-      `     ℹ️  Note: Official start price is $${ethers.formatUnits(
-        startPrice,
-        6
-      )}, but using $1 for initial trades`
-    );
+      );
 
-    // Grant ORDERBOOK_ROLE to the OrderBook
-    const ORDERBOOK_ROLE = ethers.keccak256(
-      ethers.toUtf8Bytes("ORDERBOOK_ROLE")
-    );
-    await vault.grantRole(ORDERBOOK_ROLE, contracts.ALUMINUM_ORDERBOOK);
-    console.log("     ✅ ORDERBOOK_ROLE granted to OrderBook");
+      for (const index of funding.signers) {
+        const user = signers[index];
+        if (!user) {
+          console.log(`  ⚠️  Signer ${index} not available - skipping`);
+          continue;
+        }
 
-    // SKIP INITIAL LIQUIDITY SEEDING
-    console.log("  💧 Skipping initial liquidity seeding...");
-    console.log("     ℹ️  Market will start with empty order book");
-    console.log("     ℹ️  Users can place orders at any price");
+        const userType = index === 0 ? "Deployer" : `User ${index}`;
+        const shortfalls = async () => {
+          const [balance, collateral] = await Promise.all([
+            mockUSDC.balanceOf(user.address),
+            vault.userCollateral(user.address),
+          ]);
+          return {
+            wallet: balance < walletTarget ? walletTarget - balance : 0n,
+            collateral:
+              collateral < collateralTarget
+                ? collateralTarget - collateral
+                : 0n,
+          };
+        };
+
+        await runStep(
+          `funding:${index}`,
+          `Fund ${userType} ${user.address} to ${funding.wallet} USDC wallet / ${funding.collateral} USDC collateral`,
+          {
+            isDone: async () => {
+              const missing = await shortfalls();
+              return missing.wallet === 0n && missing.collateral === 0n;
+            },
+            execute: async () => {
+              const missing = await shortfalls();
+              const mintAmount = missing.wallet + missing.collateral;
+
+              if (mintAmount > 0n) {
+                await (await mockUSDC.mint(user.address, mintAmount)).wait();
+                console.log(
+                  `     ✅ Minted ${ethers.formatUnits(mintAmount, 6)} USDC`
+                );
+              }
+
+              if (missing.collateral > 0n) {
+                await (
+                  await mockUSDC
+                    .connect(user)
+                    .approve(
+                      state.contracts.CENTRALIZED_VAULT,
+                      missing.collateral
+                    )
+                ).wait();
+                await (
+                  await vault
+                    .connect(user)
+                    .depositCollateral(missing.collateral)
+                ).wait();
+                console.log(
+                  `     ✅ Deposited ${ethers.formatUnits(
+                    missing.collateral,
+                    6
+                  )} USDC as collateral`
+                );
+              }
+            },
+          }
+        );
+      }
+    }
 
     // ============================================
-    // STEP 4: FUND TRADING ACCOUNTS
+    // STEP 5: SEED LIQUIDITY
     // ============================================
-    console.log("\n💰 STEP 4: FUNDING TRADING ACCOUNTS");
+    console.log("\n💧 STEP 5: SEEDING LIQUIDITY");
     console.log("─".repeat(60));
 
-    const signers = await ethers.getSigners();
+    // Top up a maker's free collateral so a margin order can be reserved
+    const ensureAvailableCollateral = async (user, required) => {
+      const available = await vault.getAvailableCollateral(user.address);
+      if (available >= required) {
+        return;
+      }
 
-    for (let i = 0; i < Math.min(NUM_USERS, signers.length); i++) {
-      const user = signers[i];
-      const userType = i === 0 ? "Deployer" : `User ${i}`;
+      const shortfall = required - available;
+      await (await mockUSDC.mint(user.address, shortfall)).wait();
+      await (
+        await mockUSDC
+          .connect(user)
+          .approve(state.contracts.CENTRALIZED_VAULT, shortfall)
+      ).wait();
+      await (await vault.connect(user).depositCollateral(shortfall)).wait();
+      console.log(
+        `     ✅ Deposited ${ethers.formatUnits(
+          shortfall,
+          6
+        )} USDC collateral for ${user.address}`
+      );
+    };
+
+    const seededMarkets = runsStage("liquidity")
+      ? plan.markets.filter((market) => market.liquidity)
+      : [];
+    if (!runsStage("liquidity")) {
+      console.log(`  ⏭️  Skipped (DEPLOY_UNTIL=${untilStage})`);
+    } else if (seededMarkets.length === 0) {
+      console.log(
+        "  ℹ️  No liquidity configured - markets start with empty order books"
+      );
+    }
 
-      console.log(`\n  ${userType}: ${user.address}`);
+    for (const market of seededMarkets) {
+      const { levels, spacingBps, size } = market.liquidity;
+      const orderBook = await ethers.getContractAt(
+        "OrderBook",
+        state.markets[market.symbol].orderBook
+      );
+      const [marginBps, leverageEnabled] = await Promise.all([
+        orderBook.marginRequirementBps(),
+        orderBook.leverageEnabled(),
+      ]);
+      // Same rule as the OrderBook's marginOrderAllowed modifier
+      const useMargin = leverageEnabled || marginBps === 10000n;
 
-      try {
-        // Mint USDC
-        const mintAmount = ethers.parseUnits(USDC_PER_USER, 6);
-        await mockUSDC.mint(user.address, mintAmount);
-        console.log(`     ✅ Minted ${USDC_PER_USER} USDC`);
+      console.log(
+        `\n  📊 ${market.symbol}: ${levels} levels per side, ${
+          spacingBps / 100
+        }% apart, ${size} units each${useMargin ? "" : " (non-margin)"}`
+      );
 
-        // Deposit collateral (skip deployer)
-        if (i > 0) {
-          const collateralAmount = ethers.parseUnits(COLLATERAL_PER_USER, 6);
-          await mockUSDC
-            .connect(user)
-            .approve(contracts.CENTRALIZED_VAULT, collateralAmount);
-          await vault.connect(user).depositCollateral(collateralAmount);
-          console.log(
-            `     ✅ Deposited ${COLLATERAL_PER_USER} USDC as collateral`
-          );
-        } else {
-          console.log(
-            `     ℹ️  Skipping collateral (deployer keeps funds for operations)`
+      for (const order of buildLadder(market)) {
+        const maker = signers[order.maker];
+        if (!maker) {
+          throw new Error(
+            `Liquidity maker signer ${order.maker} not available`
           );
         }
 
-        // Show final balances
-        const balance = await mockUSDC.balanceOf(user.address);
-        const collateral = await vault.userCollateral(user.address);
-        console.log(
-          `     📊 Final: ${ethers.formatUnits(
-            balance,
+        const side = order.isBuy ? "bid" : "ask";
+        const stepId = `market:${market.symbol}:liquidity:${side}:${order.level}:${order.maker}`;
+
+        await runStep(
+          stepId,
+          `Rest ${side} ${size} @ $${ethers.formatUnits(
+            order.price,
             6
-          )} USDC wallet, ${ethers.formatUnits(collateral, 6)} USDC collateral`
+          )} from User ${order.maker}`,
+          {
+            isDone: async () =>
+              completed.has(stepId) ||
+              (await hasRestingOrder(orderBook, maker.address, order)),
+            execute: async () => {
+              if (useMargin) {
+                // The vault keys reserved margin by (trader, orderId) across
+                // all books, and every book numbers its orders from 1
+                const nextOrderId = ethers.toBeHex(
+                  await orderBook.nextOrderId(),
+                  32
+                );
+                const pending = await vault.getUserPendingOrders(maker.address);
+                if (pending.some((entry) => entry.orderId === nextOrderId)) {
+                  throw new Error(
+                    `User ${
+                      order.maker
+                    } already has reserved margin for order id ${BigInt(
+                      nextOrderId
+                    )} in another market - give each market its own makers`
+                  );
+                }
+
+                const notional = (order.amount * order.price) / 10n ** 18n;
+                await ensureAvailableCollateral(
+                  maker,
+                  (notional * marginBps) / 10000n
+                );
+                await (
+                  await orderBook
+                    .connect(maker)
+                    .placeMarginLimitOrder(
+                      order.price,
+                      order.amount,
+                      order.isBuy
+                    )
+                ).wait();
+              } else {
+                await (
+                  await orderBook
+                    .connect(maker)
+                    .placeLimitOrder(order.price, order.amount, order.isBuy)
+                ).wait();
+              }
+            },
+          }
         );
-      } catch (error) {
-        console.log(`     ❌ Error: ${error.message}`);
       }
     }
 
     // ============================================
-    // STEP 5: UPDATE CONFIGURATION
+    // STEP 6: UPDATE CONFIGURATION
     // ============================================
-    console.log("\n📝 STEP 5: UPDATING CONFIGURATION");
+    console.log("\n📝 STEP 6: UPDATING CONFIGURATION");
     console.log("─".repeat(60));
 
-    // Update contracts.js
-    await updateContractsFile(contracts);
-    console.log("  ✅ Updated config/contracts.js");
-
-    // Save deployment info
-    const deploymentInfo = {
-      network: "localhost",
-      timestamp: new Date().toISOString(),
-      contracts: contracts,
-      deployer: deployer.address,
-      aluminumMarket: {
-        marketId: actualMarketId,
-        symbol: marketSymbol,
-        orderBook: contracts.ALUMINUM_ORDERBOOK,
-      },
-    };
+    // ORDERBOOK is the default book scripts trade against
+    const defaultMarket =
+      plan.markets.find((market) => market.default) || plan.markets[0];
+    if (defaultMarket) {
+      state.contracts.ORDERBOOK = state.contracts[defaultMarket.key];
+    }
 
-    const deploymentPath = path.join(
-      __dirname,
-      "../deployments/localhost-deployment.json"
-    );
-    fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
-    console.log("  ✅ Saved deployment info");
+    const activeManifest = readManifest(networkConfig.key);
+    if (executedSteps === 0 && activeManifest?.plan?.name === plan.name) {
+      console.log(
+        `  ⏭️  Nothing changed - ${activeManifest.deploymentId} is up to date`
+      );
+    } else {
+      // Legacy top-level entries (e.g. aluminumMarket) some scripts still read
+      const legacyEntries = {};
+      for (const market of plan.markets) {
+        if (market.manifestKey) {
+          legacyEntries[market.manifestKey] = {
+            symbol: market.symbol,
+            ...state.markets[market.symbol],
+          };
+        }
+      }
+
+      // Save deployment manifest - config/contracts.js resolves addresses from it
+      const manifest = await recordDeployment(
+        networkConfig,
+        {
+          deployer: deployer.address,
+          contracts: state.contracts,
+          plan: state.plan,
+          markets: state.markets,
+          completedSteps: state.completedSteps,
+          ...legacyEntries,
+        },
+        { provider: ethers.provider }
+      );
+      console.log(
+        `  ✅ Recorded deployment ${manifest.deploymentId} in ${getManifestPath(
+          networkConfig.key
+        )}`
+      );
+      if (manifest.history.length > 0) {
+        console.log(
+          `     ℹ️  Previous deployment kept in history - roll back with: HARDHAT_NETWORK=${networkConfig.key} node scripts/manage-deployments.js rollback`
+        );
+      }
+
+      const report = await buildDeployReport({
+        networkConfig,
+        deploymentId: manifest.deploymentId,
+        plan: state.plan,
+        contracts: state.contracts,
+        transactions: recorder.transactions,
+        stepsSkipped: skippedSteps,
+        previous: readDeployReport(networkConfig.key),
+      });
+      const reportPaths = writeDeployReport(networkConfig.key, report);
+      console.log(
+        `  ✅ Gas report written to ${path.relative(
+          process.cwd(),
+          reportPaths.markdown
+        )} (and .json)`
+      );
+      displayDeployReport(report);
+    }
+
+    clearState(networkConfig.key);
 
     // ============================================
     // DEPLOYMENT COMPLETE
@@ -304,101 +741,51 @@ async function main() {
     console.log("═".repeat(80));
 
     console.log("\n📋 DEPLOYED CONTRACTS:");
-    Object.entries(contracts).forEach(([name, address]) => {
+    Object.entries(state.contracts).forEach(([name, address]) => {
       console.log(`  ${name}: ${address}`);
     });
 
     console.log("\n💰 TRADING ACCOUNTS:");
-    console.log("  • Each user has 10,000 USDC");
-    console.log("  • Users 1-3 have 1,000 USDC deposited as collateral");
-    console.log("  • Users 1-3 have 9,000 USDC available in wallet");
-    console.log("  • Deployer has all 10,000 USDC in wallet");
-
-    console.log("\n🏭 ALUMINUM MARKET:");
-    console.log("  • Symbol: ALU-USD");
-    console.log("  • Start Price: $2,500");
-    console.log("  • Margin Requirement: 100% (1:1 ratio)");
-    console.log("  • Trading Fee: 0.1%");
+    if (fundingPlan.length === 0) {
+      console.log("  • None funded");
+    }
+    for (const funding of fundingPlan) {
+      console.log(
+        `  • Signers ${funding.signers.join(", ")}: at least ${
+          funding.wallet
+        } USDC wallet, ${funding.collateral} USDC collateral`
+      );
+    }
+
+    console.log("\n🏭 MARKETS:");
+    for (const market of plan.markets) {
+      console.log(
+        `  • ${market.symbol}: start $${market.startPrice}, margin ${
+          (market.marginRequirementBps || 0) / 100
+        }%, fee ${(market.tradingFeeBps || 0) / 100}%${
+          market.liquidity && runsStage("liquidity")
+            ? `, ${market.liquidity.levels}x2 seeded levels`
+            : ", empty book"
+        }${market === defaultMarket ? " (default ORDERBOOK)" : ""}`
+      );
+    }
     console.log("  • All authorizations configured ✅");
 
     console.log("\n🎯 READY TO TRADE!");
     console.log("  Run: node trade.js");
     console.log("═".repeat(80));
   } catch (error) {
-    console.error("\n❌ DEPLOYMENT FAILED:", error.message);
+    console.error("\n❌ DEPLOYMENT FAILED:", formatError(error));
     console.error(error);
+    console.error(
+      `\n♻️  Progress saved to ${getStatePath(
+        networkConfig.key
+      )} - re-run the same command to resume`
+    );
     process.exit(1);
   }
 }
 
-async function updateContractsFile(contracts) {
-  const configPath = path.join(__dirname, "../config/contracts.js");
-
-  try {
-    let content = fs.readFileSync(configPath, "utf8");
-
-    // Update each contract address
-    Object.entries(contracts).forEach(([name, address]) => {
-      const regex = new RegExp(`${name}:\\s*"0x[a-fA-F0-9]+"`, "g");
-      content = content.replace(regex, `${name}: "${address}"`);
-    });
-
-    // Also update specific entries that might have different names
-    if (contracts.ALUMINUM_ORDERBOOK) {
-      // Update ORDERBOOK to point to ALUMINUM
-      content = content.replace(
-        /ORDERBOOK:\s*"0x[a-fA-F0-9]+"/,
-        `ORDERBOOK: "${contracts.ALUMINUM_ORDERBOOK}"`
-      );
-
-      // Add ALUMINUM_ORDERBOOK to CONTRACT_NAMES if not present
-      if (!content.includes('ALUMINUM_ORDERBOOK: "OrderBook"')) {
-        content = content.replace(
-          /MOCK_USDC: "MockUSDC",/,
-          `MOCK_USDC: "MockUSDC",\n  ALUMINUM_ORDERBOOK: "OrderBook",`
-        );
-      }
-
-      // Add ALUMINUM market info if not present
-      if (!content.includes("ALUMINUM: {")) {
-        const aluminumInfo = `
-  ALUMINUM: {
-    symbol: "ALU-USD",
-    marketId: ethers.keccak256(ethers.toUtf8Bytes("ALU-USD")),
-    name: "Aluminum Futures",
-    orderBook: "${contracts.ALUMINUM_ORDERBOOK}",
-    leverageEnabled: false,
-    maxLeverage: "1x",
-    marginRequirement: "100%",
-    defaultMargin: "100%",
-    riskLevel: "LOW",
-    collateralRatio: "1:1",
-    features: {
-      marginRelease: true,
-      cumulativeTracking: true,
-      multiPriceLevel: true,
-    },
-  },`;
-
-        // Insert after BTC market info
-        const btcEndMatch = content.match(/BTC:\s*{[^}]*}[^}]*},/s);
-        if (btcEndMatch) {
-          const insertPos = btcEndMatch.index + btcEndMatch[0].length;
-          content =
-            content.slice(0, insertPos) +
-            aluminumInfo +
-            content.slice(insertPos);
-        }
-      }
-    }
-
-    fs.writeFileSync(configPath, content);
-  } catch (error) {
-    console.log("  ⚠️  Could not fully update contracts.js:", error.message);
-    console.log("  Please verify the configuration manually");
-  }
-}
-
 // Run deployment
 main()
   .then(() => process.exit(0))
@@ -1,5 +1,6 @@
 const { ethers } = require("hardhat");
 const contracts = require("../config/contracts");
+const { Price, Amount } = require("../sdk/precision");
 
 async function main() {
   console.log("\n🔍 Diagnosing SHORT Position P&L Issue");
@@ -37,11 +38,9 @@ async function main() {
     console.log(`   Is size negative? ${sizeValue < 0n}`);
 
     // Calculate what P&L should be
-    const entryPriceNum = parseFloat(
-      ethers.formatUnits(position.entryPrice, 6)
-    );
-    const markPriceNum = parseFloat(ethers.formatUnits(markPrice, 6));
-    const sizeNum = parseFloat(ethers.formatUnits(position.size, 18));
+    const entryPriceNum = Price.fromUnits(position.entryPrice);
+    const markPriceNum = Price.fromUnits(markPrice);
+    const sizeNum = Amount.fromUnits(position.size);
 
     console.log(`\n💡 P&L Calculation Breakdown:`);
     console.log(`   Entry Price: $${entryPriceNum}`);
@@ -49,20 +48,19 @@ async function main() {
     console.log(`   Size: ${sizeNum} ALU`);
 
     // Current calculation (wrong for shorts)
-    const currentCalc = (markPriceNum - entryPriceNum) * sizeNum;
+    const currentCalc = markPriceNum.sub(entryPriceNum).notional(sizeNum);
     console.log(`\n❌ Current Calculation (always assumes LONG):`);
     console.log(`   (markPrice - entryPrice) × size`);
     console.log(`   ($${markPriceNum} - $${entryPriceNum}) × ${sizeNum}`);
     console.log(`   = ${currentCalc}`);
 
     // Correct calculation for SHORT
-    const correctCalcForShort =
-      (entryPriceNum - markPriceNum) * Math.abs(sizeNum);
+    const correctCalcForShort = entryPriceNum
+      .sub(markPriceNum)
+      .notional(sizeNum.abs());
     console.log(`\n✅ Correct Calculation for SHORT:`);
     console.log(`   (entryPrice - markPrice) × |size|`);
-    console.log(
-      `   ($${entryPriceNum} - $${markPriceNum}) × ${Math.abs(sizeNum)}`
-    );
+    console.log(`   ($${entryPriceNum} - $${markPriceNum}) × ${sizeNum.abs()}`);
     console.log(`   = ${correctCalcForShort}`);
 
     console.log(`\n🚨 THE ISSUE:`);
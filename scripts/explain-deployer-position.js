@@ -9,6 +9,7 @@
 
 const { ethers } = require("hardhat");
 const contracts = require("../config/contracts");
+const { Price, Amount, Usdc } = require("../sdk/precision");
 
 const colors = {
   reset: "\x1b[0m",
@@ -62,9 +63,9 @@ async function main() {
     }
 
     const position = positions[0];
-    const size = ethers.formatUnits(position.size, 18);
-    const entryPrice = ethers.formatUnits(position.entryPrice, 6);
-    const marginLocked = ethers.formatUnits(position.marginLocked, 6);
+    const size = Amount.fromUnits(position.size);
+    const entryPrice = Price.fromUnits(position.entryPrice);
+    const marginLocked = Usdc.fromUnits(position.marginLocked);
     const isLong = position.isLong;
 
     console.log(colorText("\n📈 POSITION DETAILS:", colors.green));
@@ -75,32 +76,25 @@ async function main() {
 
     // Get current mark price
     const markPrice = await vault.marketMarkPrices(marketId);
-    const markPriceFormatted = ethers.formatUnits(markPrice, 6);
+    const markPriceFormatted = Price.fromUnits(markPrice);
     console.log(`  Current Mark Price: $${markPriceFormatted} USDC`);
 
-    // Calculate P&L
-    let pnl;
-    if (position.isLong) {
-      pnl =
-        ((markPrice - position.entryPrice) * position.size) / BigInt(10 ** 18);
-    } else {
-      // For short positions, profit when price goes down
-      pnl =
-        ((position.entryPrice - markPrice) *
-          BigInt(Math.abs(Number(position.size)))) /
-        BigInt(10 ** 18);
-    }
-    const pnlFormatted = ethers.formatUnits(pnl, 6);
+    // Calculate P&L - for short positions, profit when price goes down
+    const priceMove = position.isLong
+      ? markPriceFormatted.sub(entryPrice)
+      : entryPrice.sub(markPriceFormatted);
+    const pnl = priceMove.notional(size.abs());
+    const pnlFormatted = pnl.toString();
 
     console.log(colorText("\n💰 P&L CALCULATION:", colors.magenta));
     console.log(`  Entry Price: $${entryPrice}`);
     console.log(`  Current Price: $${markPriceFormatted}`);
     console.log(
       `  Price Movement: ${
-        markPriceFormatted < entryPrice ? "DOWN ↓" : "UP ↑"
-      } by $${Math.abs(markPriceFormatted - entryPrice).toFixed(6)}`
+        markPriceFormatted.lt(entryPrice) ? "DOWN ↓" : "UP ↑"
+      } by $${markPriceFormatted.sub(entryPrice).abs().format(6)}`
     );
-    console.log(`  P&L: ${pnl >= 0 ? "+" : ""}$${pnlFormatted} USDC`);
+    console.log(`  P&L: ${pnl.isNegative() ? "" : "+"}$${pnlFormatted} USDC`);
 
     // Explain how the position was created
     console.log(
@@ -132,7 +126,7 @@ async function main() {
     console.log(`  Entry Price: $${entryPrice}`);
     console.log(`  Current Price: $${markPriceFormatted}`);
 
-    if (Number(markPriceFormatted) < Number(entryPrice)) {
+    if (markPriceFormatted.lt(entryPrice)) {
       console.log(
         colorText(
           `  ✅ Price went DOWN, so the SHORT position is PROFITABLE`,
@@ -140,16 +134,14 @@ async function main() {
         )
       );
       console.log(
-        `  Profit per ALU: $${(
-          Number(entryPrice) - Number(markPriceFormatted)
-        ).toFixed(6)}`
+        `  Profit per ALU: $${entryPrice.sub(markPriceFormatted).format(6)}`
       );
       console.log(
-        `  Total Profit: ${Math.abs(Number(size))} ALU × $${(
-          Number(entryPrice) - Number(markPriceFormatted)
-        ).toFixed(6)} = $${pnlFormatted}`
+        `  Total Profit: ${size.abs()} ALU × $${entryPrice
+          .sub(markPriceFormatted)
+          .format(6)} = $${pnlFormatted}`
       );
-    } else if (Number(markPriceFormatted) > Number(entryPrice)) {
+    } else if (markPriceFormatted.gt(entryPrice)) {
       console.log(
         colorText(
           `  ❌ Price went UP, so the SHORT position has a LOSS`,
@@ -157,14 +149,12 @@ async function main() {
         )
       );
       console.log(
-        `  Loss per ALU: $${(
-          Number(markPriceFormatted) - Number(entryPrice)
-        ).toFixed(6)}`
+        `  Loss per ALU: $${markPriceFormatted.sub(entryPrice).format(6)}`
       );
       console.log(
-        `  Total Loss: ${Math.abs(Number(size))} ALU × $${(
-          Number(markPriceFormatted) - Number(entryPrice)
-        ).toFixed(6)} = $${pnlFormatted}`
+        `  Total Loss: ${size.abs()} ALU × $${markPriceFormatted
+          .sub(entryPrice)
+          .format(6)} = $${pnlFormatted}`
       );
     } else {
       console.log(`  ⚪ Price unchanged, no P&L`);
@@ -207,7 +197,7 @@ async function main() {
       `  Entry price was $${entryPrice}, current price is $${markPriceFormatted}`
     );
 
-    if (pnl >= 0) {
+    if (!pnl.isNegative()) {
       console.log(
         colorText(
           `  ✅ The position is PROFITABLE by $${pnlFormatted}`,
@@ -220,9 +210,7 @@ async function main() {
     } else {
       console.log(
         colorText(
-          `  ❌ The position has a LOSS of $${Math.abs(
-            Number(pnlFormatted)
-          ).toFixed(6)}`,
+          `  ❌ The position has a LOSS of $${pnl.abs().format(6)}`,
           colors.red
         )
       );
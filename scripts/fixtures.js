@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+// fixtures.js - Save and restore named local chain states
+//
+// 🎯 COMMANDS:
+//   list                  Saved fixtures and whether they can still be restored
+//   save <name>           Snapshot the chain as it is now
+//   load <name>           Revert to a fixture (standard ones are built if missing)
+//   drop <name>           Forget a fixture
+//
+// 🧱 STANDARD FIXTURES (built from the deploy plan):
+//   deployed       contracts, roles and markets - nobody funded
+//   funded         + trading accounts funded, empty order books
+//   seeded-book    + every market's liquidity ladder
+//
+// 🚩 FLAGS:
+//   --rebuild      With load: build a standard fixture again even if saved
+//
+// 🚀 USAGE:
+//   HARDHAT_NETWORK=localhost node scripts/fixtures.js load funded
+//   HARDHAT_NETWORK=localhost node scripts/fixtures.js save before-liquidation
+//   HARDHAT_NETWORK=localhost node scripts/fixtures.js load seeded-book --rebuild
+//
+// Refuses to run on anything but a local chain (chainId 31337 or 1337).
+//
+
+const { ethers } = require("hardhat");
+const { getNetworkConfig, loadAddresses } = require("../config/contracts");
+const {
+  STANDARD_FIXTURES,
+  loadFixture,
+  saveFixture,
+  listFixtures,
+  dropFixture,
+} = require("../config/fixtures");
+
+function printFixtures(fixtures) {
+  if (fixtures.length === 0) {
+    console.log("\n  (no fixtures saved)");
+  }
+  for (const fixture of fixtures) {
+    console.log(
+      `\n  ${fixture.valid ? "✅" : "⚠️ "} ${fixture.name}${
+        STANDARD_FIXTURES[fixture.name] ? " (standard)" : ""
+      }`
+    );
+    console.log(
+      `     Block ${fixture.blockNumber}, snapshot ${fixture.snapshotId}, saved ${fixture.savedAt}`
+    );
+    if (fixture.deploymentId) {
+      console.log(`     Deployment: ${fixture.deploymentId}`);
+    }
+    if (!fixture.valid) {
+      console.log("     Stale - the node was restarted or reverted past it");
+    }
+  }
+
+  const missing = Object.keys(STANDARD_FIXTURES).filter(
+    (name) => !fixtures.some((fixture) => fixture.name === name)
+  );
+  if (missing.length > 0) {
+    console.log(`\nℹ️  Built on first load: ${missing.join(", ")}`);
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const rebuild = args.includes("--rebuild");
+  const [command, name] = args.filter((arg) => !arg.startsWith("--"));
+
+  const networkConfig = await getNetworkConfig();
+  console.log(
+    `\n📸 FIXTURES - ${networkConfig.name} (chainId ${networkConfig.chainId})`
+  );
+  console.log("═".repeat(80));
+
+  if (["save", "load", "drop"].includes(command) && !name) {
+    throw new Error(`Usage: fixtures.js ${command} <name>`);
+  }
+
+  switch (command) {
+    case "list":
+    case undefined:
+      printFixtures(await listFixtures());
+      break;
+
+    case "save": {
+      const fixture = await saveFixture(name);
+      console.log(
+        `✅ Saved "${name}" at block ${fixture.blockNumber} (snapshot ${fixture.snapshotId})`
+      );
+      break;
+    }
+
+    case "load": {
+      const fixture = await loadFixture(name, { rebuild });
+      const block = await ethers.provider.getBlockNumber();
+      console.log(`\n✅ Chain is at fixture "${name}" (block ${block})`);
+      if (fixture.manifest) {
+        const contracts = await loadAddresses();
+        console.log(
+          `   Deployment ${fixture.manifest.deploymentId} - ORDERBOOK ${contracts.ORDERBOOK}`
+        );
+      }
+      break;
+    }
+
+    case "drop":
+      console.log(
+        (await dropFixture(name))
+          ? `✅ Dropped "${name}"`
+          : `ℹ️  No fixture named "${name}"`
+      );
+      break;
+
+    default:
+      throw new Error(
+        `Unknown command "${command}". Use: list | save | load | drop`
+      );
+  }
+
+  console.log("═".repeat(80));
+}
+
+main()
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -16,12 +16,14 @@
 //
 const { ethers } = require("hardhat");
 const readline = require("readline");
-const {
-  getContract,
-  getAddress,
-  MARKET_INFO,
-  displayFullConfig,
-} = require("../config/contracts");
+const { getContract, displayFullConfig } = require("../config/contracts");
+const { getMarket } = require("../config/markets");
+const { loadFixture } = require("../config/fixtures");
+const { OrderBookClient } = require("../sdk/orderbook-client");
+const { PortfolioService } = require("../sdk/portfolio");
+const { Price, Amount, Usdc, ROUNDING, divRound } = require("../sdk/precision");
+const { formatError } = require("../sdk/errors");
+const { call, multicall, tryMulticall } = require("../sdk/multicall");
 
 // 🎨 ENHANCED COLOR PALETTE
 const colors = {
@@ -60,61 +62,49 @@ const colors = {
 // Cache for market symbols
 const marketSymbolCache = new Map();
 
-// Helper function to detect and format values with correct decimal precision
-function formatWithAutoDecimalDetection(
-  value,
-  expectedDecimals = 6,
-  displayDecimals = 2
-) {
-  if (!value || value === 0n) return "0.00";
-
+// User input as a positive Price/Amount/Usdc, or null when it isn't one -
+// more decimals than the type holds is refused, never rounded
+function parsePositive(Type, input) {
   try {
-    const valueBigInt =
-      typeof value === "bigint" ? value : BigInt(value.toString());
-
-    // If the value is suspiciously large (> 10^6), it might have wrong decimals
-    // Check multiple thresholds to handle different decimal mismatches
-    const absValue = valueBigInt >= 0n ? valueBigInt : -valueBigInt;
-
-    // If value > 10^6, it's probably not in the expected decimals
-    if (absValue > 10n ** 6n) {
-      // First check if it's a value that should be divided by 10^6 (e.g., 25000000 -> 25)
-      const divBy1e6 = parseFloat(ethers.formatUnits(valueBigInt, 6));
-      if (divBy1e6 >= 0.01 && divBy1e6 <= 1000000) {
-        return divBy1e6.toFixed(displayDecimals);
-      }
-
-      // Check if it's 12 decimals (e.g., 25000000000000 -> 25)
-      if (absValue > 10n ** 12n) {
-        const as12Decimals = parseFloat(ethers.formatUnits(valueBigInt, 12));
-        if (as12Decimals >= 0.01 && as12Decimals <= 1000000) {
-          return as12Decimals.toFixed(displayDecimals);
-        }
-
-        // Otherwise assume 18 decimals
-        return parseFloat(ethers.formatUnits(valueBigInt, 18)).toFixed(
-          displayDecimals
-        );
-      }
-    }
+    const value = Type.parse(input);
+    return value.isPositive() ? value : null;
+  } catch {
+    return null;
+  }
+}
 
-    // For smaller values, use expected decimals or treat as already formatted
-    if (expectedDecimals === 6 && absValue < 10n ** 6n) {
-      // Value might already be in USDC units (no decimals needed)
-      const directValue = Number(valueBigInt);
-      if (directValue >= 0.01 && directValue <= 1000000) {
-        return directValue.toFixed(displayDecimals);
-      }
-    }
+// a / b for display (leverage, percentages), rounded on the exact values
+function ratio(numerator, denominator, displayDecimals = 2) {
+  const scale = 10n ** BigInt(displayDecimals);
+  return (
+    Number(
+      divRound(numerator.units * scale, denominator.units, ROUNDING.HALF_UP)
+    ) / Number(scale)
+  );
+}
 
-    // Default: use the expected decimals
-    return parseFloat(
-      ethers.formatUnits(valueBigInt, expectedDecimals)
-    ).toFixed(displayDecimals);
-  } catch (error) {
-    console.error(`Error formatting value ${value}:`, error);
-    return "ERROR";
-  }
+// Size, prices, margin and unrealized P&L of a vault position, marked at the
+// mid of the best bid and ask (the entry price while the book is one-sided)
+function describePosition(position, bestBid, bestAsk) {
+  const size = Amount.fromUnits(position.size);
+  const entryPrice = Price.fromUnits(position.entryPrice);
+  const hasMarket = bestBid > 0n && bestAsk > 0n && bestAsk < ethers.MaxUint256;
+  const markPrice = hasMarket
+    ? Price.fromUnits(bestBid).mid(Price.fromUnits(bestAsk))
+    : entryPrice;
+
+  return {
+    size,
+    absSize: size.abs(),
+    isLong: !size.isNegative(),
+    entryPrice,
+    markPrice,
+    hasMarket,
+    marginLocked: Usdc.fromUnits(position.marginLocked),
+    notional: entryPrice.notional(size.abs()),
+    // Signed size makes this negative for a short that went up
+    unrealizedPnL: markPrice.sub(entryPrice).notional(size, ROUNDING.HALF_UP),
+  };
 }
 
 // Helper function to safely decode marketId bytes32
@@ -128,16 +118,11 @@ async function safeDecodeMarketId(marketId, contracts) {
       return marketSymbolCache.get(marketId);
     }
 
-    // If it's a hash, try to get the symbol from the factory
+    // If it's a hash, look the symbol up in the factory's market catalog
     try {
-      if (contracts && contracts.factory) {
-        const marketData = await contracts.factory.getMarket(marketId);
-        if (marketData && marketData.marketSymbol) {
-          const symbol = marketData.marketSymbol;
-          marketSymbolCache.set(marketId, symbol);
-          return symbol;
-        }
-      }
+      const { symbol } = await getMarket(marketId);
+      marketSymbolCache.set(marketId, symbol);
+      return symbol;
     } catch (e) {
       // Factory lookup failed
     }
@@ -183,184 +168,22 @@ function boxText(text, color = colors.cyan) {
   ].join("\n");
 }
 
-// 📊 UTILITY FUNCTIONS - ENHANCED PRICE ACCURACY
-function formatPrice(price, decimals = 6, displayDecimals = 2) {
-  try {
-    if (!price || price === 0n || price === "0") return "0.00";
-
-    // Handle BigInt conversion
-    const priceValue = typeof price === "bigint" ? price : BigInt(price);
-
-    // Check for extremely large values that might cause overflow
-    const maxSafeValue =
-      BigInt(Number.MAX_SAFE_INTEGER) * BigInt(10 ** decimals);
-    if (priceValue > maxSafeValue) {
-      return "∞";
-    }
-
-    const divisor = BigInt(10 ** decimals);
-    const wholePart = priceValue / divisor;
-    const fractionalPart = priceValue % divisor;
-
-    const fractionalStr = fractionalPart.toString().padStart(decimals, "0");
-    const result =
-      wholePart.toString() + "." + fractionalStr.slice(0, displayDecimals);
-
-    // Validate the result
-    const parsed = parseFloat(result);
-    if (isNaN(parsed) || !isFinite(parsed)) {
-      return "ERROR";
-    }
-
-    return result;
-  } catch (error) {
-    console.error("Price formatting error:", error);
-    return "ERROR";
-  }
+// 📊 UTILITY FUNCTIONS - exact fixed-point formatting (sdk/precision.js)
+function formatPrice(price, displayDecimals = 2) {
+  return Price.fromUnits(price).format(displayDecimals);
 }
 
-function formatAmount(amount, decimals = 18, displayDecimals = 4) {
-  if (!amount || amount === 0n) return "0.0000";
-
-  try {
-    // Use high precision conversion
-    const amountString = ethers.formatUnits(amount, decimals);
-
-    // Parse as BigNumber-like for precision validation
-    const amountBigInt = ethers.parseUnits(amountString, decimals);
-
-    // Validate no precision loss occurred during conversion
-    if (amountBigInt !== amount) {
-      console.warn(
-        `⚠️ Amount precision loss detected: ${amount} -> ${amountBigInt}`
-      );
-    }
-
-    const amountNumber = parseFloat(amountString);
-
-    // Handle very small amounts
-    if (amountNumber < 0.00000001 && amountNumber > 0) {
-      return amountNumber.toFixed(12); // Show more decimals for very small amounts
-    }
-
-    return amountNumber.toFixed(displayDecimals);
-  } catch (error) {
-    console.error(`❌ Amount formatting error for ${amount}:`, error);
-    return "ERROR";
-  }
+function formatAmount(amount, displayDecimals = 4) {
+  return Amount.fromUnits(amount).format(displayDecimals);
 }
 
 function formatUSDC(amount, displayDecimals = 2) {
-  if (!amount || amount === 0n) return "0.00";
-
-  try {
-    // Use high precision conversion for USDC (6 decimals)
-    const usdcString = ethers.formatUnits(amount, 6);
-
-    // Parse as BigNumber-like for precision validation
-    const usdcBigInt = ethers.parseUnits(usdcString, 6);
-
-    // Validate no precision loss occurred during conversion
-    if (usdcBigInt !== amount) {
-      console.warn(
-        `⚠️ USDC precision loss detected: ${amount} -> ${usdcBigInt}`
-      );
-    }
-
-    const usdcNumber = parseFloat(usdcString);
-
-    // Handle very small USDC amounts (micro-cents)
-    if (usdcNumber < 0.000001 && usdcNumber > 0) {
-      return usdcNumber.toFixed(6); // Show full precision for micro amounts
-    }
-
-    return usdcNumber.toFixed(displayDecimals);
-  } catch (error) {
-    console.error(`❌ USDC formatting error for ${amount}:`, error);
-    return "ERROR";
-  }
-}
-
-// 🔍 PRICE VALIDATION AND ACCURACY FUNCTIONS
-function validatePriceAccuracy(originalPrice, formattedPrice, decimals = 6) {
-  try {
-    // Convert formatted price back to BigInt
-    const reconstructedPrice = ethers.parseUnits(formattedPrice, decimals);
-
-    // Calculate precision loss as percentage
-    const difference =
-      originalPrice > reconstructedPrice
-        ? originalPrice - reconstructedPrice
-        : reconstructedPrice - originalPrice;
-
-    const precisionLossPercent =
-      (Number(difference) / Number(originalPrice)) * 100;
-
-    return {
-      isAccurate: difference === 0n,
-      precisionLossPercent,
-      difference: difference.toString(),
-      originalPrice: originalPrice.toString(),
-      reconstructedPrice: reconstructedPrice.toString(),
-    };
-  } catch (error) {
-    return {
-      isAccurate: false,
-      error: error.message,
-    };
-  }
-}
-
-// Helper function to safely calculate mark price
-function calculateSafeMarkPrice(bestBid, bestAsk, fallbackPrice, decimals = 6) {
-  try {
-    // Handle BigInt inputs
-    const bidValue =
-      typeof bestBid === "bigint"
-        ? Number(bestBid) / Math.pow(10, decimals)
-        : 0;
-    const askValue =
-      typeof bestAsk === "bigint"
-        ? Number(bestAsk) / Math.pow(10, decimals)
-        : 0;
-
-    // Check if we have valid market prices
-    if (bidValue > 0 && askValue > 0 && !isNaN(bidValue) && !isNaN(askValue)) {
-      return (bidValue + askValue) / 2;
-    }
-
-    // Return fallback price if no valid market
-    return typeof fallbackPrice === "number" ? fallbackPrice : 0;
-  } catch (error) {
-    console.error("Error calculating mark price:", error);
-    return typeof fallbackPrice === "number" ? fallbackPrice : 0;
-  }
+  return Usdc.fromUnits(amount).format(displayDecimals);
 }
 
-function formatPriceWithValidation(
-  price,
-  decimals = 6,
-  displayDecimals = 2,
-  showWarning = true
-) {
-  const formatted = formatPrice(price, decimals, displayDecimals);
-
-  if (showWarning && formatted !== "ERROR" && formatted !== "∞" && price > 0n) {
-    const validation = validatePriceAccuracy(price, formatted, decimals);
-
-    if (!validation.isAccurate && validation.precisionLossPercent > 0.001) {
-      console.warn(
-        `⚠️ Price accuracy warning: ${validation.precisionLossPercent.toFixed(
-          4
-        )}% precision loss`
-      );
-      console.warn(
-        `   Original: ${validation.originalPrice}, Reconstructed: ${validation.reconstructedPrice}`
-      );
-    }
-  }
-
-  return formatted;
+// Basis points (bigint) as a percentage, e.g. 6250n -> "62.50%"
+function formatBps(bps) {
+  return `${bps / 100n}.${(bps % 100n).toString().padStart(2, "0")}%`;
 }
 
 // 🎭 TRADING INTERFACE CLASS
@@ -426,7 +249,11 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
       this.contracts.mockUSDC = await getContract("MOCK_USDC");
       this.contracts.vault = await getContract("CENTRALIZED_VAULT");
       this.contracts.orderBook = await getContract("ALUMINUM_ORDERBOOK");
+      this.client = await OrderBookClient.create({
+        market: "ALUMINUM_ORDERBOOK",
+      });
       this.contracts.router = await getContract("TRADING_ROUTER");
+      this.portfolio = await PortfolioService.create();
       this.contracts.factory = await getContract("FUTURES_MARKET_FACTORY");
 
       console.log(
@@ -532,71 +359,45 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
     console.log(gradient("═".repeat(80)));
   }
 
+  // Everything the portfolio screens show for an account, read in one
+  // multicall so the numbers all come from the same block
+  async getAccountSnapshot(address) {
+    const { mockUSDC, vault, orderBook } = this.contracts;
+    const [balance, marginSummary, userOrders, positions, bestBid, bestAsk] =
+      await multicall([
+        call(mockUSDC, "balanceOf", [address]),
+        call(vault, "getMarginSummary", [address]),
+        call(orderBook, "getUserOrders", [address]),
+        call(vault, "getUserPositions", [address]),
+        call(orderBook, "bestBid"),
+        call(orderBook, "bestAsk"),
+      ]);
+    return {
+      balance,
+      marginSummary,
+      userOrders,
+      positions,
+      bestBid,
+      bestAsk,
+    };
+  }
+
   async displayPortfolio() {
     try {
-      // Get comprehensive portfolio data
-      const balance = await this.contracts.mockUSDC.balanceOf(
-        this.currentUser.address
-      );
-      const marginSummary = await this.contracts.vault.getMarginSummary(
-        this.currentUser.address
-      );
-      const userOrders = await this.contracts.orderBook.getUserOrders(
-        this.currentUser.address
-      );
-      const positions = await this.contracts.vault.getUserPositions(
+      // Every market the account trades, read at one block
+      const snapshot = await this.portfolio.getSnapshot(
         this.currentUser.address
       );
 
-      // Calculate portfolio metrics
-      // Using auto-detection for decimal precision as some values may be in 18 decimals instead of 6
-      const walletBalance = formatUSDC(balance);
-      const totalCollateral = formatWithAutoDecimalDetection(
-        marginSummary.totalCollateral,
-        6
-      );
-      const availableBalance = formatWithAutoDecimalDetection(
-        marginSummary.availableCollateral,
-        6
-      );
-      const marginUsed = formatWithAutoDecimalDetection(
-        marginSummary.marginUsed,
-        6
-      );
-      const marginReserved = formatUSDC(marginSummary.marginReserved); // This appears to always be correct
-      // Handle realizedPnL - it's stored with 24 decimals (price diff * size)
-      const realizedPnLBigInt = BigInt(
-        (marginSummary.realizedPnL || 0).toString()
-      );
-      // Realized P&L is in 24 decimals (6 decimals price * 18 decimals size)
-      const realizedPnLStr = parseFloat(
-        ethers.formatUnits(realizedPnLBigInt, 24)
-      ).toFixed(2);
-      const realizedPnL = parseFloat(realizedPnLStr);
-      // Handle signed int256 for unrealizedPnL
-      let unrealizedPnLBigInt;
-      try {
-        // Check if it's already a BigInt or needs conversion
-        if (typeof marginSummary.unrealizedPnL === "bigint") {
-          unrealizedPnLBigInt = marginSummary.unrealizedPnL;
-        } else {
-          // Convert from string representation, handling potential negative values
-          unrealizedPnLBigInt = BigInt(
-            (marginSummary.unrealizedPnL || 0).toString()
-          );
-        }
-      } catch (e) {
-        unrealizedPnLBigInt = 0n;
-      }
-
-      const unrealizedPnL = parseFloat(
-        ethers.formatUnits(unrealizedPnLBigInt, 18) // P&L is in 18 decimals (ALU precision)
-      );
-      // Portfolio value calculation fix: The contract incorrectly mixes decimal precisions
-      // It adds collateral + realizedPnL + unrealizedPnL (but with mixed decimals)
-      // We need to recalculate it correctly here using our auto-detected values
-      const totalCollateralNum = parseFloat(totalCollateral);
-      const portfolioValue = totalCollateralNum + realizedPnL + unrealizedPnL;
+      const walletBalance = snapshot.wallet.format(2);
+      const totalCollateral = snapshot.collateral.format(2);
+      const availableBalance = snapshot.freeCollateral.format(2);
+      const marginUsed = snapshot.marginUsed.format(2);
+      const marginReserved = snapshot.marginReserved.format(2);
+      const { realizedPnL, unrealizedPnL, equity } = snapshot;
+      const positionCount = snapshot.markets.filter(
+        (market) => !market.size.isZero()
+      ).length;
 
       console.log(
         colorText("\n💰 COMPREHENSIVE PORTFOLIO OVERVIEW", colors.brightYellow)
@@ -705,27 +506,26 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
         )
       );
 
-      // Determine sign based on the BigInt value, not the parsed float
-      const realizedColor = realizedPnLBigInt >= 0n ? colors.green : colors.red;
-      const realizedSign = realizedPnLBigInt >= 0n ? "+" : "";
-      // Use the string format directly from formatWithAutoDecimalDetection
-      const realizedPnLDisplay = realizedSign + realizedPnLStr;
+      const realizedColor = realizedPnL.isNegative()
+        ? colors.red
+        : colors.green;
       console.log(
         colorText(
           `│ Realized P&L:       ${colorText(
-            realizedPnLDisplay.padStart(12),
+            realizedPnL.format(2, { sign: true }).padStart(12),
             realizedColor
           )} USDC                │`,
           colors.white
         )
       );
 
-      const unrealizedColor = unrealizedPnL >= 0 ? colors.green : colors.red;
-      const unrealizedSign = unrealizedPnL >= 0 ? "+" : "";
+      const unrealizedColor = unrealizedPnL.isNegative()
+        ? colors.red
+        : colors.green;
       console.log(
         colorText(
           `│ Unrealized P&L:     ${colorText(
-            (unrealizedSign + unrealizedPnL.toFixed(2)).padStart(12),
+            unrealizedPnL.format(2, { sign: true }).padStart(12),
             unrealizedColor
           )} USDC                │`,
           colors.white
@@ -752,17 +552,83 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
         )
       );
 
-      const portfolioColor =
-        portfolioValue >= 0 ? colors.brightGreen : colors.brightRed;
+      // Realized P&L is already in the collateral - only unrealized is added
+      const equityColor = equity.isNegative()
+        ? colors.brightRed
+        : colors.brightGreen;
       console.log(
         colorText(
-          `│ Portfolio Value:    ${colorText(
-            portfolioValue.toFixed(2).padStart(12),
-            portfolioColor
+          `│ Equity:             ${colorText(
+            equity.format(2).padStart(12),
+            equityColor
           )} USDC                │`,
           colors.white
         )
       );
+      console.log(
+        colorText(
+          `│ Notional at Mark:   ${snapshot.notional
+            .format(2)
+            .padStart(12)} USDC                │`,
+          colors.white
+        )
+      );
+
+      // Per-market Section
+      if (snapshot.markets.length > 0) {
+        console.log(
+          colorText(
+            "├─────────────────────────────────────────────────────────────┤",
+            colors.cyan
+          )
+        );
+        console.log(
+          colorText(
+            "│                      🌐 BY MARKET                           │",
+            colors.bright
+          )
+        );
+        console.log(
+          colorText(
+            "├─────────────────────────────────────────────────────────────┤",
+            colors.cyan
+          )
+        );
+        for (const market of snapshot.markets) {
+          const side = market.size.isZero()
+            ? "ORDERS"
+            : market.isLong
+            ? "LONG"
+            : "SHORT";
+          const pnlColor = market.unrealizedPnL.isNegative()
+            ? colors.red
+            : colors.green;
+          console.log(
+            colorText(
+              `│ ${market.symbol.padEnd(10)} ${side.padEnd(6)} ${market.size
+                .abs()
+                .format(4)
+                .padStart(10)} @ mark ${market.markPrice
+                .format(2)
+                .padStart(10)}  ${formatBps(market.shareBps).padStart(7)} │`,
+              colors.white
+            )
+          );
+          console.log(
+            colorText(
+              `│            P&L ${colorText(
+                market.unrealizedPnL.format(2, { sign: true }).padStart(10),
+                pnlColor
+              )}  margin ${market.marginLocked
+                .format(2)
+                .padStart(9)}  reserved ${market.marginReserved
+                .format(2)
+                .padStart(8)} │`,
+              colors.dim
+            )
+          );
+        }
+      }
 
       // Trading Activity Section
       console.log(
@@ -785,7 +651,7 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
       );
       console.log(
         colorText(
-          `│ Active Orders:      ${userOrders.length
+          `│ Active Orders:      ${snapshot.openOrders
             .toString()
             .padStart(12)}                     │`,
           colors.yellow
@@ -793,7 +659,7 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
       );
       console.log(
         colorText(
-          `│ Open Positions:     ${positions.length
+          `│ Open Positions:     ${positionCount
             .toString()
             .padStart(12)}                     │`,
           colors.magenta
@@ -816,7 +682,7 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
         )
       );
 
-      if (parseFloat(availableBalance) > 0) {
+      if (snapshot.freeCollateral.isPositive()) {
         console.log(
           colorText(
             `│ ✅ You have ${colorText(
@@ -835,7 +701,7 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
         );
       }
 
-      if (parseFloat(marginUsed) > 0) {
+      if (snapshot.marginUsed.isPositive()) {
         console.log(
           colorText(
             `│ 🔒 ${colorText(
@@ -847,7 +713,7 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
         );
       }
 
-      if (parseFloat(marginReserved) > 0) {
+      if (snapshot.marginReserved.isPositive()) {
         console.log(
           colorText(
             `│ ⏳ ${colorText(
@@ -859,6 +725,24 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
         );
       }
 
+      if (positionCount > 1) {
+        console.log(
+          colorText(
+            `│ 🎯 ${colorText(
+              formatBps(snapshot.concentration.bps),
+              colors.yellow
+            )} of your notional is in ${snapshot.concentration.symbol.padEnd(
+              12
+            )}              │`,
+            colors.white
+          )
+        );
+      }
+
+      for (const warning of snapshot.warnings) {
+        console.log(colorText(`│ ⚠️  ${warning}`, colors.yellow));
+      }
+
       console.log(
         colorText(
           "└─────────────────────────────────────────────────────────────┘",
@@ -920,10 +804,12 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
     );
 
     try {
-      const [buyCount, sellCount] =
-        await this.contracts.orderBook.getActiveOrdersCount();
-      const bestBid = await this.contracts.orderBook.bestBid();
-      const bestAsk = await this.contracts.orderBook.bestAsk();
+      const { orderBook } = this.contracts;
+      const [[buyCount, sellCount], bestBid, bestAsk] = await multicall([
+        call(orderBook, "getActiveOrdersCount"),
+        call(orderBook, "bestBid"),
+        call(orderBook, "bestAsk"),
+      ]);
 
       console.log(
         colorText(
@@ -965,7 +851,7 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
       // Get enhanced order book depth with user info
       try {
         const depth = 5;
-        const enhancedBookData = await this.getEnhancedOrderBookDepth(depth);
+        const enhancedBookData = await this.client.getDepthWithTraders(depth);
 
         const maxRows = Math.max(
           enhancedBookData.bids.length,
@@ -979,8 +865,8 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
 
           if (i < enhancedBookData.bids.length) {
             const bid = enhancedBookData.bids[i];
-            const price = formatPriceWithValidation(bid.price, 6, 4, false);
-            const amount = formatAmount(bid.amount, 18, 4);
+            const price = bid.price.format(4);
+            const amount = bid.amount.format(4);
             const user = this.formatUserDisplay(bid.trader);
             bidInfo = colorText(
               `$${price.padStart(6)} ${amount.padStart(8)} ${user.padEnd(8)}`,
@@ -990,8 +876,8 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
 
           if (i < enhancedBookData.asks.length) {
             const ask = enhancedBookData.asks[i];
-            const price = formatPriceWithValidation(ask.price, 6, 4, false);
-            const amount = formatAmount(ask.amount, 18, 4);
+            const price = ask.price.format(4);
+            const amount = ask.amount.format(4);
             const user = this.formatUserDisplay(ask.trader);
             askInfo = colorText(
               `$${price.padStart(6)} ${amount.padStart(8)} ${user.padEnd(8)}`,
@@ -1031,10 +917,10 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
       console.log(
         colorText(
           `│ Best Bid: ${colorText(
-            "$" + formatPriceWithValidation(bestBid, 6, 4, false),
+            "$" + formatPrice(bestBid, 4),
             colors.green
           ).padEnd(25)} Best Ask: ${colorText(
-            "$" + formatPriceWithValidation(bestAsk, 6, 4, false),
+            "$" + formatPrice(bestAsk, 4),
             colors.red
           ).padEnd(25)} │`,
           colors.white
@@ -1062,77 +948,6 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
     }
   }
 
-  // Helper function to get enhanced order book data with trader information
-  async getEnhancedOrderBookDepth(depth) {
-    const [bidPrices, bidAmounts, askPrices, askAmounts] =
-      await this.contracts.orderBook.getOrderBookDepth(depth);
-
-    const bids = [];
-    const asks = [];
-
-    // Get detailed bid information
-    for (let i = 0; i < bidPrices.length && bidPrices[i] > 0; i++) {
-      const price = bidPrices[i];
-      const totalAmount = bidAmounts[i];
-
-      // Get the first order at this price level to show as representative trader
-      try {
-        const buyLevel = await this.contracts.orderBook.buyLevels(price);
-        if (buyLevel.exists && buyLevel.firstOrderId > 0) {
-          const firstOrder = await this.contracts.orderBook.getOrder(
-            buyLevel.firstOrderId
-          );
-          bids.push({
-            price: price,
-            amount: totalAmount,
-            trader: firstOrder.trader,
-            orderId: buyLevel.firstOrderId,
-          });
-        }
-      } catch (error) {
-        // Fallback if we can't get order details
-        bids.push({
-          price: price,
-          amount: totalAmount,
-          trader: ethers.ZeroAddress,
-          orderId: 0,
-        });
-      }
-    }
-
-    // Get detailed ask information
-    for (let i = 0; i < askPrices.length && askPrices[i] > 0; i++) {
-      const price = askPrices[i];
-      const totalAmount = askAmounts[i];
-
-      // Get the first order at this price level to show as representative trader
-      try {
-        const sellLevel = await this.contracts.orderBook.sellLevels(price);
-        if (sellLevel.exists && sellLevel.firstOrderId > 0) {
-          const firstOrder = await this.contracts.orderBook.getOrder(
-            sellLevel.firstOrderId
-          );
-          asks.push({
-            price: price,
-            amount: totalAmount,
-            trader: firstOrder.trader,
-            orderId: sellLevel.firstOrderId,
-          });
-        }
-      } catch (error) {
-        // Fallback if we can't get order details
-        asks.push({
-          price: price,
-          amount: totalAmount,
-          trader: ethers.ZeroAddress,
-          orderId: 0,
-        });
-      }
-    }
-
-    return { bids, asks };
-  }
-
   // Helper function to format user display
   formatUserDisplay(traderAddress) {
     if (!traderAddress || traderAddress === ethers.ZeroAddress) {
@@ -1185,13 +1000,8 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
             const sideColor = positionSize >= 0n ? colors.green : colors.red;
 
             // Use high-precision formatting functions for accuracy
-            const size = formatAmount(absSize, 18, 3); // 3 decimals for position size
-            const entryPrice = formatPriceWithValidation(
-              BigInt(position.entryPrice.toString()),
-              6,
-              4, // 4 decimals for higher price precision
-              false // Don't show warnings in quick summary
-            );
+            const size = formatAmount(absSize, 3); // 3 decimals for position size
+            const entryPrice = formatPrice(position.entryPrice, 4);
 
             console.log(
               colorText(
@@ -1269,7 +1079,7 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
     );
     console.log(
       colorText(
-        "│ 13. 🔄 RESET ALL (Cancel & Fund Users) │",
+        "│ 13. 🔄 RESET (Restore Fixture)         │",
         colors.brightYellow
       )
     );
@@ -1343,6 +1153,119 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
     }
   }
 
+  /**
+   * Print an order preview (sdk/order-preflight.js) before it is confirmed
+   * @param {object} preview - From client.previewLimitOrder() /
+   *   previewMarketOrder()
+   */
+  displayOrderPreview(preview) {
+    console.log(
+      colorText(
+        `\n🔮 Pre-flight (block ${preview.blockNumber}):`,
+        colors.brightYellow
+      )
+    );
+    preview.warnings.forEach((warning) =>
+      console.log(colorText(`   ⚠️  ${warning}`, colors.yellow))
+    );
+
+    if (preview.willRevert) {
+      console.log(
+        colorText(
+          `   ❌ Expected to revert: ${formatError(
+            preview.staticCall.error || preview.revert
+          )}`,
+          colors.red
+        )
+      );
+      return;
+    }
+
+    if (preview.fills.length === 0) {
+      console.log(
+        colorText(
+          preview.type === "limit"
+            ? "   Nothing crosses - the whole order rests in the book"
+            : "   Nothing fills",
+          colors.dim
+        )
+      );
+    }
+    for (const fill of preview.fills) {
+      console.log(
+        colorText(
+          `   Fill ${fill.amount.format(4)} ALU @ $${fill.price.format(
+            2
+          )}  fee $${fill.fee.format(2)}  margin +$${fill.marginLocked.format(
+            2
+          )} / -$${fill.marginReleased.format(2)}`,
+          colors.cyan
+        )
+      );
+    }
+    if (preview.averagePrice) {
+      console.log(
+        colorText(
+          `   Filled: ${
+            preview.filled
+          } ALU @ avg $${preview.averagePrice.format(4)}`,
+          colors.green
+        )
+      );
+    }
+    if (preview.remaining.isPositive()) {
+      console.log(
+        colorText(
+          `   Rests: ${
+            preview.remaining
+          } ALU with $${preview.margin.resting.format(2)} reserved`,
+          colors.cyan
+        )
+      );
+    }
+    if (preview.cancelled.isPositive()) {
+      console.log(
+        colorText(`   Cancelled: ${preview.cancelled} ALU`, colors.magenta)
+      );
+    }
+    console.log(
+      colorText(
+        `   Fees: $${preview.fees.format(
+          2
+        )}  Realized P&L: $${preview.realizedPnL.format(2)}`,
+        colors.yellow
+      )
+    );
+    console.log(
+      colorText(
+        `   Available collateral: $${preview.collateral.before.format(
+          2
+        )} → $${preview.collateral.after.format(2)}`,
+        colors.yellow
+      )
+    );
+    if (preview.position) {
+      const { status, newSize, newEntryPrice } = preview.position;
+      const side = newSize.isNegative() ? "SHORT" : "LONG";
+      console.log(
+        colorText(
+          status === "closed"
+            ? "   Position after: closed"
+            : `   Position after: ${side} ${newSize
+                .abs()
+                .format(4)} ALU @ $${newEntryPrice.format(2)} (${status})`,
+          colors.magenta
+        )
+      );
+    }
+    console.log(
+      colorText(
+        "   ✅ Simulation passed - the order should go through",
+        colors.green
+      )
+    );
+  }
+
   async placeLimitOrder(isBuy) {
     console.clear();
     console.log(
@@ -1359,12 +1282,15 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
     );
 
     try {
-      const price = await this.askQuestion(
-        colorText(`💰 Enter price (USDC): $`, colors.yellow)
+      const price = parsePositive(
+        Price,
+        await this.askQuestion(
+          colorText(`💰 Enter price (USDC): $`, colors.yellow)
+        )
       );
 
-      if (!price || isNaN(price)) {
-        console.log(colorText("❌ Invalid price", colors.red));
+      if (!price) {
+        console.log(colorText("❌ Invalid price (max 6 decimals)", colors.red));
         await this.pause(2000);
         return;
       }
@@ -1390,33 +1316,38 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
 
       if (sizeChoice === "1") {
         // Traditional ALU amount input
-        const aluAmount = await this.askQuestion(
-          colorText(`📊 Enter amount (ALU): `, colors.cyan)
+        amount = parsePositive(
+          Amount,
+          await this.askQuestion(
+            colorText(`📊 Enter amount (ALU): `, colors.cyan)
+          )
         );
 
-        if (!aluAmount || isNaN(aluAmount)) {
+        if (!amount) {
           console.log(colorText("❌ Invalid ALU amount", colors.red));
           await this.pause(2000);
           return;
         }
 
-        amount = aluAmount;
-        totalValue = (parseFloat(price) * parseFloat(amount)).toFixed(2);
+        totalValue = price.notional(amount);
       } else if (sizeChoice === "2") {
         // USDC position value input
-        const usdcValue = await this.askQuestion(
-          colorText(`💵 Enter position value (USDC): $`, colors.green)
+        const usdcValue = parsePositive(
+          Usdc,
+          await this.askQuestion(
+            colorText(`💵 Enter position value (USDC): $`, colors.green)
+          )
         );
 
-        if (!usdcValue || isNaN(usdcValue)) {
+        if (!usdcValue) {
           console.log(colorText("❌ Invalid USDC value", colors.red));
           await this.pause(2000);
           return;
         }
 
-        // Calculate ALU amount from USDC value
-        totalValue = parseFloat(usdcValue).toFixed(2);
-        amount = (parseFloat(usdcValue) / parseFloat(price)).toFixed(6);
+        // Largest ALU amount whose value doesn't exceed the USDC entered
+        amount = usdcValue.amountAt(price);
+        totalValue = price.notional(amount);
       } else {
         console.log(colorText("❌ Invalid choice", colors.red));
         await this.pause(2000);
@@ -1433,15 +1364,24 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
       console.log(colorText(`   Price: $${price} USDC`, colors.yellow));
       console.log(colorText(`   Amount: ${amount} ALU`, colors.cyan));
       console.log(
-        colorText(`   Position Value: $${totalValue} USDC`, colors.magenta)
+        colorText(
+          `   Position Value: $${totalValue.format(2)} USDC`,
+          colors.magenta
+        )
       );
       console.log(
         colorText(
-          `   Collateral Required: $${totalValue} USDC (1:1 ratio)`,
+          `   Collateral Required: $${totalValue.format(2)} USDC (1:1 ratio)`,
           colors.brightCyan
         )
       );
 
+      this.displayOrderPreview(
+        await this.client
+          .connect(this.currentUser)
+          .previewLimitOrder({ price, amount, isBuy })
+      );
+
       const confirm = await this.askQuestion(
         colorText("\n✅ Confirm order? (y/n): ", colors.brightGreen)
       );
@@ -1449,28 +1389,43 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
       if (confirm.toLowerCase() === "y" || confirm.toLowerCase() === "yes") {
         console.log(colorText("\n🚀 Placing order...", colors.yellow));
 
-        const priceWei = ethers.parseUnits(price, 6);
-        const amountWei = ethers.parseUnits(amount, 18);
-
-        const tx = await this.contracts.orderBook
+        const result = await this.client
           .connect(this.currentUser)
-          .placeMarginLimitOrder(priceWei, amountWei, isBuy);
-
-        console.log(colorText("⏳ Transaction submitted...", colors.yellow));
-        const receipt = await tx.wait();
+          .placeLimitOrder({ price, amount, isBuy });
 
         console.log(
-          colorText("✅ Order placed successfully!", colors.brightGreen)
+          colorText(
+            `✅ Order #${result.orderId} placed - ${result.status}`,
+            colors.brightGreen
+          )
         );
-        console.log(colorText(`📄 Transaction: ${tx.hash}`, colors.dim));
+        if (result.fills.length > 0) {
+          console.log(
+            colorText(
+              `📊 Filled ${result.filled} ALU @ avg $${result.averagePrice} (${result.fills.length} trade(s))`,
+              colors.green
+            )
+          );
+        }
+        if (result.status !== "filled") {
+          console.log(
+            colorText(
+              `📋 Resting: ${result.remaining} ALU, margin reserved $${result.marginReserved}`,
+              colors.cyan
+            )
+          );
+        }
+        console.log(colorText(`📄 Transaction: ${result.hash}`, colors.dim));
         console.log(
-          colorText(`⛽ Gas used: ${receipt.gasUsed.toString()}`, colors.dim)
+          colorText(`⛽ Gas used: ${result.gasUsed.toString()}`, colors.dim)
         );
       } else {
         console.log(colorText("❌ Order cancelled", colors.yellow));
       }
     } catch (error) {
-      console.log(colorText("❌ Order failed: " + error.message, colors.red));
+      console.log(
+        colorText("❌ Order failed: " + formatError(error), colors.red)
+      );
     }
 
     await this.pause(3000);
@@ -1544,37 +1499,38 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
 
       if (sizeChoice === "1") {
         // Traditional ALU amount input
-        const aluAmount = await this.askQuestion(
-          colorText(`📊 Enter amount (ALU): `, colors.cyan)
+        amount = parsePositive(
+          Amount,
+          await this.askQuestion(
+            colorText(`📊 Enter amount (ALU): `, colors.cyan)
+          )
         );
 
-        if (!aluAmount || isNaN(aluAmount)) {
+        if (!amount) {
           console.log(colorText("❌ Invalid ALU amount", colors.red));
           await this.pause(2000);
           return;
         }
 
-        amount = aluAmount;
-        estimatedValue = (
-          parseFloat(refPriceFormatted) * parseFloat(amount)
-        ).toFixed(2);
+        estimatedValue = Price.fromUnits(referencePrice).notional(amount);
       } else if (sizeChoice === "2") {
         // USDC position value input
-        const usdcValue = await this.askQuestion(
-          colorText(`💵 Enter position value (USDC): $`, colors.green)
+        const usdcValue = parsePositive(
+          Usdc,
+          await this.askQuestion(
+            colorText(`💵 Enter position value (USDC): $`, colors.green)
+          )
         );
 
-        if (!usdcValue || isNaN(usdcValue)) {
+        if (!usdcValue) {
           console.log(colorText("❌ Invalid USDC value", colors.red));
           await this.pause(2000);
           return;
         }
 
-        // Calculate approximate ALU amount from USDC value using reference price
-        estimatedValue = parseFloat(usdcValue).toFixed(2);
-        amount = (
-          parseFloat(usdcValue) / parseFloat(refPriceFormatted)
-        ).toFixed(6);
+        // Approximate ALU amount at the reference price
+        amount = usdcValue.amountAt(Price.fromUnits(referencePrice));
+        estimatedValue = usdcValue;
       } else {
         console.log(colorText("❌ Invalid choice", colors.red));
         await this.pause(2000);
@@ -1623,7 +1579,10 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
       );
       console.log(colorText(`   Amount: ${amount} ALU`, colors.cyan));
       console.log(
-        colorText(`   Estimated Value: $${estimatedValue} USDC`, colors.magenta)
+        colorText(
+          `   Estimated Value: $${estimatedValue.format(2)} USDC`,
+          colors.magenta
+        )
       );
       console.log(
         colorText(`   Reference Price: $${refPriceFormatted}`, colors.cyan)
@@ -1663,6 +1622,12 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
         )
       );
 
+      this.displayOrderPreview(
+        await this.client
+          .connect(this.currentUser)
+          .previewMarketOrder({ amount, isBuy, slippageBps })
+      );
+
       const confirm = await this.askQuestion(
         colorText(
           "\n✅ Confirm market order with slippage protection? (y/n): ",
@@ -1678,41 +1643,31 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
           )
         );
 
-        const amountWei = ethers.parseUnits(amount, 18);
-
-        // Use the slippage-aware market order function
-        const filledAmountWei = await this.contracts.orderBook
+        // Slippage-aware market order - the unfilled part is cancelled
+        const result = await this.client
           .connect(this.currentUser)
-          .placeMarginMarketOrderWithSlippage.staticCall(
-            amountWei,
-            isBuy,
-            slippageBps
-          );
+          .placeMarketOrder({ amount, isBuy, slippageBps });
 
-        const tx = await this.contracts.orderBook
-          .connect(this.currentUser)
-          .placeMarginMarketOrderWithSlippage(amountWei, isBuy, slippageBps);
-
-        console.log(colorText("⏳ Transaction submitted...", colors.yellow));
-        const receipt = await tx.wait();
-
-        const filledAmount = parseFloat(
-          ethers.formatUnits(filledAmountWei, 18)
-        );
-        const requestedAmount = parseFloat(amount);
-        const fillRate = (filledAmount / requestedAmount) * 100;
+        const filledAmount = result.filled;
+        const requestedAmount = amount;
+        const fillRate = ratio(filledAmount.mul(100), requestedAmount, 1);
 
         console.log(colorText("✅ Market order executed!", colors.brightGreen));
         console.log(
           colorText(`📊 Requested: ${requestedAmount} ALU`, colors.cyan)
         );
         console.log(colorText(`📊 Filled: ${filledAmount} ALU`, colors.green));
+        if (result.averagePrice) {
+          console.log(
+            colorText(`📊 Average price: $${result.averagePrice}`, colors.green)
+          );
+        }
         console.log(
           colorText(`📊 Fill Rate: ${fillRate.toFixed(1)}%`, colors.cyan)
         );
 
-        if (filledAmount < requestedAmount) {
-          const cancelledAmount = requestedAmount - filledAmount;
+        if (filledAmount.lt(requestedAmount)) {
+          const cancelledAmount = result.cancelled;
           console.log(
             colorText(
               `🛡️ Cancelled: ${cancelledAmount} ALU (slippage protection)`,
@@ -1734,16 +1689,16 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
           );
         }
 
-        console.log(colorText(`📄 Transaction: ${tx.hash}`, colors.dim));
+        console.log(colorText(`📄 Transaction: ${result.hash}`, colors.dim));
         console.log(
-          colorText(`⛽ Gas used: ${receipt.gasUsed.toString()}`, colors.dim)
+          colorText(`⛽ Gas used: ${result.gasUsed.toString()}`, colors.dim)
         );
       } else {
         console.log(colorText("❌ Order cancelled", colors.yellow));
       }
     } catch (error) {
       console.log(
-        colorText("❌ Market order failed: " + error.message, colors.red)
+        colorText("❌ Market order failed: " + formatError(error), colors.red)
       );
     }
 
@@ -1852,21 +1807,31 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
         );
 
         let filledCount = 0;
-        let totalValue = 0;
+        let totalValue = Usdc.zero();
+
+        // Every order and its fill in one round trip
+        const reads = await tryMulticall(
+          [...userOrders].flatMap((orderId) => [
+            call(this.contracts.orderBook, "getOrder", [orderId]),
+            call(this.contracts.orderBook, "getFilledAmount", [orderId]),
+          ])
+        );
 
         for (let i = 0; i < userOrders.length; i++) {
           const orderId = userOrders[i];
           try {
-            const order = await this.contracts.orderBook.getOrder(orderId);
+            const [orderRead, filledRead] = reads.slice(2 * i, 2 * i + 2);
+            if (!orderRead.success || !filledRead.success) {
+              throw orderRead.error || filledRead.error;
+            }
+            const order = orderRead.value;
 
             // Skip if order doesn't exist or is invalid
             if (order.trader === ethers.ZeroAddress) {
               continue;
             }
 
-            const filled = await this.contracts.orderBook.getFilledAmount(
-              orderId
-            );
+            const filled = filledRead.value;
 
             const shortId = orderId.toString().slice(0, 10) + "...";
             const isBuy = order.isBuy;
@@ -1875,10 +1840,10 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
               : colorText("SELL", colors.red);
 
             // Enhanced price formatting with validation
-            const price = formatPriceWithValidation(order.price, 6, 4, false); // 4 decimals for higher precision
-            const originalAmount = formatAmount(order.amount + filled, 18, 6); // More precision for amounts
-            const remainingAmount = formatAmount(order.amount, 18, 6);
-            const filledAmount = formatAmount(filled, 18, 6);
+            const price = formatPrice(order.price, 4); // 4 decimals for higher precision
+            const originalAmount = formatAmount(order.amount + filled, 6); // More precision for amounts
+            const remainingAmount = formatAmount(order.amount, 6);
+            const filledAmount = formatAmount(filled, 6);
 
             // Calculate order age
             const orderTime = new Date(Number(order.timestamp) * 1000);
@@ -1907,18 +1872,17 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
             }
 
             // Calculate order value
-            const orderValue = parseFloat(price) * parseFloat(remainingAmount);
-            totalValue += orderValue;
-
-            // Enhanced display with price validation indicator
-            const priceValidation = validatePriceAccuracy(
-              order.price,
-              price,
-              6
+            totalValue = totalValue.add(
+              Price.fromUnits(order.price).notional(
+                Amount.fromUnits(order.amount)
+              )
             );
-            const priceDisplay = priceValidation.isAccurate
+
+            // Asterisk: the price has more decimals than shown
+            const exactPrice = Price.fromUnits(order.price);
+            const priceDisplay = exactPrice.round(4).eq(exactPrice)
               ? ("$" + price).padStart(12)
-              : ("$" + price + "*").padStart(12); // Add asterisk for precision loss
+              : ("$" + price + "*").padStart(12);
 
             console.log(
               colorText(
@@ -1960,7 +1924,7 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
         // Summary row
         console.log(
           colorText(
-            `│ 📊 SUMMARY: ${activeCount} active, ${filledCount} filled │ Total Value: $${totalValue.toFixed(
+            `│ 📊 SUMMARY: ${activeCount} active, ${filledCount} filled │ Total Value: $${totalValue.format(
               2
             )} USDC                     │`,
             colors.brightYellow
@@ -1992,13 +1956,13 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
         );
         console.log(
           colorText(
-            "   • Prices marked with (*) indicate minor precision loss during conversion",
+            "   • Prices marked with (*) have more decimals than shown",
             colors.yellow
           )
         );
         console.log(
           colorText(
-            "   • All values validated against blockchain state for accuracy",
+            "   • Values are exact on-chain units, rounded only for display",
             colors.green
           )
         );
@@ -2113,8 +2077,8 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
           const order = await this.contracts.orderBook.getOrder(orderId);
           if (order.trader !== ethers.ZeroAddress && order.amount > 0) {
             const type = order.isBuy ? "BUY" : "SELL";
-            const price = formatPriceWithValidation(order.price, 6, 4, false);
-            const amount = formatAmount(order.amount, 18, 6);
+            const price = formatPrice(order.price, 4);
+            const amount = formatAmount(order.amount, 6);
 
             console.log(
               colorText(
@@ -2145,13 +2109,15 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
           colorText(`\n🗑️ Cancelling order ${orderId}...`, colors.yellow)
         );
 
-        const tx = await this.contracts.orderBook
+        const result = await this.client
           .connect(this.currentUser)
           .cancelOrder(orderId);
-        await tx.wait();
 
         console.log(
-          colorText("✅ Order cancelled successfully!", colors.brightGreen)
+          colorText(
+            `✅ Order cancelled successfully! Released $${result.marginReleased} margin`,
+            colors.brightGreen
+          )
         );
         await this.pause(2000);
       } else if (selection !== "0") {
@@ -2159,7 +2125,9 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
         await this.pause(1000);
       }
     } catch (error) {
-      console.log(colorText("❌ Cancel failed: " + error.message, colors.red));
+      console.log(
+        colorText("❌ Cancel failed: " + formatError(error), colors.red)
+      );
       await this.pause(2000);
     }
   }
@@ -2181,9 +2149,8 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
     }
 
     try {
-      const userOrders = await this.contracts.orderBook.getUserOrders(
-        this.currentUser.address
-      );
+      const client = this.client.connect(this.currentUser);
+      const userOrders = await client.getUserOrders();
 
       console.log(
         colorText(
@@ -2195,19 +2162,13 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
       let successCount = 0;
       let failCount = 0;
 
-      for (const orderId of userOrders) {
+      for (const { orderId } of userOrders) {
         try {
-          const order = await this.contracts.orderBook.getOrder(orderId);
-          if (order.trader !== ethers.ZeroAddress && order.amount > 0) {
-            const tx = await this.contracts.orderBook
-              .connect(this.currentUser)
-              .cancelOrder(orderId);
-            await tx.wait();
-            successCount++;
-            console.log(
-              colorText(`   ✅ Cancelled order ${orderId}`, colors.green)
-            );
-          }
+          await client.cancelOrder(orderId);
+          successCount++;
+          console.log(
+            colorText(`   ✅ Cancelled order ${orderId}`, colors.green)
+          );
         } catch (error) {
           failCount++;
           console.log(
@@ -2225,7 +2186,7 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
       await this.pause(3000);
     } catch (error) {
       console.log(
-        colorText("❌ Bulk cancel failed: " + error.message, colors.red)
+        colorText("❌ Bulk cancel failed: " + formatError(error), colors.red)
       );
       await this.pause(2000);
     }
@@ -2304,7 +2265,9 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
         console.log(colorText("❌ Invalid selection", colors.red));
       }
     } catch (error) {
-      console.log(colorText("❌ Cancel failed: " + error.message, colors.red));
+      console.log(
+        colorText("❌ Cancel failed: " + formatError(error), colors.red)
+      );
     }
 
     await this.pause(3000);
@@ -2315,77 +2278,30 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
     console.log(boxText("📊 DETAILED PORTFOLIO ANALYSIS", colors.brightCyan));
 
     try {
-      // Get comprehensive data
-      const marginSummary = await this.contracts.vault.getMarginSummary(
-        this.currentUser.address
-      );
-      const positions = await this.contracts.vault.getUserPositions(
-        this.currentUser.address
-      );
-      const userOrders = await this.contracts.orderBook.getUserOrders(
-        this.currentUser.address
-      );
-      const balance = await this.contracts.mockUSDC.balanceOf(
+      // Every market at one block; the raw positions (same block) feed the
+      // management actions below
+      const snapshot = await this.portfolio.getSnapshot(
         this.currentUser.address
       );
+      const positions = [
+        ...(await this.contracts.vault.getUserPositions(
+          this.currentUser.address,
+          { blockTag: snapshot.blockNumber }
+        )),
+      ];
 
-      // Calculate key metrics with auto-decimal detection
-      const totalCollateral = parseFloat(
-        formatWithAutoDecimalDetection(
-          BigInt(marginSummary.totalCollateral.toString()),
-          6
-        )
-      );
-      const availableBalance = parseFloat(
-        formatWithAutoDecimalDetection(
-          BigInt(marginSummary.availableCollateral.toString()),
-          6
-        )
-      );
-      const marginUsed = parseFloat(
-        formatWithAutoDecimalDetection(
-          BigInt(marginSummary.marginUsed.toString()),
-          6
-        )
-      );
-      const marginReserved = parseFloat(
-        formatUSDC(BigInt(marginSummary.marginReserved.toString()))
-      );
-      // Handle realizedPnL - it's stored with 24 decimals (price diff * size)
-      const realizedPnLBigInt = BigInt(
-        (marginSummary.realizedPnL || 0).toString()
-      );
-      // Realized P&L is in 24 decimals (6 decimals price * 18 decimals size)
-      const realizedPnLStr = parseFloat(
-        ethers.formatUnits(realizedPnLBigInt, 24)
-      ).toFixed(2);
-      const realizedPnL = parseFloat(realizedPnLStr);
-      // Handle signed int256 for unrealizedPnL
-      let unrealizedPnLBigInt;
-      try {
-        // Check if it's already a BigInt or needs conversion
-        if (typeof marginSummary.unrealizedPnL === "bigint") {
-          unrealizedPnLBigInt = marginSummary.unrealizedPnL;
-        } else {
-          // Convert from string representation, handling potential negative values
-          unrealizedPnLBigInt = BigInt(
-            (marginSummary.unrealizedPnL || 0).toString()
-          );
-        }
-      } catch (e) {
-        unrealizedPnLBigInt = 0n;
-      }
-
-      const unrealizedPnL = parseFloat(
-        ethers.formatUnits(unrealizedPnLBigInt, 18) // P&L is in 18 decimals (ALU precision)
-      );
-      // Portfolio value calculation fix: The contract incorrectly mixes decimal precisions
-      // It adds collateral + realizedPnL + unrealizedPnL (but with mixed decimals)
-      // We need to recalculate it correctly here using our auto-detected values
-      const totalCollateralNum = parseFloat(totalCollateral);
-      const portfolioValue = totalCollateralNum + realizedPnL + unrealizedPnL;
-      const walletBalance = parseFloat(
-        ethers.formatUnits(BigInt(balance.toString()), 6)
+      const {
+        wallet: walletBalance,
+        collateral: totalCollateral,
+        freeCollateral: availableBalance,
+        marginUsed,
+        marginReserved,
+        realizedPnL,
+        unrealizedPnL,
+        equity,
+      } = snapshot;
+      const openMarkets = snapshot.markets.filter(
+        (market) => !market.size.isZero()
       );
 
       // Portfolio breakdown
@@ -2396,7 +2312,7 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
       console.log(
         colorText(
           `   • Wallet Balance:     ${walletBalance
-            .toFixed(2)
+            .format(2)
             .padStart(12)} USDC`,
           colors.green
         )
@@ -2404,7 +2320,7 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
       console.log(
         colorText(
           `   • Total Collateral:   ${totalCollateral
-            .toFixed(2)
+            .format(2)
             .padStart(12)} USDC`,
           colors.blue
         )
@@ -2412,17 +2328,20 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
       console.log(
         colorText(
           `   • Available Balance:  ${colorText(
-            availableBalance.toFixed(2).padStart(12),
+            availableBalance.format(2).padStart(12),
             colors.brightGreen
           )} USDC`,
           colors.white
         )
       );
 
-      const utilizationRate =
-        totalCollateral > 0
-          ? ((totalCollateral - availableBalance) / totalCollateral) * 100
-          : 0;
+      const utilizationRate = totalCollateral.isPositive()
+        ? ratio(
+            totalCollateral.sub(availableBalance).mul(100),
+            totalCollateral,
+            1
+          )
+        : 0;
       const utilizationColor =
         utilizationRate > 80
           ? colors.red
@@ -2443,7 +2362,7 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
       console.log(
         colorText(
           `   • Margin Used:        ${colorText(
-            marginUsed.toFixed(2).padStart(12),
+            marginUsed.format(2).padStart(12),
             colors.yellow
           )} USDC`,
           colors.white
@@ -2452,7 +2371,7 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
       console.log(
         colorText(
           `   • Margin Reserved:    ${colorText(
-            marginReserved.toFixed(2).padStart(12),
+            marginReserved.format(2).padStart(12),
             colors.yellow
           )} USDC`,
           colors.white
@@ -2461,7 +2380,7 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
       console.log(
         colorText(
           `   • Total Locked:       ${colorText(
-            (marginUsed + marginReserved).toFixed(2).padStart(12),
+            marginUsed.add(marginReserved).format(2).padStart(12),
             colors.magenta
           )} USDC`,
           colors.white
@@ -2469,41 +2388,40 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
       );
 
       console.log(colorText(`\n📊 PROFIT & LOSS:`, colors.bright));
-      // Determine sign based on the BigInt value, not the parsed float
-      const realizedColor = realizedPnLBigInt >= 0n ? colors.green : colors.red;
-      const realizedSign = realizedPnLBigInt >= 0n ? "+" : "";
-      // Use the string format directly from formatWithAutoDecimalDetection
-      const realizedPnLDisplay = realizedSign + realizedPnLStr;
+      const realizedColor = realizedPnL.isNegative()
+        ? colors.red
+        : colors.green;
       console.log(
         colorText(
           `   • Realized P&L:       ${colorText(
-            realizedPnLDisplay.padStart(12),
+            realizedPnL.format(2, { sign: true }).padStart(12),
             realizedColor
           )} USDC`,
           colors.white
         )
       );
 
-      const unrealizedColor = unrealizedPnL >= 0 ? colors.green : colors.red;
-      const unrealizedSign = unrealizedPnL >= 0 ? "+" : "";
+      const unrealizedColor = unrealizedPnL.isNegative()
+        ? colors.red
+        : colors.green;
       console.log(
         colorText(
           `   • Unrealized P&L:     ${colorText(
-            (unrealizedSign + unrealizedPnL.toFixed(2)).padStart(12),
+            unrealizedPnL.format(2, { sign: true }).padStart(12),
             unrealizedColor
           )} USDC`,
           colors.white
         )
       );
 
-      const totalPnL = realizedPnL + unrealizedPnL;
-      const totalPnLColor =
-        totalPnL >= 0 ? colors.brightGreen : colors.brightRed;
-      const totalPnLSign = totalPnL >= 0 ? "+" : "";
+      const totalPnL = realizedPnL.add(unrealizedPnL);
+      const totalPnLColor = totalPnL.isNegative()
+        ? colors.brightRed
+        : colors.brightGreen;
       console.log(
         colorText(
           `   • Total P&L:          ${colorText(
-            (totalPnLSign + totalPnL.toFixed(2)).padStart(12),
+            totalPnL.format(2, { sign: true }).padStart(12),
             totalPnLColor
           )} USDC`,
           colors.white
@@ -2511,38 +2429,63 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
       );
 
       console.log(colorText(`\n🏆 PORTFOLIO VALUE:`, colors.bright));
-      const portfolioColor =
-        portfolioValue >= totalCollateral
-          ? colors.brightGreen
-          : colors.brightRed;
+      const portfolioColor = equity.gte(totalCollateral)
+        ? colors.brightGreen
+        : colors.brightRed;
       console.log(
         colorText(
-          `   • Total Portfolio:    ${colorText(
-            portfolioValue.toFixed(2).padStart(12),
+          `   • Equity:             ${colorText(
+            equity.format(2).padStart(12),
             portfolioColor
           )} USDC`,
           colors.white
         )
       );
 
-      const portfolioChange = portfolioValue - totalCollateral;
-      const portfolioChangeColor =
-        portfolioChange >= 0 ? colors.green : colors.red;
-      const portfolioChangeSign = portfolioChange >= 0 ? "+" : "";
+      // Realized P&L is settled into collateral, so this is the open P&L
+      const portfolioChange = equity.sub(totalCollateral);
+      const portfolioChangeColor = portfolioChange.isNegative()
+        ? colors.red
+        : colors.green;
       console.log(
         colorText(
           `   • Net Change:         ${colorText(
-            (portfolioChangeSign + portfolioChange.toFixed(2)).padStart(12),
+            portfolioChange.format(2, { sign: true }).padStart(12),
             portfolioChangeColor
           )} USDC`,
           colors.white
         )
       );
 
+      if (openMarkets.length > 0) {
+        console.log(
+          colorText(
+            `   • Notional at Mark:   ${snapshot.notional
+              .format(2)
+              .padStart(12)} USDC`,
+            colors.white
+          )
+        );
+        console.log(
+          colorText(
+            `   • Concentration:      ${formatBps(
+              snapshot.concentration.bps
+            ).padStart(12)} in ${snapshot.concentration.symbol}`,
+            colors.white
+          )
+        );
+      }
+      for (const warning of snapshot.warnings) {
+        console.log(colorText(`   ⚠️  ${warning}`, colors.yellow));
+      }
+
       // Position Details - Enhanced Display
-      if (positions.length > 0) {
+      if (openMarkets.length > 0) {
         console.log(
-          colorText(`\n📈 OPEN POSITIONS (${positions.length}):`, colors.bright)
+          colorText(
+            `\n📈 OPEN POSITIONS (${openMarkets.length}):`,
+            colors.bright
+          )
         );
         console.log(
           colorText(
@@ -2563,74 +2506,44 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
           )
         );
 
-        let totalPositionValue = 0;
-        for (const position of positions) {
-          try {
-            const marketIdStr = (
-              await safeDecodeMarketId(position.marketId, this.contracts)
-            ).substring(0, 8);
-
-            // Safe BigInt conversion
-            const positionSize = BigInt(position.size.toString());
-            const absSize = positionSize >= 0n ? positionSize : -positionSize;
-            const size = parseFloat(ethers.formatUnits(absSize, 18));
-            const sizeColor = positionSize >= 0n ? colors.green : colors.red;
-            const sizeSign = positionSize >= 0n ? "LONG " : "SHORT";
-
-            const entryPrice = parseFloat(
-              ethers.formatUnits(BigInt(position.entryPrice.toString()), 6)
-            );
-            const marginLocked = parseFloat(
-              ethers.formatUnits(BigInt(position.marginLocked.toString()), 6)
-            );
-
-            // Calculate position value
-            const positionValue = size * entryPrice;
-            totalPositionValue += positionValue;
-
-            // Try to get current market price for P&L calculation
-            let currentPnL = 0;
-            let markPrice = entryPrice; // Default to entry price
-            try {
-              const bestBid = await this.contracts.orderBook.bestBid();
-              const bestAsk = await this.contracts.orderBook.bestAsk();
-              if (bestBid > 0 && bestAsk > 0) {
-                const bidPrice = parseFloat(ethers.formatUnits(bestBid, 6));
-                const askPrice = parseFloat(ethers.formatUnits(bestAsk, 6));
-                markPrice =
-                  !isNaN(bidPrice) &&
-                  !isNaN(askPrice) &&
-                  bidPrice > 0 &&
-                  askPrice > 0
-                    ? (bidPrice + askPrice) / 2
-                    : entryPrice; // Fallback to entry price if no market
-                const priceDiff = markPrice - entryPrice;
-                currentPnL =
-                  positionSize >= 0n ? priceDiff * size : -priceDiff * size;
-              }
-            } catch (priceError) {
-              // Use 0 if can't get prices, markPrice stays as entryPrice
-            }
+        let totalMarginLocked = Usdc.zero();
+        let totalUnrealizedPnL = Usdc.zero();
 
-            totalUnrealizedPnL += currentPnL;
-
-            const pnlColor = currentPnL >= 0 ? colors.green : colors.red;
-            const pnlSign = currentPnL >= 0 ? "+" : "";
+        for (const market of openMarkets) {
+          try {
+            const marketIdStr = market.symbol.substring(0, 8);
+            const {
+              isLong,
+              entryPrice,
+              markPrice,
+              marginLocked,
+              unrealizedPnL,
+            } = market;
+            const absSize = market.size.abs();
+
+            const side = isLong ? "LONG" : "SHORT";
+            const sizeColor = isLong ? colors.green : colors.red;
+
+            totalMarginLocked = totalMarginLocked.add(marginLocked);
+            totalUnrealizedPnL = totalUnrealizedPnL.add(unrealizedPnL);
+
+            const pnlColor = unrealizedPnL.isNegative()
+              ? colors.red
+              : colors.green;
 
             console.log(
               colorText(
                 `│ ${marketIdStr.padEnd(10)} │ ${colorText(
                   side.padEnd(8),
                   sizeColor
-                )} │ ${size.toFixed(4).padStart(11)} │ $${entryPrice.padStart(
-                  10
-                )} │ ${marginLocked.toFixed(2).padStart(10)} │ ${(!isNaN(
-                  markPrice
-                )
-                  ? markPrice.toFixed(2)
-                  : "N/A"
-                ).padStart(8)} │ ${colorText(
-                  (pnlSign + currentPnL.toFixed(2)).padStart(6),
+                )} │ ${absSize.format(4).padStart(11)} │ $${entryPrice
+                  .format(4)
+                  .padStart(10)} │ ${marginLocked
+                  .format(2)
+                  .padStart(10)} │ ${markPrice
+                  .format(2)
+                  .padStart(8)} │ ${colorText(
+                  unrealizedPnL.format(2, { sign: true }).padStart(6),
                   pnlColor
                 )} │`,
                 colors.white
@@ -2658,15 +2571,15 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
         );
 
         // Summary row
-        const totalPnLColor =
-          totalUnrealizedPnL >= 0 ? colors.brightGreen : colors.brightRed;
-        const totalPnLSign = totalUnrealizedPnL >= 0 ? "+" : "";
+        const totalPnLColor = totalUnrealizedPnL.isNegative()
+          ? colors.brightRed
+          : colors.brightGreen;
         console.log(
           colorText(
             `│ TOTALS    │          │             │             │ ${totalMarginLocked
-              .toFixed(2)
+              .format(2)
               .padStart(10)} │          │ ${colorText(
-              (totalPnLSign + totalUnrealizedPnL.toFixed(2)).padStart(6),
+              totalUnrealizedPnL.format(2, { sign: true }).padStart(6),
               totalPnLColor
             )} │`,
             colors.bright
@@ -2750,8 +2663,8 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
     console.log(boxText("🔍 VIEW OPEN POSITIONS", colors.cyan));
 
     try {
-      // Get positions directly from vault
-      const positions = await this.contracts.vault.getUserPositions(
+      // Positions and the mark-price inputs in one read
+      const { positions, bestBid, bestAsk } = await this.getAccountSnapshot(
         this.currentUser.address
       );
 
@@ -2788,85 +2701,46 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
         )
       );
 
-      let totalMarginLocked = 0;
-      let totalUnrealizedPnL = 0;
+      let totalMarginLocked = Usdc.zero();
+      let totalUnrealizedPnL = Usdc.zero();
 
       for (const position of positions) {
         try {
           const marketIdStr = position.marketId
             ? position.marketId.slice(0, 10)
             : "Unknown";
-          const positionSize = BigInt(position.size.toString());
-          const absSize = positionSize < 0n ? -positionSize : positionSize;
-
-          const side = positionSize >= 0n ? "LONG" : "SHORT";
-          const sizeColor = positionSize >= 0n ? colors.green : colors.red;
-
-          const size = parseFloat(ethers.formatUnits(absSize, 18));
-          const entryPrice = parseFloat(
-            ethers.formatUnits(BigInt(position.entryPrice.toString()), 6)
-          );
-          const marginLocked = parseFloat(
-            ethers.formatUnits(BigInt(position.marginLocked.toString()), 6)
-          );
-
-          totalMarginLocked += marginLocked;
-
-          // Get current mark price (simplified - would need oracle in real implementation)
-          const entryPriceNum = parseFloat(entryPrice);
-          let markPrice = entryPriceNum; // Fallback to entry price
-          try {
-            const bestBid = await this.contracts.orderBook.bestBid();
-            const bestAsk = await this.contracts.orderBook.bestAsk();
-            if (bestBid > 0 && bestAsk > 0) {
-              const bidStr = formatPriceWithValidation(bestBid, 6, 4, false);
-              const askStr = formatPriceWithValidation(bestAsk, 6, 4, false);
-              const bidPrice = parseFloat(bidStr);
-              const askPrice = parseFloat(askStr);
-
-              // Check for valid prices (not NaN, ERROR, or ∞)
-              if (
-                !isNaN(bidPrice) &&
-                !isNaN(askPrice) &&
-                bidStr !== "ERROR" &&
-                askStr !== "ERROR" &&
-                bidStr !== "∞" &&
-                askStr !== "∞" &&
-                bidPrice > 0 &&
-                askPrice > 0
-              ) {
-                markPrice = (bidPrice + askPrice) / 2;
-              }
-            }
-          } catch (priceError) {
-            // Use entry price as fallback
-          }
-
-          // Calculate unrealized P&L
-          const priceDiff = markPrice - entryPriceNum;
-          const positionPnL =
-            positionSize >= 0n
-              ? priceDiff * size // Long position
-              : -priceDiff * size; // Short position
-
-          totalUnrealizedPnL += positionPnL;
-
-          const pnlColor = positionPnL >= 0 ? colors.green : colors.red;
-          const pnlSign = positionPnL >= 0 ? "+" : "";
+          const {
+            absSize,
+            isLong,
+            entryPrice,
+            markPrice,
+            marginLocked,
+            unrealizedPnL,
+          } = describePosition(position, bestBid, bestAsk);
+
+          const side = isLong ? "LONG" : "SHORT";
+          const sizeColor = isLong ? colors.green : colors.red;
+
+          totalMarginLocked = totalMarginLocked.add(marginLocked);
+          totalUnrealizedPnL = totalUnrealizedPnL.add(unrealizedPnL);
+
+          const pnlColor = unrealizedPnL.isNegative()
+            ? colors.red
+            : colors.green;
 
           console.log(
             colorText(
               `│ ${marketIdStr.padEnd(10)} │ ${colorText(
                 side.padEnd(8),
                 sizeColor
-              )} │ ${size.toFixed(4).padStart(11)} │ $${entryPrice
-                .toFixed(2)
+              )} │ ${absSize.format(4).padStart(11)} │ $${entryPrice
+                .format(2)
                 .padStart(10)} │ ${marginLocked
-                .toFixed(2)
+                .format(2)
                 .padStart(10)} │ ${markPrice
-                .toFixed(2)
+                .format(2)
                 .padStart(8)} │ ${colorText(
-                (pnlSign + positionPnL.toFixed(2)).padStart(6),
+                unrealizedPnL.format(2, { sign: true }).padStart(6),
                 pnlColor
               )} │`,
               colors.white
@@ -2894,15 +2768,15 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
       );
 
       // Summary row
-      const totalPnLColor =
-        totalUnrealizedPnL >= 0 ? colors.brightGreen : colors.brightRed;
-      const totalPnLSign = totalUnrealizedPnL >= 0 ? "+" : "";
+      const totalPnLColor = totalUnrealizedPnL.isNegative()
+        ? colors.brightRed
+        : colors.brightGreen;
       console.log(
         colorText(
           `│ TOTALS    │          │             │             │ ${totalMarginLocked
-            .toFixed(2)
+            .format(2)
             .padStart(10)} │          │ ${colorText(
-            (totalPnLSign + totalUnrealizedPnL.toFixed(2)).padStart(6),
+            totalUnrealizedPnL.format(2, { sign: true }).padStart(6),
             totalPnLColor
           )} │`,
           colors.bright
@@ -2994,23 +2868,22 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
           position.marketId,
           this.contracts
         );
-        const positionSize = BigInt(position.size.toString());
-        const absSize = positionSize >= 0n ? positionSize : -positionSize;
-        const size = parseFloat(ethers.formatUnits(absSize, 18));
-        const side = positionSize >= 0n ? "LONG" : "SHORT";
-        const sideColor = positionSize >= 0n ? colors.green : colors.red;
-
-        // Use high-precision formatting to get exact entry price from smart contract
-        const entryPrice = formatPriceWithValidation(
-          BigInt(position.entryPrice.toString()),
-          6,
-          4, // 4 decimals for higher precision
-          false // Don't show warnings in detailed view
-        );
-        const marginLocked = parseFloat(
-          ethers.formatUnits(BigInt(position.marginLocked.toString()), 6)
-        );
-        const positionValue = parseFloat(entryPrice) * size;
+        const [bestBid, bestAsk] = await Promise.all([
+          this.contracts.orderBook.bestBid(),
+          this.contracts.orderBook.bestAsk(),
+        ]);
+        const {
+          absSize,
+          isLong,
+          entryPrice,
+          markPrice,
+          hasMarket,
+          marginLocked,
+          notional: positionValue,
+          unrealizedPnL,
+        } = describePosition(position, bestBid, bestAsk);
+        const side = isLong ? "LONG" : "SHORT";
+        const sideColor = isLong ? colors.green : colors.red;
 
         console.log(
           colorText(`🏷️  Market:           ${marketIdStr}`, colors.white)
@@ -3022,26 +2895,34 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
           )
         );
         console.log(
-          colorText(`📏 Size:             ${size.toFixed(4)} ALU`, colors.cyan)
+          colorText(
+            `📏 Size:             ${absSize.format(4)} ALU`,
+            colors.cyan
+          )
         );
         console.log(
-          colorText(`💰 Entry Price:      $${entryPrice} USDC`, colors.yellow)
+          colorText(
+            `💰 Entry Price:      $${entryPrice.format(4)} USDC`,
+            colors.yellow
+          )
         );
         console.log(
           colorText(
-            `🔒 Margin Locked:    $${marginLocked.toFixed(2)} USDC`,
+            `🔒 Margin Locked:    $${marginLocked.format(2)} USDC`,
             colors.magenta
           )
         );
         console.log(
           colorText(
-            `💎 Position Value:   $${positionValue.toFixed(2)} USDC`,
+            `💎 Position Value:   $${positionValue.format(2)} USDC`,
             colors.blue
           )
         );
 
         // Calculate leverage
-        const leverage = marginLocked > 0 ? positionValue / marginLocked : 1;
+        const leverage = marginLocked.isPositive()
+          ? ratio(positionValue, marginLocked)
+          : 1;
         const leverageColor =
           leverage > 5
             ? colors.red
@@ -3058,103 +2939,86 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
           )
         );
 
-        // Get current market data
-        try {
-          const bestBid = await this.contracts.orderBook.bestBid();
-          const bestAsk = await this.contracts.orderBook.bestAsk();
-          if (bestBid > 0 && bestAsk > 0) {
-            const bidPrice = parseFloat(
-              formatPriceWithValidation(bestBid, 6, 4, false)
-            );
-            const askPrice = parseFloat(
-              formatPriceWithValidation(bestAsk, 6, 4, false)
-            );
-            const markPrice =
-              !isNaN(bidPrice) &&
-              !isNaN(askPrice) &&
-              bidPrice > 0 &&
-              askPrice > 0
-                ? (bidPrice + askPrice) / 2
-                : parseFloat(entryPrice); // Fallback to entry price
-            const spread = askPrice - bidPrice;
-
-            console.log(
-              colorText(
-                `📊 Current Bid:      $${bidPrice.toFixed(2)} USDC`,
-                colors.green
-              )
-            );
-            console.log(
-              colorText(
-                `📊 Current Ask:      $${askPrice.toFixed(2)} USDC`,
-                colors.red
-              )
-            );
-            console.log(
-              colorText(
-                `📊 Mark Price:       $${markPrice.toFixed(2)} USDC`,
-                colors.brightCyan
-              )
-            );
-            console.log(
-              colorText(
-                `📏 Spread:           $${spread.toFixed(2)} USDC`,
-                colors.dim
-              )
-            );
+        // Current market data
+        if (hasMarket) {
+          const bidPrice = Price.fromUnits(bestBid);
+          const askPrice = Price.fromUnits(bestAsk);
 
-            // Calculate P&L
-            const priceDiff = markPrice - parseFloat(entryPrice);
-            const unrealizedPnL =
-              positionSize >= 0n ? priceDiff * size : -priceDiff * size;
-            const pnlPercent = (unrealizedPnL / marginLocked) * 100;
+          console.log(
+            colorText(
+              `📊 Current Bid:      $${bidPrice.format(2)} USDC`,
+              colors.green
+            )
+          );
+          console.log(
+            colorText(
+              `📊 Current Ask:      $${askPrice.format(2)} USDC`,
+              colors.red
+            )
+          );
+          console.log(
+            colorText(
+              `📊 Mark Price:       $${markPrice.format(2)} USDC`,
+              colors.brightCyan
+            )
+          );
+          console.log(
+            colorText(
+              `📏 Spread:           $${askPrice.sub(bidPrice).format(2)} USDC`,
+              colors.dim
+            )
+          );
 
-            const pnlColor =
-              unrealizedPnL >= 0 ? colors.brightGreen : colors.brightRed;
-            const pnlSign = unrealizedPnL >= 0 ? "+" : "";
-            const pnlPercentColor =
-              pnlPercent >= 0 ? colors.brightGreen : colors.brightRed;
-            const pnlPercentSign = pnlPercent >= 0 ? "+" : "";
+          const pnlPercent = marginLocked.isPositive()
+            ? ratio(unrealizedPnL.mul(100), marginLocked)
+            : 0;
+          const pnlColor = unrealizedPnL.isNegative()
+            ? colors.brightRed
+            : colors.brightGreen;
+          const pnlPercentColor =
+            pnlPercent >= 0 ? colors.brightGreen : colors.brightRed;
+          const pnlPercentSign = pnlPercent >= 0 ? "+" : "";
 
-            console.log(
-              colorText(
-                `💹 Unrealized P&L:   ${colorText(
-                  pnlSign + "$" + unrealizedPnL.toFixed(2),
-                  pnlColor
-                )} USDC`,
-                colors.white
-              )
-            );
-            console.log(
-              colorText(
-                `📈 P&L Percentage:   ${colorText(
-                  pnlPercentSign + pnlPercent.toFixed(2) + "%",
-                  pnlPercentColor
-                )}`,
-                colors.white
-              )
-            );
+          console.log(
+            colorText(
+              `💹 Unrealized P&L:   ${colorText(
+                (unrealizedPnL.isNegative() ? "-$" : "+$") +
+                  unrealizedPnL.abs().format(2),
+                pnlColor
+              )} USDC`,
+              colors.white
+            )
+          );
+          console.log(
+            colorText(
+              `📈 P&L Percentage:   ${colorText(
+                pnlPercentSign + pnlPercent.toFixed(2) + "%",
+                pnlPercentColor
+              )}`,
+              colors.white
+            )
+          );
 
-            // Risk metrics
-            const liquidationBuffer = marginLocked - Math.abs(unrealizedPnL);
-            const liquidationBufferColor =
-              liquidationBuffer < marginLocked * 0.2
-                ? colors.red
-                : colors.green;
-            console.log(
-              colorText(
-                `🛡️  Liquidation Buffer: ${colorText(
-                  "$" + liquidationBuffer.toFixed(2),
-                  liquidationBufferColor
-                )} USDC`,
-                colors.white
-              )
-            );
-          }
-        } catch (priceError) {
+          // Risk metrics
+          const liquidationBuffer = marginLocked.sub(unrealizedPnL.abs());
+          const liquidationBufferColor = liquidationBuffer.lt(
+            marginLocked.div(5, ROUNDING.DOWN)
+          )
+            ? colors.red
+            : colors.green;
+          console.log(
+            colorText(
+              `🛡️  Liquidation Buffer: ${colorText(
+                "$" + liquidationBuffer.format(2),
+                liquidationBufferColor
+              )} USDC`,
+              colors.white
+            )
+          );
+        } else {
           console.log(
             colorText(
-              `⚠️  Could not fetch current market prices`,
+              `⚠️  No two-sided market - P&L marked at the entry price`,
               colors.yellow
             )
           );
@@ -3200,11 +3064,11 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
       const absSize = positionSize < 0n ? -positionSize : positionSize;
       const side = positionSize >= 0n ? "LONG" : "SHORT";
       const sizeColor = positionSize >= 0n ? colors.green : colors.red;
-      const size = parseFloat(ethers.formatUnits(absSize, 18));
+      const size = Amount.fromUnits(absSize);
 
       console.log(
         colorText(
-          `   ${i + 1}. ${colorText(side, sizeColor)} ${size.toFixed(4)} ALU`,
+          `   ${i + 1}. ${colorText(side, sizeColor)} ${size.format(4)} ALU`,
           colors.white
         )
       );
@@ -3385,24 +3249,18 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
         ).substring(0, 10);
         const positionSize = BigInt(position.size.toString());
         const absSize = positionSize >= 0n ? positionSize : -positionSize;
-        const size = parseFloat(ethers.formatUnits(absSize, 18));
+        const size = Amount.fromUnits(absSize);
         const side = positionSize >= 0n ? "LONG" : "SHORT";
         const sideColor = positionSize >= 0n ? colors.green : colors.red;
 
-        // Use high-precision formatting to get exact entry price from smart contract
-        const entryPrice = formatPriceWithValidation(
-          BigInt(position.entryPrice.toString()),
-          6,
-          4, // 4 decimals for higher precision
-          false // Don't show warnings in quick close
-        );
+        const entryPrice = formatPrice(position.entryPrice, 4);
 
         console.log(
           colorText(
             `│ ${(i + 1).toString().padStart(2)}. ${marketIdStr.padEnd(
               10
             )} │ ${colorText(side.padEnd(5), sideColor)} │ ${size
-              .toFixed(2)
+              .format(2)
               .padStart(8)} ALU │ $${entryPrice.padStart(9)} │`,
             colors.white
           )
@@ -3431,12 +3289,9 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
         if (position.size) {
           try {
             const positionSizeBigInt = BigInt(position.size.toString());
-            const sizeFormatted = ethers.formatUnits(
-              positionSizeBigInt < 0n
-                ? -positionSizeBigInt
-                : positionSizeBigInt,
-              18
-            );
+            const sizeFormatted = Amount.fromUnits(positionSizeBigInt)
+              .abs()
+              .toString();
             const side = positionSizeBigInt >= 0n ? "LONG" : "SHORT";
             console.log(
               colorText(
@@ -3486,13 +3341,13 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
         );
         const positionSize = BigInt(position.size.toString());
         const absSize = positionSize >= 0n ? positionSize : -positionSize;
-        const size = parseFloat(ethers.formatUnits(absSize, 18));
+        const size = Amount.fromUnits(absSize);
         const side = positionSize >= 0n ? "LONG" : "SHORT";
         const isLong = positionSize >= 0n;
 
         console.log(
           colorText(
-            `\n🔄 Closing ${side} position of ${size.toFixed(4)} ALU...`,
+            `\n🔄 Closing ${side} position of ${size.format(4)} ALU...`,
             colors.yellow
           )
         );
@@ -3516,29 +3371,50 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
           );
 
           // Place opposite market order to close position
-          const amountWei = ethers.parseUnits(size.toString(), 18);
           const isBuy = !isLong; // If we're long, we sell to close. If we're short, we buy to close.
-
-          const tx = await this.contracts.orderBook
+          const result = await this.client
             .connect(this.currentUser)
-            .placeMarginMarketOrder(amountWei, isBuy);
+            .placeMarketOrder({
+              amount: Amount.fromUnits(absSize),
+              isBuy,
+            });
 
-          console.log(colorText("⏳ Transaction submitted...", colors.yellow));
-          const receipt = await tx.wait();
-
-          console.log(
-            colorText("✅ Position closed successfully!", colors.brightGreen)
-          );
-          console.log(colorText(`📄 Transaction: ${tx.hash}`, colors.dim));
+          if (result.status === "unfilled") {
+            console.log(
+              colorText(
+                "❌ Nothing filled - no liquidity within slippage",
+                colors.red
+              )
+            );
+          } else {
+            console.log(
+              colorText(
+                `✅ Closed ${result.filled} ALU @ avg $${result.averagePrice}`,
+                colors.brightGreen
+              )
+            );
+          }
+          if (result.status !== "unfilled" && !result.cancelled.isZero()) {
+            console.log(
+              colorText(
+                `⚠️  ${result.cancelled} ALU could not fill within slippage - position partly open`,
+                colors.yellow
+              )
+            );
+          }
+          console.log(colorText(`📄 Transaction: ${result.hash}`, colors.dim));
           console.log(
-            colorText(`⛽ Gas used: ${receipt.gasUsed.toString()}`, colors.dim)
+            colorText(`⛽ Gas used: ${result.gasUsed.toString()}`, colors.dim)
           );
         } else {
           console.log(colorText("❌ Position close cancelled", colors.yellow));
         }
       } catch (error) {
         console.log(
-          colorText("❌ Failed to close position: " + error.message, colors.red)
+          colorText(
+            "❌ Failed to close position: " + formatError(error),
+            colors.red
+          )
         );
       }
     } else {
@@ -3578,12 +3454,15 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
     );
 
     if (choice === "1") {
-      const amount = await this.askQuestion(
-        colorText("💰 Enter amount to deposit: ", colors.green)
+      const amount = parsePositive(
+        Usdc,
+        await this.askQuestion(
+          colorText("💰 Enter amount to deposit: ", colors.green)
+        )
       );
-      if (amount && !isNaN(amount)) {
+      if (amount) {
         try {
-          const amountWei = ethers.parseUnits(amount, 6);
+          const amountWei = amount.units;
 
           // Approve first
           console.log(colorText("⏳ Approving USDC...", colors.yellow));
@@ -3607,17 +3486,20 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
           );
         } catch (error) {
           console.log(
-            colorText("❌ Deposit failed: " + error.message, colors.red)
+            colorText("❌ Deposit failed: " + formatError(error), colors.red)
           );
         }
       }
     } else if (choice === "2") {
-      const amount = await this.askQuestion(
-        colorText("💸 Enter amount to withdraw: ", colors.red)
+      const amount = parsePositive(
+        Usdc,
+        await this.askQuestion(
+          colorText("💸 Enter amount to withdraw: ", colors.red)
+        )
       );
-      if (amount && !isNaN(amount)) {
+      if (amount) {
         try {
-          const amountWei = ethers.parseUnits(amount, 6);
+          const amountWei = amount.units;
 
           console.log(colorText("⏳ Withdrawing collateral...", colors.yellow));
           const withdrawTx = await this.contracts.vault
@@ -3633,7 +3515,7 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
           );
         } catch (error) {
           console.log(
-            colorText("❌ Withdrawal failed: " + error.message, colors.red)
+            colorText("❌ Withdrawal failed: " + formatError(error), colors.red)
           );
         }
       }
@@ -3730,7 +3612,7 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
         )
       );
 
-      const amount = testAmount && !isNaN(testAmount) ? testAmount : "350";
+      const amount = parsePositive(Amount, testAmount) || Amount.parse("350");
 
       const testSlippage = await this.askQuestion(
         colorText(
@@ -3763,31 +3645,15 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
         executeTest.toLowerCase() === "y" ||
         executeTest.toLowerCase() === "yes"
       ) {
-        const amountWei = ethers.parseUnits(amount, 18);
-
-        // Get expected fill amount
-        const filledAmountWei = await this.contracts.orderBook
-          .connect(this.currentUser)
-          .placeMarginMarketOrderWithSlippage.staticCall(
-            amountWei,
-            true,
-            slippageBps
-          );
-
-        // Execute the actual order
-        const tx = await this.contracts.orderBook
-          .connect(this.currentUser)
-          .placeMarginMarketOrderWithSlippage(amountWei, true, slippageBps);
-
         console.log(colorText("⏳ Executing test...", colors.yellow));
-        const receipt = await tx.wait();
+        const result = await this.client
+          .connect(this.currentUser)
+          .placeMarketOrder({ amount, isBuy: true, slippageBps });
 
-        const filledAmount = parseFloat(
-          ethers.formatUnits(filledAmountWei, 18)
-        );
-        const requestedAmount = parseFloat(amount);
-        const fillRate = (filledAmount / requestedAmount) * 100;
-        const cancelledAmount = requestedAmount - filledAmount;
+        const filledAmount = result.filled;
+        const requestedAmount = amount;
+        const fillRate = ratio(filledAmount.mul(100), requestedAmount, 1);
+        const cancelledAmount = result.cancelled;
 
         console.log(
           colorText("\n🎉 SLIPPAGE TEST RESULTS:", colors.brightGreen)
@@ -3803,7 +3669,7 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
           colorText(`📊 Fill Rate: ${fillRate.toFixed(1)}%`, colors.cyan)
         );
 
-        if (cancelledAmount > 0) {
+        if (cancelledAmount.isPositive()) {
           console.log(
             colorText("\n🎯 REQUIREMENT 11 VERIFIED:", colors.brightGreen)
           );
@@ -3840,7 +3706,7 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
           );
         }
 
-        console.log(colorText(`📄 Transaction: ${tx.hash}`, colors.dim));
+        console.log(colorText(`📄 Transaction: ${result.hash}`, colors.dim));
 
         // Show updated order book
         console.log(colorText("\n📊 Updated Order Book:", colors.cyan));
@@ -3850,7 +3716,7 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
       }
     } catch (error) {
       console.log(
-        colorText("❌ Slippage test failed: " + error.message, colors.red)
+        colorText("❌ Slippage test failed: " + formatError(error), colors.red)
       );
     }
 
@@ -4015,8 +3881,8 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
           )
         );
 
-        let totalVolume = 0;
-        let totalFees = 0;
+        let totalVolume = Usdc.zero();
+        let totalFees = Usdc.zero();
         let buyCount = 0;
         let sellCount = 0;
 
@@ -4036,15 +3902,15 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
             if (isBuyer) buyCount++;
             else sellCount++;
 
-            const amount = Number(ethers.formatUnits(trade.amount, 18));
-            const price = Number(ethers.formatUnits(trade.price, 6));
-            const tradeValue = Number(ethers.formatUnits(trade.tradeValue, 6));
-            const userFee = Number(
-              ethers.formatUnits(isBuyer ? trade.buyerFee : trade.sellerFee, 6)
+            const amount = Amount.fromUnits(trade.amount);
+            const price = Price.fromUnits(trade.price);
+            const tradeValue = Usdc.fromUnits(trade.tradeValue);
+            const userFee = Usdc.fromUnits(
+              isBuyer ? trade.buyerFee : trade.sellerFee
             );
 
-            totalVolume += tradeValue;
-            totalFees += userFee;
+            totalVolume = totalVolume.add(tradeValue);
+            totalFees = totalFees.add(userFee);
 
             const timestamp = new Date(Number(trade.timestamp) * 1000);
             const timeStr = timestamp.toLocaleString();
@@ -4063,11 +3929,11 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
                 `│ ${shortId.padEnd(8)} │ ${colorText(
                   (side + marginIndicator).padEnd(8),
                   sideColor
-                )} │ ${amount.toFixed(4).padStart(13)} │ ${(
-                  "$" + price.toFixed(4)
-                ).padStart(12)} │ ${("$" + tradeValue.toFixed(2)).padStart(
+                )} │ ${amount.format(4).padStart(13)} │ ${(
+                  "$" + price.format(4)
+                ).padStart(12)} │ ${("$" + tradeValue.format(2)).padStart(
                   12
-                )} │ ${("$" + userFee.toFixed(4)).padStart(
+                )} │ ${("$" + userFee.format(4)).padStart(
                   12
                 )} │ ${timeStr.padEnd(19)} │`,
                 colors.white
@@ -4093,9 +3959,9 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
         // Summary row
         console.log(
           colorText(
-            `│ 📊 SUMMARY: ${buyCount} buys, ${sellCount} sells │ Volume: $${totalVolume.toFixed(
+            `│ 📊 SUMMARY: ${buyCount} buys, ${sellCount} sells │ Volume: $${totalVolume.format(
               2
-            )} USDC │ Fees: $${totalFees.toFixed(4)} USDC │`,
+            )} USDC │ Fees: $${totalFees.format(4)} USDC │`,
             colors.brightGreen
           )
         );
@@ -4113,21 +3979,23 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
           colorText("┌─────────────────────────────────────────┐", colors.cyan)
         );
 
-        const avgTradeSize = totalVolume / trades.length;
-        const avgFee = totalFees / trades.length;
-        const feeRate = totalVolume > 0 ? (totalFees / totalVolume) * 100 : 0;
+        const avgTradeSize = totalVolume.div(trades.length, ROUNDING.HALF_UP);
+        const avgFee = totalFees.div(trades.length, ROUNDING.HALF_UP);
+        const feeRate = totalVolume.isPositive()
+          ? ratio(totalFees.mul(100), totalVolume, 3)
+          : 0;
 
         console.log(
           colorText(
             `│ Average Trade Size:    $${avgTradeSize
-              .toFixed(2)
+              .format(2)
               .padStart(8)} USDC │`,
             colors.white
           )
         );
         console.log(
           colorText(
-            `│ Average Fee per Trade: $${avgFee.toFixed(4).padStart(8)} USDC │`,
+            `│ Average Fee per Trade: $${avgFee.format(4).padStart(8)} USDC │`,
             colors.white
           )
         );
@@ -4261,43 +4129,38 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
       );
       console.log(
         colorText(
-          `│ Total Volume:      $${ethers
-            .formatUnits(totalVolume, 6)
-            .padStart(12)} │`,
+          `│ Total Volume:      $${formatUSDC(totalVolume).padStart(12)} │`,
           colors.white
         )
       );
       console.log(
         colorText(
-          `│ Total Fees:        $${ethers
-            .formatUnits(totalFees, 6)
-            .padStart(12)} │`,
+          `│ Total Fees:        $${formatUSDC(totalFees, 4).padStart(12)} │`,
           colors.white
         )
       );
 
       if (totalTrades > 0) {
-        const avgTradeSize =
-          Number(ethers.formatUnits(totalVolume, 6)) / Number(totalTrades);
-        const avgFeePerTrade =
-          Number(ethers.formatUnits(totalFees, 6)) / Number(totalTrades);
-        const feeRate =
-          (Number(ethers.formatUnits(totalFees, 6)) /
-            Number(ethers.formatUnits(totalVolume, 6))) *
-          100;
+        const volume = Usdc.fromUnits(totalVolume);
+        const fees = Usdc.fromUnits(totalFees);
+        const avgTradeSize = volume.div(totalTrades, ROUNDING.HALF_UP);
+        const avgFeePerTrade = fees.div(totalTrades, ROUNDING.HALF_UP);
+        const feeRate = volume.isPositive()
+          ? ratio(fees.mul(100), volume, 3)
+          : 0;
 
         console.log(
           colorText("├─────────────────────────────────────────┤", colors.cyan)
         );
         console.log(
           colorText(
-            `│ Avg Trade Size:    $${avgTradeSize.toFixed(2).padStart(12)} │`,
+            `│ Avg Trade Size:    $${avgTradeSize.format(2).padStart(12)} │`,
             colors.cyan
           )
         );
         console.log(
           colorText(
-            `│ Avg Fee per Trade: $${avgFeePerTrade.toFixed(4).padStart(12)} │`,
+            `│ Avg Fee per Trade: $${avgFeePerTrade.format(4).padStart(12)} │`,
             colors.cyan
           )
         );
@@ -4346,8 +4209,8 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
           for (const trade of recentTrades) {
             const buyerShort = trade.buyer.substring(0, 8) + "...";
             const sellerShort = trade.seller.substring(0, 8) + "...";
-            const amount = Number(ethers.formatUnits(trade.amount, 18));
-            const price = Number(ethers.formatUnits(trade.price, 6));
+            const amount = Amount.fromUnits(trade.amount);
+            const price = Price.fromUnits(trade.price);
             const timestamp = new Date(Number(trade.timestamp) * 1000);
             const timeStr = timestamp.toLocaleString();
 
@@ -4355,8 +4218,8 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
               colorText(
                 `│ ${buyerShort.padEnd(10)} │ ${sellerShort.padEnd(
                   10
-                )} │ ${amount.toFixed(4).padStart(13)} │ ${(
-                  "$" + price.toFixed(4)
+                )} │ ${amount.format(4).padStart(13)} │ ${(
+                  "$" + price.format(4)
                 ).padStart(12)} │ ${timeStr.padEnd(19)} │`,
                 colors.white
               )
@@ -4404,8 +4267,8 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
       ];
 
       for (const order of sellOrders) {
-        const priceWei = ethers.parseUnits(order.price, 6);
-        const amountWei = ethers.parseUnits(order.amount, 18);
+        const priceWei = Price.parse(order.price).units;
+        const amountWei = Amount.parse(order.amount).units;
 
         await this.contracts.orderBook
           .connect(this.currentUser)
@@ -4424,251 +4287,73 @@ ${gradient("╚═════╝ ╚══════╝╚═╝  ╚═╝
       );
     } catch (error) {
       console.log(
-        colorText(`❌ Failed to create liquidity: ${error.message}`, colors.red)
+        colorText(
+          `❌ Failed to create liquidity: ${formatError(error)}`,
+          colors.red
+        )
       );
     }
   }
 
   async resetOrderBookAndFundUsers() {
     console.clear();
+    console.log(boxText("🔄 RESET TO A SAVED STATE", colors.brightYellow));
+
+    console.log(colorText("\n📸 Fixtures:", colors.brightCyan));
     console.log(
-      boxText("🔄 RESET ORDER BOOK & FUND USERS", colors.brightYellow)
+      colorText(
+        "  1. funded       - accounts funded, empty order books",
+        colors.white
+      )
+    );
+    console.log(
+      colorText(
+        "  2. seeded-book  - funded, with the deploy plan's liquidity ladder",
+        colors.white
+      )
     );
-
-    console.log(colorText("\n⚠️  WARNING: This will:", colors.red));
-    console.log(colorText("  • Cancel ALL open orders", colors.yellow));
-    console.log(colorText("  • Close ALL positions", colors.yellow));
     console.log(
-      colorText("  • Reset user collateral to 5000 USDC", colors.yellow)
+      colorText("  3. deployed     - contracts and markets only", colors.white)
+    );
+    console.log(
+      colorText(
+        "\n⚠️  The chain is reverted - every order, trade and position after the fixture is gone",
+        colors.red
+      )
     );
-    console.log(colorText("  • Clear order book completely", colors.yellow));
 
-    const confirm = await this.askQuestion(
+    const choice = await this.askQuestion(
       colorText(
-        "\n❓ Are you sure you want to proceed? (yes/no): ",
+        "\n❓ Fixture (1-3 or a saved name, Enter to cancel): ",
         colors.cyan
       )
     );
+    const name =
+      { 1: "funded", 2: "seeded-book", 3: "deployed" }[choice.trim()] ||
+      choice.trim();
 
-    if (confirm.toLowerCase() !== "yes") {
+    if (!name) {
       console.log(colorText("\n❌ Reset cancelled", colors.red));
       await this.pause(1500);
       return;
     }
 
-    console.log(colorText("\n🔄 Starting reset process...", colors.cyan));
-
     try {
-      // Get all signers
-      const signers = await ethers.getSigners();
-      const users = signers.slice(1, 4); // User1, User2, User3
+      await loadFixture(name);
+      // Building a fixture can deploy new contracts
+      await this.loadContracts();
 
-      // Step 1: Cancel all orders
       console.log(
-        colorText("\n📋 Step 1: Canceling all orders...", colors.yellow)
+        colorText(`\n✅ RESTORED FIXTURE "${name}"`, colors.brightGreen)
       );
-      for (let i = 0; i < users.length; i++) {
-        const user = users[i];
-        console.log(colorText(`   User ${i + 1}: ${user.address}`, colors.dim));
-
-        try {
-          // Get user's buy orders
-          const buyOrders = await this.contracts.orderBook.getUserBuyOrders(
-            user.address
-          );
-          for (const order of buyOrders) {
-            if (order.isActive) {
-              await this.contracts.orderBook
-                .connect(user)
-                .cancelOrder(order.orderId);
-              console.log(
-                colorText(
-                  `     ✅ Cancelled buy order #${order.orderId}`,
-                  colors.green
-                )
-              );
-            }
-          }
-
-          // Get user's sell orders
-          const sellOrders = await this.contracts.orderBook.getUserSellOrders(
-            user.address
-          );
-          for (const order of sellOrders) {
-            if (order.isActive) {
-              await this.contracts.orderBook
-                .connect(user)
-                .cancelOrder(order.orderId);
-              console.log(
-                colorText(
-                  `     ✅ Cancelled sell order #${order.orderId}`,
-                  colors.green
-                )
-              );
-            }
-          }
-        } catch (error) {
-          // Skip if user has no orders
-        }
-      }
-
-      // Step 2: Close all positions (by trading against each other if needed)
-      console.log(
-        colorText("\n📊 Step 2: Closing all positions...", colors.yellow)
-      );
-      for (let i = 0; i < users.length; i++) {
-        const user = users[i];
-        try {
-          const positions = await this.contracts.vault.getUserPositions(
-            user.address
-          );
-          for (const position of positions) {
-            if (position.size !== 0n) {
-              const size = position.size;
-              const absSize = size < 0n ? -size : size;
-              const isLong = size > 0n;
-
-              console.log(
-                colorText(
-                  `   User ${i + 1} has ${
-                    isLong ? "LONG" : "SHORT"
-                  } ${ethers.formatUnits(absSize, 18)} ALU`,
-                  colors.cyan
-                )
-              );
-
-              // Place opposite order to close position
-              const closePrice = ethers.parseUnits("10", 6); // Use $10 as a fair closing price
-              await this.contracts.orderBook
-                .connect(user)
-                .placeMarginLimitOrder(
-                  closePrice,
-                  absSize,
-                  !isLong // Opposite direction to close
-                );
-
-              // Have another user take the opposite side
-              const counterparty = users[(i + 1) % users.length];
-              await this.contracts.orderBook
-                .connect(counterparty)
-                .placeMarginLimitOrder(closePrice, absSize, isLong);
-
-              console.log(
-                colorText(`     ✅ Position closed at $10`, colors.green)
-              );
-            }
-          }
-        } catch (error) {
-          // Skip if user has no positions
-        }
-      }
-
-      // Step 3: Reset collateral to 5000 USDC for each user
       console.log(
         colorText(
-          "\n💰 Step 3: Resetting user collateral to 5000 USDC...",
-          colors.yellow
+          "  Save your own with: node scripts/fixtures.js save <name>",
+          colors.dim
         )
       );
-
-      const targetCollateral = ethers.parseUnits("5000", 6);
-      const deployer = signers[0];
-      const mockUSDC = await ethers.getContractAt(
-        "MockUSDC",
-        getAddress("MOCK_USDC")
-      );
-
-      for (let i = 0; i < users.length; i++) {
-        const user = users[i];
-        try {
-          const marginSummary = await this.contracts.vault.getMarginSummary(
-            user.address
-          );
-          const currentCollateral = marginSummary.totalCollateral;
-
-          if (currentCollateral < targetCollateral) {
-            // Need to deposit more
-            const toDeposit = targetCollateral - currentCollateral;
-
-            // First ensure user has USDC
-            const userUsdcBalance = await mockUSDC.balanceOf(user.address);
-            if (userUsdcBalance < toDeposit) {
-              // Mint USDC to user
-              await mockUSDC
-                .connect(deployer)
-                .mint(user.address, toDeposit - userUsdcBalance);
-            }
-
-            // Approve and deposit
-            await mockUSDC
-              .connect(user)
-              .approve(this.contracts.vault.target, toDeposit);
-            await this.contracts.vault
-              .connect(user)
-              .depositCollateral(toDeposit);
-
-            console.log(
-              colorText(
-                `   User ${i + 1}: Deposited ${ethers.formatUnits(
-                  toDeposit,
-                  6
-                )} USDC`,
-                colors.green
-              )
-            );
-          } else if (currentCollateral > targetCollateral) {
-            // Need to withdraw
-            const toWithdraw = currentCollateral - targetCollateral;
-            await this.contracts.vault
-              .connect(user)
-              .withdrawCollateral(toWithdraw);
-
-            console.log(
-              colorText(
-                `   User ${i + 1}: Withdrew ${ethers.formatUnits(
-                  toWithdraw,
-                  6
-                )} USDC`,
-                colors.yellow
-              )
-            );
-          } else {
-            console.log(
-              colorText(`   User ${i + 1}: Already has 5000 USDC`, colors.green)
-            );
-          }
-
-          // Verify final balance
-          const finalSummary = await this.contracts.vault.getMarginSummary(
-            user.address
-          );
-          console.log(
-            colorText(
-              `     Final collateral: ${ethers.formatUnits(
-                finalSummary.totalCollateral,
-                6
-              )} USDC`,
-              colors.cyan
-            )
-          );
-        } catch (error) {
-          console.log(
-            colorText(`   User ${i + 1}: Error - ${error.message}`, colors.red)
-          );
-        }
-      }
-
-      console.log(colorText("\n✅ RESET COMPLETE!", colors.brightGreen));
-      console.log(colorText("\n📊 Final Status:", colors.brightCyan));
-      console.log(colorText("  • All orders cancelled", colors.green));
-      console.log(colorText("  • All positions closed", colors.green));
-      console.log(
-        colorText("  • Each user has 5000 USDC collateral", colors.green)
-      );
-      console.log(colorText("  • Order book is empty", colors.green));
     } catch (error) {
       console.log(colorText("\n❌ Reset failed: " + error.message, colors.red));
-      console.error("Debug - Full error:", error);
     }
 
     await this.askQuestion(
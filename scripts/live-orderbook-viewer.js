@@ -23,9 +23,10 @@ const { ethers } = require("hardhat");
 const {
   getContract,
   getAddress,
-  MARKET_INFO,
   displayFullConfig,
 } = require("../config/contracts");
+const { getMarket } = require("../config/markets");
+const { Price, Amount, Usdc } = require("../sdk/precision");
 
 // ANSI Color Codes for beautiful output
 const colors = {
@@ -48,21 +49,23 @@ function colorText(text, color) {
   return `${color}${text}${colors.reset}`;
 }
 
-function formatPrice(price, decimals = 6) {
+function formatPrice(price) {
   // Handle MaxUint256 case (used for empty order book)
-  if (!price || price === 0n) return "0.00";
-  if (price >= ethers.MaxUint256) return "∞";
+  if (!price || BigInt(price) === 0n) return "0.00";
+  if (BigInt(price) >= ethers.MaxUint256) return "∞";
+  return Price.fromUnits(price).format(2);
+}
 
-  try {
-    return Number(ethers.utils.formatUnits(price, decimals)).toFixed(2);
-  } catch (error) {
-    // Fallback for very large numbers
-    return "∞";
-  }
+function formatAmount(amount, displayDecimals = 4) {
+  return Amount.fromUnits(amount).format(displayDecimals);
 }
 
-function formatAmount(amount, decimals = 18) {
-  return Number(ethers.utils.formatUnits(amount, decimals)).toFixed(4);
+// Price levels are keyed by price units (bigint) and hold amount units
+const ascending = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+const descending = (a, b) => ascending(b, a);
+
+function addToLevel(levels, price, amount) {
+  levels.set(price, (levels.get(price) || 0n) + amount);
 }
 
 async function getLiveOrderBookData() {
@@ -122,13 +125,13 @@ async function getLiveOrderBookData() {
       );
       console.log(
         `   Total Volume: ${colorText(
-          `$${ethers.utils.formatUnits(totalVolume, 6)}`,
+          `$${Usdc.fromUnits(totalVolume).format(2)}`,
           colors.green
         )}`
       );
       console.log(
         `   Total Fees: ${colorText(
-          `$${ethers.utils.formatUnits(totalFees, 6)}`,
+          `$${Usdc.fromUnits(totalFees).format(2)}`,
           colors.yellow
         )}`
       );
@@ -253,7 +256,7 @@ async function getLiveOrderBookData() {
     );
 
     // Use our aluminum market from config
-    const aluminumMarketId = MARKET_INFO.ALUMINUM.marketId;
+    const aluminumMarketId = (await getMarket("ALU-USD")).marketId;
     const activeMarkets = [aluminumMarketId];
 
     // Display enhanced market metadata
@@ -276,7 +279,7 @@ async function getLiveOrderBookData() {
       );
       console.log(
         `  Start Price: ${colorText(
-          `$${ethers.utils.formatUnits(startPrice || "2500000000", 6)}`,
+          `$${formatPrice(startPrice || 2500000000n)}`,
           colors.yellow
         )}`
       );
@@ -636,44 +639,25 @@ async function getLiveOrderBookData() {
                       const order = ordersForMarket[m];
                       const orderId = orderIdsForMarket[m];
 
-                      const price = Number(
-                        ethers.utils.formatUnits(order.priceTick, 6)
-                      );
+                      const price = BigInt(order.priceTick);
 
                       // CRITICAL FIX: Get remaining amount instead of original amount
                       try {
                         const filledAmount = await orderBook.getFilledAmount(
                           orderId
                         );
-                        const remainingAmount =
+                        const amount =
                           BigInt(order.amount) - BigInt(filledAmount);
-                        const amount = Number(
-                          ethers.utils.formatUnits(remainingAmount, 18)
-                        );
 
                         // Only include orders with remaining amounts > 0
-                        if (amount > 0) {
-                          if (order.side === 0) {
-                            // BUY
-                            if (tradingRouterBidLevels.has(price)) {
-                              tradingRouterBidLevels.set(
-                                price,
-                                tradingRouterBidLevels.get(price) + amount
-                              );
-                            } else {
-                              tradingRouterBidLevels.set(price, amount);
-                            }
-                          } else {
-                            // SELL
-                            if (tradingRouterAskLevels.has(price)) {
-                              tradingRouterAskLevels.set(
-                                price,
-                                tradingRouterAskLevels.get(price) + amount
-                              );
-                            } else {
-                              tradingRouterAskLevels.set(price, amount);
-                            }
-                          }
+                        if (amount > 0n) {
+                          addToLevel(
+                            order.side === 0 // BUY
+                              ? tradingRouterBidLevels
+                              : tradingRouterAskLevels,
+                            price,
+                            amount
+                          );
                         }
                       } catch (error) {
                         // If we can't get filled amount, skip this order
@@ -751,30 +735,15 @@ async function getLiveOrderBookData() {
             (tradingRouterBidLevels.size > 0 || tradingRouterAskLevels.size > 0)
           ) {
             // Convert TradingRouter data to arrays
-            const sortedTRBids = Array.from(tradingRouterBidLevels.keys()).sort(
-              (a, b) => b - a
+            finalBidPrices = [...tradingRouterBidLevels.keys()].sort(
+              descending
             );
-            const sortedTRAsks = Array.from(tradingRouterAskLevels.keys()).sort(
-              (a, b) => a - b
+            finalBidAmounts = finalBidPrices.map((price) =>
+              tradingRouterBidLevels.get(price)
             );
-
-            finalBidPrices = sortedTRBids.map((price) =>
-              ethers.utils.parseUnits(price.toString(), 6)
-            );
-            finalBidAmounts = sortedTRBids.map((price) =>
-              ethers.utils.parseUnits(
-                tradingRouterBidLevels.get(price).toString(),
-                18
-              )
-            );
-            finalAskPrices = sortedTRAsks.map((price) =>
-              ethers.utils.parseUnits(price.toString(), 6)
-            );
-            finalAskAmounts = sortedTRAsks.map((price) =>
-              ethers.utils.parseUnits(
-                tradingRouterAskLevels.get(price).toString(),
-                18
-              )
+            finalAskPrices = [...tradingRouterAskLevels.keys()].sort(ascending);
+            finalAskAmounts = finalAskPrices.map((price) =>
+              tradingRouterAskLevels.get(price)
             );
 
             console.log(
@@ -889,36 +858,25 @@ async function getLiveOrderBookData() {
                 const getFilledAmount = await orderBook.getFilledAmount(
                   order.orderId
                 );
-                const remainingAmount =
-                  BigInt(order.amount) - BigInt(getFilledAmount);
-                const amount = Number(
-                  ethers.utils.formatUnits(remainingAmount, 18)
-                );
-                const price = Number(
-                  ethers.utils.formatUnits(order.priceTick, 6)
-                );
+                const amount = BigInt(order.amount) - BigInt(getFilledAmount);
+                const price = BigInt(order.priceTick);
 
                 // Only process orders with remaining amounts > 0
-                if (amount > 0) {
+                if (amount > 0n) {
                   console.log(
-                    `     Order ${idx + 1}: $${price.toFixed(
-                      2
-                    )} × ${amount.toFixed(1)} ALU (remaining)`
+                    `     Order ${idx + 1}: $${formatPrice(
+                      price
+                    )} × ${formatAmount(amount, 1)} ALU (remaining)`
                   );
-
-                  if (askPriceLevels.has(price)) {
-                    askPriceLevels.set(
-                      price,
-                      askPriceLevels.get(price) + amount
-                    );
-                  } else {
-                    askPriceLevels.set(price, amount);
-                  }
+                  addToLevel(askPriceLevels, price, amount);
                 } else {
                   console.log(
-                    `     Order ${idx + 1}: $${price.toFixed(2)} × ${Number(
-                      ethers.utils.formatUnits(order.amount, 18)
-                    ).toFixed(1)} ALU (fully filled - skipped)`
+                    `     Order ${idx + 1}: $${formatPrice(
+                      price
+                    )} × ${formatAmount(
+                      order.amount,
+                      1
+                    )} ALU (fully filled - skipped)`
                   );
                 }
               } catch (error) {
@@ -935,18 +893,11 @@ async function getLiveOrderBookData() {
             for (const orderId of allBuyOrders) {
               try {
                 const orderDetails = await orderBook.orders(orderId);
-                const price = Number(
-                  ethers.utils.formatUnits(orderDetails.priceTick, 6)
+                addToLevel(
+                  bidPriceLevels,
+                  BigInt(orderDetails.priceTick),
+                  BigInt(orderDetails.amount)
                 );
-                const amount = Number(
-                  ethers.utils.formatUnits(orderDetails.amount, 18)
-                );
-
-                if (bidPriceLevels.has(price)) {
-                  bidPriceLevels.set(price, bidPriceLevels.get(price) + amount);
-                } else {
-                  bidPriceLevels.set(price, amount);
-                }
               } catch (error) {
                 // Skip orders with errors
               }
@@ -956,12 +907,8 @@ async function getLiveOrderBookData() {
             console.log(
               `\n  ${colorText("🔍 DATA VALIDATION:", colors.yellow)}`
             );
-            const sortedAsks = Array.from(askPriceLevels.keys()).sort(
-              (a, b) => a - b
-            );
-            const sortedBids = Array.from(bidPriceLevels.keys()).sort(
-              (a, b) => b - a
-            );
+            const sortedAsks = [...askPriceLevels.keys()].sort(ascending);
+            const sortedBids = [...bidPriceLevels.keys()].sort(descending);
 
             console.log(
               `     OrderBook depth asks: ${askPrices.length} levels`
@@ -989,7 +936,8 @@ async function getLiveOrderBookData() {
                 const price = sortedAsks[k];
                 const amount = askPriceLevels.get(price);
                 console.log(
-                  `     Level ${k + 1}: $${price.toFixed(2)} × ${amount.toFixed(
+                  `     Level ${k + 1}: $${formatPrice(price)} × ${formatAmount(
+                    amount,
                     1
                   )} ALU`
                 );
@@ -1041,18 +989,24 @@ async function getLiveOrderBookData() {
                   const price = sortedBids[j];
                   const amount = bidPriceLevels.get(price);
                   bidInfo = `${colorText(
-                    `$${price.toFixed(2)}`.padEnd(8),
+                    `$${formatPrice(price)}`.padEnd(8),
+                    colors.green
+                  )} ${colorText(
+                    formatAmount(amount, 1).padEnd(8),
                     colors.green
-                  )} ${colorText(amount.toFixed(1).padEnd(8), colors.green)}`;
+                  )}`;
                 }
 
                 if (j < sortedAsks.length) {
                   const price = sortedAsks[j];
                   const amount = askPriceLevels.get(price);
                   askInfo = `${colorText(
-                    `$${price.toFixed(2)}`.padEnd(8),
+                    `$${formatPrice(price)}`.padEnd(8),
                     colors.red
-                  )} ${colorText(amount.toFixed(1).padEnd(8), colors.red)}`;
+                  )} ${colorText(
+                    formatAmount(amount, 1).padEnd(8),
+                    colors.red
+                  )}`;
                 }
 
                 console.log(
@@ -1195,28 +1149,19 @@ async function getLiveOrderBookData() {
                       const filledAmount = await orderBook.getFilledAmount(
                         orderId
                       );
-                      const remainingAmount =
+                      const amount =
                         BigInt(orderDetails.amount) - BigInt(getFilledAmount);
 
-                      const price = ethers.utils.formatUnits(
-                        orderDetails.priceTick,
-                        6
-                      );
-                      const amount = ethers.utils.formatUnits(
-                        remainingAmount,
-                        18
-                      );
-
                       // Only show orders with remaining amounts > 0
-                      if (Number(amount) > 0) {
+                      if (amount > 0n) {
                         console.log(
                           `  ${colorText(
                             `${orderIndex++}.`,
                             colors.white
                           )} ${colorText("🟢 BUY", colors.green)} ${colorText(
-                            `$${Number(price).toFixed(2)} × ${Number(
-                              amount
-                            ).toFixed(1)} ALU`,
+                            `$${formatPrice(
+                              orderDetails.priceTick
+                            )} × ${formatAmount(amount, 1)} ALU`,
                             colors.yellow
                           )} ${colorText(
                             `(${orderId.toString().slice(0, 8)}...)`,
@@ -1244,28 +1189,19 @@ async function getLiveOrderBookData() {
                       const filledAmount = await orderBook.getFilledAmount(
                         orderId
                       );
-                      const remainingAmount =
+                      const amount =
                         BigInt(orderDetails.amount) - BigInt(getFilledAmount);
 
-                      const price = ethers.utils.formatUnits(
-                        orderDetails.priceTick,
-                        6
-                      );
-                      const amount = ethers.utils.formatUnits(
-                        remainingAmount,
-                        18
-                      );
-
                       // Only show orders with remaining amounts > 0
-                      if (Number(amount) > 0) {
+                      if (amount > 0n) {
                         console.log(
                           `  ${colorText(
                             `${orderIndex++}.`,
                             colors.white
                           )} ${colorText("🔴 SELL", colors.red)} ${colorText(
-                            `$${Number(price).toFixed(2)} × ${Number(
-                              amount
-                            ).toFixed(1)} ALU`,
+                            `$${formatPrice(
+                              orderDetails.priceTick
+                            )} × ${formatAmount(amount, 1)} ALU`,
                             colors.yellow
                           )} ${colorText(
                             `(${orderId.toString().slice(0, 8)}...)`,
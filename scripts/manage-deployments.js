@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+// manage-deployments.js - Inspect and switch deployment manifests
+//
+// 🎯 COMMANDS:
+//   list                  Show the active deployment and its history
+//   validate              Check the active deployment against the schema and chain
+//   use <deploymentId>    Make an earlier deployment active again
+//   rollback              Switch back to the most recent earlier deployment
+//
+// 🚀 USAGE:
+//   HARDHAT_NETWORK=localhost node scripts/manage-deployments.js list
+//   HARDHAT_NETWORK=localhost node scripts/manage-deployments.js use localhost-20250911T170301Z
+//   HARDHAT_NETWORK=localhost node scripts/manage-deployments.js rollback
+//
+
+const { ethers } = require("hardhat");
+const { getNetworkConfig } = require("../config/contracts");
+const {
+  listDeployments,
+  readManifest,
+  validateDeployment,
+  useDeployment,
+  rollbackDeployment,
+} = require("../config/deployment-manifest");
+
+function printDeployments(networkKey) {
+  const deployments = listDeployments(networkKey);
+
+  if (deployments.length === 0) {
+    console.log(`  ℹ️  No deployments recorded for ${networkKey}`);
+    return;
+  }
+
+  for (const deployment of deployments) {
+    const marker = deployment.active ? "▶" : " ";
+    console.log(
+      `  ${marker} ${deployment.deploymentId.padEnd(32)} │ ${
+        deployment.timestamp
+      } │ ${Object.keys(deployment.contracts || {}).length} contracts`
+    );
+  }
+}
+
+async function main() {
+  const [command, deploymentId] = process.argv.slice(2);
+  const networkConfig = await getNetworkConfig();
+  const options = { provider: ethers.provider };
+
+  console.log(
+    `\n📋 DEPLOYMENTS - ${networkConfig.name} (chainId ${networkConfig.chainId})`
+  );
+  console.log("═".repeat(80));
+
+  switch (command) {
+    case "list":
+    case undefined:
+      printDeployments(networkConfig.key);
+      break;
+
+    case "validate": {
+      const manifest = readManifest(networkConfig.key);
+      if (!manifest) {
+        throw new Error(`No deployment manifest for ${networkConfig.key}`);
+      }
+      const errors = await validateDeployment(manifest, options);
+      if (errors.length > 0) {
+        console.log(`  ❌ ${manifest.deploymentId} is invalid:`);
+        errors.forEach((error) => console.log(`     - ${error}`));
+        process.exitCode = 1;
+      } else {
+        console.log(`  ✅ ${manifest.deploymentId} is valid`);
+      }
+      break;
+    }
+
+    case "use": {
+      if (!deploymentId) {
+        throw new Error("Usage: manage-deployments.js use <deploymentId>");
+      }
+      const manifest = await useDeployment(
+        networkConfig.key,
+        deploymentId,
+        options
+      );
+      console.log(`  ✅ Active deployment is now ${manifest.deploymentId}`);
+      printDeployments(networkConfig.key);
+      break;
+    }
+
+    case "rollback": {
+      const manifest = await rollbackDeployment(networkConfig.key, options);
+      console.log(`  ✅ Rolled back to ${manifest.deploymentId}`);
+      printDeployments(networkConfig.key);
+      break;
+    }
+
+    default:
+      throw new Error(
+        `Unknown command "${command}". Use: list | validate | use <deploymentId> | rollback`
+      );
+  }
+
+  console.log("═".repeat(80));
+}
+
+main()
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error("\n❌", error.message);
+    process.exit(1);
+  });
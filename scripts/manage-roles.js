@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+
+// manage-roles.js - Grant, revoke, list and diff roles across Vault, Router and Factory
+//
+// 🎯 COMMANDS:
+//   list [vault|router|factory]              Current holders (rebuilt from events)
+//   grant <target> <role> <account>          Grant a role
+//   revoke <target> <role> <account>         Revoke a role
+//   diff <spec.json>                         Changes needed to reach a role spec
+//                                            (see config/roles.js); --apply sends them
+//
+// 🚩 FLAGS:
+//   --dry-run          Print the transactions and calldata, send nothing
+//   --yes              Don't ask for confirmation
+//   --from-block <n>   First block to scan for role events (default 0)
+//
+// 🚀 USAGE:
+//   HARDHAT_NETWORK=localhost node scripts/manage-roles.js list
+//   HARDHAT_NETWORK=localhost node scripts/manage-roles.js grant vault SETTLEMENT_ROLE 0xabc... --dry-run
+//   HARDHAT_NETWORK=localhost node scripts/manage-roles.js revoke router UPDATER_ROLE $BTC_ORDERBOOK
+//   HARDHAT_NETWORK=localhost node scripts/manage-roles.js diff ops/roles.json --apply
+//
+// 🔑 KEY ROTATION:
+//   Write a spec with the new keys and run diff. Grants are sent before
+//   revokes and admin revokes go last; the last admin is never revoked.
+//
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { ethers } = require("hardhat");
+const { getNetworkConfig, loadAddresses } = require("../config/contracts");
+const { resolveReference } = require("../config/deploy-plan");
+const {
+  ROLE_TARGETS,
+  getRoleHolders,
+  planRoleChange,
+  assertAdminsRemain,
+  diffRoles,
+  executeRoleChanges,
+} = require("../config/roles");
+
+function confirm(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+function parseArgs(argv) {
+  const flags = { dryRun: false, yes: false, apply: false, fromBlock: 0 };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--dry-run") flags.dryRun = true;
+    else if (argv[i] === "--yes") flags.yes = true;
+    else if (argv[i] === "--apply") flags.apply = true;
+    else if (argv[i] === "--from-block") flags.fromBlock = Number(argv[++i]);
+    else positional.push(argv[i]);
+  }
+
+  return { positional, flags };
+}
+
+function printHolders(holders) {
+  for (const [target, roles] of Object.entries(holders)) {
+    console.log(`\n🏢 ${target} (${ROLE_TARGETS[target].key}):`);
+    for (const [role, holder] of Object.entries(roles)) {
+      const accounts = Array.isArray(holder) ? holder : [holder];
+      console.log(`  ${role}:`);
+      if (accounts.length === 0) {
+        console.log("    (none)");
+      }
+      accounts.forEach((account) => console.log(`    - ${account}`));
+    }
+  }
+}
+
+function printChanges(changes) {
+  if (changes.length === 0) {
+    console.log("\n✅ No changes needed");
+    return;
+  }
+
+  console.log(`\n🔧 ${changes.length} transaction(s):`);
+  changes.forEach((change, i) => {
+    console.log(`  ${i + 1}. ${change.description}`);
+    console.log(`     ${change.method}(${change.args.join(", ")})`);
+    console.log(`     to:   ${change.to}`);
+    console.log(`     data: ${change.data}`);
+  });
+}
+
+async function sendChanges(changes, flags, signer) {
+  printChanges(changes);
+  if (changes.length === 0) {
+    return;
+  }
+
+  if (flags.dryRun) {
+    console.log("\nℹ️  Dry run - nothing sent");
+    return;
+  }
+
+  const proceed =
+    flags.yes ||
+    (await confirm(
+      `\nSend ${changes.length} transaction(s) from ${signer.address}? (y/N) `
+    ));
+  if (!proceed) {
+    console.log("ℹ️  Nothing sent");
+    return;
+  }
+
+  console.log("\n⚙️  Applying role changes...");
+  await executeRoleChanges(changes, signer);
+}
+
+async function main() {
+  const { positional, flags } = parseArgs(process.argv.slice(2));
+  const [command, ...args] = positional;
+  const [signer] = await ethers.getSigners();
+  const addresses = { deployer: signer.address, ...(await loadAddresses()) };
+  const networkConfig = await getNetworkConfig();
+
+  console.log(
+    `\n🎭 ROLES - ${networkConfig.name} (chainId ${networkConfig.chainId})`
+  );
+  console.log("═".repeat(80));
+
+  switch (command) {
+    case "list":
+    case undefined: {
+      const holders = await getRoleHolders({
+        fromBlock: flags.fromBlock,
+        targets: args[0] ? [args[0]] : undefined,
+      });
+      printHolders(holders);
+      break;
+    }
+
+    case "grant":
+    case "revoke": {
+      const [target, role, account] = args;
+      if (!account) {
+        throw new Error(
+          `Usage: manage-roles.js ${command} <target> <role> <account>`
+        );
+      }
+      const change = await planRoleChange(
+        command,
+        target,
+        role,
+        resolveReference(account, addresses)
+      );
+      if (command === "revoke") {
+        const holders = await getRoleHolders({
+          fromBlock: flags.fromBlock,
+          targets: [target],
+        });
+        assertAdminsRemain([change], holders);
+      }
+      await sendChanges([change], flags, signer);
+      break;
+    }
+
+    case "diff": {
+      const [specPath] = args;
+      if (!specPath) {
+        throw new Error("Usage: manage-roles.js diff <spec.json> [--apply]");
+      }
+      const spec = JSON.parse(fs.readFileSync(path.resolve(specPath), "utf8"));
+      const holders = await getRoleHolders({
+        fromBlock: flags.fromBlock,
+        targets: Object.keys(spec),
+      });
+      const changes = await diffRoles(spec, holders, addresses);
+
+      if (flags.apply) {
+        await sendChanges(changes, flags, signer);
+      } else {
+        printChanges(changes);
+        if (changes.length > 0) {
+          console.log("\nℹ️  Re-run with --apply to send these transactions");
+        }
+      }
+      break;
+    }
+
+    default:
+      throw new Error(
+        `Unknown command "${command}". Use: list | grant | revoke | diff`
+      );
+  }
+
+  console.log("═".repeat(80));
+}
+
+main()
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -6,6 +6,7 @@
 
 const { ethers } = require("hardhat");
 const { getAddress } = require("../config/contracts");
+const { Price, Amount, Usdc } = require("../sdk/precision");
 
 // Color codes
 const colors = {
@@ -22,7 +23,7 @@ const colors = {
 const colorText = (text, color) => `${color}${text}${colors.reset}`;
 
 function formatUSDC(value) {
-  return ethers.formatUnits(value, 6);
+  return Usdc.fromUnits(value).toString();
 }
 
 async function main() {
@@ -84,15 +85,15 @@ async function main() {
       await orderBook
         .connect(user1)
         .placeLimitOrder(
-          ethers.parseUnits("10", 6),
-          ethers.parseUnits("100", 18),
+          Price.parse("10").units,
+          Amount.parse("100").units,
           true
         );
       await orderBook
         .connect(user2)
         .placeLimitOrder(
-          ethers.parseUnits("10", 6),
-          ethers.parseUnits("100", 18),
+          Price.parse("10").units,
+          Amount.parse("100").units,
           false
         );
       console.log(
@@ -123,9 +124,9 @@ async function main() {
     );
 
     // Trade: 100 ALU @ $10 = $1000 notional
-    const tradeSize = ethers.parseUnits("100", 18);
-    const tradePrice = ethers.parseUnits("10", 6);
-    const expectedMargin = ethers.parseUnits("1000", 6); // 100% of notional
+    const tradeSize = Amount.parse("100").units;
+    const tradePrice = Price.parse("10").units;
+    const expectedMargin = Usdc.parse("1000").units; // 100% of notional
 
     console.log(`Trade: 100 ALU @ $10 = $1000 notional`);
     console.log(`Expected margin per side: $1000 (100%)`);
@@ -181,8 +182,8 @@ async function main() {
     try {
       // User 1 has ~$0 available, try to place another order
       await orderBook.connect(user1).placeMarginLimitOrder(
-        ethers.parseUnits("10", 6),
-        ethers.parseUnits("1", 18), // Even 1 ALU should fail
+        Price.parse("10").units,
+        Amount.parse("1").units, // Even 1 ALU should fail
         true
       );
       console.log(
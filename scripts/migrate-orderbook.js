@@ -0,0 +1,480 @@
+#!/usr/bin/env node
+
+// migrate-orderbook.js - Move a market to a freshly deployed OrderBook
+//
+// 🎯 THIS SCRIPT:
+//   1. Snapshots the old book: resting orders, positions, reserved margin
+//   2. Deploys the replacement OrderBook and copies its settings
+//      (trading parameters, leverage, VWAP configuration)
+//   3. Cancels the old book's orders for every owner account we control
+//   4. Rewires the vault (deregister old, register + assign new) and the
+//      router (UPDATER_ROLE)
+//   5. Releases the reserved margin of orders we could not cancel
+//   6. Re-places the cancelled orders on the new book, oldest first
+//   7. Writes a reconciliation report to deployments/migrations/ and points
+//      the deployment manifest at the new book
+//
+// Positions live in the vault under the marketId, so they carry over as-is;
+// the report confirms they are unchanged, and that each re-placed order's
+// reserved margin moved to its new orderId with nothing left reserved for
+// the old ones.
+//
+// 🚀 USAGE:
+//   HARDHAT_NETWORK=localhost node scripts/migrate-orderbook.js ALU-USD --dry-run
+//   HARDHAT_NETWORK=localhost node scripts/migrate-orderbook.js ALU-USD
+//   HARDHAT_NETWORK=localhost node scripts/migrate-orderbook.js <orderBookAddress> --yes
+//   (--contract <name> deploys another artifact, e.g. a patched OrderBook)
+//
+
+const readline = require("readline");
+const { ethers } = require("hardhat");
+const { getContract, getNetworkConfig, ROLES } = require("../config/contracts");
+const { getMarket, loadMarketCatalog } = require("../config/markets");
+const { replaceConfigAddress } = require("../config/update-addresses");
+const {
+  snapshotOrderBook,
+  reconcileMigration,
+  writeMigrationReport,
+} = require("../config/orderbook-migration");
+
+function confirm(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+function parseArgs(argv) {
+  const flags = { dryRun: false, yes: false, contract: "OrderBook" };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--dry-run") flags.dryRun = true;
+    else if (argv[i] === "--yes") flags.yes = true;
+    else if (argv[i] === "--contract") flags.contract = argv[++i];
+    else positional.push(argv[i]);
+  }
+
+  return { target: positional[0], flags };
+}
+
+const describeOrder = (order) =>
+  `#${order.orderId} ${order.isBuy ? "BUY" : "SELL"} ${ethers.formatUnits(
+    order.amount,
+    18
+  )} @ $${ethers.formatUnits(order.price, 6)} (${order.trader})`;
+
+const formatMargin = (units) =>
+  units === null ? "none" : `$${ethers.formatUnits(units, 6)}`;
+
+const describeReservationChange = ({ trader, kind, from, to, before, after }) =>
+  kind === "leftover"
+    ? `order #${from} (${trader}) still has ${formatMargin(after)} reserved`
+    : `order #${from} -> #${to} (${trader}): ${formatMargin(
+        before
+      )} reserved before, ${formatMargin(after)} after`;
+
+async function send(label, txPromise) {
+  console.log(`  🔧 ${label}...`);
+  const receipt = await (await txPromise).wait();
+  console.log(`     ✅ Done`);
+  return receipt;
+}
+
+/**
+ * Copy the old book's settings onto the new one
+ * @returns {Promise<object[]>} Settings that could not be copied
+ */
+async function copySettings(newBook, settings, controller) {
+  const skipped = [];
+  const book = newBook.connect(controller);
+
+  if (settings.leverageEnabled) {
+    await send(
+      `Enable ${settings.maxLeverage}x leverage`,
+      book.enableLeverage(settings.maxLeverage, settings.marginRequirementBps)
+    );
+  }
+
+  const [margin, fee, recipient] = await newBook.getTradingParameters();
+  if (
+    margin !== settings.marginRequirementBps ||
+    fee !== settings.tradingFee ||
+    recipient !== settings.feeRecipient
+  ) {
+    // updateTradingParameters caps margin at 50%
+    if (settings.marginRequirementBps <= 5000n) {
+      await send(
+        "Copy trading parameters",
+        book.updateTradingParameters(
+          settings.marginRequirementBps,
+          settings.tradingFee,
+          settings.feeRecipient
+        )
+      );
+    } else {
+      skipped.push({
+        name: "tradingParameters",
+        reason: `margin ${settings.marginRequirementBps} bps can't be set through updateTradingParameters (max 5000) - new book has margin ${margin}, fee ${fee}, recipient ${recipient}`,
+      });
+    }
+  }
+
+  if (
+    (await newBook.vwapTimeWindow()) !== settings.vwapTimeWindow ||
+    (await newBook.minVolumeForVWAP()) !== settings.minVolumeForVWAP ||
+    (await newBook.useVWAPForMarkPrice()) !== settings.useVWAP
+  ) {
+    await send(
+      "Copy VWAP configuration",
+      book.configureVWAP(
+        settings.vwapTimeWindow,
+        settings.minVolumeForVWAP,
+        settings.useVWAP
+      )
+    );
+  }
+
+  // Last - hands configuration rights to the old controller
+  if (settings.leverageController !== controller.address) {
+    await send(
+      `Hand leverage control to ${settings.leverageController}`,
+      book.setLeverageController(settings.leverageController)
+    );
+  }
+
+  return skipped;
+}
+
+async function main() {
+  const { target, flags } = parseArgs(process.argv.slice(2));
+  if (!target) {
+    throw new Error(
+      "Usage: migrate-orderbook.js <symbol|orderBookAddress> [--dry-run] [--yes] [--contract <name>]"
+    );
+  }
+
+  const signers = await ethers.getSigners();
+  const [admin] = signers;
+  const controlled = new Map(signers.map((signer) => [signer.address, signer]));
+  const networkConfig = await getNetworkConfig();
+  const vault = await getContract("CENTRALIZED_VAULT");
+  const router = await getContract("TRADING_ROUTER");
+
+  const oldAddress = ethers.isAddress(target)
+    ? ethers.getAddress(target)
+    : (await getMarket(target, { refresh: true })).orderBook;
+  const oldBook = await ethers.getContractAt("OrderBook", oldAddress);
+
+  console.log(`\n🚚 ORDERBOOK MIGRATION - ${networkConfig.name}`);
+  console.log("═".repeat(80));
+
+  // ============================================
+  // STEP 1: SNAPSHOT
+  // ============================================
+  console.log("\n📸 STEP 1: SNAPSHOTTING OLD ORDERBOOK");
+  console.log("─".repeat(60));
+
+  const before = await snapshotOrderBook(oldAddress, {
+    traders: [...controlled.keys()],
+  });
+  const movable = before.orders.filter((order) => controlled.has(order.trader));
+  const stuck = before.orders.filter((order) => !controlled.has(order.trader));
+
+  console.log(`  OrderBook: ${oldAddress}`);
+  console.log(`  Market ID: ${before.marketId}`);
+  console.log(`  Resting orders: ${before.orders.length}`);
+  console.log(`    ✅ ${movable.length} from accounts we control (will move)`);
+  console.log(
+    `    ⚠️  ${stuck.length} from other accounts (margin released, owners must re-place)`
+  );
+  console.log(`  Open positions: ${Object.keys(before.positions).length}`);
+  stuck.forEach((order) => console.log(`    ⚠️  ${describeOrder(order)}`));
+
+  if (!controlled.has(before.settings.feeRecipient)) {
+    throw new Error(
+      `Fee recipient ${before.settings.feeRecipient} is not one of our accounts - it must sign the new book's configuration`
+    );
+  }
+
+  if (flags.dryRun) {
+    console.log("\nℹ️  Dry run - nothing deployed or sent");
+    console.log("═".repeat(80));
+    return;
+  }
+
+  const proceed =
+    flags.yes ||
+    (await confirm(
+      `\nMigrate ${before.orders.length} orders to a new ${flags.contract}? (y/N) `
+    ));
+  if (!proceed) {
+    console.log("ℹ️  Nothing sent");
+    return;
+  }
+
+  const results = { migrated: [], failed: [], stranded: [], settings: [] };
+
+  // ============================================
+  // STEP 2: DEPLOY REPLACEMENT
+  // ============================================
+  console.log("\n📦 STEP 2: DEPLOYING REPLACEMENT ORDERBOOK");
+  console.log("─".repeat(60));
+
+  const feeRecipient = controlled.get(before.settings.feeRecipient);
+  const Factory = await ethers.getContractFactory(flags.contract);
+  const newBook = await Factory.deploy(
+    await vault.getAddress(),
+    before.marketId,
+    feeRecipient.address
+  );
+  await newBook.waitForDeployment();
+  const newAddress = await newBook.getAddress();
+  console.log(`  ✅ ${flags.contract} deployed at: ${newAddress}`);
+
+  results.settings = await copySettings(newBook, before.settings, feeRecipient);
+
+  // ============================================
+  // STEP 3: CANCEL OLD ORDERS
+  // ============================================
+  console.log("\n🧹 STEP 3: CANCELLING OLD ORDERS");
+  console.log("─".repeat(60));
+
+  const cancelled = [];
+  for (const order of movable) {
+    try {
+      await send(
+        `Cancel ${describeOrder(order)}`,
+        oldBook.connect(controlled.get(order.trader)).cancelOrder(order.orderId)
+      );
+      cancelled.push(order);
+    } catch (error) {
+      results.failed.push({
+        order,
+        reason: `cancel on old book failed: ${
+          error.shortMessage || error.message
+        }`,
+      });
+    }
+  }
+
+  // ============================================
+  // STEP 4: REWIRE VAULT AND ROUTER
+  // ============================================
+  console.log("\n🔒 STEP 4: REWIRING VAULT AND ROUTER");
+  console.log("─".repeat(60));
+
+  const hadFactoryRole = await vault.hasRole(ROLES.FACTORY_ROLE, admin.address);
+  if (!hadFactoryRole) {
+    await send(
+      "Temporarily grant FACTORY_ROLE to admin",
+      vault.grantRole(ROLES.FACTORY_ROLE, admin.address)
+    );
+  }
+
+  if (await vault.registeredOrderBooks(oldAddress)) {
+    // Also revokes ORDERBOOK_ROLE and unassigns/deauthorizes its markets
+    await send(
+      "Deregister old OrderBook",
+      vault.deregisterOrderBook(oldAddress)
+    );
+  } else if (await vault.authorizedMarkets(before.marketId)) {
+    await send(
+      "Clear market authorization",
+      vault.setMarketAuthorization(before.marketId, false)
+    );
+  }
+  await send("Register new OrderBook", vault.registerOrderBook(newAddress));
+  await send(
+    "Assign market to new OrderBook",
+    vault.assignMarketToOrderBook(before.marketId, newAddress)
+  );
+
+  if (!hadFactoryRole) {
+    await send(
+      "Revoke temporary FACTORY_ROLE",
+      vault.revokeRole(ROLES.FACTORY_ROLE, admin.address)
+    );
+  }
+
+  await send(
+    "Grant UPDATER_ROLE on TradingRouter",
+    router.grantUpdaterRole(newAddress)
+  );
+  if (await router.hasRole(ROLES.UPDATER_ROLE, oldAddress)) {
+    await send(
+      "Revoke old OrderBook's UPDATER_ROLE",
+      router.revokeUpdaterRole(oldAddress)
+    );
+  }
+
+  // ============================================
+  // STEP 5: RELEASE STRANDED MARGIN
+  // ============================================
+  console.log("\n🔓 STEP 5: RELEASING STRANDED MARGIN");
+  console.log("─".repeat(60));
+
+  const strandedByTrader = new Map();
+  for (const order of stuck) {
+    strandedByTrader.set(order.trader, [
+      ...(strandedByTrader.get(order.trader) || []),
+      order,
+    ]);
+  }
+  if (strandedByTrader.size === 0) {
+    console.log("  ℹ️  Nothing stranded");
+  }
+
+  for (const [trader, orders] of strandedByTrader) {
+    const reserved = (before.reservedMargin[trader] || []).map(
+      (entry) => entry.orderId
+    );
+    const orderIds = orders
+      .map((order) => ethers.toBeHex(order.orderId, 32))
+      .filter((orderId) => reserved.includes(orderId));
+
+    if (orderIds.length > 0) {
+      await send(
+        `Release ${orderIds.length} reservation(s) for ${trader}`,
+        vault.cleanupGhostReservations(trader, orderIds)
+      );
+    }
+    orders.forEach((order) =>
+      results.stranded.push({
+        order,
+        reason: `owner not controlled - order left on the retired book${
+          order.isMarginOrder ? ", reserved margin released" : ""
+        }`,
+      })
+    );
+  }
+
+  // ============================================
+  // STEP 6: RE-PLACE ORDERS
+  // ============================================
+  console.log("\n📥 STEP 6: RE-PLACING ORDERS ON NEW ORDERBOOK");
+  console.log("─".repeat(60));
+
+  for (const order of cancelled) {
+    const owner = controlled.get(order.trader);
+    const book = newBook.connect(owner);
+
+    try {
+      // The vault keys reserved margin by (trader, orderId) across books
+      const nextOrderId = ethers.toBeHex(await newBook.nextOrderId(), 32);
+      const pending = await vault.getUserPendingOrders(owner.address);
+      if (
+        order.isMarginOrder &&
+        pending.some((entry) => entry.orderId === nextOrderId)
+      ) {
+        throw new Error(
+          `order id ${BigInt(
+            nextOrderId
+          )} already has reserved margin in another market`
+        );
+      }
+
+      const receipt = await send(
+        `Place ${describeOrder(order)}`,
+        order.isMarginOrder
+          ? book.placeMarginLimitOrder(order.price, order.amount, order.isBuy)
+          : book.placeLimitOrder(order.price, order.amount, order.isBuy)
+      );
+      const placed = receipt.logs
+        .map((log) => {
+          try {
+            return newBook.interface.parseLog(log);
+          } catch {
+            return null;
+          }
+        })
+        .find((parsed) => parsed && parsed.name === "OrderPlaced");
+
+      results.migrated.push({ from: order, to: placed.args.orderId });
+    } catch (error) {
+      results.failed.push({
+        order,
+        reason: `re-place failed: ${error.shortMessage || error.message}`,
+      });
+    }
+  }
+
+  // ============================================
+  // STEP 7: RECONCILE AND RECORD
+  // ============================================
+  console.log("\n📋 STEP 7: RECONCILIATION");
+  console.log("─".repeat(60));
+
+  const after = await snapshotOrderBook(newAddress, {
+    traders: before.traders,
+  });
+  const report = reconcileMigration(before, after, results);
+  const reportPath = writeMigrationReport(
+    networkConfig.key,
+    ethers.isAddress(target) ? after.marketId.slice(0, 10) : target,
+    report
+  );
+
+  console.log(
+    `  Orders migrated: ${report.ordersMigrated}/${report.ordersBefore}`
+  );
+  report.failed.forEach(({ order, reason }) =>
+    console.log(`  ❌ ${describeOrder(order)}: ${reason}`)
+  );
+  report.stranded.forEach(({ order, reason }) =>
+    console.log(`  ⚠️  ${describeOrder(order)}: ${reason}`)
+  );
+  report.settings.forEach(({ name, reason }) =>
+    console.log(`  ⚠️  ${name}: ${reason}`)
+  );
+  console.log(
+    `  Positions unchanged: ${
+      report.positionChanges.length === 0
+        ? "✅"
+        : `❌ ${report.positionChanges.length} differ`
+    }`
+  );
+  console.log(
+    `  Reserved margin carried over: ${
+      report.reservationChanges.length === 0
+        ? "✅"
+        : `❌ ${report.reservationChanges.length} differ`
+    }`
+  );
+  report.reservationChanges.forEach((change) =>
+    console.log(`  ❌ ${describeReservationChange(change)}`)
+  );
+  console.log(`  📄 Report: ${reportPath}`);
+
+  await replaceConfigAddress(oldAddress, newAddress, {
+    lastUpgrade: {
+      timestamp: new Date().toISOString(),
+      type: "OrderBook migration",
+      oldContract: oldAddress,
+      newContract: newAddress,
+      report: reportPath,
+    },
+  });
+  await loadMarketCatalog({ refresh: true });
+
+  console.log("═".repeat(80));
+  if (report.ok) {
+    console.log("✅ MIGRATION COMPLETE - nothing left behind");
+  } else {
+    console.log("⚠️  MIGRATION COMPLETE WITH ITEMS TO REVIEW - see the report");
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
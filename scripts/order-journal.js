@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+// order-journal.js - Sync and show the local client order journal
+//
+// 🎯 WHAT IT DOES:
+//   1. Opens deployments/<network>-order-journal.json (sdk/order-journal.js)
+//   2. Replays the chain's events since the last sync, or all of them with
+//      --rebuild, so fills, modifications and cancels made while no bot was
+//      running are recorded
+//   3. Prints every client order, or one order's full history
+//
+// 🚀 USAGE:
+//   HARDHAT_NETWORK=localhost node scripts/order-journal.js
+//   HARDHAT_NETWORK=localhost node scripts/order-journal.js --open --trader 0x3C44...93BC
+//   HARDHAT_NETWORK=localhost node scripts/order-journal.js --order grid-7
+//   HARDHAT_NETWORK=localhost node scripts/order-journal.js --rebuild --path ./bot-journal.json
+//
+
+const { getNetworkConfig } = require("../config/contracts");
+const { getMarkets } = require("../config/markets");
+const { OrderJournal } = require("../sdk/order-journal");
+
+function readOption(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+function describeEntry(entry) {
+  switch (entry.type) {
+    case "placed":
+      return `placed as #${entry.orderId}, ${entry.filled} filled on entry, ${entry.remaining} resting`;
+    case "modified":
+      return `#${entry.fromOrderId} modified to #${entry.orderId}: ${entry.amount} @ ${entry.price}, ${entry.filled} filled on entry, ${entry.remaining} resting`;
+    case "partial":
+      return `#${entry.orderId} ${entry.filled} filled, ${entry.remaining} left`;
+    case "filled":
+      return `#${entry.orderId} last ${entry.filled} filled`;
+    case "cancelled":
+      return `${entry.orderId === null ? "" : `#${entry.orderId} `}${
+        entry.amount
+      } cancelled${entry.reason ? ` (${entry.reason})` : ""}`;
+    case "rejected":
+      return `rejected: ${entry.reason}`;
+    default:
+      return entry.type;
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const journal = await OrderJournal.open({
+    path: readOption(args, "--path", undefined),
+  });
+
+  const networkConfig = await getNetworkConfig();
+  console.log(
+    `\n📒 ORDER JOURNAL - ${networkConfig.name} (chainId ${networkConfig.chainId})`
+  );
+  console.log(`   ${journal.filePath}`);
+  console.log("═".repeat(80));
+
+  const sync = await journal.sync({ rebuild: args.includes("--rebuild") });
+  console.log(
+    `${sync.rebuilt ? "🔁 Rebuilt" : "🔄 Synced"} blocks ${sync.fromBlock}-${
+      sync.toBlock
+    }: ${sync.updated.length} order(s) updated`
+  );
+  if (sync.unresolved.length > 0) {
+    console.log(`⚠️  Sent but not seen mined: ${sync.unresolved.join(", ")}`);
+  }
+
+  const symbols = new Map(
+    (await getMarkets()).map((market) => [
+      market.marketId.toLowerCase(),
+      market.symbol,
+    ])
+  );
+  const symbolOf = (order) =>
+    symbols.get(order.marketId.toLowerCase()) || order.marketId.slice(0, 10);
+
+  const clientOrderId = readOption(args, "--order", null);
+  if (clientOrderId !== null) {
+    const order = journal.get(clientOrderId);
+    console.log(
+      `\n${order.clientOrderId}: ${order.type} ${
+        order.isBuy ? "BUY" : "SELL"
+      } ${order.amount}${order.price ? ` @ ${order.price}` : ""} ${symbolOf(
+        order
+      )} - ${order.status}`
+    );
+    console.log(
+      `   trader ${order.trader}, ids ${order.orderIds.join(" → ") || "-"}`
+    );
+    for (const entry of order.history) {
+      console.log(
+        `   ${String(entry.blockNumber ?? "-").padStart(8)}  ${describeEntry(
+          entry
+        )}`
+      );
+    }
+    return;
+  }
+
+  const orders = journal.list({
+    trader: readOption(args, "--trader", undefined),
+    open: args.includes("--open"),
+  });
+  if (orders.length === 0) {
+    console.log("\nNo orders in the journal");
+    return;
+  }
+  console.log(
+    `\n${"CLIENT ID".padEnd(20)} ${"MARKET".padEnd(10)} SIDE ${"STATUS".padEnd(
+      16
+    )} ${"ORDER".padStart(7)} ${"PRICE".padStart(10)} ${"FILLED".padStart(
+      10
+    )} ${"LEFT".padStart(10)}`
+  );
+  for (const order of orders) {
+    console.log(
+      `${order.clientOrderId.padEnd(20)} ${symbolOf(order).padEnd(
+        10
+      )} ${(order.isBuy ? "BUY" : "SELL").padEnd(4)} ${order.status.padEnd(
+        16
+      )} ${String(order.orderId ?? "-").padStart(7)} ${(order.price
+        ? order.price.format(2)
+        : "market"
+      ).padStart(10)} ${order.filled.format(4).padStart(10)} ${order.remaining
+        .format(4)
+        .padStart(10)}`
+    );
+  }
+}
+
+main()
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
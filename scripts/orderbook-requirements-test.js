@@ -13,7 +13,7 @@
 //   12-15: Order book state management, cancellation, modification, real-time updates
 
 const { ethers } = require("hardhat");
-const { getContract, getAddress, MARKET_INFO } = require("../config");
+const { getContract, getAddress } = require("../config/contracts");
 
 // Test configuration
 const TEST_CONFIG = {
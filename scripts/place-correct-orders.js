@@ -1,6 +1,7 @@
 // place-correct-orders.js - Place orders with correct decimal scaling
 const { ethers } = require("hardhat");
-const { getContract, MARKET_INFO } = require("../config");
+const { getContract } = require("../config/contracts");
+const { getMarket } = require("../config/markets");
 
 async function main() {
   console.log("📊 PLACING CORRECTLY SCALED ORDERS ON ALUMINUM ORDERBOOK");
@@ -13,7 +14,7 @@ async function main() {
   console.log("📋 Contract Information:");
   console.log("  OrderBook:", aluminumOrderBook.address);
   console.log("  Vault:", vault.address);
-  console.log("  Market ID:", MARKET_INFO.ALUMINUM.marketId);
+  console.log("  Market ID:", (await getMarket("ALU-USD")).marketId);
 
   // Check user collateral
   const user1Collateral = await vault.userCollateral(user1.address);
@@ -174,4 +175,3 @@ async function main() {
 }
 
 main().catch(console.error);
-
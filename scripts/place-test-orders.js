@@ -1,6 +1,40 @@
 // place-test-orders.js - Place test orders on aluminum market for orderbook viewing
 const { ethers } = require("hardhat");
-const { getContract, MARKET_INFO } = require("../config");
+const { OrderBookClient } = require("../sdk/orderbook-client");
+const { formatError } = require("../sdk/errors");
+
+/**
+ * Place a batch of orders at once - each user's orders are pipelined by
+ * its TransactionManager - and report them in the order given
+ * @param {OrderBookClient} client
+ * @param {object[]} orders - [{ user, amount, price, desc }]
+ * @param {boolean} isBuy
+ */
+async function placeAll(client, orders, isBuy) {
+  const outcomes = await Promise.allSettled(
+    orders.map((order) =>
+      client.connect(order.user).placeLimitOrder({
+        price: order.price,
+        amount: order.amount,
+        isBuy,
+      })
+    )
+  );
+
+  outcomes.forEach((outcome, i) => {
+    const { desc } = orders[i];
+    if (outcome.status === "fulfilled") {
+      const result = outcome.value;
+      console.log(
+        `  ✅ ${desc} - order #${result.orderId} ${
+          result.status
+        } (${result.hash.slice(0, 10)}...)`
+      );
+    } else {
+      console.log(`  ❌ Failed ${desc}: ${formatError(outcome.reason)}`);
+    }
+  });
+}
 
 async function main() {
   console.log("📊 PLACING TEST ORDERS ON ALUMINUM MARKET");
@@ -9,13 +43,11 @@ async function main() {
   const [deployer, user1, user2, user3] = await ethers.getSigners();
 
   try {
-    // Get contracts from config
-    const router = await getContract("TRADING_ROUTER");
-    const aluminumMarketId = MARKET_INFO.ALUMINUM.marketId;
+    const client = await OrderBookClient.create({ market: "ALU-USD" });
 
     console.log("📋 Market Information:");
-    console.log("  Market ID:", aluminumMarketId);
-    console.log("  TradingRouter:", router.address);
+    console.log("  Market ID:", client.marketId);
+    console.log("  OrderBook:", client.address);
     console.log("  Users:", [user1.address, user2.address, user3.address]);
 
     // Place multiple orders to create an interesting orderbook
@@ -29,22 +61,7 @@ async function main() {
       { user: user3, amount: "25", price: "0.92", desc: "25 ALU @ $0.92" },
     ];
 
-    for (const order of buyOrders) {
-      try {
-        const tx = await router.connect(order.user).placeLimitOrder(
-          aluminumMarketId,
-          0, // BUY
-          ethers.utils.parseUnits(order.amount, 18),
-          ethers.utils.parseUnits(order.price, 6),
-          ethers.utils.parseUnits("1", 18), // 1x leverage
-          0 // no expiry
-        );
-        await tx.wait();
-        console.log(`  ✅ ${order.desc} (${tx.hash.slice(0, 10)}...)`);
-      } catch (error) {
-        console.log(`  ❌ Failed ${order.desc}: ${error.message}`);
-      }
-    }
+    await placeAll(client, buyOrders, true);
 
     console.log("\n🔴 PLACING SELL ORDERS:");
 
@@ -56,22 +73,7 @@ async function main() {
       { user: user3, amount: "22", price: "1.15", desc: "22 ALU @ $1.15" },
     ];
 
-    for (const order of sellOrders) {
-      try {
-        const tx = await router.connect(order.user).placeLimitOrder(
-          aluminumMarketId,
-          1, // SELL
-          ethers.utils.parseUnits(order.amount, 18),
-          ethers.utils.parseUnits(order.price, 6),
-          ethers.utils.parseUnits("1", 18), // 1x leverage
-          0 // no expiry
-        );
-        await tx.wait();
-        console.log(`  ✅ ${order.desc} (${tx.hash.slice(0, 10)}...)`);
-      } catch (error) {
-        console.log(`  ❌ Failed ${order.desc}: ${error.message}`);
-      }
-    }
+    await placeAll(client, sellOrders, false);
 
     console.log("\n🎉 TEST ORDERS PLACEMENT COMPLETED!");
     console.log("═".repeat(60));
@@ -6,6 +6,7 @@
  */
 
 const { ethers } = require("hardhat");
+const { Price, Amount, Usdc } = require("../sdk/precision");
 
 // Color codes
 const colors = {
@@ -24,11 +25,15 @@ const colors = {
 const colorText = (text, color) => `${color}${text}${colors.reset}`;
 
 function formatUSDC(value) {
-  return ethers.formatUnits(value, 6);
+  return Usdc.fromUnits(value).toString();
 }
 
 function formatALU(value) {
-  return ethers.formatUnits(value, 18);
+  return Amount.fromUnits(value).toString();
+}
+
+function formatPrice(value) {
+  return Price.fromUnits(value).toString();
 }
 
 async function main() {
@@ -80,7 +85,7 @@ async function main() {
     const markPrice = await orderBook.getMarkPrice();
     console.log(
       colorText(
-        `\n📈 Current Mark Price: $${formatUSDC(markPrice)}`,
+        `\n📈 Current Mark Price: $${formatPrice(markPrice)}`,
         colors.brightYellow
       )
     );
@@ -95,7 +100,10 @@ async function main() {
     if (user2Positions.length > 0) {
       const entryPrice = user2Positions[0].entryPrice;
       console.log(
-        colorText(`User 2 Entry Price: $${formatUSDC(entryPrice)}`, colors.cyan)
+        colorText(
+          `User 2 Entry Price: $${formatPrice(entryPrice)}`,
+          colors.cyan
+        )
       );
       console.log(
         colorText(
@@ -112,7 +120,7 @@ async function main() {
     console.log(colorText("=".repeat(60), colors.cyan));
 
     // Use a tiny amount that even with the bug won't exceed collateral
-    const tinyFlipAmount = ethers.parseUnits("0.000001", 18); // 0.000001 ALU
+    const tinyFlipAmount = Amount.parse("0.000001").units; // 0.000001 ALU
     console.log(
       colorText(`Flip Amount: ${formatALU(tinyFlipAmount)} ALU`, colors.cyan)
     );
@@ -154,11 +162,11 @@ async function main() {
 
     if (user2Positions.length > 0 && user2Positions[0].size < 0n) {
       const entryPrice = user2Positions[0].entryPrice;
-      const flipAmount = ethers.parseUnits("60", 18); // 60 ALU to flip from -30 to +30
+      const flipAmount = Amount.parse("60").units; // 60 ALU to flip from -30 to +30
 
       console.log(
         colorText(
-          `Flipping at entry price: $${formatUSDC(entryPrice)}`,
+          `Flipping at entry price: $${formatPrice(entryPrice)}`,
           colors.cyan
         )
       );
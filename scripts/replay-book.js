@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+
+// replay-book.js - A market's order-by-order book at any block
+//
+// 🎯 WHAT IT DOES:
+//   1. Catches up the event index (sdk/event-indexer.js)
+//   2. Replays the market's order events and trades (sdk/book-replay.js) up
+//      to --block (default: the head) and prints every level with its
+//      orders in queue order - the first one fills first
+//   3. Diffs the replayed book with the contract's level queues and
+//      getOrder() at that block, and fails when they drift apart
+//   4. --order <id>: every event that touched one order, e.g. to find out
+//      what happened to an order that "disappeared"
+//   5. --step: replays from --from one event per Enter, printing what each
+//      did to the book. Commands: Enter or a number (steps), "b" (print the
+//      book), "c" (run to the end), "q" (quit)
+//
+// A migrated market (scripts/migrate-orderbook.js) has had several books:
+// the one the vault assigned at --block is replayed, --book <address>
+// replays an older one instead.
+//
+// 🚀 USAGE:
+//   HARDHAT_NETWORK=localhost node scripts/replay-book.js --market ALU-USD
+//   HARDHAT_NETWORK=localhost node scripts/replay-book.js --market ALU-USD --block 150
+//   HARDHAT_NETWORK=localhost node scripts/replay-book.js --market ALU-USD --order 42
+//   HARDHAT_NETWORK=localhost node scripts/replay-book.js --market ALU-USD --step --from 140
+//   HARDHAT_NETWORK=localhost node scripts/replay-book.js --market ALU-USD --book 0x7553… --block 180
+//
+// Options: --levels <n> levels per side to print (default 10), --path <index.sqlite>
+// Diffing at a past --block needs an archive node (a Hardhat node is one).
+//
+
+const readline = require("readline");
+const { getNetworkConfig } = require("../config/contracts");
+const { EventIndexer } = require("../sdk/event-indexer");
+const { BookReplay } = require("../sdk/book-replay");
+const { Price, Amount } = require("../sdk/precision");
+
+function readOption(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+function printBook(replay, levels) {
+  const book = replay.snapshot();
+  const at =
+    book.blockNumber === null
+      ? `in the middle of block ${replay.nextBlock}`
+      : `after block ${book.blockNumber}`;
+  console.log(
+    `\n📖 ${replay.market.symbol} ${at}: ${book.bids.length} bid / ${book.asks.length} ask level(s), ${replay.orders.size} order(s)`
+  );
+
+  const printLevel = (label, level) => {
+    console.log(
+      `   ${label} ${level.price.format(2).padStart(12)}   ${level.amount
+        .format(4)
+        .padStart(12)}   ${level.orders.length} order(s)`
+    );
+    level.orders.forEach((order, i) => {
+      const owner = order.routedFor
+        ? `${shortAddress(order.routedFor)} via router`
+        : shortAddress(order.trader);
+      console.log(
+        `        ${String(i + 1).padStart(3)}. #${String(order.orderId).padEnd(
+          6
+        )} ${order.amount.format(4).padStart(12)}  ${owner.padEnd(26)} ${
+          order.isMarginOrder ? "margin" : "      "
+        }  block ${order.placedBlock}`
+      );
+    });
+  };
+
+  const asks = book.asks.slice(0, levels).reverse();
+  asks.forEach((level) => printLevel("ASK", level));
+  if (book.asks.length > levels) {
+    console.log(`   ... ${book.asks.length - levels} more ask level(s)`);
+  }
+  console.log(
+    `   ${"─".repeat(20)} spread ${
+      book.bestBid && book.bestAsk
+        ? book.bestAsk.sub(book.bestBid).format(2)
+        : "-"
+    }`
+  );
+  book.bids.slice(0, levels).forEach((level) => printLevel("BID", level));
+  if (book.bids.length > levels) {
+    console.log(`   ... ${book.bids.length - levels} more bid level(s)`);
+  }
+}
+
+function printStep(result) {
+  const { step } = result;
+  console.log(
+    `   [${step.block_number}:${step.log_index}] ${result.description}`
+  );
+  result.anomalies.forEach((anomaly) =>
+    console.log(`      ⚠️  ${anomaly.message}`)
+  );
+}
+
+/**
+ * Step through the replay from the terminal until it ends or "q"
+ */
+async function stepInteractively(replay, levels) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  // Lines are buffered, so piped commands work too; their end (or Ctrl+D)
+  // quits like "q"
+  const lines = rl[Symbol.asyncIterator]();
+  const ask = async (question) => {
+    rl.setPrompt(question);
+    rl.prompt();
+    const { value, done } = await lines.next();
+    return done ? "q" : value;
+  };
+
+  console.log(
+    `\n👣 ${
+      replay.steps.length - replay.position
+    } event(s) to go - Enter steps, a number steps that many, "b" book, "c" to the end, "q" quits`
+  );
+  while (replay.hasNext()) {
+    const answer = (await ask(`step [block ${replay.nextBlock}]> `))
+      .trim()
+      .toLowerCase();
+    if (answer === "q") break;
+    if (answer === "b") {
+      printBook(replay, levels);
+      continue;
+    }
+    const count =
+      answer === "c" ? Infinity : answer === "" ? 1 : Number(answer);
+    if (!Number.isInteger(count) && count !== Infinity) {
+      console.log(`   ❓ Unknown command ${answer}`);
+      continue;
+    }
+    for (let i = 0; i < count && replay.hasNext(); i++) {
+      printStep(replay.step());
+    }
+  }
+  rl.close();
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const market = readOption(args, "--market", undefined);
+  if (!market) {
+    throw new Error("❌ --market <symbol or marketId> is required");
+  }
+  const levels = Number(readOption(args, "--levels", 10));
+  const blockOption = readOption(args, "--block", undefined);
+  const fromOption = readOption(args, "--from", undefined);
+  const orderOption = readOption(args, "--order", undefined);
+
+  const networkConfig = await getNetworkConfig();
+  const indexer = await EventIndexer.open({
+    path: readOption(args, "--path", undefined),
+  });
+
+  console.log(
+    `\n📼 ORDER BOOK REPLAY - ${networkConfig.name} (chainId ${networkConfig.chainId})`
+  );
+  console.log(`   index ${indexer.filePath}`);
+  console.log("═".repeat(80));
+
+  const { lastBlock } = await indexer.run({ toBlock: "latest" });
+  const replay = await BookReplay.create({
+    indexer,
+    market,
+    toBlock: blockOption === undefined ? lastBlock : Number(blockOption),
+    orderBook: readOption(args, "--book", undefined),
+  });
+  console.log(
+    `✅ ${replay.steps.length} event(s) of ${replay.market.symbol} on ${replay.orderBook} through block ${replay.toBlock}`
+  );
+  if (replay.orderBooks.length > 1) {
+    console.log(
+      `📚 ${replay.market.symbol} has had ${replay.orderBooks.length} OrderBooks:`
+    );
+    replay.orderBooks.forEach((book) =>
+      console.log(
+        `   ${book.orderBook}  blocks ${book.fromBlock ?? "?"}-${
+          book.toBlock ?? ""
+        }${book.orderBook === replay.orderBook ? "   ← replayed" : ""}`
+      )
+    );
+  }
+
+  if (orderOption !== undefined) {
+    console.log(`\n🔎 Order #${orderOption}`);
+    let touched = 0;
+    while (replay.hasNext()) {
+      const result = replay.step();
+      if (result.orderIds.includes(String(orderOption))) {
+        printStep(result);
+        touched++;
+      }
+    }
+    const order = replay.orders.get(String(orderOption));
+    console.log(
+      touched === 0
+        ? "   No events for this order"
+        : order
+        ? `   Still resting: ${Amount.fromUnits(order.amount).format(
+            4
+          )} at ${Price.fromUnits(order.price).format(2)}, #${
+            (order.isBuy ? replay.bids : replay.asks)
+              .get(order.price)
+              .indexOf(order) + 1
+          } in the queue`
+        : "   Not resting at the end of the replay"
+    );
+  } else if (args.includes("--step")) {
+    if (fromOption !== undefined) {
+      replay.runTo(Number(fromOption) - 1);
+      printBook(replay, levels);
+    }
+    await stepInteractively(replay, levels);
+    if (replay.hasNext()) {
+      indexer.close();
+      return;
+    }
+  } else {
+    replay.runTo();
+  }
+
+  printBook(replay, levels);
+
+  if (replay.anomalies.length > 0) {
+    console.log(
+      `\n⚠️  ${replay.anomalies.length} event(s) didn't fit the replayed book:`
+    );
+    replay.anomalies.forEach((anomaly) =>
+      console.log(
+        `   [${anomaly.blockNumber}:${anomaly.logIndex}] ${anomaly.message}`
+      )
+    );
+  }
+
+  const differences = await replay.diffLive();
+  console.log(
+    `\n⚖️  Replay vs contract at block ${replay.blockNumber}: ${
+      differences.length === 0
+        ? "✅ identical"
+        : `❌ ${differences.length} difference(s)`
+    }`
+  );
+  differences.forEach((difference) =>
+    console.log(`   ❌ ${difference.message}`)
+  );
+
+  indexer.close();
+  if (differences.length > 0) {
+    throw new Error(
+      `❌ The replayed ${replay.market.symbol} book drifted from the contract`
+    );
+  }
+}
+
+main()
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
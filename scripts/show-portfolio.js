@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+// show-portfolio.js - Cross-market portfolio of any account, no key needed
+//
+// 🎯 WHAT IT DOES:
+//   Reads sdk/portfolio.js snapshots for the given accounts (all at the same
+//   block) and prints equity, free collateral, margin and, per market, the
+//   position, its mark price, unrealized P&L and share of the notional
+//
+// 🚀 USAGE:
+//   HARDHAT_NETWORK=localhost node scripts/show-portfolio.js 0x7099...79C8 0x3C44...93BC
+//   HARDHAT_NETWORK=localhost node scripts/show-portfolio.js 1 2 3     # signer indexes
+//   HARDHAT_NETWORK=localhost node scripts/show-portfolio.js --accounts 6
+//   HARDHAT_NETWORK=localhost node scripts/show-portfolio.js 1 --json
+//
+// With no accounts, shows the first 4 signers.
+//
+
+const { ethers } = require("hardhat");
+const { getNetworkConfig } = require("../config/contracts");
+const { PortfolioService } = require("../sdk/portfolio");
+
+function readOption(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+/**
+ * Addresses from the command line - hex addresses as given, small numbers
+ * as signer indexes
+ * @param {string[]} args
+ * @returns {Promise<string[]>}
+ */
+async function resolveAccounts(args) {
+  const accountCount = Number(readOption(args, "--accounts", 4));
+  const positional = args.filter(
+    (arg, i) => !arg.startsWith("--") && args[i - 1] !== "--accounts"
+  );
+  const signers = await ethers.getSigners();
+
+  if (positional.length === 0) {
+    return signers.slice(0, accountCount).map((signer) => signer.address);
+  }
+
+  return positional.map((arg) => {
+    if (/^\d+$/.test(arg)) {
+      const signer = signers[Number(arg)];
+      if (!signer) {
+        throw new Error(`❌ No signer at index ${arg}`);
+      }
+      return signer.address;
+    }
+    if (!ethers.isAddress(arg)) {
+      throw new Error(`❌ Not an address or signer index: ${arg}`);
+    }
+    return arg;
+  });
+}
+
+function formatBps(bps) {
+  return `${bps / 100n}.${(bps % 100n).toString().padStart(2, "0")}%`;
+}
+
+function printSnapshot(snapshot) {
+  console.log(`\n👤 ${snapshot.address}`);
+  console.log(
+    `   Equity ${snapshot.equity.format(
+      2
+    )}  =  collateral ${snapshot.collateral.format(
+      2
+    )} + unrealized ${snapshot.unrealizedPnL.format(2, { sign: true })}`
+  );
+  console.log(
+    `   Free ${snapshot.freeCollateral.format(
+      2
+    )}   margin used ${snapshot.marginUsed.format(
+      2
+    )}   reserved ${snapshot.marginReserved.format(
+      2
+    )}   wallet ${snapshot.wallet.format(2)}`
+  );
+  if (snapshot.markets.length === 0) {
+    console.log("   No positions or orders");
+  }
+  for (const market of snapshot.markets) {
+    const side = market.size.isZero() ? "-" : market.isLong ? "LONG" : "SHORT";
+    console.log(
+      `   ${market.symbol.padEnd(12)} ${side.padEnd(5)} ${market.size
+        .abs()
+        .format(4)
+        .padStart(10)} @ ${market.entryPrice
+        .format(2)
+        .padStart(10)}  mark ${market.markPrice
+        .format(2)
+        .padStart(10)}  P&L ${market.unrealizedPnL
+        .format(2, { sign: true })
+        .padStart(10)}  ${formatBps(market.shareBps).padStart(7)}  orders ${
+        market.openOrders
+      } (${market.marginReserved.format(2)} reserved)`
+    );
+  }
+  if (snapshot.concentration.symbol) {
+    console.log(
+      `   Concentration ${formatBps(snapshot.concentration.bps)} in ${
+        snapshot.concentration.symbol
+      } of ${snapshot.notional.format(2)} notional`
+    );
+  }
+  snapshot.warnings.forEach((warning) => console.log(`   ⚠️  ${warning}`));
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const accounts = await resolveAccounts(args);
+
+  const portfolio = await PortfolioService.create();
+  const snapshots = await portfolio.getSnapshots(accounts);
+
+  if (args.includes("--json")) {
+    console.log(
+      JSON.stringify(
+        snapshots,
+        (key, value) => (typeof value === "bigint" ? value.toString() : value),
+        2
+      )
+    );
+    return;
+  }
+
+  const networkConfig = await getNetworkConfig();
+  console.log(
+    `\n💼 PORTFOLIO - ${networkConfig.name} (chainId ${networkConfig.chainId}) at block ${snapshots[0].blockNumber}`
+  );
+  console.log("═".repeat(80));
+  snapshots.forEach(printSnapshot);
+}
+
+main()
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,6 +1,7 @@
 // simple-orderbook-viewer.js - Simplified orderbook viewer using existing functions
 const { ethers } = require("hardhat");
-const { getContract, getAddress, MARKET_INFO } = require("../config");
+const { getContract, getAddress } = require("../config/contracts");
+const { getMarket } = require("../config/markets");
 
 // ANSI Color Codes for beautiful output
 const colors = {
@@ -31,7 +32,7 @@ async function main() {
     // Get contracts from config
     const router = await getContract("TRADING_ROUTER");
     const orderBook = await getContract("ALUMINUM_ORDERBOOK");
-    const marketId = MARKET_INFO.ALUMINUM.marketId;
+    const marketId = (await getMarket("ALU-USD")).marketId;
 
     console.log("📋 Connection Status:");
     console.log("  TradingRouter:", router.address);
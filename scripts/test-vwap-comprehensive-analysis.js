@@ -2,6 +2,7 @@ const hre = require("hardhat");
 const { ethers } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { Price, Amount, Usdc } = require("../sdk/precision");
 
 // Color functions for better output
 const colors = {
@@ -28,6 +29,18 @@ function formatTime(seconds) {
   return `${(seconds / 3600).toFixed(1)}h`;
 }
 
+/**
+ * How far a price is from a reference, in percent (exact to the basis point)
+ * @param {Price} value
+ * @param {Price} reference
+ * @returns {number}
+ */
+function percentOff(value, reference) {
+  if (reference.isZero()) return Infinity;
+  const bps = (value.sub(reference).abs().units * 10000n) / reference.units;
+  return Number(bps) / 100;
+}
+
 // Track all trades for manual VWAP verification
 class VWAPTracker {
   constructor() {
@@ -36,11 +49,13 @@ class VWAPTracker {
   }
 
   addTrade(price, volume, timestamp) {
+    const tradePrice = Price.from(price);
+    const tradeVolume = Amount.from(volume);
     this.trades.push({
-      price: parseFloat(price),
-      volume: parseFloat(volume),
+      price: tradePrice,
+      volume: tradeVolume,
       timestamp: timestamp || Date.now(),
-      value: parseFloat(price) * parseFloat(volume),
+      value: tradePrice.notional(tradeVolume),
     });
   }
 
@@ -53,14 +68,25 @@ class VWAPTracker {
     }
 
     if (relevantTrades.length === 0) {
-      return { vwap: 0, volume: 0, count: 0, value: 0 };
+      return {
+        vwap: Price.zero(),
+        volume: Amount.zero(),
+        count: 0,
+        value: Usdc.zero(),
+      };
     }
 
-    const totalValue = relevantTrades.reduce((sum, t) => sum + t.value, 0);
-    const totalVolume = relevantTrades.reduce((sum, t) => sum + t.volume, 0);
+    const totalValue = relevantTrades.reduce(
+      (sum, t) => sum.add(t.value),
+      Usdc.zero()
+    );
+    const totalVolume = relevantTrades.reduce(
+      (sum, t) => sum.add(t.volume),
+      Amount.zero()
+    );
 
     return {
-      vwap: totalVolume > 0 ? totalValue / totalVolume : 0,
+      vwap: totalVolume.isZero() ? Price.zero() : totalValue.per(totalVolume),
       volume: totalVolume,
       count: relevantTrades.length,
       value: totalValue,
@@ -72,9 +98,9 @@ class VWAPTracker {
     this.trades.forEach((t, i) => {
       const age = ((Date.now() - t.timestamp) / 1000).toFixed(0);
       console.log(
-        `  ${i + 1}. ${t.volume} units @ $${t.price.toFixed(
+        `  ${i + 1}. ${t.volume} units @ $${t.price.format(
           4
-        )} = $${t.value.toFixed(2)} (${age}s ago)`
+        )} = $${t.value.format(2)} (${age}s ago)`
       );
     });
   }
@@ -201,8 +227,8 @@ async function setupTradingAccounts(contracts) {
 async function executeTrade(contracts, seller, buyer, price, amount, tracker) {
   const { orderBook } = contracts;
 
-  const priceScaled = ethers.parseUnits(price.toString(), 6);
-  const amountScaled = ethers.parseUnits(amount.toString(), 18);
+  const priceScaled = Price.from(price).units;
+  const amountScaled = Amount.from(amount).units;
 
   // Seller places limit order
   await orderBook.connect(seller).placeLimitOrder(
@@ -240,23 +266,22 @@ async function analyzeVWAP(orderBook, tracker, scenario) {
   for (const window of windows) {
     try {
       const vwapData = await orderBook.calculateVWAP(window.seconds);
-      const vwap = parseFloat(ethers.formatUnits(vwapData.vwap, 6));
-      const volume = parseFloat(ethers.formatUnits(vwapData.totalVolume, 18));
+      const vwap = Price.fromUnits(vwapData.vwap);
+      const volume = Amount.fromUnits(vwapData.totalVolume);
 
       // Calculate expected VWAP
       const expected = tracker.calculateVWAP(window.seconds);
 
       console.log(
-        `    ${window.name.padEnd(8)}: $${vwap.toFixed(6)} (${
+        `    ${window.name.padEnd(8)}: $${vwap.format(6)} (${
           vwapData.tradeCount
-        } trades, ${volume.toFixed(2)} units)`
+        } trades, ${volume.format(2)} units)`
       );
 
-      if (vwapData.isValid && expected.vwap > 0) {
-        const diff = Math.abs(vwap - expected.vwap);
-        const accuracy = 100 - (diff / expected.vwap) * 100;
+      if (vwapData.isValid && expected.vwap.isPositive()) {
+        const accuracy = 100 - percentOff(vwap, expected.vwap);
         console.log(
-          `              Expected: $${expected.vwap.toFixed(
+          `              Expected: $${expected.vwap.format(
             6
           )} | Accuracy: ${accuracy.toFixed(2)}%`
         );
@@ -268,43 +293,42 @@ async function analyzeVWAP(orderBook, tracker, scenario) {
 
   // Get mark price
   const markPrice = await orderBook.calculateMarkPrice();
-  const markPriceFormatted = parseFloat(ethers.formatUnits(markPrice, 6));
+  const markPriceFormatted = Price.fromUnits(markPrice);
 
   // Get market data
   const marketData = await orderBook.getMarketPriceData();
-  const midPrice = parseFloat(ethers.formatUnits(marketData.midPrice, 6));
+  const midPrice = Price.fromUnits(marketData.midPrice);
   const bestBid =
     marketData.bestBidPrice > 0
-      ? parseFloat(ethers.formatUnits(marketData.bestBidPrice, 6))
-      : 0;
+      ? Price.fromUnits(marketData.bestBidPrice)
+      : Price.zero();
   const bestAsk =
     marketData.bestAskPrice < ethers.MaxUint256
-      ? parseFloat(ethers.formatUnits(marketData.bestAskPrice, 6))
-      : 0;
+      ? Price.fromUnits(marketData.bestAskPrice)
+      : Price.zero();
 
   console.log("\n  Price Analysis:");
-  console.log(`    Mark Price:    $${markPriceFormatted.toFixed(6)}`);
-  console.log(`    Mid Price:     $${midPrice.toFixed(6)}`);
+  console.log(`    Mark Price:    $${markPriceFormatted.format(6)}`);
+  console.log(`    Mid Price:     $${midPrice.format(6)}`);
   console.log(
-    `    Best Bid:      $${bestBid > 0 ? bestBid.toFixed(6) : "None"}`
+    `    Best Bid:      $${bestBid.isPositive() ? bestBid.format(6) : "None"}`
   );
   console.log(
-    `    Best Ask:      $${bestAsk > 0 ? bestAsk.toFixed(6) : "None"}`
+    `    Best Ask:      $${bestAsk.isPositive() ? bestAsk.format(6) : "None"}`
   );
 
   // Manual VWAP calculation
   const manualVWAP = tracker.calculateVWAP();
-  console.log(`    Manual VWAP:   $${manualVWAP.vwap.toFixed(6)}`);
+  console.log(`    Manual VWAP:   $${manualVWAP.vwap.format(6)}`);
 
   // Check if VWAP is being used for mark price
   const vwapData = await orderBook.calculateVWAP(3600);
-  const contractVWAP = parseFloat(ethers.formatUnits(vwapData.vwap, 6));
+  const contractVWAP = Price.fromUnits(vwapData.vwap);
 
-  if (vwapData.isValid && contractVWAP > 0) {
-    const vwapDiff = Math.abs(markPriceFormatted - contractVWAP);
-    if (vwapDiff < 0.000001) {
+  if (vwapData.isValid && contractVWAP.isPositive()) {
+    if (markPriceFormatted.eq(contractVWAP)) {
       console.log(colorText("    ✓ Mark price is using VWAP!", "green"));
-    } else if (Math.abs(markPriceFormatted - midPrice) < 0.000001) {
+    } else if (markPriceFormatted.eq(midPrice)) {
       console.log(
         colorText(
           "    ℹ Mark price is using mid-price (VWAP might be invalid)",
@@ -400,9 +424,9 @@ async function runTestScenarios(contracts) {
   const allTrades = tracker.calculateVWAP();
   console.log("\n📈 Overall Statistics:");
   console.log(`  Total Trades: ${allTrades.count}`);
-  console.log(`  Total Volume: ${allTrades.volume.toFixed(2)} units`);
-  console.log(`  Total Value: $${allTrades.value.toFixed(2)}`);
-  console.log(`  Overall VWAP: $${allTrades.vwap.toFixed(6)}`);
+  console.log(`  Total Volume: ${allTrades.volume.format(2)} units`);
+  console.log(`  Total Value: $${allTrades.value.format(2)}`);
+  console.log(`  Overall VWAP: $${allTrades.vwap.format(6)}`);
 
   // Test VWAP configuration
   console.log(colorText("\n⚙️  VWAP Configuration:", "cyan"));
@@ -417,17 +441,16 @@ async function runTestScenarios(contracts) {
   // Mathematical Verification
   console.log(colorText("\n🔢 Mathematical Verification:", "magenta"));
   console.log("\n  VWAP Formula: Σ(Price × Volume) / Σ(Volume)");
-  console.log(`  Expected: $${allTrades.vwap.toFixed(6)}`);
+  console.log(`  Expected: $${allTrades.vwap.format(6)}`);
 
   // Get final contract VWAP
   const finalVWAP = await orderBook.calculateVWAP(3600);
-  const contractVWAP = parseFloat(ethers.formatUnits(finalVWAP.vwap, 6));
-  console.log(`  Contract: $${contractVWAP.toFixed(6)}`);
+  const contractVWAP = Price.fromUnits(finalVWAP.vwap);
+  console.log(`  Contract: $${contractVWAP.format(6)}`);
 
-  const accuracy =
-    allTrades.vwap > 0
-      ? 100 - (Math.abs(contractVWAP - allTrades.vwap) / allTrades.vwap) * 100
-      : 0;
+  const accuracy = allTrades.vwap.isPositive()
+    ? 100 - percentOff(contractVWAP, allTrades.vwap)
+    : 0;
   console.log(`  Accuracy: ${accuracy.toFixed(2)}%`);
 
   if (accuracy > 99.9) {
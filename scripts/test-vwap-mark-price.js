@@ -2,6 +2,7 @@ const hre = require("hardhat");
 const { ethers } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { Price, Amount, Usdc, ROUNDING } = require("../sdk/precision");
 
 // Color functions for better output
 const colors = {
@@ -21,6 +22,18 @@ function colorText(text, color) {
   return `${colors[color]}${text}${colors.reset}`;
 }
 
+/**
+ * How far a price is from a reference, in percent (exact to the basis point)
+ * @param {Price} value
+ * @param {Price} reference
+ * @returns {number}
+ */
+function percentOff(value, reference) {
+  if (reference.isZero()) return Infinity;
+  const bps = (value.sub(reference).abs().units * 10000n) / reference.units;
+  return Number(bps) / 100;
+}
+
 /**
  * Calculate industry-standard VWAP (Volume-Weighted Average Price)
  * @param {Array} trades - Array of trades with price and volume
@@ -30,8 +43,8 @@ function colorText(text, color) {
 function calculateVWAP(trades, timeWindowSeconds = 3600) {
   if (!trades || trades.length === 0) {
     return {
-      vwap: 0,
-      totalVolume: 0,
+      vwap: Price.zero(),
+      totalVolume: Amount.zero(),
       tradeCount: 0,
       timeWindow: timeWindowSeconds,
       isValid: false,
@@ -48,8 +61,8 @@ function calculateVWAP(trades, timeWindowSeconds = 3600) {
 
   if (recentTrades.length === 0) {
     return {
-      vwap: 0,
-      totalVolume: 0,
+      vwap: Price.zero(),
+      totalVolume: Amount.zero(),
       tradeCount: 0,
       timeWindow: timeWindowSeconds,
       isValid: false,
@@ -57,22 +70,24 @@ function calculateVWAP(trades, timeWindowSeconds = 3600) {
   }
 
   // Calculate VWAP: Σ(price × volume) / Σ(volume)
-  let totalValue = 0;
-  let totalVolume = 0;
+  let totalValue = Usdc.zero();
+  let totalVolume = Amount.zero();
 
   for (const trade of recentTrades) {
-    const price = parseFloat(ethers.formatUnits(trade.price, 6));
-    const volume = parseFloat(ethers.formatUnits(trade.amount, 18));
+    const price = Price.fromUnits(trade.price);
+    const volume = Amount.fromUnits(trade.amount);
 
-    totalValue += price * volume;
-    totalVolume += volume;
+    totalValue = totalValue.add(price.notional(volume));
+    totalVolume = totalVolume.add(volume);
   }
 
-  const vwap = totalVolume > 0 ? totalValue / totalVolume : 0;
+  const vwap = totalVolume.isZero()
+    ? Price.zero()
+    : totalValue.per(totalVolume);
 
   return {
     vwap: vwap,
-    vwapScaled: Math.round(vwap * 1e6), // Scale to 6 decimals for comparison
+    vwapScaled: vwap.units, // 6 decimals, for comparison with the contract
     totalVolume: totalVolume,
     totalValue: totalValue,
     tradeCount: recentTrades.length,
@@ -91,7 +106,7 @@ function calculateVWAP(trades, timeWindowSeconds = 3600) {
  */
 function calculateTWAP(trades, timeWindowSeconds = 3600) {
   if (!trades || trades.length === 0) {
-    return { twap: 0, isValid: false };
+    return { twap: Price.zero(), isValid: false };
   }
 
   const now = Math.floor(Date.now() / 1000);
@@ -102,20 +117,20 @@ function calculateTWAP(trades, timeWindowSeconds = 3600) {
   );
 
   if (recentTrades.length === 0) {
-    return { twap: 0, isValid: false };
+    return { twap: Price.zero(), isValid: false };
   }
 
   // Simple average of prices (can be weighted by time intervals for more accuracy)
   const sum = recentTrades.reduce(
-    (acc, trade) => acc + parseFloat(ethers.formatUnits(trade.price, 6)),
-    0
+    (acc, trade) => acc.add(Price.fromUnits(trade.price)),
+    Price.zero()
   );
 
-  const twap = sum / recentTrades.length;
+  const twap = sum.div(BigInt(recentTrades.length), ROUNDING.HALF_UP);
 
   return {
     twap: twap,
-    twapScaled: Math.round(twap * 1e6),
+    twapScaled: twap.units,
     tradeCount: recentTrades.length,
     timeWindow: timeWindowSeconds,
     isValid: true,
@@ -249,8 +264,8 @@ async function executeTestTrades(contracts, signers) {
 
     // Execute trades
     for (const trade of scenario.trades) {
-      const priceScaled = ethers.parseUnits(trade.price.toString(), 6);
-      const amountScaled = ethers.parseUnits(trade.amount.toString(), 18);
+      const priceScaled = Price.parse(trade.price).units;
+      const amountScaled = Amount.parse(trade.amount).units;
 
       // Place matching orders
       console.log(`\nExecuting trade: ${trade.amount} units @ $${trade.price}`);
@@ -280,9 +295,7 @@ async function executeTestTrades(contracts, signers) {
 
     // Get current mark price from contract
     const contractMarkPrice = await orderBook.calculateMarkPrice();
-    const markPriceFormatted = parseFloat(
-      ethers.formatUnits(contractMarkPrice, 6)
-    );
+    const markPriceFormatted = Price.fromUnits(contractMarkPrice);
 
     // Get order book state
     const bestBid = await orderBook.bestBid();
@@ -291,43 +304,42 @@ async function executeTestTrades(contracts, signers) {
 
     // Display results
     console.log(colorText("\n📊 Results:", "bright"));
-    console.log(`  Contract Mark Price: $${markPriceFormatted.toFixed(6)}`);
+    console.log(`  Contract Mark Price: $${markPriceFormatted.format(6)}`);
     console.log(
-      `  VWAP (1hr window):   $${vwapResult.vwap.toFixed(6)} (${
+      `  VWAP (1hr window):   $${vwapResult.vwap.format(6)} (${
         vwapResult.tradeCount
       } trades)`
     );
-    console.log(`  TWAP (1hr window):   $${twapResult.twap.toFixed(6)}`);
+    console.log(`  TWAP (1hr window):   $${twapResult.twap.format(6)}`);
     console.log(
-      `  Total Volume:        ${vwapResult.totalVolume.toFixed(2)} units`
+      `  Total Volume:        ${vwapResult.totalVolume.format(2)} units`
     );
     console.log(
       `  Best Bid:            $${
-        bestBid > 0
-          ? parseFloat(ethers.formatUnits(bestBid, 6)).toFixed(6)
-          : "None"
+        bestBid > 0 ? Price.fromUnits(bestBid).format(6) : "None"
       }`
     );
     console.log(
       `  Best Ask:            $${
         bestAsk < ethers.MaxUint256
-          ? parseFloat(ethers.formatUnits(bestAsk, 6)).toFixed(6)
+          ? Price.fromUnits(bestAsk).format(6)
           : "None"
       }`
     );
     console.log(
-      `  Last Trade:          $${parseFloat(
-        ethers.formatUnits(lastTradePrice, 6)
-      ).toFixed(6)}`
+      `  Last Trade:          $${Price.fromUnits(lastTradePrice).format(6)}`
     );
 
     // Calculate differences
-    const vwapDiff = Math.abs(markPriceFormatted - vwapResult.vwap);
-    const vwapDiffPercent = ((vwapDiff / vwapResult.vwap) * 100).toFixed(2);
+    const vwapDiff = markPriceFormatted.sub(vwapResult.vwap).abs();
+    const vwapDiffPercent = percentOff(
+      markPriceFormatted,
+      vwapResult.vwap
+    ).toFixed(2);
 
     console.log(colorText("\n📈 Analysis:", "bright"));
     console.log(
-      `  Mark vs VWAP Difference: $${vwapDiff.toFixed(6)} (${vwapDiffPercent}%)`
+      `  Mark vs VWAP Difference: $${vwapDiff.format(6)} (${vwapDiffPercent}%)`
     );
 
     if (vwapDiffPercent > 5) {
@@ -345,22 +357,21 @@ async function executeTestTrades(contracts, signers) {
 
     // Expected VWAP calculation for verification
     console.log(colorText("\n🔍 Manual VWAP Verification:", "magenta"));
-    let manualTotalValue = 0;
-    let manualTotalVolume = 0;
+    let manualTotalValue = Usdc.zero();
+    let manualTotalVolume = Amount.zero();
 
     for (const trade of scenario.trades) {
-      manualTotalValue += trade.price * trade.amount;
-      manualTotalVolume += trade.amount;
-      console.log(
-        `  Trade: ${trade.amount} @ $${trade.price} = $${
-          trade.price * trade.amount
-        }`
+      const value = Price.parse(trade.price).notional(
+        Amount.parse(trade.amount)
       );
+      manualTotalValue = manualTotalValue.add(value);
+      manualTotalVolume = manualTotalVolume.add(Amount.parse(trade.amount));
+      console.log(`  Trade: ${trade.amount} @ $${trade.price} = $${value}`);
     }
 
-    const expectedVWAP = manualTotalValue / manualTotalVolume;
-    console.log(`  Expected VWAP: $${expectedVWAP.toFixed(6)}`);
-    console.log(`  Calculated VWAP: $${vwapResult.vwap.toFixed(6)}`);
+    const expectedVWAP = manualTotalValue.per(manualTotalVolume);
+    console.log(`  Expected VWAP: $${expectedVWAP.format(6)}`);
+    console.log(`  Calculated VWAP: $${vwapResult.vwap.format(6)}`);
 
     // Store results for summary
     scenario.results = {
@@ -411,10 +422,10 @@ function generateTestReport(scenarios) {
       const r = scenario.results;
       const name = scenario.name.padEnd(31).substring(0, 31);
       console.log(
-        `│ ${name} │ ${r.markPrice.toFixed(4).padStart(8)} │ ${r.vwap
-          .toFixed(4)
+        `│ ${name} │ ${r.markPrice.format(4).padStart(8)} │ ${r.vwap
+          .format(4)
           .padStart(8)} │ ${r.expectedVWAP
-          .toFixed(4)
+          .format(4)
           .padStart(8)} │ ${r.deviation.padStart(9)} │`
       );
     }
@@ -1,5 +1,6 @@
 const hre = require("hardhat");
 const { ethers } = require("hardhat");
+const { Price, Amount, Usdc } = require("../sdk/precision");
 
 // Color functions for better output
 const colors = {
@@ -250,24 +251,22 @@ async function main() {
       { price: 3.5, volume: 150 },
     ];
 
-    let totalValue = 0;
-    let totalVolume = 0;
+    let totalValue = Usdc.zero();
+    let totalVolume = Amount.zero();
 
     console.log("\n  Example trades:");
     for (const trade of theoreticalTrades) {
-      console.log(
-        `    ${trade.volume} units @ $${trade.price} = $${
-          trade.price * trade.volume
-        }`
-      );
-      totalValue += trade.price * trade.volume;
-      totalVolume += trade.volume;
+      const volume = Amount.parse(trade.volume);
+      const value = Price.parse(trade.price).notional(volume);
+      console.log(`    ${trade.volume} units @ $${trade.price} = $${value}`);
+      totalValue = totalValue.add(value);
+      totalVolume = totalVolume.add(volume);
     }
 
-    const theoreticalVWAP = totalValue / totalVolume;
+    const theoreticalVWAP = totalValue.per(totalVolume);
     console.log(`\n  Total Value: $${totalValue}`);
     console.log(`  Total Volume: ${totalVolume} units`);
-    console.log(`  Theoretical VWAP: $${theoreticalVWAP.toFixed(6)}`);
+    console.log(`  Theoretical VWAP: $${theoreticalVWAP.format(6)}`);
 
     // Summary
     console.log(colorText("\n\n=== VWAP TEST SUMMARY ===", "bright"));
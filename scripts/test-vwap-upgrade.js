@@ -2,6 +2,7 @@ const hre = require("hardhat");
 const { ethers } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { Price, Amount, Usdc } = require("../sdk/precision");
 
 // Color functions for better output
 const colors = {
@@ -21,6 +22,18 @@ function colorText(text, color) {
   return `${colors[color]}${text}${colors.reset}`;
 }
 
+/**
+ * How far a price is from a reference, in percent (exact to the basis point)
+ * @param {Price} value
+ * @param {Price} reference
+ * @returns {number}
+ */
+function percentOff(value, reference) {
+  if (reference.isZero()) return Infinity;
+  const bps = (value.sub(reference).abs().units * 10000n) / reference.units;
+  return Number(bps) / 100;
+}
+
 async function deployUpgradedOrderBook() {
   console.log(colorText("\n=== DEPLOYING UPGRADED ORDERBOOK ===", "cyan"));
 
@@ -123,13 +136,14 @@ async function testVWAPFunctionality(orderBook) {
     { price: "3.2", amount: "50" },
   ];
 
-  let expectedVWAP = 0;
-  let totalValue = 0;
-  let totalVolume = 0;
+  let totalValue = Usdc.zero();
+  let totalVolume = Amount.zero();
 
   for (const trade of trades) {
-    const priceScaled = ethers.parseUnits(trade.price, 6);
-    const amountScaled = ethers.parseUnits(trade.amount, 18);
+    const price = Price.parse(trade.price);
+    const amount = Amount.parse(trade.amount);
+    const priceScaled = price.units;
+    const amountScaled = amount.units;
 
     console.log(`\n  Executing trade: ${trade.amount} units @ $${trade.price}`);
 
@@ -148,13 +162,13 @@ async function testVWAPFunctionality(orderBook) {
     );
 
     // Track for expected VWAP
-    totalValue += parseFloat(trade.price) * parseFloat(trade.amount);
-    totalVolume += parseFloat(trade.amount);
+    totalValue = totalValue.add(price.notional(amount));
+    totalVolume = totalVolume.add(amount);
   }
 
-  expectedVWAP = totalValue / totalVolume;
+  const expectedVWAP = totalValue.per(totalVolume);
   console.log(
-    colorText(`\n  Expected VWAP: $${expectedVWAP.toFixed(6)}`, "magenta")
+    colorText(`\n  Expected VWAP: $${expectedVWAP.format(6)}`, "magenta")
   );
 
   // 3. Test VWAP calculations
@@ -218,25 +232,22 @@ async function testVWAPFunctionality(orderBook) {
     `  VWAP-based Mark Price: $${ethers.formatUnits(vwapMarkPrice, 6)}`
   );
 
-  const difference = Math.abs(
-    parseFloat(ethers.formatUnits(vwapMarkPrice, 6)) -
-      parseFloat(ethers.formatUnits(traditionalMarkPrice, 6))
-  );
-  const percentDiff = (
-    (difference / parseFloat(ethers.formatUnits(traditionalMarkPrice, 6))) *
-    100
+  const traditional = Price.fromUnits(traditionalMarkPrice);
+  const difference = Price.fromUnits(vwapMarkPrice).sub(traditional).abs();
+  const percentDiff = percentOff(
+    Price.fromUnits(vwapMarkPrice),
+    traditional
   ).toFixed(2);
 
-  console.log(`  Difference: $${difference.toFixed(6)} (${percentDiff}%)`);
+  console.log(`  Difference: $${difference.format(6)} (${percentDiff}%)`);
 
   // Verify VWAP accuracy
-  const calculatedVWAP = parseFloat(ethers.formatUnits(vwapData.vwap, 6));
-  const vwapAccuracy =
-    (Math.abs(calculatedVWAP - expectedVWAP) / expectedVWAP) * 100;
+  const calculatedVWAP = Price.fromUnits(vwapData.vwap);
+  const vwapAccuracy = percentOff(calculatedVWAP, expectedVWAP);
 
   console.log(colorText("\n📊 VWAP Accuracy Check:", "bright"));
-  console.log(`  Expected VWAP: $${expectedVWAP.toFixed(6)}`);
-  console.log(`  Calculated VWAP: $${calculatedVWAP.toFixed(6)}`);
+  console.log(`  Expected VWAP: $${expectedVWAP.format(6)}`);
+  console.log(`  Calculated VWAP: $${calculatedVWAP.format(6)}`);
   console.log(`  Accuracy: ${(100 - vwapAccuracy).toFixed(2)}%`);
 
   if (vwapAccuracy < 1) {
@@ -270,8 +281,8 @@ async function main() {
     console.log("=".repeat(60));
     console.log(colorText("\n✅ VWAP Implementation Test Complete!", "green"));
     console.log("\nKey Results:");
-    console.log(`  • VWAP Price: $${results.vwapPrice.toFixed(6)}`);
-    console.log(`  • Expected VWAP: $${results.expectedVWAP.toFixed(6)}`);
+    console.log(`  • VWAP Price: $${results.vwapPrice.format(6)}`);
+    console.log(`  • Expected VWAP: $${results.expectedVWAP.format(6)}`);
     console.log(`  • Calculation Accuracy: ${results.accuracy.toFixed(2)}%`);
     console.log(
       "\nThe OrderBook contract now implements industry-standard VWAP-based mark pricing!"
@@ -7,7 +7,8 @@
  * based on the actual trades executed by the deployer.
  */
 
-const { ethers } = require("hardhat");
+const { Price, Amount, Usdc } = require("../sdk/precision");
+const { replayFills, calculateNetting } = require("../sdk/position-netting");
 
 const colors = {
   reset: "\x1b[0m",
@@ -39,33 +40,44 @@ async function main() {
     colorText("\n🧮 WEIGHTED AVERAGE PRICE CALCULATION:", colors.magenta)
   );
 
-  // Trade details
-  const trade1Amount = 100;
-  const trade1Price = 1.0;
-  const trade1Volume = trade1Amount * trade1Price;
-
-  const trade2Amount = 50;
-  const trade2Price = 1.5;
-  const trade2Volume = trade2Amount * trade2Price;
+  // Trade details, in on-chain units
+  const trades = [
+    { amount: Amount.parse("100"), price: Price.parse("1.00") },
+    { amount: Amount.parse("50"), price: Price.parse("1.50") },
+  ];
+
+  trades.forEach(({ amount, price }, i) => {
+    console.log(
+      `${i === 0 ? "\n" : ""}  Trade ${i + 1} Volume: ${amount.format(
+        0
+      )} ALU × $${price.format(2)} = $${price.notional(amount).format(2)} USDC`
+    );
+  });
 
-  console.log(
-    `\n  Trade 1 Volume: ${trade1Amount} ALU × $${trade1Price} = $${trade1Volume} USDC`
+  const totalVolume = trades.reduce(
+    (sum, { amount, price }) => sum.add(price.notional(amount)),
+    Usdc.zero()
   );
-  console.log(
-    `  Trade 2 Volume: ${trade2Amount} ALU × $${trade2Price} = $${trade2Volume} USDC`
+  const totalAmount = trades.reduce(
+    (sum, { amount }) => sum.add(amount),
+    Amount.zero()
   );
 
-  const totalVolume = trade1Volume + trade2Volume;
-  const totalAmount = trade1Amount + trade2Amount;
-
   console.log(
-    `\n  Total Volume: $${trade1Volume} + $${trade2Volume} = $${totalVolume} USDC`
-  );
-  console.log(
-    `  Total Amount: ${trade1Amount} + ${trade2Amount} = ${totalAmount} ALU`
+    `\n  Total Volume: $${totalVolume.format(2)} USDC over ${totalAmount.format(
+      0
+    )} ALU`
   );
 
-  const weightedAveragePrice = totalVolume / totalAmount;
+  // The vault nets each sell into the position as it fills, rounding the
+  // weighted average to the nearest 0.000001
+  const { position } = replayFills(
+    trades.map(({ amount, price }) => ({
+      sizeDelta: -amount.units,
+      price: price.units,
+    }))
+  );
+  const entryPrice = Price.fromUnits(position.entryPrice);
 
   console.log(
     colorText(
@@ -75,26 +87,27 @@ async function main() {
   );
   console.log(
     colorText(
-      `  Weighted Average Price = $${totalVolume} ÷ ${totalAmount} ALU`,
+      `  Weighted Average Price = $${totalVolume.format(
+        2
+      )} ÷ ${totalAmount.format(0)} ALU`,
       colors.cyan
     )
   );
   console.log(
     colorText(
-      `  Weighted Average Price = $${weightedAveragePrice.toFixed(6)} USDC`,
+      `  Weighted Average Price = $${entryPrice.format(
+        6
+      )} USDC (as the vault stores it)`,
       colors.green
     )
   );
 
   // Verify the fraction
   console.log(colorText("\n🔢 FRACTION VERIFICATION:", colors.blue));
+  console.log(`  175 ÷ 150 = 7/6 = 1.16̄ (repeating)`);
   console.log(
-    `  ${totalVolume} ÷ ${totalAmount} = ${totalVolume}/${totalAmount} = ${
-      totalVolume / totalAmount
-    }`
+    `  Decimal representation: 1.166666... → ${entryPrice} (rounded to nearest)`
   );
-  console.log(`  175 ÷ 150 = 7/6 = 1.16̄ (repeating)`);
-  console.log(`  Decimal representation: 1.166666... → 1.166667 (rounded)`);
 
   console.log(colorText("\n✅ CONCLUSION:", colors.green));
   console.log(
@@ -111,12 +124,29 @@ async function main() {
     "  - The entry price is correctly calculated as the volume-weighted average"
   );
 
+  // What closing the whole short at the mark would realize
+  const markPrice = Price.parse("1.00");
+  const close = calculateNetting(position, -position.size, markPrice.units);
+  const pnl = Usdc.fromUnits(
+    close.pnlIsProfit ? close.realizedPnL : -close.realizedPnL
+  );
+
   console.log(colorText("\n📋 POSITION SUMMARY:", colors.yellow));
   console.log("  Position Type: SHORT (negative size)");
-  console.log("  Position Size: -150 ALU");
-  console.log("  Entry Price: $1.166667 (weighted average of $1.00 and $1.50)");
-  console.log("  Current Mark Price: $1.00");
-  console.log("  P&L: +$25.00 (profit because price went down while short)");
+  console.log(
+    `  Position Size: ${Amount.fromUnits(position.size).format(0)} ALU`
+  );
+  console.log(
+    `  Entry Price: $${entryPrice.format(
+      6
+    )} (weighted average of $1.00 and $1.50)`
+  );
+  console.log(`  Current Mark Price: $${markPrice.format(2)}`);
+  console.log(
+    `  P&L: ${pnl.isNegative() ? "" : "+"}$${pnl.format(
+      2
+    )} (profit because price went down while short)`
+  );
 
   console.log(colorText("\n═".repeat(80), colors.cyan));
 }
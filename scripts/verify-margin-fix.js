@@ -7,6 +7,7 @@
 
 const { ethers } = require("hardhat");
 const { getAddress } = require("../config/contracts");
+const { Price, Amount, Usdc } = require("../sdk/precision");
 
 // Color codes
 const colors = {
@@ -22,11 +23,15 @@ const colors = {
 const colorText = (text, color) => `${color}${text}${colors.reset}`;
 
 function formatUSDC(value) {
-  return ethers.formatUnits(value, 6);
+  return Usdc.fromUnits(value).toString();
 }
 
 function formatALU(value) {
-  return ethers.formatUnits(value, 18);
+  return Amount.fromUnits(value).toString();
+}
+
+function formatPrice(value) {
+  return Price.fromUnits(value).toString();
 }
 
 async function main() {
@@ -73,13 +78,13 @@ async function main() {
     let spotBlocked = false;
     try {
       await orderBook.connect(user1).placeLimitOrder(
-        ethers.parseUnits("10", 6),
-        ethers.parseUnits("5", 18),
+        Price.parse("10").units,
+        Amount.parse("5").units,
         true
       );
       await orderBook.connect(user2).placeLimitOrder(
-        ethers.parseUnits("10", 6),
-        ethers.parseUnits("5", 18),
+        Price.parse("10").units,
+        Amount.parse("5").units,
         false
       );
     } catch (error) {
@@ -97,15 +102,16 @@ async function main() {
     console.log(colorText("=".repeat(60), colors.cyan));
     
     // Fund deployer for matching
-    await usdc.connect(deployer).approve(vault.target, ethers.parseUnits("1000", 6));
-    await vault.connect(deployer).depositCollateral(ethers.parseUnits("1000", 6));
+    const deposit = Usdc.parse("1000");
+    await usdc.connect(deployer).approve(vault.target, deposit.units);
+    await vault.connect(deployer).depositCollateral(deposit.units);
     
-    const price = ethers.parseUnits("10", 6); // $10
-    const amount = ethers.parseUnits("50", 18); // 50 ALU
-    const expectedMargin = ethers.parseUnits("500", 6); // $500
+    const price = Price.parse("10"); // $10
+    const amount = Amount.parse("50"); // 50 ALU
+    const expectedMargin = price.notional(amount); // 100% of notional
     
-    console.log(`\nTrade: 50 ALU @ $10 = $500 notional`);
-    console.log(`Expected margin: $500 (100%)`);
+    console.log(`\nTrade: ${amount} ALU @ $${price} = $${expectedMargin} notional`);
+    console.log(`Expected margin: $${expectedMargin} (100%)`);
     
     // Check initial state
     const user1Before = await vault.getMarginSummary(user1.address);
@@ -115,11 +121,11 @@ async function main() {
     console.log(`User 2: ${formatUSDC(user2Before.totalCollateral)} USDC total, ${formatUSDC(user2Before.availableCollateral)} available`);
     
     // Execute margin trades
-    let tx = await orderBook.connect(user1).placeMarginLimitOrder(price, amount, true);
+    let tx = await orderBook.connect(user1).placeMarginLimitOrder(price.units, amount.units, true);
     await tx.wait();
     console.log(colorText("\n✅ User 1 placed margin BUY order", colors.green));
     
-    tx = await orderBook.connect(user2).placeMarginLimitOrder(price, amount, false);
+    tx = await orderBook.connect(user2).placeMarginLimitOrder(price.units, amount.units, false);
     await tx.wait();
     console.log(colorText("✅ User 2 placed margin SELL order (matched)", colors.green));
     
@@ -130,10 +136,10 @@ async function main() {
     console.log(`\nAfter Trade:`);
     console.log(`User 1: Margin locked = ${formatUSDC(user1After.marginUsed)} USDC`);
     console.log(`User 2: Margin locked = ${formatUSDC(user2After.marginUsed)} USDC`);
-    console.log(`Expected: ${formatUSDC(expectedMargin)} USDC`);
+    console.log(`Expected: ${expectedMargin} USDC`);
     
-    const margin1Correct = user1After.marginUsed === expectedMargin;
-    const margin2Correct = user2After.marginUsed === expectedMargin;
+    const margin1Correct = Usdc.fromUnits(user1After.marginUsed).eq(expectedMargin);
+    const margin2Correct = Usdc.fromUnits(user2After.marginUsed).eq(expectedMargin);
     
     if (!margin1Correct || !margin2Correct) {
       throw new Error("FAIL: Margin calculations incorrect!");
@@ -148,14 +154,14 @@ async function main() {
     
     if (user1Positions.length > 0) {
       const pos = user1Positions[0];
-      console.log(`User 1: LONG ${formatALU(pos.size)} ALU @ $${formatUSDC(pos.entryPrice)}`);
+      console.log(`User 1: LONG ${formatALU(pos.size)} ALU @ $${formatPrice(pos.entryPrice)}`);
       console.log(`        Margin: $${formatUSDC(pos.marginLocked)}`);
     }
     
     if (user2Positions.length > 0) {
       const pos = user2Positions[0];
       const size = pos.size < 0n ? -pos.size : pos.size;
-      console.log(`User 2: SHORT ${formatALU(size)} ALU @ $${formatUSDC(pos.entryPrice)}`);
+      console.log(`User 2: SHORT ${formatALU(size)} ALU @ $${formatPrice(pos.entryPrice)}`);
       console.log(`        Margin: $${formatUSDC(pos.marginLocked)}`);
     }
     
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+// verify-mark-price.js - Check OrderBook.calculateMarkPrice() at every block
+//
+// 🎯 WHAT IT DOES:
+//   1. Catches up the event index (sdk/event-indexer.js)
+//   2. For every block of the range, recomputes what calculateMarkPrice()
+//      must return from the indexed trades, the replayed book and the VWAP
+//      settings (sdk/mark-price-verifier.js): VWAP -> mid -> last trade
+//      (bounded on a one-sided book) -> one-sided fallback -> 1 USDC
+//   3. Compares it with the contract's answer at that block and lists each
+//      block where they differ, with the inputs the contract saw otherwise
+//   4. A market moved by scripts/migrate-orderbook.js is checked on the
+//      OrderBook the vault assigned at each block
+//
+// 🚀 USAGE:
+//   HARDHAT_NETWORK=localhost node scripts/verify-mark-price.js
+//   HARDHAT_NETWORK=localhost node scripts/verify-mark-price.js --market ALU-USD --from 150
+//   HARDHAT_NETWORK=localhost node scripts/verify-mark-price.js --market ALU-USD --verbose
+//
+// Options: --to <block>, --path <index.sqlite>. --verbose prints every block.
+// Reading past blocks needs an archive node (a Hardhat node is one).
+//
+
+const { ethers } = require("hardhat");
+const { getNetworkConfig } = require("../config/contracts");
+const { EventIndexer } = require("../sdk/event-indexer");
+const { MarkPriceVerifier } = require("../sdk/mark-price-verifier");
+const { Price, Amount } = require("../sdk/precision");
+
+function readOption(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+function formatPrice(units) {
+  if (units === null) return "reverts";
+  if (units === 0n) return "none";
+  if (units === ethers.MaxUint256) return "none";
+  return Price.fromUnits(units).format(2);
+}
+
+function formatInput(name, value) {
+  if (value === undefined || value === null) return "reverts";
+  if (typeof value === "boolean") return String(value);
+  if (name === "vwapTimeWindow") return `${value}s`;
+  if (name === "minVolumeForVWAP" || name === "vwapVolume") {
+    return Amount.fromUnits(value).format(4);
+  }
+  return formatPrice(value);
+}
+
+/**
+ * Expected and on-chain value of each input that differed
+ */
+function describeInputs(mismatch) {
+  const pick = (inputs) => ({
+    bestBid: inputs.bestBid,
+    bestAsk: inputs.bestAsk,
+    lastTradePrice: inputs.lastTradePrice,
+    vwapTimeWindow: inputs.config.timeWindow,
+    minVolumeForVWAP: inputs.config.minVolume,
+    useVWAPForMarkPrice: inputs.config.useVWAP,
+    vwap: inputs.vwap.reverts ? null : inputs.vwap.price,
+    vwapVolume: inputs.vwap.reverts ? null : inputs.vwap.volume,
+  });
+  const expected = pick(mismatch.expected.inputs);
+  const onChain = pick(mismatch.onChain.inputs);
+  return mismatch.differing.map(
+    (name) =>
+      `${name} ${formatInput(name, expected[name])} expected, ${formatInput(
+        name,
+        onChain[name]
+      )} on chain`
+  );
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp * 1000)
+    .toISOString()
+    .replace("T", " ")
+    .slice(0, 19);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const verbose = args.includes("--verbose");
+  const fromOption = readOption(args, "--from", undefined);
+  const toOption = readOption(args, "--to", undefined);
+
+  const networkConfig = await getNetworkConfig();
+  const indexer = await EventIndexer.open({
+    path: readOption(args, "--path", undefined),
+  });
+
+  console.log(
+    `\n🏷️  MARK PRICE VERIFIER - ${networkConfig.name} (chainId ${networkConfig.chainId})`
+  );
+  console.log(`   index ${indexer.filePath}`);
+  console.log("═".repeat(80));
+
+  const { lastBlock } = await indexer.run({ toBlock: "latest" });
+  const toBlock = toOption === undefined ? lastBlock : Number(toOption);
+  const wanted = readOption(args, "--market", null);
+  const markets = indexer.db
+    .prepare("SELECT symbol FROM markets ORDER BY created_block")
+    .all()
+    .map((market) => market.symbol);
+
+  let mismatches = 0;
+  for (const symbol of wanted ? [wanted] : markets) {
+    const verifier = await MarkPriceVerifier.create({
+      indexer,
+      market: symbol,
+      toBlock,
+    });
+    const report = await verifier.verify({
+      fromBlock: fromOption === undefined ? undefined : Number(fromOption),
+      toBlock,
+      onBlock: ({ blockNumber, expected, onChain, matches }) => {
+        if (!verbose) return;
+        console.log(
+          `   ${matches ? "✅" : "❌"} block ${blockNumber}: ${formatPrice(
+            onChain.price
+          )} on chain, ${formatPrice(expected.price)} via ${expected.source}`
+        );
+      },
+    });
+
+    const sources = Object.entries(report.sources)
+      .map(([source, blocks]) => `${source} ${blocks}`)
+      .join(", ");
+    console.log(
+      `\n${report.mismatches.length === 0 ? "✅" : "❌"} ${
+        verifier.market.symbol
+      } blocks ${report.fromBlock}-${report.toBlock}: ${
+        report.checked
+      } checked, ${report.mismatches.length} diverge (${sources})`
+    );
+    for (const [orderBook, blocks] of Object.entries(report.orderBooks)) {
+      console.log(`   OrderBook ${orderBook}: ${blocks} block(s)`);
+    }
+    for (const mismatch of report.mismatches) {
+      console.log(
+        `   ❌ block ${mismatch.blockNumber} (${formatTime(
+          mismatch.timestamp
+        )}): ${formatPrice(mismatch.onChain.price)} on chain, ${formatPrice(
+          mismatch.expected.price
+        )} expected via ${mismatch.expected.source} on ${mismatch.orderBook}`
+      );
+      describeInputs(mismatch).forEach((line) => console.log(`      ${line}`));
+    }
+    mismatches += report.mismatches.length;
+  }
+
+  indexer.close();
+  if (mismatches > 0) {
+    throw new Error(
+      `❌ calculateMarkPrice() diverged at ${mismatches} block(s)`
+    );
+  }
+}
+
+main()
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
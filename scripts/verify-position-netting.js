@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+
+// verify-position-netting.js - Check sdk/position-netting.js against the vault
+//
+// 🎯 WHAT IT DOES:
+//   1. Reads the open positions of the first signers
+//   2. For each one, builds fills that increase, reduce, close and flip it
+//      at prices around the entry (odd wei included, to hit the rounding)
+//   3. Runs every fill through the off-chain netting and through the
+//      vault's previewPositionNetting / getPositionNettingSummary (batched
+//      through Multicall3), and compares every field
+//   Accounts without a position in a market get a "new position" case.
+//
+// 🚀 USAGE:
+//   HARDHAT_NETWORK=localhost node scripts/verify-position-netting.js
+//   HARDHAT_NETWORK=localhost node scripts/verify-position-netting.js --accounts 10 --verbose
+//
+// Exits with code 1 on any mismatch.
+//
+
+const { ethers } = require("hardhat");
+const { getContract, getNetworkConfig } = require("../config/contracts");
+const { getMarkets } = require("../config/markets");
+const { call, multicall, tryMulticall } = require("../sdk/multicall");
+const { Amount, Price } = require("../sdk/precision");
+const {
+  calculateNetting,
+  nettingSummary,
+  describeNetting,
+} = require("../sdk/position-netting");
+
+const RESULT_FIELDS = [
+  "positionExists",
+  "oldSize",
+  "newSize",
+  "newEntryPrice",
+  "realizedPnL",
+  "pnlIsProfit",
+  "closedUnits",
+  "positionClosed",
+  "positionFlipped",
+];
+
+function readOption(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+/**
+ * Fills that exercise every netting branch for one position
+ * @param {object} position - Vault position
+ * @returns {object[]} [{ sizeDelta, price }] on-chain units
+ */
+function buildScenarios(position) {
+  const size = position.size;
+  const absSize = size < 0n ? -size : size;
+  const closing = size > 0n ? -1n : 1n;
+  const entry = position.entryPrice;
+
+  const deltas = [
+    -closing * (absSize / 3n + 7n), // increase
+    closing * (absSize / 2n), // partial close
+    closing * absSize, // exact close
+    closing * (absSize * 2n + 12345n), // flip
+    closing, // one wei - P&L truncates to zero
+  ].filter((delta) => delta !== 0n);
+
+  const prices = [entry, entry + 1234567n, entry - 987654n, 1n].filter(
+    (price) => price > 0n
+  );
+
+  return deltas.flatMap((sizeDelta) =>
+    prices.map((price) => ({ sizeDelta, price }))
+  );
+}
+
+function compare(expected, preview, summary) {
+  const differences = RESULT_FIELDS.filter(
+    (field) => expected[field] !== preview[field]
+  ).map(
+    (field) => `${field}: js ${expected[field]} vs vault ${preview[field]}`
+  );
+
+  const expectedSummary = [
+    nettingSummary(expected),
+    expected.realizedPnL,
+    expected.pnlIsProfit,
+    expected.closedUnits,
+    expected.newSize,
+  ];
+  ["summary", "realizedPnL", "isProfit", "closedUnits", "finalSize"].forEach(
+    (field, i) => {
+      if (expectedSummary[i] !== summary[i]) {
+        differences.push(
+          `summary.${field}: js ${expectedSummary[i]} vs vault ${summary[i]}`
+        );
+      }
+    }
+  );
+  return differences;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const accountCount = Number(readOption(args, "--accounts", 6));
+  const verbose = args.includes("--verbose");
+
+  const networkConfig = await getNetworkConfig();
+  console.log(
+    `\n🧮 POSITION NETTING CROSS-CHECK - ${networkConfig.name} (chainId ${networkConfig.chainId})`
+  );
+  console.log("═".repeat(80));
+
+  const vault = await getContract("CENTRALIZED_VAULT");
+  const markets = await getMarkets();
+  const symbols = new Map(
+    markets.map((market) => [market.marketId.toLowerCase(), market.symbol])
+  );
+  const accounts = (await ethers.getSigners()).slice(0, accountCount);
+
+  const positionLists = await multicall(
+    accounts.map((account) =>
+      call(vault, "getUserPositions", [account.address])
+    )
+  );
+
+  // One group per (account, market): its position and the fills to try
+  const groups = [];
+  accounts.forEach((account, i) => {
+    const positions = [...positionLists[i]];
+    for (const position of positions) {
+      groups.push({
+        label: `Account ${i}`,
+        account,
+        marketId: position.marketId,
+        position,
+        fills: buildScenarios(position),
+      });
+    }
+    for (const market of markets) {
+      if (!positions.some((p) => p.marketId === market.marketId)) {
+        groups.push({
+          label: `Account ${i}`,
+          account,
+          marketId: market.marketId,
+          position: null,
+          fills: [
+            { sizeDelta: 10n ** 18n, price: Price.parse("2500").units },
+            { sizeDelta: -(10n ** 18n) / 3n, price: 1n },
+          ],
+        });
+      }
+    }
+  });
+
+  const cases = groups.flatMap((group) =>
+    group.fills.map((fill) => ({ ...fill, group }))
+  );
+  const reads = await tryMulticall(
+    cases.flatMap(({ group, sizeDelta, price }) => [
+      call(vault, "previewPositionNetting", [
+        group.account.address,
+        group.marketId,
+        sizeDelta,
+        price,
+      ]),
+      call(vault, "getPositionNettingSummary", [
+        group.account.address,
+        group.marketId,
+        sizeDelta,
+        price,
+      ]),
+    ])
+  );
+
+  let mismatches = 0;
+  let index = 0;
+  for (const group of groups) {
+    const symbol =
+      symbols.get(group.marketId.toLowerCase()) || group.marketId.slice(0, 10);
+    const heading = group.position
+      ? `${group.position.size > 0n ? "LONG" : "SHORT"} ${Amount.fromUnits(
+          group.position.size
+        )
+          .abs()
+          .format(6)} @ ${Price.fromUnits(group.position.entryPrice).format(6)}`
+      : "no position";
+
+    const failures = [];
+    let failedFills = 0;
+    for (const fill of group.fills) {
+      const [previewRead, summaryRead] = [reads[index], reads[index + 1]];
+      index += 2;
+      // Exact units - the 1 wei fills would read as 0.000000
+      const label = `${Amount.fromUnits(fill.sizeDelta)} @ ${Price.fromUnits(
+        fill.price
+      )}`;
+
+      let expected;
+      try {
+        expected = calculateNetting(group.position, fill.sizeDelta, fill.price);
+      } catch (error) {
+        // The vault must revert as well
+        if (previewRead.success) {
+          failedFills++;
+          failures.push(`${label}: js threw "${error.message}", vault didn't`);
+        }
+        continue;
+      }
+      if (!previewRead.success || !summaryRead.success) {
+        failedFills++;
+        failures.push(
+          `${label}: vault reverted - ${
+            (previewRead.error || summaryRead.error).message
+          }`
+        );
+        continue;
+      }
+
+      const differences = compare(
+        expected,
+        previewRead.value,
+        summaryRead.value
+      );
+      if (differences.length > 0) {
+        failedFills++;
+        failures.push(...differences.map((text) => `${label}: ${text}`));
+      }
+
+      if (verbose) {
+        const preview = describeNetting(expected);
+        console.log(
+          `   ${differences.length === 0 ? "✓" : "✗"} ${label.padEnd(
+            34
+          )} ${preview.status.padEnd(9)} → ${preview.newSize
+            .format(6)
+            .padStart(14)} @ ${preview.newEntryPrice
+            .format(6)
+            .padStart(14)}  P&L ${preview.realizedPnL.format(6)}`
+        );
+      }
+    }
+
+    mismatches += failedFills;
+    const icon = failedFills === 0 ? "✅" : "❌";
+    console.log(
+      `${icon} ${group.label} ${symbol} ${heading}: ${
+        group.fills.length - failedFills
+      }/${group.fills.length} fills match`
+    );
+    failures.forEach((failure) => console.log(`   • ${failure}`));
+  }
+
+  console.log("═".repeat(80));
+  if (mismatches > 0) {
+    console.log(`❌ ${mismatches} of ${cases.length} fills don't match`);
+    process.exitCode = 1;
+  } else {
+    console.log(
+      `✅ ${cases.length} fills across ${groups.length} positions match the vault to the wei`
+    );
+  }
+}
+
+main()
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
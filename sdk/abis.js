@@ -0,0 +1,133 @@
+// abis.js - The project's contract interfaces in one place
+//
+// 🎯 PURPOSE:
+//   - Decode any log or revert coming out of the system without knowing in
+//     advance which contract emitted it (a single order touches the
+//     OrderBook, the vault and MockUSDC)
+//   - Logs from addresses in the deployment manifest are decoded with that
+//     contract's ABI; anything else (markets created later by the factory)
+//     with the first project ABI that knows the topic
+//
+// 🔄 USAGE:
+//   const { decodeReceipt } = require('../sdk/abis');
+//   const events = await decodeReceipt(receipt);
+//   // => [{ name: "OrderPlaced", contract: "ORDERBOOK", args, address, logIndex }, ...]
+//
+const { ethers, artifacts } = require("hardhat");
+const { loadAddresses, getContractName } = require("../config/contracts");
+
+const PROJECT_CONTRACTS = [
+  "OrderBook",
+  "CentralizedVault",
+  "FuturesMarketFactory",
+  "TradingRouter",
+  "MockUSDC",
+];
+
+const interfaces = new Map();
+let errorInterface = null;
+
+/**
+ * Interface of a project contract
+ * @param {string} name - Artifact name, e.g. "OrderBook"
+ * @returns {Interface}
+ */
+function getInterface(name) {
+  if (!interfaces.has(name)) {
+    interfaces.set(
+      name,
+      new ethers.Interface(artifacts.readArtifactSync(name).abi)
+    );
+  }
+  return interfaces.get(name);
+}
+
+/**
+ * One interface holding every custom error the project contracts can throw
+ * @returns {Interface}
+ */
+function getErrorInterface() {
+  if (!errorInterface) {
+    const fragments = new Map();
+    for (const name of PROJECT_CONTRACTS) {
+      for (const fragment of getInterface(name).fragments) {
+        if (fragment.type === "error") {
+          fragments.set(fragment.format(), fragment);
+        }
+      }
+    }
+    errorInterface = new ethers.Interface([...fragments.values()]);
+  }
+  return errorInterface;
+}
+
+/**
+ * Map of lowercase address -> { key, name } from the deployment manifest
+ * @returns {Promise<Map>}
+ */
+async function loadAddressBook() {
+  const book = new Map();
+  for (const [key, address] of Object.entries(await loadAddresses())) {
+    const name = getContractName(key);
+    if (name && ethers.isAddress(address)) {
+      // Several keys can share one address - the first in the manifest wins
+      if (!book.has(address.toLowerCase())) {
+        book.set(address.toLowerCase(), { key, name });
+      }
+    }
+  }
+  return book;
+}
+
+/**
+ * Decode one log with the project ABIs
+ * @param {Log} log
+ * @param {Map} addressBook - From loadAddressBook()
+ * @returns {object|null} { name, signature, args, address, contract,
+ *   logIndex, blockNumber, transactionHash } or null if no ABI knows it
+ */
+function decodeLog(log, addressBook = new Map()) {
+  const known = addressBook.get(log.address.toLowerCase());
+  const candidates = known ? [known.name] : PROJECT_CONTRACTS;
+
+  for (const name of candidates) {
+    let parsed = null;
+    try {
+      parsed = getInterface(name).parseLog(log);
+    } catch {
+      // Topic count doesn't match this ABI's event
+    }
+    if (parsed) {
+      return {
+        name: parsed.name,
+        signature: parsed.signature,
+        args: parsed.args,
+        address: log.address,
+        contract: known ? known.key : name,
+        logIndex: log.index,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Decode every log of a receipt that a project ABI knows
+ * @param {TransactionReceipt} receipt
+ * @returns {Promise<object[]>} See decodeLog(), in log order
+ */
+async function decodeReceipt(receipt) {
+  const addressBook = await loadAddressBook();
+  return receipt.logs.map((log) => decodeLog(log, addressBook)).filter(Boolean);
+}
+
+module.exports = {
+  PROJECT_CONTRACTS,
+  getInterface,
+  getErrorInterface,
+  loadAddressBook,
+  decodeLog,
+  decodeReceipt,
+};
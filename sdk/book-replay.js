@@ -0,0 +1,849 @@
+// book-replay.js - The order-by-order (L3) book at any block, replayed from events
+//
+// 🎯 PURPOSE:
+//   - When an order "disappeared", getOrderBookDepth() only shows price
+//     levels as they are now. BookReplay rebuilds every resting order, in
+//     price-time priority, at any block from the order events and trades in
+//     the event index (sdk/event-indexer.js)
+//   - Steppable: step() applies one event and describes what it did to the
+//     book, so a CLI can walk through history event by event
+//   - diffLive() compares the rebuilt book with the contract's own level
+//     queues (buyLevels / sellLevels walked through getOrder().nextOrderId)
+//     at the same block - any difference is drift between the events and
+//     the state
+//   - A market moved by scripts/migrate-orderbook.js has had several books.
+//     The replay follows the one the vault assigned at toBlock
+//     (EventIndexer.orderBookAt), and diffLive() fails when the vault's
+//     marketToOrderBook is another one at that block
+//
+// 📐 HOW THE CONTRACT IS REPLAYED:
+//   - OrderPlaced with a resting amount joins the tail of its price level;
+//     market orders and orders filled on placement never rest
+//   - TradeExecuted fills the head of the maker level at the trade price.
+//     The taker is the OrderPlaced that follows the trade in its
+//     transaction (the contract logs it after matching), so the maker side
+//     is the opposite one. A resting order filled completely emits nothing
+//     else - the trade is the only sign it left the book
+//   - OrderPartiallyFilled carries the maker's remaining amount; the replay
+//     checks its own against it (and takes the event's value if they differ)
+//   - OrderCancelled takes the order out. OrderModified is logged after the
+//     replacement's OrderPlaced, but the contract removes the old order
+//     before the replacement matches - the replay applies it there
+//   - Events that don't fit (a fill with no resting order, a maker that
+//     isn't at the head of its level) are kept in anomalies
+//
+// 🔄 USAGE:
+//   const { BookReplay } = require('../sdk/book-replay');
+//   const replay = await BookReplay.create({ indexer, market: "ALU-USD" });
+//   replay.orderBook; replay.orderBooks        // replayed book, all of them
+//   replay.runTo(1200);                        // the book after block 1200
+//   const { bids, asks } = replay.snapshot();  // levels, orders in queue order
+//   while (replay.hasNext()) console.log(replay.step().description);
+//   const drift = await replay.diffLive();     // [] when the chain agrees
+//
+const { ethers } = require("hardhat");
+const { getContract } = require("../config/contracts");
+const { Price, Amount } = require("./precision");
+const { call, multicallAt } = require("./multicall");
+
+// Rows replayed, in log order: order_events types plus trades
+const REPLAY_QUERY = `
+SELECT block_number, tx_hash, log_index, type, order_id, trader, is_buy,
+  is_margin, price, amount, filled, remaining, related_order_id,
+  NULL AS buyer, NULL AS seller
+FROM order_events
+WHERE order_book = @orderBook AND block_number <= @toBlock
+  AND type IN ('placed', 'partial', 'cancelled', 'modified')
+UNION ALL
+SELECT block_number, tx_hash, log_index, 'trade', trade_id, NULL, NULL,
+  NULL, price, amount, NULL, NULL, NULL, buyer, seller
+FROM trades
+WHERE order_book = @orderBook AND block_number <= @toBlock
+ORDER BY block_number, log_index
+`;
+
+const MAX_UINT256 = ethers.MaxUint256;
+
+const shortAddress = (address) => `${address.slice(0, 6)}…${address.slice(-4)}`;
+const formatPrice = (units) => Price.fromUnits(units).format(2);
+const formatAmount = (units) => Amount.fromUnits(units).format(4);
+const sideName = (isBuy) => (isBuy ? "buy" : "sell");
+
+/**
+ * Put one transaction's rows in the order the contract acted on them:
+ * trades learn their taker's side, and an OrderModified moves in front of
+ * the fills of its replacement
+ * @param {object[]} rows - Same tx_hash, log order
+ * @returns {object[]} Replay steps
+ */
+function orderTransaction(rows) {
+  const steps = [];
+  const moved = new Set();
+  rows.forEach((row, i) => {
+    if (row.type === "modified") {
+      return;
+    }
+    const step = { ...row };
+    if (row.type === "trade") {
+      const taker = rows.slice(i + 1).find((next) => next.type === "placed");
+      step.taker_is_buy = taker ? taker.is_buy === 1 : null;
+      step.taker_order_id = taker ? taker.order_id : null;
+    }
+    const modified =
+      row.type === "placed" &&
+      rows.find(
+        (other) =>
+          other.type === "modified" && other.related_order_id === row.order_id
+      );
+    if (modified) {
+      // In front of the fills (and their partials) this placement made,
+      // after anything the transaction did before it
+      let start = steps.length;
+      while (
+        start > 0 &&
+        ["trade", "partial"].includes(steps[start - 1].type)
+      ) {
+        start--;
+      }
+      steps.splice(start, 0, { ...modified });
+      moved.add(modified);
+    }
+    steps.push(step);
+  });
+  // An OrderModified whose replacement isn't in the rows stays at the end
+  for (const row of rows) {
+    if (row.type === "modified" && !moved.has(row)) {
+      steps.push({ ...row });
+    }
+  }
+  return steps;
+}
+
+class BookReplay {
+  /**
+   * Use BookReplay.create()
+   * @param {object} market - markets row { market_id, order_book, symbol }
+   *   (order_book is the factory's)
+   * @param {object} books - { orderBook, orderBooks } the replayed book and
+   *   every one the market has had, as EventIndexer.orderBooksOf() lists them
+   * @param {object[]} steps - From orderTransaction(), in replay order
+   * @param {number} toBlock - Last block the steps cover
+   * @param {Map<string, string>} routedFor - orderId -> router user
+   */
+  constructor(market, books, steps, toBlock, routedFor) {
+    this.market = market;
+    this.orderBook = books.orderBook;
+    this.orderBooks = books.orderBooks;
+    this.steps = steps;
+    this.toBlock = toBlock;
+    this.routedFor = routedFor;
+    this.reset();
+  }
+
+  /**
+   * @param {object} options
+   *   indexer  An open EventIndexer, caught up as far as it should go
+   *   market     Symbol or marketId of an indexed market
+   *   toBlock    Last block to load (default: the index's last block)
+   *   orderBook  One of the market's books to replay instead of the one
+   *              assigned at toBlock, e.g. a book a migration retired
+   * @returns {Promise<BookReplay>} Positioned before the first event
+   */
+  static async create(options = {}) {
+    const { indexer } = options;
+    if (!indexer) {
+      throw new Error("❌ BookReplay needs an EventIndexer");
+    }
+    const lastBlock = indexer.lastBlock;
+    if (lastBlock === null) {
+      throw new Error("❌ The event index is empty - run it first");
+    }
+    const toBlock = options.toBlock ?? lastBlock;
+    if (toBlock > lastBlock) {
+      throw new Error(
+        `❌ The index only reaches block ${lastBlock} - index past ${toBlock} first`
+      );
+    }
+
+    const markets = indexer.db
+      .prepare(
+        "SELECT market_id, order_book, symbol, created_block FROM markets ORDER BY created_block"
+      )
+      .all();
+    const wanted = String(options.market || "").toLowerCase();
+    const market = markets.find(
+      (m) =>
+        m.symbol.toLowerCase() === wanted ||
+        m.market_id.toLowerCase() === wanted
+    );
+    if (!market) {
+      throw new Error(
+        `❌ Unknown market ${options.market} - indexed: ${markets
+          .map((m) => m.symbol)
+          .join(", ")}`
+      );
+    }
+
+    const orderBooks = indexer.orderBooksOf(market.market_id);
+    let orderBook = indexer.orderBookAt(market.market_id, toBlock);
+    if (options.orderBook) {
+      const chosen = orderBooks.find(
+        (book) =>
+          book.orderBook.toLowerCase() === options.orderBook.toLowerCase()
+      );
+      if (!chosen) {
+        throw new Error(
+          `❌ ${options.orderBook} is not one of ${
+            market.symbol
+          }'s OrderBooks: ${orderBooks
+            .map((book) => book.orderBook)
+            .join(", ")}`
+        );
+      }
+      orderBook = chosen.orderBook;
+    }
+
+    const rows = indexer.db.prepare(REPLAY_QUERY).all({ orderBook, toBlock });
+    const steps = [];
+    for (let start = 0; start < rows.length; ) {
+      let end = start + 1;
+      while (end < rows.length && rows[end].tx_hash === rows[start].tx_hash) {
+        end++;
+      }
+      steps.push(...orderTransaction(rows.slice(start, end)));
+      start = end;
+    }
+
+    const routedFor = new Map(
+      indexer.db
+        .prepare(
+          "SELECT order_id, routed_for FROM orders WHERE order_book = ? AND routed_for IS NOT NULL"
+        )
+        .all(orderBook)
+        .map((row) => [row.order_id, row.routed_for])
+    );
+
+    return new BookReplay(
+      market,
+      { orderBook, orderBooks },
+      steps,
+      toBlock,
+      routedFor
+    );
+  }
+
+  /**
+   * Back to an empty book before the first event
+   */
+  reset() {
+    this.position = 0;
+    // price (bigint) -> [order] in queue order, per side
+    this.bids = new Map();
+    this.asks = new Map();
+    // orderId (string) -> resting order
+    this.orders = new Map();
+    this.anomalies = [];
+  }
+
+  hasNext() {
+    return this.position < this.steps.length;
+  }
+
+  /**
+   * Block the next step belongs to, null at the end
+   * @returns {number|null}
+   */
+  get nextBlock() {
+    return this.hasNext() ? this.steps[this.position].block_number : null;
+  }
+
+  /**
+   * Last block whose events are all applied - null while the replay is in
+   * the middle of a block
+   * @returns {number|null}
+   */
+  get blockNumber() {
+    if (!this.hasNext()) {
+      return this.toBlock;
+    }
+    const next = this.steps[this.position];
+    const previous = this.steps[this.position - 1];
+    if (previous && previous.block_number === next.block_number) {
+      return null;
+    }
+    return next.block_number - 1;
+  }
+
+  /**
+   * Apply the next event
+   * @returns {object|null} { step, description, orderIds, anomalies } or
+   *   null at the end
+   */
+  step() {
+    if (!this.hasNext()) {
+      return null;
+    }
+    const step = this.steps[this.position++];
+    const result = { step, orderIds: [], anomalies: [] };
+    const anomaly = (message) => {
+      const entry = {
+        blockNumber: step.block_number,
+        txHash: step.tx_hash,
+        logIndex: step.log_index,
+        message,
+      };
+      result.anomalies.push(entry);
+      this.anomalies.push(entry);
+    };
+
+    switch (step.type) {
+      case "placed":
+        result.description = this.applyPlaced(step, anomaly);
+        result.orderIds.push(step.order_id);
+        break;
+      case "trade":
+        result.description = this.applyTrade(step, anomaly, result.orderIds);
+        break;
+      case "partial": {
+        result.orderIds.push(step.order_id);
+        const order = this.orders.get(step.order_id);
+        const remaining = BigInt(step.remaining);
+        if (!order) {
+          anomaly(`#${step.order_id} partially filled but not resting`);
+          result.description = `#${
+            step.order_id
+          } partially filled, ${formatAmount(
+            remaining
+          )} left - unknown to the replay`;
+          break;
+        }
+        if (order.amount !== remaining) {
+          anomaly(
+            `#${step.order_id} has ${formatAmount(
+              remaining
+            )} left on chain, ${formatAmount(order.amount)} in the replay`
+          );
+          order.amount = remaining;
+          if (remaining === 0n) {
+            this.removeOrder(order);
+          }
+        }
+        result.description = `#${
+          step.order_id
+        } partially filled, ${formatAmount(remaining)} left at ${formatPrice(
+          order.price
+        )}`;
+        break;
+      }
+      case "cancelled":
+      case "modified": {
+        result.orderIds.push(step.order_id);
+        const order = this.orders.get(step.order_id);
+        const what =
+          step.type === "cancelled"
+            ? "cancelled"
+            : `modified into #${step.related_order_id}`;
+        if (!order) {
+          anomaly(`#${step.order_id} ${what} but not resting`);
+          result.description = `#${step.order_id} ${what} - unknown to the replay`;
+          break;
+        }
+        if (step.type === "modified") {
+          result.orderIds.push(step.related_order_id);
+        }
+        result.description = `#${step.order_id} ${what}: ${formatAmount(
+          order.amount
+        )} ${sideName(order.isBuy)} at ${formatPrice(
+          order.price
+        )} leaves the book`;
+        this.removeOrder(order);
+        break;
+      }
+    }
+
+    return result;
+  }
+
+  applyPlaced(step, anomaly) {
+    const price = BigInt(step.price);
+    const isBuy = step.is_buy === 1;
+    const filled = BigInt(step.filled);
+    const side = sideName(isBuy);
+    if (step.remaining === null) {
+      return `#${step.order_id} market ${side} by ${shortAddress(
+        step.trader
+      )}: ${formatAmount(filled)} of ${formatAmount(
+        BigInt(step.amount)
+      )} filled, never rests`;
+    }
+
+    const resting = BigInt(step.remaining);
+    const placedAs = `#${step.order_id} limit ${side} ${formatAmount(
+      BigInt(step.amount)
+    )} at ${formatPrice(price)} by ${shortAddress(step.trader)}`;
+    if (resting === 0n) {
+      return `${placedAs}: filled on placement`;
+    }
+    if (this.orders.has(step.order_id)) {
+      anomaly(`#${step.order_id} placed twice`);
+      this.removeOrder(this.orders.get(step.order_id));
+    }
+
+    const order = {
+      orderId: step.order_id,
+      trader: step.trader,
+      routedFor: this.routedFor.get(step.order_id) || null,
+      price,
+      amount: resting,
+      isBuy,
+      isMarginOrder: step.is_margin === 1,
+      placedBlock: step.block_number,
+      placedTx: step.tx_hash,
+    };
+    const levels = isBuy ? this.bids : this.asks;
+    if (!levels.has(price)) {
+      levels.set(price, []);
+    }
+    const queue = levels.get(price);
+    queue.push(order);
+    this.orders.set(order.orderId, order);
+
+    return `${placedAs}: ${formatAmount(resting)} rests${
+      filled > 0n ? ` after ${formatAmount(filled)} filled` : ""
+    }, #${queue.length} in the queue`;
+  }
+
+  applyTrade(step, anomaly, orderIds) {
+    const price = BigInt(step.price);
+    const amount = BigInt(step.amount);
+    const trade = `trade #${step.order_id}: ${formatAmount(
+      amount
+    )} at ${formatPrice(price)}`;
+    if (step.taker_is_buy === null) {
+      anomaly(`trade #${step.order_id} has no taker OrderPlaced after it`);
+      return `${trade} - no taker order, not applied`;
+    }
+
+    const makerIsBuy = !step.taker_is_buy;
+    const maker = makerIsBuy ? step.buyer : step.seller;
+    const queue = (makerIsBuy ? this.bids : this.asks).get(price) || [];
+    orderIds.push(step.taker_order_id);
+    if (queue.length === 0) {
+      anomaly(
+        `trade #${step.order_id} fills a ${sideName(
+          makerIsBuy
+        )} at ${formatPrice(price)} the replay doesn't have`
+      );
+      return `${trade} - no resting ${sideName(makerIsBuy)} order there`;
+    }
+
+    let order = queue[0];
+    if (order.trader !== maker) {
+      // Keep going with the maker's first order at that price, if any
+      const owned = queue.find((candidate) => candidate.trader === maker);
+      anomaly(
+        `trade #${step.order_id} fills ${shortAddress(maker)}, but #${
+          order.orderId
+        } (${shortAddress(order.trader)}) is first at ${formatPrice(price)}`
+      );
+      if (owned) {
+        order = owned;
+      }
+    }
+    orderIds.push(order.orderId);
+
+    if (amount > order.amount) {
+      anomaly(
+        `trade #${step.order_id} fills ${formatAmount(amount)} of #${
+          order.orderId
+        }, which only has ${formatAmount(order.amount)}`
+      );
+    }
+    order.amount = amount > order.amount ? 0n : order.amount - amount;
+    const taker = `${step.taker_is_buy ? "buyer" : "seller"} #${
+      step.taker_order_id
+    }`;
+    if (order.amount === 0n) {
+      this.removeOrder(order);
+      return `${trade}, ${taker} fills #${order.orderId} completely - it leaves the book`;
+    }
+    return `${trade}, ${taker} fills #${order.orderId}, ${formatAmount(
+      order.amount
+    )} left`;
+  }
+
+  removeOrder(order) {
+    const levels = order.isBuy ? this.bids : this.asks;
+    const queue = levels.get(order.price) || [];
+    const index = queue.indexOf(order);
+    if (index !== -1) {
+      queue.splice(index, 1);
+    }
+    if (queue.length === 0) {
+      levels.delete(order.price);
+    }
+    this.orders.delete(order.orderId);
+  }
+
+  /**
+   * Apply every event up to and including a block
+   * @param {number} blockNumber - Defaults to the last block loaded
+   * @returns {object[]} The step() results
+   */
+  runTo(blockNumber = this.toBlock) {
+    if (blockNumber > this.toBlock) {
+      throw new Error(
+        `❌ The replay was loaded through block ${this.toBlock}, not ${blockNumber}`
+      );
+    }
+    const results = [];
+    while (this.hasNext() && this.nextBlock <= blockNumber) {
+      results.push(this.step());
+    }
+    return results;
+  }
+
+  /**
+   * Best prices the way the contract keeps them
+   * @returns {object} { bestBid (0 with no bids), bestAsk (MaxUint256 with
+   *   no asks) } on-chain units
+   */
+  bestPrices() {
+    return {
+      bestBid: [...this.bids.keys()].reduce(
+        (best, price) => (price > best ? price : best),
+        0n
+      ),
+      bestAsk: [...this.asks.keys()].reduce(
+        (best, price) => (price < best ? price : best),
+        MAX_UINT256
+      ),
+    };
+  }
+
+  /**
+   * The book as it stands, best price first
+   * @returns {object} { blockNumber, bestBid, bestAsk (Price, null when the
+   *   side is empty), bids / asks: [{ price, amount, orders: [{ orderId,
+   *   trader, routedFor, amount, isMarginOrder, placedBlock, placedTx }] }] }
+   */
+  snapshot() {
+    const side = (levels, descending) =>
+      [...levels.entries()]
+        .sort(([a], [b]) => (a === b ? 0 : a > b === descending ? -1 : 1))
+        .map(([price, queue]) => ({
+          price: Price.fromUnits(price),
+          amount: Amount.fromUnits(
+            queue.reduce((sum, order) => sum + order.amount, 0n)
+          ),
+          orders: queue.map((order) => ({
+            orderId: order.orderId,
+            trader: order.trader,
+            routedFor: order.routedFor,
+            amount: Amount.fromUnits(order.amount),
+            isMarginOrder: order.isMarginOrder,
+            placedBlock: order.placedBlock,
+            placedTx: order.placedTx,
+          })),
+        }));
+    const bids = side(this.bids, true);
+    const asks = side(this.asks, false);
+    return {
+      blockNumber: this.blockNumber,
+      bestBid: bids.length > 0 ? bids[0].price : null,
+      bestAsk: asks.length > 0 ? asks[0].price : null,
+      bids,
+      asks,
+    };
+  }
+
+  /**
+   * The contract's book at a block: every level from getOrderBookDepth(),
+   * its queue walked from firstOrderId through getOrder().nextOrderId
+   * @param {number} blockTag
+   * @returns {Promise<object>} { assignedOrderBook, bestBid, bestAsk,
+   *   levels: [{ isBuy, price, totalAmount, lastOrderId, orders: [Order
+   *   struct] }] } (bigints) - assignedOrderBook is the vault's
+   *   marketToOrderBook at that block
+   */
+  async readLive(blockTag) {
+    const orderBook = await ethers.getContractAt("OrderBook", this.orderBook);
+    const vault = await getContract("CENTRALIZED_VAULT");
+    const [[bidPrices, , askPrices], bestBid, bestAsk, assignedOrderBook] =
+      await multicallAt(
+        [
+          call(orderBook, "getOrderBookDepth", [MAX_UINT256]),
+          call(orderBook, "bestBid"),
+          call(orderBook, "bestAsk"),
+          call(vault, "marketToOrderBook", [this.market.market_id]),
+        ],
+        blockTag
+      );
+    const levels = [
+      ...[...bidPrices].map((price) => ({ isBuy: true, price })),
+      ...[...askPrices].map((price) => ({ isBuy: false, price })),
+    ];
+    const heads = await multicallAt(
+      levels.map((level) =>
+        call(orderBook, level.isBuy ? "buyLevels" : "sellLevels", [level.price])
+      ),
+      blockTag
+    );
+    levels.forEach((level, i) => {
+      level.totalAmount = heads[i].totalAmount;
+      level.lastOrderId = heads[i].lastOrderId;
+      level.orders = [];
+      level.cursor = heads[i].exists ? heads[i].firstOrderId : 0n;
+    });
+
+    // One batch per queue position, all levels at once
+    const seen = new Set();
+    for (;;) {
+      const walking = levels.filter((level) => level.cursor !== 0n);
+      if (walking.length === 0) break;
+      const orders = await multicallAt(
+        walking.map((level) => call(orderBook, "getOrder", [level.cursor])),
+        blockTag
+      );
+      walking.forEach((level, i) => {
+        const order = orders[i];
+        const id = level.cursor;
+        // The tail (or a broken link) ends the queue
+        if (
+          seen.has(id) ||
+          order.trader === ethers.ZeroAddress ||
+          id === level.lastOrderId
+        ) {
+          level.cursor = 0n;
+        } else {
+          level.cursor = order.nextOrderId;
+        }
+        if (!seen.has(id) && order.trader !== ethers.ZeroAddress) {
+          level.orders.push(order);
+        }
+        seen.add(id);
+      });
+    }
+    levels.forEach((level) => delete level.cursor);
+
+    return { orderBook, assignedOrderBook, bestBid, bestAsk, levels };
+  }
+
+  /**
+   * Compare the replayed book with the contract's at the replay's block
+   * (an archive node is needed for blocks before the head)
+   * @returns {Promise<object[]>} [{ kind, side, price, orderId, message }],
+   *   empty when they agree
+   */
+  async diffLive() {
+    const blockTag = this.blockNumber;
+    if (blockTag === null) {
+      throw new Error(
+        `❌ The replay is in the middle of block ${this.nextBlock} - finish it before diffing`
+      );
+    }
+    const live = await this.readLive(blockTag);
+    const differences = [];
+    const report = (kind, isBuy, price, orderId, message) =>
+      differences.push({
+        kind,
+        side: isBuy === null ? null : sideName(isBuy),
+        price: price === null ? null : Price.fromUnits(price),
+        orderId,
+        message,
+      });
+
+    // The book itself: the vault may have moved the market elsewhere
+    if (live.assignedOrderBook.toLowerCase() !== this.orderBook.toLowerCase()) {
+      report(
+        "order-book",
+        null,
+        null,
+        null,
+        live.assignedOrderBook === ethers.ZeroAddress
+          ? `the vault assigns ${this.market.symbol} no OrderBook at block ${blockTag}; the replay follows ${this.orderBook}`
+          : `the vault assigns ${this.market.symbol} to ${live.assignedOrderBook} at block ${blockTag}; the replay follows ${this.orderBook}`
+      );
+    }
+
+    // Levels: total and queue order
+    const liveLevels = new Map(
+      live.levels.map((level) => [`${level.isBuy}:${level.price}`, level])
+    );
+    const replayLevels = new Map();
+    for (const [isBuy, levels] of [
+      [true, this.bids],
+      [false, this.asks],
+    ]) {
+      for (const [price, queue] of levels) {
+        replayLevels.set(`${isBuy}:${price}`, { isBuy, price, queue });
+      }
+    }
+    for (const [key, { isBuy, price, queue }] of replayLevels) {
+      const level = liveLevels.get(key);
+      const total = queue.reduce((sum, order) => sum + order.amount, 0n);
+      const at = `${sideName(isBuy)} ${formatPrice(price)}`;
+      if (!level) {
+        report(
+          "level-missing",
+          isBuy,
+          price,
+          null,
+          `${at}: ${formatAmount(total)} in the replay, no level on chain`
+        );
+        continue;
+      }
+      if (level.totalAmount !== total) {
+        report(
+          "level-amount",
+          isBuy,
+          price,
+          null,
+          `${at}: ${formatAmount(total)} in the replay, ${formatAmount(
+            level.totalAmount
+          )} on chain`
+        );
+      }
+      const replayIds = queue.map((order) => order.orderId);
+      const liveIds = level.orders.map((order) => String(order.orderId));
+      if (replayIds.join() !== liveIds.join()) {
+        report(
+          "queue",
+          isBuy,
+          price,
+          null,
+          `${at}: queue #${replayIds.join(" #")} in the replay, #${liveIds.join(
+            " #"
+          )} on chain`
+        );
+      }
+    }
+    for (const [key, level] of liveLevels) {
+      const walked = level.orders.reduce(
+        (sum, order) => sum + order.amount,
+        0n
+      );
+      const at = `${sideName(level.isBuy)} ${formatPrice(level.price)}`;
+      if (walked !== level.totalAmount) {
+        report(
+          "chain-level",
+          level.isBuy,
+          level.price,
+          null,
+          `${at}: totalAmount ${formatAmount(
+            level.totalAmount
+          )} on chain, but its queue holds ${formatAmount(walked)}`
+        );
+      }
+      if (!replayLevels.has(key)) {
+        report(
+          "level-extra",
+          level.isBuy,
+          level.price,
+          null,
+          `${at}: ${formatAmount(
+            level.totalAmount
+          )} on chain, no level in the replay`
+        );
+      }
+    }
+
+    // Orders: each one's fields, and where the missing ones went
+    const liveOrders = new Map();
+    for (const level of live.levels) {
+      for (const order of level.orders) {
+        liveOrders.set(String(order.orderId), order);
+      }
+    }
+    const missing = [...this.orders.values()].filter(
+      (order) => !liveOrders.has(order.orderId)
+    );
+    const onChain = await multicallAt(
+      missing.map((order) => call(live.orderBook, "getOrder", [order.orderId])),
+      blockTag
+    );
+    missing.forEach((order, i) => {
+      const state = onChain[i];
+      report(
+        "order-missing",
+        order.isBuy,
+        order.price,
+        order.orderId,
+        state.trader === ethers.ZeroAddress
+          ? `#${order.orderId}: rests in the replay, gone from the contract`
+          : `#${order.orderId}: rests in the replay, on chain ${formatAmount(
+              state.amount
+            )} at ${formatPrice(state.price)} but in no level's queue`
+      );
+    });
+    for (const [orderId, state] of liveOrders) {
+      const order = this.orders.get(orderId);
+      if (!order) {
+        report(
+          "order-extra",
+          state.isBuy,
+          state.price,
+          orderId,
+          `#${orderId}: ${formatAmount(state.amount)} ${sideName(
+            state.isBuy
+          )} at ${formatPrice(state.price)} on chain, not in the replay`
+        );
+        continue;
+      }
+      const fields = [
+        ["amount", order.amount, state.amount, formatAmount],
+        ["price", order.price, state.price, formatPrice],
+        ["trader", order.trader, state.trader, String],
+        ["side", order.isBuy, state.isBuy, sideName],
+        ["margin", order.isMarginOrder, state.isMarginOrder, String],
+      ];
+      for (const [name, replayed, actual, format] of fields) {
+        if (replayed !== actual) {
+          report(
+            "order-field",
+            order.isBuy,
+            order.price,
+            orderId,
+            `#${orderId}: ${name} ${format(replayed)} in the replay, ${format(
+              actual
+            )} on chain`
+          );
+        }
+      }
+    }
+
+    // Best prices
+    const { bestBid, bestAsk } = this.bestPrices();
+    const best = (price) =>
+      price === 0n || price === MAX_UINT256 ? "none" : formatPrice(price);
+    if (bestBid !== live.bestBid) {
+      report(
+        "best-bid",
+        true,
+        null,
+        null,
+        `best bid ${best(bestBid)} in the replay, ${best(
+          live.bestBid
+        )} on chain`
+      );
+    }
+    if (bestAsk !== live.bestAsk) {
+      report(
+        "best-ask",
+        false,
+        null,
+        null,
+        `best ask ${best(bestAsk)} in the replay, ${best(
+          live.bestAsk
+        )} on chain`
+      );
+    }
+
+    return differences;
+  }
+}
+
+module.exports = {
+  BookReplay,
+  orderTransaction,
+};
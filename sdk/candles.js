@@ -0,0 +1,498 @@
+// candles.js - OHLCV bars from TradeExecuted, reconciled with on-chain VWAP
+//
+// 🎯 PURPOSE:
+//   - Builds 1m/5m/15m/1h/4h/1d bars for every market from the trades in the
+//     event index (sdk/event-indexer.js), into its candles table
+//   - Backfills from history, then updates live: run() drives the indexer
+//     and rebuilds the bars its chunks (or reorgs) touched
+//   - Every bar keeps Σ price×amount as well as the volume, so its VWAP is
+//     exact and windows of bars add up to what OrderBook.calculateVWAP()
+//     computes - reconcileVWAP() checks getMultiWindowVWAP() against them
+//
+// 📐 BARS:
+//   - Aligned to the Unix epoch (1d bars start at 00:00 UTC); a bar holds the
+//     trades with start <= timestamp < start + interval, in trade order
+//   - No trades, no bar - gaps are left for the reader to fill
+//   - open/high/low/close/vwap are Price (6 decimals), volume Amount (18),
+//     quoteVolume Usdc (Σ tradeValue)
+//
+// ⚖️  ON-CHAIN VWAP (OrderBook.calculateVWAP):
+//   - A rolling window: trades with timestamp >= block.timestamp - window,
+//     among the last MAX_TRADE_HISTORY (1000) trades
+//   - Σ(price × amount) / Σ amount, or 0 while Σ amount < minVolumeForVWAP
+//   - reconcileVWAP() rebuilds it from the 1m bars inside the window and the
+//     trades of its two partial minutes, at the same block
+//   - Bars cover every book a market has had; the VWAP only the book the
+//     vault assigned at that block (EventIndexer.orderBookAt). A window
+//     that still holds a migrated-away book's trades is rebuilt from the
+//     assigned book's own trades instead of the bars
+//
+// 🔄 USAGE:
+//   const { CandleService } = require('../sdk/candles');
+//   const candles = await CandleService.create({ indexer });
+//   await candles.run({ follow: true });
+//   const bars = candles.getCandles(marketId, "1h", { limit: 24 });
+//   const report = await candles.reconcileVWAP(marketId);
+//
+const { ethers } = require("hardhat");
+const { Price, Amount, Usdc } = require("./precision");
+const { call, multicallAt } = require("./multicall");
+
+// Bar interval name -> seconds
+const INTERVALS = {
+  "1m": 60,
+  "5m": 300,
+  "15m": 900,
+  "1h": 3600,
+  "4h": 14400,
+  "1d": 86400,
+};
+
+// OrderBook.getMultiWindowVWAP(): result name -> window in seconds
+const VWAP_WINDOWS = {
+  vwap5m: 300,
+  vwap15m: 900,
+  vwap1h: 3600,
+  vwap4h: 14400,
+  vwap24h: 86400,
+};
+
+// OrderBook.MAX_TRADE_HISTORY - calculateVWAP() never sees older trades
+const MAX_TRADE_HISTORY = 1000;
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS candles (
+  market_id TEXT NOT NULL,
+  interval TEXT NOT NULL,
+  start INTEGER NOT NULL,
+  open TEXT NOT NULL,
+  high TEXT NOT NULL,
+  low TEXT NOT NULL,
+  close TEXT NOT NULL,
+  volume TEXT NOT NULL,
+  quote_volume TEXT NOT NULL,
+  price_volume TEXT NOT NULL,
+  vwap TEXT NOT NULL,
+  trade_count INTEGER NOT NULL,
+  PRIMARY KEY (market_id, interval, start)
+);
+`;
+
+const TRADE_ORDER = "ORDER BY timestamp, block_number, log_index";
+
+const floorTo = (timestamp, seconds) => timestamp - (timestamp % seconds);
+
+/**
+ * Fold trades (in trade order) into bars of one interval
+ * @param {object[]} trades - trades rows
+ * @param {number} seconds - Interval
+ * @returns {Map<string, object>} "marketId:start" -> bar (bigint fields)
+ */
+function buildBars(trades, seconds) {
+  const bars = new Map();
+  for (const trade of trades) {
+    const start = floorTo(trade.timestamp, seconds);
+    const key = `${trade.market_id}:${start}`;
+    const price = BigInt(trade.price);
+    const amount = BigInt(trade.amount);
+    let bar = bars.get(key);
+    if (!bar) {
+      bar = {
+        marketId: trade.market_id,
+        start,
+        open: price,
+        high: price,
+        low: price,
+        close: price,
+        volume: 0n,
+        quoteVolume: 0n,
+        priceVolume: 0n,
+        tradeCount: 0,
+      };
+      bars.set(key, bar);
+    }
+    if (price > bar.high) bar.high = price;
+    if (price < bar.low) bar.low = price;
+    bar.close = price;
+    bar.volume += amount;
+    bar.quoteVolume += BigInt(trade.value);
+    bar.priceVolume += price * amount;
+    bar.tradeCount++;
+  }
+  return bars;
+}
+
+class CandleService {
+  /**
+   * Use CandleService.create()
+   * @param {EventIndexer} indexer - Source of the trades, home of the bars
+   */
+  constructor(indexer) {
+    this.indexer = indexer;
+    this.db = indexer.db;
+  }
+
+  /**
+   * @param {object} options - { indexer } an open EventIndexer
+   * @returns {Promise<CandleService>}
+   */
+  static async create(options = {}) {
+    if (!options.indexer) {
+      throw new Error("❌ CandleService needs an EventIndexer");
+    }
+    options.indexer.db.exec(SCHEMA);
+    return new CandleService(options.indexer);
+  }
+
+  /**
+   * Last block whose trades are in the bars, null before the first build
+   * @returns {number|null}
+   */
+  get lastBlock() {
+    const value = this.indexer.getMeta("candles_block");
+    return value === null ? null : Number(value);
+  }
+
+  /**
+   * Backfill, then (with follow) keep the bars live until stop()
+   * @param {object} options
+   *   follow         Keep following after catching up
+   *   confirmations  Passed to the indexer
+   *   onProgress     ({ fromBlock, toBlock, fromTimestamp }) after the bars
+   *                  of a chunk are rebuilt, ({ reorg: fromBlock }) after a
+   *                  rollback
+   * @returns {Promise<object>} { lastBlock }
+   */
+  async run(options = {}) {
+    const onProgress = options.onProgress || (() => {});
+
+    // Bars behind (or, after a rollback elsewhere, ahead of) the index
+    await this.catchUp();
+
+    await this.indexer.run({
+      toBlock: options.follow ? undefined : "latest",
+      confirmations: options.confirmations,
+      onProgress: async (progress) => {
+        if (progress.reorg !== undefined) {
+          // The rolled-back trades are gone; their bars start after the
+          // fork's parent block
+          const parent = await ethers.provider.getBlock(progress.reorg - 1);
+          this.rebuild(parent ? parent.timestamp : 0, progress.reorg - 1);
+          onProgress({ reorg: progress.reorg });
+          return;
+        }
+        const fromTimestamp = this.firstTradeAfter(progress.fromBlock - 1);
+        if (fromTimestamp !== null) {
+          this.rebuild(fromTimestamp, progress.toBlock);
+        } else {
+          this.indexer.setMeta("candles_block", progress.toBlock);
+        }
+        onProgress({ ...progress, fromTimestamp });
+      },
+    });
+
+    return { lastBlock: this.lastBlock };
+  }
+
+  /**
+   * End a following run() after the chunk in progress
+   */
+  stop() {
+    this.indexer.stop();
+  }
+
+  async catchUp() {
+    const indexed = this.indexer.lastBlock;
+    const built = this.lastBlock;
+    if (indexed === null || built === indexed) {
+      return;
+    }
+    if (built === null || built < indexed) {
+      const fromTimestamp = this.firstTradeAfter(built ?? -1);
+      if (fromTimestamp === null) {
+        this.indexer.setMeta("candles_block", indexed);
+      } else {
+        this.rebuild(fromTimestamp, indexed);
+      }
+      return;
+    }
+    const block = await ethers.provider.getBlock(indexed);
+    this.rebuild(block ? block.timestamp : 0, indexed);
+  }
+
+  firstTradeAfter(blockNumber) {
+    const row = this.db
+      .prepare(
+        "SELECT MIN(timestamp) AS timestamp FROM trades WHERE block_number > ?"
+      )
+      .get(blockNumber);
+    return row.timestamp;
+  }
+
+  /**
+   * Recompute every bar that holds a trade from a timestamp on, in one
+   * SQLite transaction
+   * @param {number} fromTimestamp
+   * @param {number} throughBlock - Becomes the bars' lastBlock
+   */
+  rebuild(fromTimestamp, throughBlock) {
+    const dayStart = floorTo(fromTimestamp, INTERVALS["1d"]);
+    const trades = this.db
+      .prepare(
+        `SELECT market_id, price, amount, value, timestamp FROM trades WHERE timestamp >= ? AND market_id IS NOT NULL ${TRADE_ORDER}`
+      )
+      .all(dayStart);
+    const remove = this.db.prepare(
+      "DELETE FROM candles WHERE interval = ? AND start >= ?"
+    );
+    const insert = this.db.prepare(
+      `INSERT INTO candles (market_id, interval, start, open, high, low, close, volume, quote_volume, price_volume, vwap, trade_count)
+       VALUES (@marketId, @interval, @start, @open, @high, @low, @close, @volume, @quoteVolume, @priceVolume, @vwap, @tradeCount)`
+    );
+
+    this.db.transaction(() => {
+      for (const [interval, seconds] of Object.entries(INTERVALS)) {
+        const firstStart = floorTo(fromTimestamp, seconds);
+        remove.run(interval, firstStart);
+        const bars = buildBars(
+          trades.filter((trade) => trade.timestamp >= firstStart),
+          seconds
+        );
+        for (const bar of bars.values()) {
+          insert.run({
+            interval,
+            marketId: bar.marketId,
+            start: bar.start,
+            tradeCount: bar.tradeCount,
+            open: String(bar.open),
+            high: String(bar.high),
+            low: String(bar.low),
+            close: String(bar.close),
+            volume: String(bar.volume),
+            quoteVolume: String(bar.quoteVolume),
+            priceVolume: String(bar.priceVolume),
+            vwap: String(bar.priceVolume / bar.volume),
+          });
+        }
+      }
+      this.indexer.setMeta("candles_block", throughBlock);
+    })();
+  }
+
+  /**
+   * Bars of a market, oldest first
+   * @param {string} marketId
+   * @param {string} interval - Key of INTERVALS
+   * @param {object} options - { from, to } bar start bounds (Unix seconds),
+   *   limit keeps the latest bars
+   * @returns {object[]} { start, open, high, low, close, vwap (Price),
+   *   volume (Amount), quoteVolume (Usdc), tradeCount }
+   */
+  getCandles(marketId, interval, options = {}) {
+    if (!INTERVALS[interval]) {
+      throw new Error(
+        `❌ Unknown interval ${interval} - use one of ${Object.keys(
+          INTERVALS
+        ).join(", ")}`
+      );
+    }
+    const rows = this.db
+      .prepare(
+        `SELECT * FROM candles WHERE market_id = ? AND interval = ? AND start >= ? AND start <= ?
+         ORDER BY start DESC ${options.limit ? "LIMIT ?" : ""}`
+      )
+      .all(
+        marketId,
+        interval,
+        options.from ?? 0,
+        options.to ?? Number.MAX_SAFE_INTEGER,
+        ...(options.limit ? [options.limit] : [])
+      );
+
+    return rows.reverse().map((row) => ({
+      start: row.start,
+      open: Price.fromUnits(row.open),
+      high: Price.fromUnits(row.high),
+      low: Price.fromUnits(row.low),
+      close: Price.fromUnits(row.close),
+      vwap: Price.fromUnits(row.vwap),
+      volume: Amount.fromUnits(row.volume),
+      quoteVolume: Usdc.fromUnits(row.quote_volume),
+      tradeCount: row.trade_count,
+    }));
+  }
+
+  /**
+   * Σ price×amount, Σ amount and trade count of one OrderBook's trades in
+   * a window
+   */
+  bookWindowTotals(orderBook, fromTimestamp, toTimestamp) {
+    const totals = { priceVolume: 0n, volume: 0n, tradeCount: 0 };
+    for (const trade of this.db
+      .prepare(
+        "SELECT price, amount FROM trades WHERE order_book = ? AND timestamp BETWEEN ? AND ?"
+      )
+      .all(orderBook, fromTimestamp, toTimestamp)) {
+      totals.priceVolume += BigInt(trade.price) * BigInt(trade.amount);
+      totals.volume += BigInt(trade.amount);
+      totals.tradeCount++;
+    }
+    return totals;
+  }
+
+  /**
+   * Σ price×amount, Σ amount and trade count of a window, from the bars
+   * @param {string} marketId
+   * @param {number} fromTimestamp - First second in the window
+   * @param {number} toTimestamp - Last second in the window
+   * @returns {object} { priceVolume, volume, tradeCount } (bigint, number)
+   */
+  windowTotals(marketId, fromTimestamp, toTimestamp) {
+    const minute = INTERVALS["1m"];
+    // Whole minutes from the bars, the partial ones from their trades
+    const barsFrom = Math.ceil(fromTimestamp / minute) * minute;
+    const barsTo = floorTo(toTimestamp + 1, minute);
+
+    const totals = { priceVolume: 0n, volume: 0n, tradeCount: 0 };
+    const addTrades = (from, to) => {
+      if (from > to) return;
+      for (const trade of this.db
+        .prepare(
+          "SELECT price, amount FROM trades WHERE market_id = ? AND timestamp BETWEEN ? AND ?"
+        )
+        .all(marketId, from, to)) {
+        totals.priceVolume += BigInt(trade.price) * BigInt(trade.amount);
+        totals.volume += BigInt(trade.amount);
+        totals.tradeCount++;
+      }
+    };
+
+    if (barsFrom >= barsTo) {
+      addTrades(fromTimestamp, toTimestamp);
+      return totals;
+    }
+    addTrades(fromTimestamp, barsFrom - 1);
+    for (const bar of this.db
+      .prepare(
+        "SELECT price_volume, volume, trade_count FROM candles WHERE market_id = ? AND interval = '1m' AND start >= ? AND start < ?"
+      )
+      .all(marketId, barsFrom, barsTo)) {
+      totals.priceVolume += BigInt(bar.price_volume);
+      totals.volume += BigInt(bar.volume);
+      totals.tradeCount += bar.trade_count;
+    }
+    addTrades(barsTo, toTimestamp);
+    return totals;
+  }
+
+  /**
+   * Compare OrderBook.getMultiWindowVWAP() with the bars at one block
+   * @param {string} marketId
+   * @param {object} options - { blockTag } defaults to the bars' lastBlock
+   * @returns {Promise<object>} { blockNumber, timestamp, orderBook,
+   *   minVolume, matches, windows: [{ name, seconds, onChain, expected
+   *   (Price), volume, expectedVolume (Amount), tradeCount,
+   *   expectedTradeCount, fromBars, matches }] }
+   */
+  async reconcileVWAP(marketId, options = {}) {
+    const blockNumber = options.blockTag ?? this.lastBlock;
+    if (blockNumber === null || blockNumber > this.lastBlock) {
+      throw new Error(
+        `❌ The bars only reach block ${this.lastBlock} - build them past ${blockNumber} first`
+      );
+    }
+    const orderBookAddress = this.indexer.orderBookAt(marketId, blockNumber);
+    if (!orderBookAddress) {
+      throw new Error(`❌ Market ${marketId} is not in the index`);
+    }
+
+    const orderBook = await ethers.getContractAt("OrderBook", orderBookAddress);
+    const windows = Object.entries(VWAP_WINDOWS);
+    const [block, [multiWindow, minVolume, ...details]] = await Promise.all([
+      ethers.provider.getBlock(blockNumber),
+      // calculateVWAP() adds the volume and trade count behind each window
+      multicallAt(
+        [
+          call(orderBook, "getMultiWindowVWAP"),
+          call(orderBook, "minVolumeForVWAP"),
+          ...windows.map(([, seconds]) =>
+            call(orderBook, "calculateVWAP", [seconds])
+          ),
+        ],
+        blockNumber
+      ),
+    ]);
+
+    const report = windows.map(([name, seconds], i) => {
+      const from = block.timestamp - seconds;
+      // Trades of the market's other books in the window: the bars hold
+      // them, the assigned book's VWAP doesn't
+      const fromBars =
+        this.db
+          .prepare(
+            "SELECT 1 FROM trades WHERE market_id = ? AND order_book != ? AND timestamp BETWEEN ? AND ? LIMIT 1"
+          )
+          .get(marketId, orderBookAddress, from, block.timestamp) === undefined;
+      let totals = fromBars
+        ? this.windowTotals(marketId, from, block.timestamp)
+        : this.bookWindowTotals(orderBookAddress, from, block.timestamp);
+      if (totals.tradeCount > MAX_TRADE_HISTORY) {
+        totals = this.latestTradeTotals(orderBookAddress, block.timestamp);
+      }
+      const valid = totals.volume >= minVolume && totals.volume > 0n;
+      const expected = valid ? totals.priceVolume / totals.volume : 0n;
+      const onChain = multiWindow[name];
+      const detail = details[i];
+      return {
+        name,
+        seconds,
+        onChain: Price.fromUnits(onChain),
+        expected: Price.fromUnits(expected),
+        volume: Amount.fromUnits(detail.totalVolume),
+        expectedVolume: Amount.fromUnits(totals.volume),
+        tradeCount: Number(detail.tradeCount),
+        expectedTradeCount: totals.tradeCount,
+        fromBars,
+        matches:
+          onChain === expected &&
+          detail.totalVolume === totals.volume &&
+          Number(detail.tradeCount) === totals.tradeCount,
+      };
+    });
+
+    return {
+      blockNumber,
+      timestamp: block.timestamp,
+      orderBook: orderBookAddress,
+      minVolume: Amount.fromUnits(minVolume),
+      matches: report.every((window) => window.matches),
+      windows: report,
+    };
+  }
+
+  /**
+   * Totals of an OrderBook's last MAX_TRADE_HISTORY trades up to a
+   * timestamp - what the contract's buffer holds when a window has more
+   */
+  latestTradeTotals(orderBook, toTimestamp) {
+    const totals = { priceVolume: 0n, volume: 0n, tradeCount: 0 };
+    for (const trade of this.db
+      .prepare(
+        "SELECT price, amount FROM trades WHERE order_book = ? AND timestamp <= ? ORDER BY timestamp DESC, block_number DESC, log_index DESC LIMIT ?"
+      )
+      .all(orderBook, toTimestamp, MAX_TRADE_HISTORY)) {
+      totals.priceVolume += BigInt(trade.price) * BigInt(trade.amount);
+      totals.volume += BigInt(trade.amount);
+      totals.tradeCount++;
+    }
+    return totals;
+  }
+}
+
+module.exports = {
+  CandleService,
+  INTERVALS,
+  VWAP_WINDOWS,
+  MAX_TRADE_HISTORY,
+  buildBars,
+};
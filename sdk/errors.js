@@ -0,0 +1,463 @@
+// errors.js - Turn contract failures into stable error codes
+//
+// 🎯 PURPOSE:
+//   - Pull the revert reason, custom error or panic out of whatever a failed
+//     call threw: a sent transaction, estimateGas or staticCall, through
+//     ethers or the Hardhat provider
+//   - Map it to a stable code (INSUFFICIENT_COLLATERAL, SLIPPAGE_EXCEEDED,
+//     NO_LIQUIDITY, UNAUTHORIZED...) with a hint a person can act on, so the
+//     CLI, bots and API branch on `error.code` instead of matching messages
+//
+// 🔎 WHERE THE REASON COMES FROM (first match wins):
+//   1. Revert data found anywhere on the error (Error(string), Panic(uint256)
+//      or a custom error from the OrderBook, Vault, Factory, Router or
+//      MockUSDC ABI)
+//   2. ethers' own decoding (error.revert / error.reason)
+//   3. The node's message ("reverted with reason string '...'")
+//   A mined transaction that failed carries no data - replayRevert() runs it
+//   again as a call at its block to get the reason back.
+//
+// 🔄 USAGE:
+//   const { decodeError, formatError } = require('../sdk/errors');
+//   try {
+//     await orderBook.placeMarginLimitOrder(price, amount, true);
+//   } catch (error) {
+//     const failure = decodeError(error);
+//     if (failure.code === "INSUFFICIENT_COLLATERAL") { ... }
+//     console.log(`❌ Order failed: ${formatError(failure)}`);
+//   }
+//
+const { ethers } = require("hardhat");
+const { Usdc } = require("./precision");
+const { getErrorInterface } = require("./abis");
+
+// Code -> default hint
+const ERROR_CODES = Object.freeze({
+  INSUFFICIENT_COLLATERAL:
+    "Deposit more USDC into the vault or reduce the order size",
+  SLIPPAGE_EXCEEDED:
+    "The book moved past the slippage limit - retry with a wider slippage or a limit order",
+  NO_LIQUIDITY:
+    "Nothing rests on the other side of the book - place a limit order instead",
+  UNAUTHORIZED:
+    "The signer lacks the role for this call - check holders with scripts/manage-roles.js list",
+  MARKET_NOT_AUTHORIZED:
+    "The OrderBook is not registered with the vault - run scripts/audit-authorization.js --fix",
+  ORDER_NOT_FOUND:
+    "The order was filled, cancelled or never existed - list open orders again",
+  NOT_ORDER_OWNER: "Only the account that placed an order can cancel it",
+  INVALID_PRICE: "Use a price greater than zero",
+  PRICE_OUT_OF_RANGE: "The price is outside the limits allowed by the router",
+  INVALID_AMOUNT: "Use an amount greater than zero",
+  INVALID_LEVERAGE: "Use a leverage the market allows",
+  LEVERAGE_DISABLED:
+    "This market has leverage turned off - trade with 1:1 margin",
+  SPOT_TRADING_DISABLED:
+    "Futures markets only take margin orders - use the margin order functions",
+  MARKET_NOT_FOUND:
+    "No such market - check the symbol or id against the factory catalog",
+  MARKET_SETTLED: "The market is settled and no longer trades",
+  SETTLEMENT_NOT_REACHED: "The market's settlement date hasn't passed yet",
+  ORACLE_NOT_CONFIGURED: "Assign an oracle to the market first",
+  ALREADY_EXISTS: "It is already registered - nothing to do",
+  INVALID_PARAMETER: "A parameter is out of the range the contract accepts",
+  INSUFFICIENT_BALANCE: "The token balance is too low for this transfer",
+  INSUFFICIENT_ALLOWANCE: "Approve the vault to spend the token first",
+  PAUSED: "The contract is paused - wait for an admin to unpause it",
+  ARITHMETIC_ERROR:
+    "The contract overflowed or divided by zero - the values are out of range",
+  PANIC: "The contract hit an internal assertion",
+  INSUFFICIENT_FUNDS: "The signer has too little ETH to pay for gas",
+  NONCE_CONFLICT:
+    "Another transaction used this nonce - wait for it and send again",
+  NETWORK_ERROR: "The node is unreachable - is it running?",
+  REJECTED: "The transaction was rejected by the signer",
+  REVERTED: "The contract reverted without a known reason",
+  UNKNOWN: "Not a contract failure - see the original error",
+});
+
+// Revert reasons, matched without their "Contract: " prefix
+const REASON_RULES = [
+  [/insufficient (available )?collateral/i, "INSUFFICIENT_COLLATERAL"],
+  [/insufficient locked margin/i, "INSUFFICIENT_COLLATERAL"],
+  [/slippage too high/i, "SLIPPAGE_EXCEEDED"],
+  [/no liquidity/i, "NO_LIQUIDITY"],
+  [/market not authorized|orderbook not registered/i, "MARKET_NOT_AUTHORIZED"],
+  [/not order owner/i, "NOT_ORDER_OWNER"],
+  [/^(only |unauthorized$|market creation restricted)/i, "UNAUTHORIZED"],
+  [/order (does not exist|not found)/i, "ORDER_NOT_FOUND"],
+  [/price (below minimum|exceeds maximum)/i, "PRICE_OUT_OF_RANGE"],
+  [
+    /price must be (positive|greater than 0)|invalid (final|oracle) price/i,
+    "INVALID_PRICE",
+  ],
+  [
+    /amount must be (positive|greater than 0)|size delta cannot be zero/i,
+    "INVALID_AMOUNT",
+  ],
+  [/invalid (max )?leverage/i, "INVALID_LEVERAGE"],
+  [/leverage is disabled|require leverage/i, "LEVERAGE_DISABLED"],
+  [/spot trading disabled|mix margin and spot/i, "SPOT_TRADING_DISABLED"],
+  [
+    /market does not exist|market not found|orderbook not found/i,
+    "MARKET_NOT_FOUND",
+  ],
+  [/already settled/i, "MARKET_SETTLED"],
+  [/settlement date not reached/i, "SETTLEMENT_NOT_REACHED"],
+  [/oracle not configured|no uma request/i, "ORACLE_NOT_CONFIGURED"],
+  [/already (registered|authorized|has)|collision/i, "ALREADY_EXISTS"],
+  [/exceeds allowance/i, "INSUFFICIENT_ALLOWANCE"],
+  [
+    /invalid|cannot be (zero|empty)|zero address|too (high|low|long|far|many)|mismatch|empty|required|must be/i,
+    "INVALID_PARAMETER",
+  ],
+];
+
+// Custom errors (OpenZeppelin) -> code
+const CUSTOM_ERROR_CODES = {
+  AccessControlUnauthorizedAccount: "UNAUTHORIZED",
+  AccessControlBadConfirmation: "UNAUTHORIZED",
+  OwnableUnauthorizedAccount: "UNAUTHORIZED",
+  OwnableInvalidOwner: "INVALID_PARAMETER",
+  EnforcedPause: "PAUSED",
+  ExpectedPause: "PAUSED",
+  ERC20InsufficientBalance: "INSUFFICIENT_BALANCE",
+  ERC20InsufficientAllowance: "INSUFFICIENT_ALLOWANCE",
+  SafeERC20FailedOperation: "INSUFFICIENT_BALANCE",
+};
+
+// Solidity panic codes
+const PANIC_REASONS = {
+  0x01: "assertion failed",
+  0x11: "arithmetic overflow or underflow",
+  0x12: "division by zero",
+  0x21: "invalid enum value",
+  0x31: "pop from an empty array",
+  0x32: "array index out of bounds",
+  0x41: "out of memory",
+  0x51: "call to an uninitialized function",
+};
+
+// Node/ethers failures that never reached the contract
+const TRANSPORT_RULES = [
+  [
+    /INSUFFICIENT_FUNDS|doesn't have enough funds|insufficient funds/i,
+    "INSUFFICIENT_FUNDS",
+  ],
+  [
+    /NONCE_EXPIRED|REPLACEMENT_UNDERPRICED|replacement (transaction|fee) (too low|underpriced)|nonce too (low|high)|nonce has already been used/i,
+    "NONCE_CONFLICT",
+  ],
+  [
+    /NETWORK_ERROR|ECONNREFUSED|Cannot connect to the network|TIMEOUT/i,
+    "NETWORK_ERROR",
+  ],
+  [/ACTION_REJECTED|user rejected/i, "REJECTED"],
+];
+
+const ERROR_SELECTOR = ethers.id("Error(string)").slice(0, 10);
+const PANIC_SELECTOR = ethers.id("Panic(uint256)").slice(0, 10);
+
+class ContractError extends Error {
+  /**
+   * @param {object} fields - { code, reason, hint, contract, errorName,
+   *   args, details, txHash, cause }
+   */
+  constructor({ code, reason, hint, cause, ...fields }) {
+    super(`❌ ${reason}`);
+    this.name = "ContractError";
+    this.code = code;
+    this.reason = reason;
+    this.hint = hint || ERROR_CODES[code];
+    // Contract prefix of the revert string ("CentralizedVault"), if any
+    this.contract = fields.contract || null;
+    // Custom error or panic name and arguments
+    this.errorName = fields.errorName || null;
+    this.args = fields.args || [];
+    // Values the vault appends to its messages ({ user, requested, available })
+    this.details = fields.details || {};
+    this.txHash = fields.txHash || null;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Every object reachable through the usual wrapper fields
+ * (Hardhat: error.data, ethers: error.info.error, error.error, error.cause)
+ */
+function* errorChain(error, depth = 0) {
+  if (!error || typeof error !== "object" || depth > 5) {
+    return;
+  }
+  yield error;
+  for (const key of ["data", "error", "info", "cause", "payload"]) {
+    yield* errorChain(error[key], depth + 1);
+  }
+}
+
+function findRevertData(error) {
+  for (const item of errorChain(error)) {
+    if (typeof item.data === "string" && /^0x[0-9a-fA-F]{8}/.test(item.data)) {
+      return item.data;
+    }
+  }
+  return null;
+}
+
+function findTxHash(error) {
+  for (const item of errorChain(error)) {
+    const hash = item.txHash || item.receipt?.hash || item.transactionHash;
+    if (typeof hash === "string") {
+      return hash;
+    }
+  }
+  return null;
+}
+
+function findMessage(error) {
+  return [...errorChain(error)]
+    .map((item) => [item.shortMessage, item.message, item.code])
+    .flat()
+    .filter((text) => typeof text === "string")
+    .join("\n");
+}
+
+/**
+ * Split a revert string into its contract prefix, the reason and the
+ * "Key: value" pairs the vault appends
+ * e.g. "CentralizedVault: insufficient collateral to reserve margin.
+ *       User: 0xabc..., Requested: 2500000000, Available: 10"
+ */
+function parseReason(text) {
+  const match = /^([A-Za-z]+): (.*)$/s.exec(text);
+  const contract = match ? match[1] : null;
+  const body = match ? match[2] : text;
+
+  const [message, extra = ""] = body.split(/\.\s+(?=[A-Z]\w*: )/);
+  const details = {};
+  for (const [, key, value] of extra.matchAll(/(\w+): (0x[0-9a-fA-F]+|\d+)/g)) {
+    details[key.toLowerCase()] = value.startsWith("0x") ? value : BigInt(value);
+  }
+
+  return { contract, message, details };
+}
+
+function codeForReason(message) {
+  const rule = REASON_RULES.find(([pattern]) => pattern.test(message));
+  return rule ? rule[1] : "REVERTED";
+}
+
+function fromReasonString(text, txHash, cause) {
+  const { contract, message, details } = parseReason(text);
+  const code = codeForReason(message);
+
+  let hint;
+  if (
+    code === "INSUFFICIENT_COLLATERAL" &&
+    details.requested !== undefined &&
+    details.available !== undefined
+  ) {
+    hint = `Needs ${Usdc.fromUnits(
+      details.requested
+    )} USDC but ${Usdc.fromUnits(
+      details.available
+    )} USDC is free - deposit more or reduce the order size`;
+  }
+
+  return new ContractError({
+    code,
+    reason: contract ? `${contract}: ${message}` : message,
+    hint,
+    contract,
+    details,
+    txHash,
+    cause,
+  });
+}
+
+function fromPanic(panicCode, txHash, cause) {
+  const value = Number(panicCode);
+  return new ContractError({
+    code: value === 0x11 || value === 0x12 ? "ARITHMETIC_ERROR" : "PANIC",
+    reason: `Panic 0x${value.toString(16).padStart(2, "0")}: ${
+      PANIC_REASONS[value] || "unknown panic"
+    }`,
+    errorName: "Panic",
+    args: [BigInt(panicCode)],
+    txHash,
+    cause,
+  });
+}
+
+function fromCustomError(name, args, txHash, cause) {
+  return new ContractError({
+    code: CUSTOM_ERROR_CODES[name] || "REVERTED",
+    reason: `${name}(${args.map(String).join(", ")})`,
+    errorName: name,
+    args,
+    txHash,
+    cause,
+  });
+}
+
+/**
+ * Decode raw revert data
+ * @param {string} data - Hex return data of the failed call
+ * @returns {ContractError|null} null when the data isn't recognised
+ */
+function decodeRevertData(data, txHash = null, cause = undefined) {
+  if (!data || data === "0x") {
+    return null;
+  }
+  const selector = data.slice(0, 10).toLowerCase();
+  const payload = "0x" + data.slice(10);
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+
+  try {
+    if (selector === ERROR_SELECTOR) {
+      return fromReasonString(
+        coder.decode(["string"], payload)[0],
+        txHash,
+        cause
+      );
+    }
+    if (selector === PANIC_SELECTOR) {
+      return fromPanic(coder.decode(["uint256"], payload)[0], txHash, cause);
+    }
+    const parsed = getErrorInterface().parseError(data);
+    if (parsed) {
+      return fromCustomError(parsed.name, [...parsed.args], txHash, cause);
+    }
+  } catch {
+    // Malformed data - fall through to the message
+  }
+  return null;
+}
+
+/**
+ * Decode whatever a contract call threw
+ * @param {Error} error - From a transaction, estimateGas or staticCall
+ * @returns {ContractError} The same instance when already decoded
+ */
+function decodeError(error) {
+  if (error instanceof ContractError) {
+    return error;
+  }
+  const txHash = findTxHash(error);
+
+  const fromData = decodeRevertData(findRevertData(error), txHash, error);
+  if (fromData) {
+    return fromData;
+  }
+
+  // ethers decoded it against the contract's own ABI
+  const revert = error?.revert;
+  if (revert?.name === "Error") {
+    return fromReasonString(String(revert.args[0]), txHash, error);
+  }
+  if (revert?.name === "Panic") {
+    return fromPanic(revert.args[0], txHash, error);
+  }
+  if (revert?.name) {
+    return fromCustomError(revert.name, [...revert.args], txHash, error);
+  }
+
+  const message = findMessage(error);
+  const reasonString =
+    /reverted with reason string '(.*)'/s.exec(message) ||
+    /execution reverted: (.*)/.exec(message);
+  if (reasonString) {
+    return fromReasonString(reasonString[1], txHash, error);
+  }
+  const panic = /reverted with panic code (0x[0-9a-fA-F]+)/.exec(message);
+  if (panic) {
+    return fromPanic(panic[1], txHash, error);
+  }
+  const custom =
+    /reverted with (?:an unrecognized )?custom error '?(\w+)\(/.exec(message);
+  if (custom) {
+    return fromCustomError(custom[1], [], txHash, error);
+  }
+
+  const transport = TRANSPORT_RULES.find(([pattern]) => pattern.test(message));
+  if (transport) {
+    return new ContractError({
+      code: transport[1],
+      reason: error.shortMessage || error.message,
+      txHash,
+      cause: error,
+    });
+  }
+
+  const reverted = /revert|CALL_EXCEPTION/i.test(message);
+  return new ContractError({
+    code: reverted ? "REVERTED" : "UNKNOWN",
+    reason: String(error?.shortMessage || error?.message || error).replace(
+      /^❌ /,
+      ""
+    ),
+    txHash,
+    cause: error,
+  });
+}
+
+/**
+ * Recover the reason of a transaction that was mined but failed, by
+ * running it again as a call on the state of its block's parent
+ * @param {string|TransactionReceipt} txOrHash
+ * @returns {Promise<ContractError|null>} null when the transaction succeeded
+ */
+async function replayRevert(txOrHash) {
+  const hash = typeof txOrHash === "string" ? txOrHash : txOrHash.hash;
+  const [tx, receipt] = await Promise.all([
+    ethers.provider.getTransaction(hash),
+    ethers.provider.getTransactionReceipt(hash),
+  ]);
+  if (!tx || !receipt) {
+    throw new Error(`❌ Transaction ${hash} not found`);
+  }
+  if (receipt.status === 1) {
+    return null;
+  }
+
+  try {
+    await ethers.provider.call({
+      from: tx.from,
+      to: tx.to,
+      data: tx.data,
+      value: tx.value,
+      gasLimit: tx.gasLimit,
+      blockTag: receipt.blockNumber - 1,
+    });
+  } catch (error) {
+    const decoded = decodeError(error);
+    decoded.txHash = hash;
+    return decoded;
+  }
+  // Earlier transactions in the same block changed the state it ran on
+  return new ContractError({
+    code: "REVERTED",
+    reason: "Transaction reverted but succeeds when replayed alone",
+    txHash: hash,
+  });
+}
+
+/**
+ * One-line reason plus hint, for CLIs
+ * @param {Error} error - Decoded or not
+ * @returns {string} e.g. "CentralizedVault: insufficient collateral ...
+ *   [INSUFFICIENT_COLLATERAL]\n   💡 Needs 2500 USDC but 10 USDC is free..."
+ */
+function formatError(error) {
+  const decoded = decodeError(error);
+  return `${decoded.reason} [${decoded.code}]\n   💡 ${decoded.hint}`;
+}
+
+module.exports = {
+  ERROR_CODES,
+  ContractError,
+  decodeError,
+  decodeRevertData,
+  replayRevert,
+  formatError,
+};
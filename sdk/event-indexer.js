@@ -0,0 +1,1336 @@
+// event-indexer.js - Every trading event in a local SQLite database
+//
+// 🎯 PURPOSE:
+//   - The views cap what a script can read (MAX_TRADES_PER_QUERY = 100);
+//     the indexer keeps the whole history instead, in normalized tables
+//     that plain SQL can query
+//   - Consumes every OrderBook (found through the factory and the vault,
+//     new and retired ones included), the vault, the router and the factory
+//     through sdk/event-stream.js: catch up in block chunks, then follow
+//     new blocks
+//   - Resumable: each chunk is written in one SQLite transaction together
+//     with the block it ends at, so a restart carries on from there
+//   - Reorgs: on a Reorg marker (or, at start-up, a stored block hash that
+//     no longer matches the chain) everything from the fork on is deleted
+//     and indexed again
+//
+// 🗄️  TABLES (amounts, prices and ids as exact decimal strings in
+//   on-chain units - 18 decimals for amounts, 6 for prices and USDC):
+//   markets               one row per market, from the factory
+//                         (order_book is the factory's, the market's first)
+//   market_books          every MarketAssignedToOrderBook: the book a market
+//                         trades on from that block - orderBookAt() reads it
+//   orders                current state of every order, folded from
+//                         order_events (same rules as sdk/order-journal.js)
+//   order_events          placed / partial / filled / cancelled / modified /
+//                         routed, per order
+//   trades                TradeExecuted
+//   positions             every PositionUpdated; current_positions is the
+//                         latest non-zero row per (user, market)
+//   collateral_movements  deposits, withdrawals, transfers and fees, signed
+//                         from the user's side
+//   pnl_events            realized P&L - netting (settled into collateral)
+//                         and the settlement system's PnLRealized
+//   mark_prices           MarkPriceUpdated, plus vault.getMarkPrice() read
+//                         at every block a market traded in
+//   margin_events         margin locked, released, reserved, unreserved
+//   router_events         TradingRouter orders and stats
+//   blocks, meta          block hashes for reorg checks, the resume point
+//
+// 📁 FILE: deployments/<network>-events.sqlite by default
+//
+// 🔄 USAGE:
+//   const { EventIndexer } = require('../sdk/event-indexer');
+//   const indexer = await EventIndexer.open();
+//   await indexer.run({ toBlock: "latest" });   // catch up, then return
+//   await indexer.run();                        // catch up, then follow
+//   indexer.db.prepare("SELECT * FROM trades WHERE buyer = ?").all(address);
+//   indexer.close();
+//
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { ethers } = require("hardhat");
+const { getContract, getNetworkConfig } = require("../config/contracts");
+const { getMarkets } = require("../config/markets");
+const { EventStream, EVENT_TYPES } = require("./event-stream");
+const { call, tryMulticall } = require("./multicall");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "../deployments");
+// 2: market_books, and the books a migration retired
+const SCHEMA_VERSION = 2;
+
+// Tables whose rows belong to one block - a rollback deletes from the fork on
+const BLOCK_TABLES = [
+  "market_books",
+  "order_events",
+  "trades",
+  "positions",
+  "collateral_movements",
+  "pnl_events",
+  "mark_prices",
+  "margin_events",
+  "router_events",
+  "blocks",
+];
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+  key TEXT PRIMARY KEY,
+  value TEXT
+);
+CREATE TABLE IF NOT EXISTS blocks (
+  block_number INTEGER PRIMARY KEY,
+  block_hash TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS markets (
+  market_id TEXT PRIMARY KEY,
+  order_book TEXT NOT NULL,
+  symbol TEXT NOT NULL,
+  creator TEXT,
+  creation_fee TEXT,
+  metric_url TEXT,
+  settlement_date INTEGER,
+  start_price TEXT,
+  created_block INTEGER,
+  created_tx TEXT,
+  deactivated_block INTEGER,
+  settlement_price TEXT,
+  settled_block INTEGER
+);
+CREATE TABLE IF NOT EXISTS market_books (
+  block_number INTEGER NOT NULL,
+  tx_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  market_id TEXT NOT NULL,
+  order_book TEXT NOT NULL,
+  PRIMARY KEY (tx_hash, log_index)
+);
+CREATE INDEX IF NOT EXISTS market_books_by_market
+  ON market_books (market_id, block_number, log_index);
+CREATE TABLE IF NOT EXISTS orders (
+  order_book TEXT NOT NULL,
+  order_id TEXT NOT NULL,
+  market_id TEXT,
+  trader TEXT NOT NULL,
+  routed_for TEXT,
+  type TEXT NOT NULL,
+  is_buy INTEGER NOT NULL,
+  is_margin INTEGER NOT NULL,
+  price TEXT NOT NULL,
+  amount TEXT NOT NULL,
+  filled TEXT NOT NULL,
+  remaining TEXT NOT NULL,
+  cancelled TEXT NOT NULL,
+  status TEXT NOT NULL,
+  replaces TEXT,
+  replaced_by TEXT,
+  placed_block INTEGER NOT NULL,
+  placed_tx TEXT NOT NULL,
+  updated_block INTEGER NOT NULL,
+  PRIMARY KEY (order_book, order_id)
+);
+CREATE INDEX IF NOT EXISTS orders_by_trader ON orders (trader, status);
+CREATE TABLE IF NOT EXISTS order_events (
+  block_number INTEGER NOT NULL,
+  tx_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  order_book TEXT NOT NULL,
+  market_id TEXT,
+  order_id TEXT NOT NULL,
+  type TEXT NOT NULL,
+  trader TEXT,
+  is_buy INTEGER,
+  is_margin INTEGER,
+  price TEXT,
+  amount TEXT,
+  filled TEXT,
+  remaining TEXT,
+  related_order_id TEXT,
+  PRIMARY KEY (tx_hash, log_index)
+);
+CREATE INDEX IF NOT EXISTS order_events_by_order
+  ON order_events (order_book, order_id, block_number, log_index);
+CREATE TABLE IF NOT EXISTS trades (
+  order_book TEXT NOT NULL,
+  trade_id TEXT NOT NULL,
+  market_id TEXT,
+  buyer TEXT NOT NULL,
+  seller TEXT NOT NULL,
+  price TEXT NOT NULL,
+  amount TEXT NOT NULL,
+  value TEXT NOT NULL,
+  timestamp INTEGER NOT NULL,
+  block_number INTEGER NOT NULL,
+  tx_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  PRIMARY KEY (order_book, trade_id)
+);
+CREATE INDEX IF NOT EXISTS trades_by_market ON trades (market_id, timestamp);
+CREATE INDEX IF NOT EXISTS trades_by_buyer ON trades (buyer);
+CREATE INDEX IF NOT EXISTS trades_by_seller ON trades (seller);
+CREATE TABLE IF NOT EXISTS positions (
+  block_number INTEGER NOT NULL,
+  tx_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  user TEXT NOT NULL,
+  market_id TEXT NOT NULL,
+  old_size TEXT NOT NULL,
+  new_size TEXT NOT NULL,
+  entry_price TEXT NOT NULL,
+  PRIMARY KEY (tx_hash, log_index)
+);
+CREATE INDEX IF NOT EXISTS positions_by_user
+  ON positions (user, market_id, block_number, log_index);
+CREATE VIEW IF NOT EXISTS current_positions AS
+  SELECT p.user, p.market_id, p.new_size AS size, p.entry_price,
+         p.block_number AS updated_block
+  FROM positions p
+  WHERE p.new_size != '0'
+    AND NOT EXISTS (
+      SELECT 1 FROM positions later
+      WHERE later.user = p.user AND later.market_id = p.market_id
+        AND (later.block_number > p.block_number
+          OR (later.block_number = p.block_number
+              AND later.log_index > p.log_index))
+    );
+CREATE TABLE IF NOT EXISTS collateral_movements (
+  block_number INTEGER NOT NULL,
+  tx_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  user TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  amount TEXT NOT NULL,
+  counterparty TEXT,
+  balance_after TEXT,
+  PRIMARY KEY (tx_hash, log_index, kind)
+);
+CREATE INDEX IF NOT EXISTS collateral_movements_by_user
+  ON collateral_movements (user);
+CREATE TABLE IF NOT EXISTS pnl_events (
+  block_number INTEGER NOT NULL,
+  tx_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  user TEXT NOT NULL,
+  market_id TEXT,
+  kind TEXT NOT NULL,
+  pnl TEXT NOT NULL,
+  closed_units TEXT,
+  total_realized TEXT,
+  PRIMARY KEY (tx_hash, log_index)
+);
+CREATE INDEX IF NOT EXISTS pnl_events_by_user ON pnl_events (user);
+CREATE TABLE IF NOT EXISTS mark_prices (
+  market_id TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  source TEXT NOT NULL,
+  price TEXT NOT NULL,
+  timestamp INTEGER,
+  PRIMARY KEY (market_id, block_number, source)
+);
+CREATE TABLE IF NOT EXISTS margin_events (
+  block_number INTEGER NOT NULL,
+  tx_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  user TEXT NOT NULL,
+  market_id TEXT,
+  order_id TEXT,
+  kind TEXT NOT NULL,
+  amount TEXT NOT NULL,
+  total_locked TEXT,
+  PRIMARY KEY (tx_hash, log_index)
+);
+CREATE TABLE IF NOT EXISTS router_events (
+  block_number INTEGER NOT NULL,
+  tx_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  event TEXT NOT NULL,
+  trader TEXT NOT NULL,
+  market_id TEXT NOT NULL,
+  order_id TEXT,
+  is_buy INTEGER,
+  amount TEXT,
+  filled TEXT,
+  price TEXT,
+  leverage INTEGER,
+  volume TEXT,
+  fees TEXT,
+  PRIMARY KEY (tx_hash, log_index)
+);
+`;
+
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+/**
+ * Get the database path for a network
+ * @param {string} networkKey - Key from NETWORK_CONFIG
+ * @returns {string} Absolute path
+ */
+function getIndexPath(networkKey) {
+  return path.join(DEPLOYMENTS_DIR, `${networkKey}-events.sqlite`);
+}
+
+/**
+ * Current state of an order from its order_events rows (oldest first)
+ * @param {object[]} rows
+ * @returns {object|null} orders row, or null when its placement wasn't
+ *   indexed (history started later)
+ */
+function foldOrder(rows) {
+  const placed = rows.find((row) => row.type === "placed");
+  if (!placed) {
+    return null;
+  }
+
+  const order = {
+    order_book: placed.order_book,
+    order_id: placed.order_id,
+    market_id: placed.market_id,
+    trader: placed.trader,
+    routed_for: null,
+    type: placed.remaining === null ? "market" : "limit",
+    is_buy: placed.is_buy,
+    is_margin: placed.is_margin,
+    price: placed.price,
+    amount: placed.amount,
+    filled: 0n,
+    remaining: 0n,
+    cancelled: 0n,
+    status: "open",
+    replaces: placed.related_order_id,
+    replaced_by: null,
+    placed_block: placed.block_number,
+    placed_tx: placed.tx_hash,
+    updated_block: placed.block_number,
+  };
+
+  for (const row of rows) {
+    order.updated_block = Math.max(order.updated_block, row.block_number);
+    switch (row.type) {
+      case "placed":
+        order.filled += BigInt(row.filled);
+        if (order.type === "market") {
+          // Never rests - what didn't fill is cancelled on the spot
+          order.cancelled = BigInt(row.amount) - order.filled;
+        } else {
+          order.remaining = BigInt(row.remaining);
+        }
+        break;
+      case "partial":
+        order.filled += BigInt(row.filled);
+        order.remaining = BigInt(row.remaining);
+        break;
+      case "filled":
+        order.filled += BigInt(row.filled);
+        order.remaining = 0n;
+        break;
+      case "cancelled":
+        order.cancelled += BigInt(row.amount);
+        order.remaining = 0n;
+        order.status = "cancelled";
+        continue;
+      case "modified":
+        order.replaced_by = row.related_order_id;
+        order.remaining = 0n;
+        order.status = "modified";
+        continue;
+      case "routed":
+        order.routed_for = row.trader;
+        break;
+    }
+
+    if (order.status === "cancelled" || order.status === "modified") {
+      continue;
+    }
+    if (order.remaining > 0n) {
+      order.status = order.filled > 0n ? "partially-filled" : "open";
+    } else {
+      order.status = order.cancelled > 0n ? "cancelled" : "filled";
+    }
+  }
+
+  return {
+    ...order,
+    filled: String(order.filled),
+    remaining: String(order.remaining),
+    cancelled: String(order.cancelled),
+  };
+}
+
+const units = (value) => String(value.units);
+const sumUnits = (events) =>
+  String(events.reduce((sum, event) => sum + event.amount.units, 0n));
+
+class EventIndexer {
+  /**
+   * Use EventIndexer.open()
+   * @param {Database} db - better-sqlite3 connection
+   * @param {object} contracts - { vault }
+   * @param {string} filePath
+   */
+  constructor(db, contracts, filePath) {
+    this.db = db;
+    this.vault = contracts.vault;
+    this.filePath = filePath;
+    this.stream = null;
+    // lowercase OrderBook address -> marketId
+    this.marketIds = new Map();
+    this.prepareStatements();
+  }
+
+  /**
+   * Open (or create) the database for the connected network
+   * @param {object} options - { path } overrides the default file
+   * @returns {Promise<EventIndexer>}
+   */
+  static async open(options = {}) {
+    const networkConfig = await getNetworkConfig();
+    const filePath = options.path || getIndexPath(networkConfig.key);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const db = new Database(filePath);
+    db.pragma("journal_mode = WAL");
+    db.exec(SCHEMA);
+
+    const vault = await getContract("CENTRALIZED_VAULT");
+    const factory = await getContract("FUTURES_MARKET_FACTORY");
+    const indexer = new EventIndexer(db, { vault }, filePath);
+
+    // A database belongs to one chain and one deployment
+    const expected = {
+      schema_version: String(SCHEMA_VERSION),
+      chain_id: String(networkConfig.chainId),
+      vault: vault.target,
+      factory: factory.target,
+    };
+    for (const [key, value] of Object.entries(expected)) {
+      const stored = indexer.getMeta(key);
+      if (stored !== null && stored !== value) {
+        db.close();
+        throw new Error(
+          `❌ ${filePath} was built for ${key} ${stored}, not ${value} - delete it (or use another path) to index this deployment`
+        );
+      }
+      indexer.setMeta(key, value);
+    }
+
+    for (const market of await getMarkets()) {
+      indexer.marketIds.set(market.orderBook.toLowerCase(), market.marketId);
+      indexer.marketIds.set(
+        market.factoryOrderBook.toLowerCase(),
+        market.marketId
+      );
+    }
+    for (const row of db
+      .prepare(
+        "SELECT market_id, order_book FROM markets UNION SELECT market_id, order_book FROM market_books"
+      )
+      .all()) {
+      indexer.marketIds.set(row.order_book.toLowerCase(), row.market_id);
+    }
+
+    return indexer;
+  }
+
+  prepareStatements() {
+    const insert = (table, columns, verb = "INSERT OR IGNORE") =>
+      this.db.prepare(
+        `${verb} INTO ${table} (${columns.join(", ")}) VALUES (${columns
+          .map((column) => `@${column}`)
+          .join(", ")})`
+      );
+    const logColumns = ["block_number", "tx_hash", "log_index"];
+
+    this.statements = {
+      getMeta: this.db.prepare("SELECT value FROM meta WHERE key = ?"),
+      setMeta: this.db.prepare(
+        "INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value"
+      ),
+      block: insert(
+        "blocks",
+        ["block_number", "block_hash"],
+        "INSERT OR REPLACE"
+      ),
+      market: insert(
+        "markets",
+        [
+          "market_id",
+          "order_book",
+          "symbol",
+          "creator",
+          "creation_fee",
+          "metric_url",
+          "settlement_date",
+          "start_price",
+          "created_block",
+          "created_tx",
+        ],
+        "INSERT OR REPLACE"
+      ),
+      marketBook: insert("market_books", [
+        ...logColumns,
+        "market_id",
+        "order_book",
+      ]),
+      orderBookAt: this.db.prepare(
+        `SELECT order_book FROM market_books
+         WHERE market_id = ? AND block_number <= ?
+         ORDER BY block_number DESC, log_index DESC LIMIT 1`
+      ),
+      orderEvent: insert("order_events", [
+        ...logColumns,
+        "order_book",
+        "market_id",
+        "order_id",
+        "type",
+        "trader",
+        "is_buy",
+        "is_margin",
+        "price",
+        "amount",
+        "filled",
+        "remaining",
+        "related_order_id",
+      ]),
+      orderEvents: this.db.prepare(
+        "SELECT * FROM order_events WHERE order_book = ? AND order_id = ? ORDER BY block_number, log_index"
+      ),
+      order: this.db.prepare(
+        "SELECT * FROM orders WHERE order_book = ? AND order_id = ?"
+      ),
+      saveOrder: insert(
+        "orders",
+        [
+          "order_book",
+          "order_id",
+          "market_id",
+          "trader",
+          "routed_for",
+          "type",
+          "is_buy",
+          "is_margin",
+          "price",
+          "amount",
+          "filled",
+          "remaining",
+          "cancelled",
+          "status",
+          "replaces",
+          "replaced_by",
+          "placed_block",
+          "placed_tx",
+          "updated_block",
+        ],
+        "INSERT OR REPLACE"
+      ),
+      deleteOrder: this.db.prepare(
+        "DELETE FROM orders WHERE order_book = ? AND order_id = ?"
+      ),
+      trade: insert("trades", [
+        "order_book",
+        "trade_id",
+        "market_id",
+        "buyer",
+        "seller",
+        "price",
+        "amount",
+        "value",
+        "timestamp",
+        ...logColumns,
+      ]),
+      position: insert("positions", [
+        ...logColumns,
+        "user",
+        "market_id",
+        "old_size",
+        "new_size",
+        "entry_price",
+      ]),
+      collateral: insert("collateral_movements", [
+        ...logColumns,
+        "user",
+        "kind",
+        "amount",
+        "counterparty",
+        "balance_after",
+      ]),
+      pnl: insert("pnl_events", [
+        ...logColumns,
+        "user",
+        "market_id",
+        "kind",
+        "pnl",
+        "closed_units",
+        "total_realized",
+      ]),
+      markPrice: insert(
+        "mark_prices",
+        ["market_id", "block_number", "source", "price", "timestamp"],
+        "INSERT OR REPLACE"
+      ),
+      margin: insert("margin_events", [
+        ...logColumns,
+        "user",
+        "market_id",
+        "order_id",
+        "kind",
+        "amount",
+        "total_locked",
+      ]),
+      router: insert("router_events", [
+        ...logColumns,
+        "event",
+        "trader",
+        "market_id",
+        "order_id",
+        "is_buy",
+        "amount",
+        "filled",
+        "price",
+        "leverage",
+        "volume",
+        "fees",
+      ]),
+    };
+  }
+
+  getMeta(key) {
+    const row = this.statements.getMeta.get(key);
+    return row ? row.value : null;
+  }
+
+  setMeta(key, value) {
+    this.statements.setMeta.run(key, value === null ? null : String(value));
+  }
+
+  /**
+   * The OrderBook a market traded on at the end of a block: its latest
+   * assignment by then, or the factory's book before the first one indexed
+   * @param {string} marketId
+   * @param {number} blockNumber
+   * @returns {string|null} Checksummed address, or null for an unknown market
+   */
+  orderBookAt(marketId, blockNumber) {
+    const assigned = this.statements.orderBookAt.get(marketId, blockNumber);
+    if (assigned) {
+      return assigned.order_book;
+    }
+    const market = this.db
+      .prepare("SELECT order_book FROM markets WHERE market_id = ?")
+      .get(marketId);
+    return market ? market.order_book : null;
+  }
+
+  /**
+   * Every OrderBook a market has had, oldest first
+   * @param {string} marketId
+   * @returns {object[]} { orderBook, fromBlock, toBlock } - toBlock is null
+   *   for the book assigned now, fromBlock null for a factory book whose
+   *   assignment wasn't indexed
+   */
+  orderBooksOf(marketId) {
+    const market = this.db
+      .prepare(
+        "SELECT order_book, created_block FROM markets WHERE market_id = ?"
+      )
+      .get(marketId);
+    const assignments = this.db
+      .prepare(
+        "SELECT order_book, block_number FROM market_books WHERE market_id = ? ORDER BY block_number, log_index"
+      )
+      .all(marketId);
+    if (
+      market &&
+      (assignments.length === 0 ||
+        assignments[0].order_book !== market.order_book)
+    ) {
+      assignments.unshift({
+        order_book: market.order_book,
+        block_number: null,
+      });
+    }
+    return assignments.map((row, i) => ({
+      orderBook: row.order_book,
+      fromBlock: row.block_number,
+      toBlock:
+        i + 1 < assignments.length ? assignments[i + 1].block_number - 1 : null,
+    }));
+  }
+
+  /**
+   * Last block fully indexed, or null before the first run
+   * @returns {number|null}
+   */
+  get lastBlock() {
+    const value = this.getMeta("last_block");
+    return value === null ? null : Number(value);
+  }
+
+  /**
+   * Index up to a block, or catch up and keep following
+   * @param {object} options
+   *   fromBlock      Where a new database starts (default 0)
+   *   toBlock        Stop after this block ("latest" = the head when the
+   *                  run starts); omit to follow new blocks until stop()
+   *   confirmations  Passed to EventStream
+   *   chunkSize      Passed to EventStream
+   *   onProgress     ({ fromBlock, toBlock, events, trades }) after every
+   *                  committed chunk, and ({ reorg: fromBlock, orders }) on
+   *                  every rollback (orders as rollback() returns them);
+   *                  indexing waits for a returned promise
+   * @returns {Promise<object>} { fromBlock, lastBlock, rolledBackTo }
+   */
+  async run(options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const rollback = await this.checkChain();
+    const rolledBackTo = rollback ? rollback.fromBlock : null;
+    if (rollback) {
+      await onProgress({ reorg: rollback.fromBlock, orders: rollback.orders });
+    }
+    const fromBlock =
+      this.lastBlock === null ? options.fromBlock ?? 0 : this.lastBlock + 1;
+    if (this.getMeta("first_block") === null) {
+      this.setMeta("first_block", fromBlock);
+    }
+
+    const toBlock =
+      options.toBlock === "latest"
+        ? await ethers.provider.getBlockNumber()
+        : options.toBlock;
+    if (toBlock !== undefined && fromBlock > toBlock) {
+      return { fromBlock, lastBlock: this.lastBlock, rolledBackTo };
+    }
+
+    // Every book already indexed is read on: the catalog only knows a
+    // market's factory book and the one assigned now, not books a migration
+    // retired in between
+    const orderBooks = {};
+    for (const row of this.db
+      .prepare(
+        `SELECT b.order_book, m.symbol FROM (
+           SELECT market_id, order_book FROM markets
+           UNION SELECT market_id, order_book FROM market_books
+         ) b LEFT JOIN markets m ON m.market_id = b.market_id`
+      )
+      .all()) {
+      orderBooks[row.order_book] = row.symbol;
+    }
+
+    this.stream = await EventStream.create({
+      fromBlock,
+      toBlock,
+      confirmations: options.confirmations,
+      chunkSize: options.chunkSize,
+      checkpoints: true,
+      orderBooks,
+    });
+
+    let buffer = [];
+    let chunkStart = fromBlock;
+    for await (const event of this.stream) {
+      if (event.name === "Reorg") {
+        buffer = buffer.filter((e) => e.blockNumber < event.fromBlock);
+        const orders = this.rollback(event.fromBlock);
+        chunkStart = event.fromBlock;
+        await onProgress({ reorg: event.fromBlock, orders });
+      } else if (event.name === "Checkpoint") {
+        const trades = await this.commit(buffer, event);
+        await onProgress({
+          fromBlock: chunkStart,
+          toBlock: event.blockNumber,
+          events: buffer.length,
+          trades,
+        });
+        buffer = [];
+        chunkStart = event.blockNumber + 1;
+      } else {
+        buffer.push(event);
+      }
+    }
+    this.stream = null;
+
+    return { fromBlock, lastBlock: this.lastBlock, rolledBackTo };
+  }
+
+  /**
+   * End a following run() after the chunk in progress
+   */
+  stop() {
+    if (this.stream) {
+      this.stream.close();
+    }
+  }
+
+  close() {
+    this.stop();
+    this.db.close();
+  }
+
+  /**
+   * Before resuming: roll back whatever the chain no longer has
+   * @returns {Promise<object|null>} { fromBlock, orders } as rollback()
+   *   reports them, or null
+   */
+  async checkChain() {
+    const last = this.lastBlock;
+    if (last === null) {
+      return null;
+    }
+
+    const known = this.db
+      .prepare(
+        "SELECT block_number, block_hash FROM blocks ORDER BY block_number DESC LIMIT 256"
+      )
+      .all();
+    for (const row of known) {
+      const block = await ethers.provider.getBlock(row.block_number);
+      if (block && block.hash === row.block_hash) {
+        if (row.block_number === last) {
+          return null;
+        }
+        const fromBlock = row.block_number + 1;
+        return { fromBlock, orders: this.rollback(fromBlock) };
+      }
+    }
+
+    // Nothing we know is on the chain any more (new node) - start over
+    const firstBlock = Number(this.getMeta("first_block") ?? 0);
+    return { fromBlock: firstBlock, orders: this.rollback(firstBlock) };
+  }
+
+  /**
+   * Delete everything from a block on and refold the orders it touched
+   * @param {number} fromBlock
+   * @returns {object[]} { orderBook, orderId } of the refolded orders -
+   *   their orders row is gone when they were placed from fromBlock on
+   */
+  rollback(fromBlock) {
+    return this.db.transaction(() => {
+      const touched = this.db
+        .prepare(
+          "SELECT DISTINCT order_book, order_id FROM order_events WHERE block_number >= ?"
+        )
+        .all(fromBlock);
+
+      for (const table of BLOCK_TABLES) {
+        this.db
+          .prepare(`DELETE FROM ${table} WHERE block_number >= ?`)
+          .run(fromBlock);
+      }
+      this.db
+        .prepare("DELETE FROM markets WHERE created_block >= ?")
+        .run(fromBlock);
+      this.db
+        .prepare(
+          "UPDATE markets SET deactivated_block = NULL WHERE deactivated_block >= ?"
+        )
+        .run(fromBlock);
+      this.db
+        .prepare(
+          "UPDATE markets SET settlement_price = NULL, settled_block = NULL WHERE settled_block >= ?"
+        )
+        .run(fromBlock);
+
+      for (const { order_book: orderBook, order_id: orderId } of touched) {
+        this.refoldOrder(orderBook, orderId);
+      }
+
+      const last = this.lastBlock;
+      if (last !== null && last >= fromBlock) {
+        this.setMeta("last_block", fromBlock - 1);
+      }
+      return touched.map((row) => ({
+        orderBook: row.order_book,
+        orderId: row.order_id,
+      }));
+    })();
+  }
+
+  refoldOrder(orderBook, orderId) {
+    const order = foldOrder(
+      this.statements.orderEvents.all(orderBook, orderId)
+    );
+    if (order) {
+      this.statements.saveOrder.run(order);
+    } else {
+      this.statements.deleteOrder.run(orderBook, orderId);
+    }
+  }
+
+  /**
+   * Write one chunk: its events, the mark prices of the blocks that traded,
+   * its block hashes and the new resume point - all or nothing
+   * @param {object[]} events - Stream events up to the checkpoint
+   * @param {object} checkpoint - { blockNumber, blockHash }
+   * @returns {Promise<number>} Trades written
+   */
+  async commit(events, checkpoint) {
+    // Books created or assigned in this chunk may trade in it too
+    for (const event of events) {
+      if (
+        event.name === "FuturesMarketCreated" ||
+        event.name === "MarketAssignedToOrderBook"
+      ) {
+        this.marketIds.set(event.orderBook.toLowerCase(), event.marketId);
+      }
+    }
+    const markPrices = await this.readMarkPrices(events);
+
+    // Events of a transaction are handled together, in log order (a new
+    // market's re-read can deliver one transaction's logs in two passes)
+    const ordered = [...events].sort(
+      (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+    );
+    const transactions = [];
+    for (const event of ordered) {
+      const last = transactions[transactions.length - 1];
+      if (last && last[0].transactionHash === event.transactionHash) {
+        last.push(event);
+      } else {
+        transactions.push([event]);
+      }
+    }
+
+    this.db.transaction(() => {
+      for (const transaction of transactions) {
+        this.applyTransaction(transaction);
+      }
+      for (const row of markPrices) {
+        this.statements.markPrice.run(row);
+      }
+      for (const event of events) {
+        this.statements.block.run({
+          block_number: event.blockNumber,
+          block_hash: event.blockHash,
+        });
+      }
+      this.statements.block.run({
+        block_number: checkpoint.blockNumber,
+        block_hash: checkpoint.blockHash,
+      });
+      this.setMeta("last_block", checkpoint.blockNumber);
+    })();
+
+    return events.filter((event) => event.name === "TradeExecuted").length;
+  }
+
+  /**
+   * vault.getMarkPrice() at the end of every block a market traded in
+   * @returns {Promise<object[]>} mark_prices rows
+   */
+  async readMarkPrices(events) {
+    // blockNumber -> { marketId -> timestamp of the block's last trade }
+    const traded = new Map();
+    for (const event of events) {
+      if (event.name !== "TradeExecuted") continue;
+      const marketId = this.marketIds.get(event.address.toLowerCase());
+      if (!marketId) continue;
+      if (!traded.has(event.blockNumber)) {
+        traded.set(event.blockNumber, new Map());
+      }
+      traded.get(event.blockNumber).set(marketId, event.timestamp);
+    }
+
+    const rows = [];
+    for (const [blockNumber, markets] of traded) {
+      const marketIds = [...markets.keys()];
+      let reads;
+      try {
+        reads = await tryMulticall(
+          marketIds.map((marketId) =>
+            call(this.vault, "getMarkPrice", [marketId])
+          ),
+          { blockTag: blockNumber }
+        );
+      } catch {
+        // Blocks from before Multicall3 was deployed - read one by one; a
+        // node without state for the block (not an archive node) fails both
+        reads = await Promise.all(
+          marketIds.map((marketId) =>
+            this.vault
+              .getMarkPrice(marketId, { blockTag: blockNumber })
+              .then((value) => ({ success: true, value }))
+              .catch(() => ({ success: false }))
+          )
+        );
+      }
+      marketIds.forEach((marketId, i) => {
+        if (!reads[i].success) return;
+        rows.push({
+          market_id: marketId,
+          block_number: blockNumber,
+          source: "vault",
+          price: String(reads[i].value),
+          timestamp: markets.get(marketId),
+        });
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * Write one transaction's events (inside commit()'s SQLite transaction)
+   * @param {object[]} events - Same transactionHash, log order
+   */
+  applyTransaction(events) {
+    const s = this.statements;
+    const at = (event) => ({
+      block_number: event.blockNumber,
+      tx_hash: event.transactionHash,
+      log_index: event.logIndex,
+    });
+    const bookOf = (event) => event.address.toLowerCase();
+    const bookEvents = events.filter(
+      (event) => EVENT_TYPES[event.name].source === "orderBook"
+    );
+    const ofBook = (orderBook, name) =>
+      bookEvents.filter(
+        (event) => event.name === name && bookOf(event) === orderBook
+      );
+
+    // Orders whose rows change here: refolded at the end
+    const touched = new Map();
+    const orderEvent = (event, orderBook, orderId, fields) => {
+      s.orderEvent.run({
+        ...at(event),
+        order_book: ethers.getAddress(orderBook),
+        market_id: this.marketIds.get(orderBook) || null,
+        order_id: String(orderId),
+        trader: null,
+        is_buy: null,
+        is_margin: null,
+        price: null,
+        amount: null,
+        filled: null,
+        remaining: null,
+        related_order_id: null,
+        ...fields,
+      });
+      touched.set(`${orderBook}:${orderId}`, [
+        ethers.getAddress(orderBook),
+        String(orderId),
+      ]);
+    };
+    // Placed, cancelled or modified in this transaction
+    const closedHere = new Set();
+
+    for (const event of events) {
+      const orderBook = bookOf(event);
+      switch (event.name) {
+        case "OrderPlaced": {
+          const isMarket = event.isMarketOrder;
+          // Stored as placed: market orders at MaxUint256 (buy) or 0 (sell)
+          const price = isMarket
+            ? event.isBuy
+              ? MAX_UINT256
+              : 0n
+            : event.price.units;
+          const filled = sumUnits(ofBook(orderBook, "TradeExecuted"));
+          const modified = ofBook(orderBook, "OrderModified").find(
+            (modifiedEvent) => modifiedEvent.newOrderId === event.orderId
+          );
+          orderEvent(event, orderBook, event.orderId, {
+            type: "placed",
+            trader: event.trader,
+            is_buy: event.isBuy ? 1 : 0,
+            is_margin: event.isMarginOrder ? 1 : 0,
+            price: String(price),
+            // Limit orders report what rests, market orders what was asked
+            amount: isMarket
+              ? units(event.amount)
+              : String(BigInt(filled) + event.amount.units),
+            filled,
+            remaining: isMarket ? null : units(event.amount),
+            related_order_id: modified ? String(modified.oldOrderId) : null,
+          });
+          closedHere.add(`${orderBook}:${event.orderId}`);
+          break;
+        }
+        case "OrderPartiallyFilled":
+          orderEvent(event, orderBook, event.orderId, {
+            type: "partial",
+            filled: units(event.filled),
+            remaining: units(event.remaining),
+          });
+          break;
+        case "OrderCancelled": {
+          const order = s.order.get(
+            ethers.getAddress(orderBook),
+            String(event.orderId)
+          );
+          orderEvent(event, orderBook, event.orderId, {
+            type: "cancelled",
+            trader: event.trader,
+            amount: order ? order.remaining : "0",
+          });
+          closedHere.add(`${orderBook}:${event.orderId}`);
+          break;
+        }
+        case "OrderModified":
+          orderEvent(event, orderBook, event.oldOrderId, {
+            type: "modified",
+            trader: event.trader,
+            price: units(event.price),
+            amount: units(event.amount),
+            related_order_id: String(event.newOrderId),
+          });
+          closedHere.add(`${orderBook}:${event.oldOrderId}`);
+          break;
+        case "TradeExecuted":
+          s.trade.run({
+            ...at(event),
+            order_book: event.address,
+            trade_id: String(event.tradeId),
+            market_id: this.marketIds.get(orderBook) || null,
+            buyer: event.buyer,
+            seller: event.seller,
+            price: units(event.price),
+            amount: units(event.amount),
+            value: units(event.value),
+            timestamp: event.timestamp,
+          });
+          break;
+        default:
+          this.applyOtherEvent(event, at(event));
+      }
+    }
+
+    // A resting margin order filled completely shows only as its
+    // reservation being released (vault events carry no market, so this
+    // needs the transaction to have touched exactly one OrderBook)
+    const books = new Set(bookEvents.map(bookOf));
+    if (books.size === 1) {
+      const [orderBook] = books;
+      for (const event of events) {
+        if (event.name !== "MarginUnreserved") continue;
+        const key = `${orderBook}:${event.orderId}`;
+        if (closedHere.has(key)) continue;
+        const order = s.order.get(
+          ethers.getAddress(orderBook),
+          String(event.orderId)
+        );
+        if (
+          !order ||
+          order.trader !== event.user ||
+          !["open", "partially-filled"].includes(order.status) ||
+          touched.has(key)
+        ) {
+          continue;
+        }
+        orderEvent(event, orderBook, event.orderId, {
+          type: "filled",
+          filled: order.remaining,
+        });
+      }
+    }
+
+    // Router orders: the OrderBook only sees the router as the trader
+    for (const event of events) {
+      if (event.name !== "LimitOrderPlaced") continue;
+      const orderBook = this.orderBookAt(event.marketId, event.blockNumber);
+      if (!orderBook) continue;
+      orderEvent(event, orderBook.toLowerCase(), event.orderId, {
+        type: "routed",
+        trader: event.trader,
+      });
+    }
+
+    for (const [orderBook, orderId] of touched.values()) {
+      this.refoldOrder(orderBook, orderId);
+    }
+  }
+
+  /**
+   * Vault, router and factory events
+   */
+  applyOtherEvent(event, at) {
+    const s = this.statements;
+    const marketId = event.marketId ?? null;
+    switch (event.name) {
+      case "FuturesMarketCreated":
+        this.marketIds.set(event.orderBook.toLowerCase(), event.marketId);
+        s.market.run({
+          market_id: event.marketId,
+          order_book: event.orderBook,
+          symbol: event.symbol,
+          creator: event.creator,
+          creation_fee: units(event.creationFee),
+          metric_url: event.metricUrl,
+          settlement_date: event.settlementDate,
+          start_price: units(event.startPrice),
+          created_block: at.block_number,
+          created_tx: at.tx_hash,
+        });
+        break;
+      case "MarketAssignedToOrderBook":
+        this.marketIds.set(event.orderBook.toLowerCase(), event.marketId);
+        s.marketBook.run({
+          ...at,
+          market_id: event.marketId,
+          order_book: event.orderBook,
+        });
+        break;
+      case "FuturesMarketDeactivated":
+        this.db
+          .prepare(
+            "UPDATE markets SET deactivated_block = ? WHERE market_id = ?"
+          )
+          .run(at.block_number, marketId);
+        break;
+      case "MarketSettled":
+        this.db
+          .prepare(
+            "UPDATE markets SET settlement_price = ?, settled_block = ? WHERE market_id = ?"
+          )
+          .run(units(event.finalPrice), at.block_number, marketId);
+        break;
+      case "PositionUpdated":
+        s.position.run({
+          ...at,
+          user: event.user,
+          market_id: marketId,
+          old_size: units(event.oldSize),
+          new_size: units(event.newSize),
+          entry_price: units(event.entryPrice),
+        });
+        break;
+      case "CollateralDeposited":
+      case "CollateralWithdrawn": {
+        const deposit = event.name === "CollateralDeposited";
+        s.collateral.run({
+          ...at,
+          user: event.user,
+          kind: deposit ? "deposit" : "withdrawal",
+          amount: String(deposit ? event.amount.units : -event.amount.units),
+          counterparty: null,
+          balance_after: units(event.newBalance),
+        });
+        break;
+      }
+      case "CollateralTransferred":
+        s.collateral.run({
+          ...at,
+          user: event.from,
+          kind: "transfer_out",
+          amount: String(-event.amount.units),
+          counterparty: event.to,
+          balance_after: null,
+        });
+        s.collateral.run({
+          ...at,
+          user: event.to,
+          kind: "transfer_in",
+          amount: units(event.amount),
+          counterparty: event.from,
+          balance_after: null,
+        });
+        break;
+      case "FeesDeducted":
+        s.collateral.run({
+          ...at,
+          user: event.user,
+          kind: "fee",
+          amount: String(-event.amount.units),
+          counterparty: event.feeRecipient,
+          balance_after: null,
+        });
+        break;
+      case "RealizedPnL":
+        s.pnl.run({
+          ...at,
+          user: event.user,
+          market_id: marketId,
+          kind: "netting",
+          pnl: units(event.pnl),
+          closed_units: units(event.closedUnits),
+          total_realized: null,
+        });
+        break;
+      case "PnLRealized":
+        s.pnl.run({
+          ...at,
+          user: event.user,
+          market_id: marketId,
+          kind: "settlement",
+          pnl: units(event.pnl),
+          closed_units: null,
+          total_realized: units(event.totalRealizedPnL),
+        });
+        break;
+      case "MarkPriceUpdated":
+        s.markPrice.run({
+          market_id: marketId,
+          block_number: at.block_number,
+          source: "update",
+          price: units(event.price),
+          timestamp: null,
+        });
+        break;
+      case "MarginLocked":
+      case "MarginReleased":
+      case "MarginReserved":
+      case "MarginUnreserved":
+        s.margin.run({
+          ...at,
+          user: event.user,
+          market_id: marketId,
+          order_id: event.orderId === undefined ? null : String(event.orderId),
+          kind: {
+            MarginLocked: "locked",
+            MarginReleased: "released",
+            MarginReserved: "reserved",
+            MarginUnreserved: "unreserved",
+          }[event.name],
+          amount: units(event.amount),
+          total_locked: event.totalLocked ? units(event.totalLocked) : null,
+        });
+        break;
+      case "LimitOrderPlaced":
+      case "MarketOrderExecuted":
+      case "TradingStatsUpdated":
+        s.router.run({
+          ...at,
+          event: event.name,
+          trader: event.trader || event.user,
+          market_id: marketId,
+          order_id: event.orderId === undefined ? null : String(event.orderId),
+          is_buy: event.isBuy === undefined ? null : event.isBuy ? 1 : 0,
+          amount: event.amount
+            ? units(event.amount)
+            : event.requested
+            ? units(event.requested)
+            : null,
+          filled: event.filled ? units(event.filled) : null,
+          price: event.price ? units(event.price) : null,
+          leverage: event.leverage ?? null,
+          volume: event.volume ? units(event.volume) : null,
+          fees: event.fees ? units(event.fees) : null,
+        });
+        break;
+    }
+  }
+
+  /**
+   * Row count of every table
+   * @returns {object} { table: count }
+   */
+  counts() {
+    const tables = [
+      "markets",
+      "orders",
+      ...BLOCK_TABLES.filter((table) => table !== "blocks"),
+    ];
+    return Object.fromEntries(
+      tables.map((table) => [
+        table,
+        this.db.prepare(`SELECT COUNT(*) AS n FROM ${table}`).get().n,
+      ])
+    );
+  }
+}
+
+module.exports = {
+  EventIndexer,
+  getIndexPath,
+  foldOrder,
+};
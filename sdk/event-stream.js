@@ -0,0 +1,748 @@
+// event-stream.js - Follow trading events from a block onwards
+//
+// 🎯 PURPOSE:
+//   - One reusable way to consume OrderBook, vault, router and factory events:
+//     backfill history in block chunks, then keep following new blocks
+//   - Events come out of an async iterator as typed objects in human units
+//     (Price/Amount/Usdc from sdk/precision), each exactly once
+//
+// 📡 EVENTS (EVENT_TYPES):
+//   OrderBook  TradeExecuted, OrderPlaced, OrderCancelled,
+//              OrderPartiallyFilled, OrderModified
+//   Vault      PositionUpdated, PnLRealized, RealizedPnL, MarginReserved,
+//              MarginUnreserved, MarginLocked, MarginReleased,
+//              CollateralDeposited, CollateralWithdrawn,
+//              CollateralTransferred, FeesDeducted, MarkPriceUpdated,
+//              OrderBookRegistered, MarketAssignedToOrderBook
+//   Router     LimitOrderPlaced, MarketOrderExecuted, TradingStatsUpdated
+//              (when a TradingRouter is deployed)
+//   Factory    FuturesMarketCreated, FuturesMarketDeactivated, MarketSettled
+//   A market order's OrderPlaced has price null and isMarketOrder set.
+//
+// 📚 WHICH ORDERBOOKS:
+//   Every book a followed market is known to have had: the factory's and
+//   the one the vault assigns now (they differ after
+//   scripts/migrate-orderbook.js), plus `orderBooks` passed in. Books the
+//   factory creates or the vault registers or assigns while streaming are
+//   picked up from that block on, so a backfill or a live stream across a
+//   migration reads both the old and the new book.
+//
+// ⛓️  CONFIRMATIONS AND REORGS:
+//   An event is emitted once its block has `confirmations` confirmations
+//   (1 = as soon as it is mined; defaults to the network's
+//   blockConfirmations). The hashes of recently processed blocks are kept;
+//   if one changes, the stream yields a { name: "Reorg", fromBlock } marker,
+//   forgets everything after the fork and emits the new chain's events.
+//   Consumers that store events should drop what they have from fromBlock
+//   on when they see it.
+//   With `checkpoints: true` the stream also yields { name: "Checkpoint",
+//   blockNumber, blockHash } once every event up to that block is out -
+//   the point a consumer can safely resume from.
+//
+// 🔄 USAGE:
+//   const { EventStream } = require('../sdk/event-stream');
+//   const stream = await EventStream.create({
+//     fromBlock: 0,
+//     events: ["TradeExecuted", "PositionUpdated"],
+//   });
+//   for await (const event of stream) {
+//     if (event.name === "TradeExecuted") {
+//       console.log(`${event.market} ${event.amount} @ ${event.price}`);
+//     }
+//   }
+//   // stream.close() from elsewhere ends the loop; pass toBlock to stop
+//   // after a backfill instead of following live
+//
+const { ethers } = require("hardhat");
+const { getContract, getNetworkConfig } = require("../config/contracts");
+const { getMarkets } = require("../config/markets");
+const { LOG_CHUNK_SIZE } = require("../config/event-logs");
+const { getInterface } = require("./abis");
+const { Price, Amount, Usdc } = require("./precision");
+
+// Blocks whose hashes are remembered for reorg detection
+const REORG_WINDOW = 64;
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+
+const MAX_UINT256 = ethers.MaxUint256;
+
+// Logs that bring an OrderBook into play - always read, whatever `events`
+const DISCOVERY_EVENTS = {
+  FuturesMarketCreated: "factory",
+  OrderBookRegistered: "vault",
+  MarketAssignedToOrderBook: "vault",
+};
+
+// Event name -> emitting contract and how its args read in human units
+const EVENT_TYPES = {
+  TradeExecuted: {
+    source: "orderBook",
+    fields: (args) => ({
+      tradeId: args.tradeId,
+      buyer: args.buyer,
+      seller: args.seller,
+      price: Price.fromUnits(args.price),
+      amount: Amount.fromUnits(args.amount),
+      value: Usdc.fromUnits(args.tradeValue),
+      timestamp: Number(args.timestamp),
+    }),
+  },
+  OrderPlaced: {
+    source: "orderBook",
+    fields: (args) => {
+      // Market orders are placed at type(uint256).max (buy) or 0 (sell)
+      const isMarketOrder = args.price === MAX_UINT256 || args.price === 0n;
+      return {
+        orderId: args.orderId,
+        trader: args.trader,
+        price: isMarketOrder ? null : Price.fromUnits(args.price),
+        amount: Amount.fromUnits(args.amount),
+        isBuy: args.isBuy,
+        isMarginOrder: args.isMarginOrder,
+        isMarketOrder,
+      };
+    },
+  },
+  OrderCancelled: {
+    source: "orderBook",
+    fields: (args) => ({ orderId: args.orderId, trader: args.trader }),
+  },
+  OrderPartiallyFilled: {
+    source: "orderBook",
+    fields: (args) => ({
+      orderId: args.orderId,
+      filled: Amount.fromUnits(args.filledAmount),
+      remaining: Amount.fromUnits(args.remainingAmount),
+    }),
+  },
+  OrderModified: {
+    source: "orderBook",
+    fields: (args) => ({
+      oldOrderId: args.oldOrderId,
+      newOrderId: args.newOrderId,
+      trader: args.trader,
+      price: Price.fromUnits(args.newPrice),
+      amount: Amount.fromUnits(args.newAmount),
+    }),
+  },
+  PositionUpdated: {
+    source: "vault",
+    fields: (args) => ({
+      user: args.user,
+      marketId: args.marketId,
+      oldSize: Amount.fromUnits(args.oldSize),
+      newSize: Amount.fromUnits(args.newSize),
+      entryPrice: Price.fromUnits(args.entryPrice),
+      marginLocked: Usdc.fromUnits(args.marginLocked),
+    }),
+  },
+  PnLRealized: {
+    source: "vault",
+    fields: (args) => ({
+      user: args.user,
+      marketId: args.marketId,
+      pnl: Usdc.fromUnits(args.pnl),
+      totalRealizedPnL: Usdc.fromUnits(args.totalRealizedPnL),
+    }),
+  },
+  MarginReserved: {
+    source: "vault",
+    fields: (args) => ({
+      user: args.user,
+      // The vault keys reservations by bytes32(orderId)
+      orderId: BigInt(args.orderId),
+      marketId: args.marketId,
+      amount: Usdc.fromUnits(args.amount),
+    }),
+  },
+  MarginUnreserved: {
+    source: "vault",
+    fields: (args) => ({
+      user: args.user,
+      orderId: BigInt(args.orderId),
+      amount: Usdc.fromUnits(args.amount),
+    }),
+  },
+  MarginLocked: {
+    source: "vault",
+    fields: (args) => ({
+      user: args.user,
+      marketId: args.marketId,
+      amount: Usdc.fromUnits(args.amount),
+      totalLocked: Usdc.fromUnits(args.totalLocked),
+    }),
+  },
+  MarginReleased: {
+    source: "vault",
+    fields: (args) => ({
+      user: args.user,
+      marketId: args.marketId,
+      amount: Usdc.fromUnits(args.amount),
+      totalLocked: Usdc.fromUnits(args.totalLocked),
+    }),
+  },
+  // P&L of a netted fill, settled into collateral
+  RealizedPnL: {
+    source: "vault",
+    fields: (args) => ({
+      user: args.user,
+      marketId: args.marketId,
+      pnl: Usdc.fromUnits(args.isProfit ? args.pnlAmount : -args.pnlAmount),
+      closedUnits: Amount.fromUnits(args.closedUnits),
+    }),
+  },
+  CollateralDeposited: {
+    source: "vault",
+    fields: (args) => ({
+      user: args.user,
+      amount: Usdc.fromUnits(args.amount),
+      newBalance: Usdc.fromUnits(args.newBalance),
+    }),
+  },
+  CollateralWithdrawn: {
+    source: "vault",
+    fields: (args) => ({
+      user: args.user,
+      amount: Usdc.fromUnits(args.amount),
+      newBalance: Usdc.fromUnits(args.newBalance),
+    }),
+  },
+  CollateralTransferred: {
+    source: "vault",
+    fields: (args) => ({
+      from: args.from,
+      to: args.to,
+      amount: Usdc.fromUnits(args.amount),
+    }),
+  },
+  FeesDeducted: {
+    source: "vault",
+    fields: (args) => ({
+      user: args.user,
+      amount: Usdc.fromUnits(args.feeAmount),
+      feeRecipient: args.feeRecipient,
+    }),
+  },
+  MarkPriceUpdated: {
+    source: "vault",
+    fields: (args) => ({
+      marketId: args.marketId,
+      oldPrice: Price.fromUnits(args.oldPrice),
+      price: Price.fromUnits(args.newPrice),
+    }),
+  },
+  OrderBookRegistered: {
+    source: "vault",
+    fields: (args) => ({
+      orderBook: args.orderBook,
+      registeredBy: args.registeredBy,
+    }),
+  },
+  MarketAssignedToOrderBook: {
+    source: "vault",
+    fields: (args) => ({
+      marketId: args.marketId,
+      orderBook: args.orderBook,
+    }),
+  },
+  LimitOrderPlaced: {
+    source: "router",
+    fields: (args) => ({
+      trader: args.trader,
+      marketId: args.marketId,
+      // The OrderBook's id, as bytes32
+      orderId: BigInt(args.orderId),
+      isBuy: args.side === 0n,
+      amount: Amount.fromUnits(args.amount),
+      price: Price.fromUnits(args.priceTick),
+      leverage: Number(args.leverage),
+    }),
+  },
+  MarketOrderExecuted: {
+    source: "router",
+    fields: (args) => ({
+      trader: args.trader,
+      marketId: args.marketId,
+      isBuy: args.side === 0n,
+      requested: Amount.fromUnits(args.amountRequested),
+      filled: Amount.fromUnits(args.amountFilled),
+      leverage: Number(args.leverage),
+    }),
+  },
+  TradingStatsUpdated: {
+    source: "router",
+    fields: (args) => ({
+      marketId: args.marketId,
+      user: args.user,
+      volume: Usdc.fromUnits(args.volume),
+      fees: Usdc.fromUnits(args.fees),
+    }),
+  },
+  FuturesMarketCreated: {
+    source: "factory",
+    fields: (args) => ({
+      orderBook: args.orderBook,
+      marketId: args.marketId,
+      symbol: args.marketSymbol,
+      creator: args.creator,
+      creationFee: Usdc.fromUnits(args.creationFee),
+      metricUrl: args.metricUrl,
+      settlementDate: Number(args.settlementDate),
+      startPrice: Price.fromUnits(args.startPrice),
+    }),
+  },
+  FuturesMarketDeactivated: {
+    source: "factory",
+    fields: (args) => ({
+      orderBook: args.orderBook,
+      marketId: args.marketId,
+      creator: args.creator,
+    }),
+  },
+  MarketSettled: {
+    source: "factory",
+    fields: (args) => ({
+      marketId: args.marketId,
+      finalPrice: Price.fromUnits(args.finalPrice),
+      settler: args.settler,
+    }),
+  },
+};
+
+const SOURCE_ARTIFACTS = {
+  orderBook: "OrderBook",
+  vault: "CentralizedVault",
+  router: "TradingRouter",
+  factory: "FuturesMarketFactory",
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Typed event from a raw log, given which kind of contract emitted it
+ * @param {Log} log
+ * @param {string} source - "orderBook", "vault", "router" or "factory"
+ * @returns {object|null} { name, ...fields, address, blockNumber,
+ *   blockHash, transactionHash, logIndex }, or null when the log isn't one
+ *   of EVENT_TYPES
+ */
+function decodeEventLog(log, source) {
+  const parsed = getInterface(SOURCE_ARTIFACTS[source]).parseLog(log);
+  const type = parsed && EVENT_TYPES[parsed.name];
+  if (!type || type.source !== source) {
+    return null;
+  }
+
+  return {
+    name: parsed.name,
+    ...type.fields(parsed.args),
+    address: log.address,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+  };
+}
+
+class EventStream {
+  /**
+   * Use EventStream.create()
+   */
+  constructor(options) {
+    this.provider = ethers.provider;
+    this.events = options.events;
+    this.nextBlock = options.fromBlock;
+    this.toBlock = options.toBlock;
+    this.confirmations = options.confirmations;
+    this.chunkSize = options.chunkSize;
+    this.pollIntervalMs = options.pollIntervalMs;
+
+    this.vault = options.vault;
+    this.router = options.router;
+    this.factory = options.factory;
+    this.checkpoints = options.checkpoints;
+    // lowercase OrderBook address -> symbol (null when unknown)
+    this.orderBooks = options.orderBooks;
+    this.followNewMarkets = options.followNewMarkets;
+    // lowercase marketIds whose new books are followed
+    this.marketIds = options.marketIds;
+    // marketId -> symbol
+    this.symbols = options.symbols;
+
+    // topic0 -> event name, for DISCOVERY_EVENTS
+    this.discoveryTopics = new Map(
+      Object.entries(DISCOVERY_EVENTS).map(([name, source]) => [
+        getInterface(SOURCE_ARTIFACTS[source]).getEvent(name).topicHash,
+        name,
+      ])
+    );
+    // topic0 -> event name
+    this.topics = new Map();
+    for (const name of this.events) {
+      const iface = getInterface(SOURCE_ARTIFACTS[EVENT_TYPES[name].source]);
+      this.topics.set(iface.getEvent(name).topicHash, name);
+    }
+
+    // blockNumber -> hash of blocks already processed
+    this.blockHashes = new Map();
+    // "txHash:logIndex" -> blockNumber of events already emitted
+    this.seen = new Map();
+
+    this.closed = false;
+    this.wake = null;
+  }
+
+  /**
+   * @param {object} options
+   *   events         Names from EVENT_TYPES (default: all)
+   *   fromBlock      First block to read (default 0)
+   *   toBlock        Stop after this block instead of following live
+   *   confirmations  Blocks deep an event must be (default: the network's
+   *                  blockConfirmations)
+   *   markets        Symbols or marketIds to follow (default: every market
+   *                  in the factory catalog, plus ones created later)
+   *   orderBooks     { address: symbol } more OrderBooks to read, e.g.
+   *                  retired ones an index already knows of
+   *   chunkSize      Blocks per getLogs call (default LOG_CHUNK_SIZE)
+   *   pollIntervalMs Fallback poll while waiting for blocks
+   *   checkpoints    Also yield Checkpoint markers (see ⛓️ above)
+   * @returns {Promise<EventStream>}
+   */
+  static async create(options = {}) {
+    const events = options.events || Object.keys(EVENT_TYPES);
+    for (const name of events) {
+      if (!EVENT_TYPES[name]) {
+        throw new Error(
+          `❌ Unknown event "${name}". Known: ${Object.keys(EVENT_TYPES).join(
+            ", "
+          )}`
+        );
+      }
+    }
+
+    const networkConfig = await getNetworkConfig();
+    const markets = await getMarkets({ refresh: true });
+
+    let router = null;
+    try {
+      router = await getContract("TRADING_ROUTER");
+    } catch {
+      // Router events are simply absent without one
+    }
+    const followed = options.markets
+      ? markets.filter((market) =>
+          options.markets.some(
+            (wanted) =>
+              wanted.toLowerCase() === market.marketId.toLowerCase() ||
+              wanted.toUpperCase() === market.symbol.toUpperCase()
+          )
+        )
+      : markets;
+
+    // The factory keeps a migrated market's original book; its history is
+    // still that market's
+    const orderBooks = new Map();
+    for (const market of followed) {
+      for (const address of [market.factoryOrderBook, market.orderBook]) {
+        if (address) orderBooks.set(address.toLowerCase(), market.symbol);
+      }
+    }
+    for (const [address, symbol] of Object.entries(options.orderBooks || {})) {
+      if (!orderBooks.has(address.toLowerCase())) {
+        orderBooks.set(address.toLowerCase(), symbol ?? null);
+      }
+    }
+
+    return new EventStream({
+      events,
+      fromBlock: options.fromBlock ?? 0,
+      toBlock: options.toBlock,
+      confirmations: Math.max(
+        1,
+        options.confirmations ?? networkConfig.blockConfirmations ?? 1
+      ),
+      chunkSize: options.chunkSize || LOG_CHUNK_SIZE,
+      pollIntervalMs: options.pollIntervalMs || DEFAULT_POLL_INTERVAL_MS,
+      vault: await getContract("CENTRALIZED_VAULT"),
+      router,
+      factory: await getContract("FUTURES_MARKET_FACTORY"),
+      checkpoints: Boolean(options.checkpoints),
+      orderBooks,
+      followNewMarkets: !options.markets,
+      marketIds: new Set(
+        followed.map((market) => market.marketId.toLowerCase())
+      ),
+      symbols: new Map(
+        markets.map((market) => [market.marketId.toLowerCase(), market.symbol])
+      ),
+    });
+  }
+
+  /**
+   * Stop the stream; a pending iteration ends
+   */
+  close() {
+    this.closed = true;
+    if (this.wake) {
+      this.wake();
+    }
+  }
+
+  /**
+   * Addresses to query: the followed OrderBooks, the vault, the router and
+   * the factory (the vault and the factory always, to notice new books)
+   */
+  addresses() {
+    const addresses = [...this.orderBooks.keys()];
+    addresses.push(this.vault.target.toLowerCase());
+    if (this.router) addresses.push(this.router.target.toLowerCase());
+    addresses.push(this.factory.target.toLowerCase());
+    return addresses;
+  }
+
+  sourceOf(address) {
+    const key = address.toLowerCase();
+    if (this.orderBooks.has(key)) return "orderBook";
+    if (key === this.vault.target.toLowerCase()) return "vault";
+    if (this.router && key === this.router.target.toLowerCase()) {
+      return "router";
+    }
+    if (key === this.factory.target.toLowerCase()) return "factory";
+    return null;
+  }
+
+  /**
+   * Market of an OrderBook the vault registered, or null when it has none
+   */
+  async marketOfOrderBook(address) {
+    try {
+      const orderBook = await ethers.getContractAt("OrderBook", address);
+      return await orderBook.marketId();
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Pick up an OrderBook from a DISCOVERY_EVENTS log: a market the factory
+   * created, or a book the vault registered or assigned (a migration)
+   * @returns {Promise<boolean>} Whether a new OrderBook is now followed
+   */
+  async trackOrderBook(log, name) {
+    const { args } = getInterface(
+      SOURCE_ARTIFACTS[DISCOVERY_EVENTS[name]]
+    ).parseLog(log);
+    if (name === "FuturesMarketCreated") {
+      this.symbols.set(args.marketId.toLowerCase(), args.marketSymbol);
+    }
+    const marketId =
+      name === "OrderBookRegistered"
+        ? await this.marketOfOrderBook(args.orderBook)
+        : args.marketId;
+    const symbol = marketId
+      ? this.symbols.get(marketId.toLowerCase()) ?? null
+      : null;
+
+    const key = args.orderBook.toLowerCase();
+    if (this.orderBooks.has(key)) {
+      // The factory registers a new market's book before naming the market
+      if (this.orderBooks.get(key) === null && symbol) {
+        this.orderBooks.set(key, symbol);
+      }
+      return false;
+    }
+    const wanted =
+      this.followNewMarkets ||
+      (marketId !== null && this.marketIds.has(marketId.toLowerCase()));
+    if (!wanted) {
+      return false;
+    }
+    this.orderBooks.set(key, symbol);
+    return true;
+  }
+
+  /**
+   * Typed event from a raw log, or null when it isn't one we follow
+   */
+  decode(log) {
+    const name = this.topics.get(log.topics[0]);
+    const source = this.sourceOf(log.address);
+
+    if (!name || EVENT_TYPES[name].source !== source) {
+      return null;
+    }
+
+    const event = decodeEventLog(log, source);
+    const market =
+      source === "orderBook"
+        ? this.orderBooks.get(log.address.toLowerCase())
+        : this.symbols.get(String(event.marketId).toLowerCase());
+
+    return { name, market: market || null, ...event };
+  }
+
+  /**
+   * Compare remembered block hashes with the chain
+   * @returns {Promise<number|null>} First block that changed, or null
+   */
+  async findReorg() {
+    const lastProcessed = this.nextBlock - 1;
+    const known = this.blockHashes.get(lastProcessed);
+    if (!known) {
+      return null;
+    }
+    const block = await this.provider.getBlock(lastProcessed);
+    if (block && block.hash === known) {
+      return null;
+    }
+
+    // Walk back to the newest block that is still ours
+    const numbers = [...this.blockHashes.keys()].sort((a, b) => b - a);
+    for (const number of numbers) {
+      const current = await this.provider.getBlock(number);
+      if (current && current.hash === this.blockHashes.get(number)) {
+        return number + 1;
+      }
+    }
+    throw new Error(
+      `❌ Chain reorganised deeper than the last ${REORG_WINDOW} processed blocks - restart the stream from an earlier block`
+    );
+  }
+
+  rewind(fromBlock) {
+    for (const number of [...this.blockHashes.keys()]) {
+      if (number >= fromBlock) this.blockHashes.delete(number);
+    }
+    for (const [key, number] of [...this.seen]) {
+      if (number >= fromBlock) this.seen.delete(key);
+    }
+    this.nextBlock = fromBlock;
+  }
+
+  remember(blockNumber, hash) {
+    this.blockHashes.set(blockNumber, hash);
+    const oldest = blockNumber - REORG_WINDOW;
+    for (const number of this.blockHashes.keys()) {
+      if (number <= oldest) this.blockHashes.delete(number);
+    }
+    for (const [key, number] of this.seen) {
+      if (number <= oldest) this.seen.delete(key);
+    }
+  }
+
+  /**
+   * Resolve on the next block, the fallback poll or close()
+   */
+  async waitForBlock() {
+    let onBlock;
+    const signal = new Promise((resolve) => {
+      this.wake = resolve;
+      onBlock = () => resolve();
+    });
+    await this.provider.on("block", onBlock);
+    await Promise.race([signal, sleep(this.pollIntervalMs)]);
+    await this.provider.off("block", onBlock);
+    this.wake = null;
+  }
+
+  async *[Symbol.asyncIterator]() {
+    // Anchor reorg detection on the block before the first one read
+    if (this.blockHashes.size === 0 && this.nextBlock > 0) {
+      const anchor = await this.provider.getBlock(this.nextBlock - 1);
+      if (anchor) {
+        this.remember(anchor.number, anchor.hash);
+      }
+    }
+
+    while (!this.closed) {
+      const reorgFrom = await this.findReorg();
+      if (reorgFrom !== null) {
+        this.rewind(reorgFrom);
+        yield { name: "Reorg", fromBlock: reorgFrom };
+        continue;
+      }
+
+      const head = await this.provider.getBlockNumber();
+      let safeHead = head - (this.confirmations - 1);
+      if (this.toBlock !== undefined) {
+        if (this.nextBlock > this.toBlock) return;
+        safeHead = Math.min(safeHead, this.toBlock);
+      }
+
+      if (this.nextBlock > safeHead) {
+        await this.waitForBlock();
+        continue;
+      }
+
+      const fromBlock = this.nextBlock;
+      const toBlock = Math.min(fromBlock + this.chunkSize - 1, safeHead);
+      const [logs, lastBlock] = await Promise.all([
+        this.provider.getLogs({
+          address: this.addresses(),
+          // New books are always looked out for, to follow them
+          topics: [
+            [
+              ...new Set([
+                ...this.topics.keys(),
+                ...this.discoveryTopics.keys(),
+              ]),
+            ],
+          ],
+          fromBlock,
+          toBlock,
+        }),
+        this.provider.getBlock(toBlock),
+      ]);
+
+      logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+      let discoveredBlock = null;
+      for (const log of logs) {
+        // A new OrderBook's logs weren't part of this query - read again
+        // from the block that brought it in (what was emitted is skipped)
+        if (discoveredBlock !== null && log.blockNumber > discoveredBlock) {
+          break;
+        }
+
+        const key = `${log.transactionHash}:${log.index}`;
+        if (this.seen.has(key)) continue;
+        this.seen.set(key, log.blockNumber);
+
+        const discovery = this.discoveryTopics.get(log.topics[0]);
+        if (
+          discovery &&
+          this.sourceOf(log.address) === DISCOVERY_EVENTS[discovery] &&
+          (await this.trackOrderBook(log, discovery))
+        ) {
+          discoveredBlock = log.blockNumber;
+        }
+
+        const event = this.decode(log);
+        if (event) {
+          yield event;
+          if (this.closed) return;
+        }
+      }
+
+      if (discoveredBlock !== null) {
+        this.nextBlock = discoveredBlock;
+        continue;
+      }
+      this.remember(toBlock, lastBlock.hash);
+      this.nextBlock = toBlock + 1;
+      if (this.checkpoints) {
+        yield {
+          name: "Checkpoint",
+          blockNumber: toBlock,
+          blockHash: lastBlock.hash,
+        };
+        if (this.closed) return;
+      }
+    }
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  EventStream,
+  decodeEventLog,
+};
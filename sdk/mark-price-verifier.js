@@ -0,0 +1,425 @@
+// mark-price-verifier.js - calculateMarkPrice() recomputed at every block from history
+//
+// 🎯 PURPOSE:
+//   - test-vwap-mark-price.js, verify-vwap-implementation.js and
+//     verify-decentralized-markprice.js spot-check the mark price as it is
+//     now. This recomputes what OrderBook.calculateMarkPrice() must return
+//     at every block of a range and flags each block where the chain
+//     returned something else
+//   - The inputs come from history, not from the contract: trades from the
+//     event index (sdk/event-indexer.js), best bid/ask from the order book
+//     replay (sdk/book-replay.js), the VWAP settings from VWAPConfigUpdated
+//   - A flagged block carries the contract's own inputs at that block too,
+//     so it shows which one went a different way
+//   - A market moved by scripts/migrate-orderbook.js has had several books.
+//     Each block is checked on the one the vault assigned at that block
+//     (EventIndexer.orderBookAt), with that book's own replay, trades and
+//     VWAP settings - a new book starts from the contract defaults
+//
+// 📐 THE HIERARCHY (OrderBook.calculateMarkPrice):
+//   1. vwap        useVWAPForMarkPrice and calculateVWAP(vwapTimeWindow)
+//                  valid: Σ(price × amount) / Σ amount over the trades with
+//                  timestamp >= block.timestamp - vwapTimeWindow, among the
+//                  last MAX_TRADE_HISTORY, once Σ amount >= minVolumeForVWAP
+//   2. mid         both sides quoted: (bestBid + bestAsk) / 2
+//   3. last-trade  lastTradePrice (1 USDC before the first trade); with one
+//                  side quoted, held within 5% of it ("last-trade-bounded")
+//   4. one-sided   bestBid + 1% or bestAsk - 1% - only reachable with a
+//                  lastTradePrice of 0
+//   5. default     1 USDC
+//   Every division rounds down, as in Solidity. A VWAP step that would
+//   revert (zero volume against a zero minVolumeForVWAP) is expected as a
+//   revert
+//
+// 🔄 USAGE:
+//   const { MarkPriceVerifier } = require('../sdk/mark-price-verifier');
+//   const verifier = await MarkPriceVerifier.create({ indexer, market: "ALU-USD" });
+//   const report = await verifier.verify({ fromBlock: 100 });
+//   // => { checked, sources: { vwap: 12, mid: 80, ... }, mismatches: [...] }
+//
+const { ethers } = require("hardhat");
+const { queryInChunks } = require("../config/event-logs");
+const { BookReplay } = require("./book-replay");
+const { MAX_TRADE_HISTORY } = require("./candles");
+const { call, multicallAt } = require("./multicall");
+
+// OrderBook state before any trade or configureVWAP()
+const DEFAULT_LAST_TRADE_PRICE = 1000000n;
+const DEFAULT_MARK_PRICE = 1000000n;
+const DEFAULT_VWAP_CONFIG = {
+  timeWindow: 3600n,
+  minVolume: 100n * 10n ** 18n,
+  useVWAP: true,
+};
+
+const MAX_UINT256 = ethers.MaxUint256;
+
+// Blocks whose headers are fetched at once
+const BLOCK_BATCH = 25;
+
+/**
+ * calculateMarkPrice() from its inputs
+ * @param {object} inputs - { vwap: { price, volume, valid, reverts },
+ *   bestBid, bestAsk, lastTradePrice, config: { useVWAP } } bigints as on
+ *   chain (bestBid 0 / bestAsk MaxUint256 for an empty side)
+ * @returns {object} { price (bigint, null for a revert), source }
+ */
+function markPriceFrom(inputs) {
+  const { vwap, bestBid, bestAsk, lastTradePrice, config } = inputs;
+  const hasBid = bestBid > 0n;
+  const hasAsk = bestAsk < MAX_UINT256;
+
+  if (config.useVWAP) {
+    if (vwap.reverts) {
+      return { price: null, source: "revert" };
+    }
+    if (vwap.valid && vwap.price > 0n) {
+      return { price: vwap.price, source: "vwap" };
+    }
+  }
+  if (hasBid && hasAsk) {
+    return { price: (bestBid + bestAsk) / 2n, source: "mid" };
+  }
+  if (lastTradePrice > 0n) {
+    if (hasBid) {
+      const maxPrice = bestBid + bestBid / 20n;
+      return lastTradePrice > maxPrice
+        ? { price: maxPrice, source: "last-trade-bounded" }
+        : { price: lastTradePrice, source: "last-trade" };
+    }
+    if (hasAsk) {
+      const minPrice = bestAsk - bestAsk / 20n;
+      return lastTradePrice < minPrice
+        ? { price: minPrice, source: "last-trade-bounded" }
+        : { price: lastTradePrice, source: "last-trade" };
+    }
+    return { price: lastTradePrice, source: "last-trade" };
+  }
+  if (hasBid) {
+    return { price: bestBid + bestBid / 100n, source: "one-sided" };
+  }
+  if (hasAsk) {
+    return { price: bestAsk - bestAsk / 100n, source: "one-sided" };
+  }
+  return { price: DEFAULT_MARK_PRICE, source: "default" };
+}
+
+class MarkPriceVerifier {
+  /**
+   * Use MarkPriceVerifier.create()
+   * @param {EventIndexer} indexer
+   * @param {object} market - markets row { market_id, order_book, symbol,
+   *   created_block }
+   * @param {object[]} books - One per OrderBook the market has had, as
+   *   { orderBook (address), contract, replay (BookReplay of that book,
+   *   loaded through toBlock), configs (its VWAPConfigUpdated as
+   *   { blockNumber, config }, oldest first) }
+   * @param {number} toBlock - Last block the replays cover
+   */
+  constructor(indexer, market, books, toBlock) {
+    this.indexer = indexer;
+    this.db = indexer.db;
+    this.market = market;
+    this.books = books;
+    this.toBlock = toBlock;
+    this.statements = {
+      window: this.db.prepare(
+        `SELECT price, amount FROM trades
+         WHERE order_book = ? AND block_number <= ? AND timestamp >= ?
+         ORDER BY block_number DESC, log_index DESC LIMIT ${MAX_TRADE_HISTORY}`
+      ),
+      lastTrade: this.db.prepare(
+        `SELECT price FROM trades WHERE order_book = ? AND block_number <= ?
+         ORDER BY block_number DESC, log_index DESC LIMIT 1`
+      ),
+    };
+  }
+
+  /**
+   * @param {object} options
+   *   indexer  An open EventIndexer, caught up as far as it should go
+   *   market   Symbol or marketId of an indexed market
+   *   toBlock  Last block that can be verified (default: the index's last)
+   * @returns {Promise<MarkPriceVerifier>}
+   */
+  static async create(options = {}) {
+    const first = await BookReplay.create(options);
+    const { market, toBlock } = first;
+    const books = [];
+    for (const { orderBook } of first.orderBooks) {
+      const replay =
+        orderBook.toLowerCase() === first.orderBook.toLowerCase()
+          ? first
+          : await BookReplay.create({ ...options, orderBook });
+      const contract = await ethers.getContractAt("OrderBook", orderBook);
+      const configs = (
+        await queryInChunks(
+          contract,
+          contract.filters.VWAPConfigUpdated(),
+          market.created_block ?? 0,
+          toBlock
+        )
+      ).map((event) => ({
+        blockNumber: event.blockNumber,
+        config: {
+          timeWindow: event.args.timeWindow,
+          minVolume: event.args.minVolume,
+          useVWAP: event.args.useVWAP,
+        },
+      }));
+      books.push({ orderBook, contract, replay, configs });
+    }
+    return new MarkPriceVerifier(options.indexer, market, books, toBlock);
+  }
+
+  /**
+   * The book the vault assigned the market at a block
+   * @returns {object} One of this.books
+   */
+  bookAt(blockNumber) {
+    const orderBook = this.indexer.orderBookAt(
+      this.market.market_id,
+      blockNumber
+    );
+    const book = this.books.find(
+      (b) => b.orderBook.toLowerCase() === String(orderBook).toLowerCase()
+    );
+    if (!book) {
+      throw new Error(
+        `❌ ${this.market.symbol} is assigned ${orderBook} at block ${blockNumber}, which the verifier didn't load`
+      );
+    }
+    return book;
+  }
+
+  /**
+   * VWAP settings of a book in force at the end of a block
+   */
+  configAt(book, blockNumber) {
+    let config = DEFAULT_VWAP_CONFIG;
+    for (const update of book.configs) {
+      if (update.blockNumber > blockNumber) break;
+      config = update.config;
+    }
+    return config;
+  }
+
+  /**
+   * calculateVWAP(timeWindow) from the indexed trades
+   * @returns {object} { price, volume, tradeCount, valid, reverts }
+   */
+  vwapAt(book, blockNumber, timestamp, config) {
+    const vwap = { price: 0n, volume: 0n, tradeCount: 0, valid: false };
+    // block.timestamp - timeWindow underflows
+    if (BigInt(timestamp) < config.timeWindow) {
+      return { ...vwap, reverts: true };
+    }
+    const cutoff = BigInt(timestamp) - config.timeWindow;
+    let priceVolume = 0n;
+    for (const trade of this.statements.window.all(
+      book.orderBook,
+      blockNumber,
+      Number(cutoff)
+    )) {
+      priceVolume += BigInt(trade.price) * BigInt(trade.amount);
+      vwap.volume += BigInt(trade.amount);
+      vwap.tradeCount++;
+    }
+    if (vwap.volume >= config.minVolume) {
+      if (vwap.volume === 0n) {
+        return { ...vwap, reverts: true };
+      }
+      vwap.price = priceVolume / vwap.volume;
+      vwap.valid = true;
+    }
+    return { ...vwap, reverts: false };
+  }
+
+  /**
+   * What calculateMarkPrice() must return at the end of a block, on the
+   * book assigned then. The book replays move forward to that block, so
+   * call this in block order
+   * @returns {object} { orderBook, price, source, inputs }
+   */
+  expectedAt(blockNumber, timestamp) {
+    const book = this.bookAt(blockNumber);
+    book.replay.runTo(blockNumber);
+    const config = this.configAt(book, blockNumber);
+    const lastTrade = this.statements.lastTrade.get(
+      book.orderBook,
+      blockNumber
+    );
+    const inputs = {
+      ...book.replay.bestPrices(),
+      lastTradePrice: lastTrade
+        ? BigInt(lastTrade.price)
+        : DEFAULT_LAST_TRADE_PRICE,
+      config,
+      vwap: this.vwapAt(book, blockNumber, timestamp, config),
+    };
+    return { orderBook: book.orderBook, ...markPriceFrom(inputs), inputs };
+  }
+
+  /**
+   * A book's mark price and its inputs at a block
+   * @param {string} orderBook - Address, one of this.books
+   * @returns {Promise<object>} { price (null when it reverts), inputs }
+   */
+  async readOnChain(orderBook, blockNumber, vwapWindow) {
+    const { contract } = this.books.find(
+      (book) => book.orderBook.toLowerCase() === orderBook.toLowerCase()
+    );
+    const [bestBid, bestAsk, lastTradePrice, timeWindow, minVolume, useVWAP] =
+      await multicallAt(
+        [
+          "bestBid",
+          "bestAsk",
+          "lastTradePrice",
+          "vwapTimeWindow",
+          "minVolumeForVWAP",
+          "useVWAPForMarkPrice",
+        ].map((method) => call(contract, method)),
+        blockNumber
+      );
+    const attempt = (method, args = []) =>
+      multicallAt([call(contract, method, args)], blockNumber)
+        .then(([value]) => value)
+        .catch(() => null);
+    const [price, vwap] = await Promise.all([
+      attempt("calculateMarkPrice"),
+      attempt("calculateVWAP", [vwapWindow]),
+    ]);
+
+    return {
+      price,
+      inputs: {
+        bestBid,
+        bestAsk,
+        lastTradePrice,
+        config: { timeWindow, minVolume, useVWAP },
+        vwap:
+          vwap === null
+            ? { reverts: true }
+            : {
+                price: vwap.vwap,
+                volume: vwap.totalVolume,
+                tradeCount: Number(vwap.tradeCount),
+                valid: vwap.isValid,
+                reverts: false,
+              },
+      },
+    };
+  }
+
+  /**
+   * Check every block of a range
+   * @param {object} options
+   *   fromBlock  Default: the block the market was created in
+   *   toBlock    Default: the last block loaded
+   *   onBlock    ({ blockNumber, timestamp, expected, onChain, matches })
+   *              after each block
+   * @returns {Promise<object>} { fromBlock, toBlock, checked, sources:
+   *   { source: blocks }, orderBooks: { address: blocks }, mismatches:
+   *   [{ blockNumber, timestamp, orderBook, expected: { orderBook, price,
+   *   source, inputs }, onChain: { price, inputs }, differing:
+   *   [input names] }] }
+   */
+  async verify(options = {}) {
+    const onBlock = options.onBlock || (() => {});
+    const fromBlock = options.fromBlock ?? this.market.created_block ?? 0;
+    const toBlock = options.toBlock ?? this.toBlock;
+    if (toBlock > this.toBlock) {
+      throw new Error(
+        `❌ The verifier was loaded through block ${this.toBlock}, not ${toBlock}`
+      );
+    }
+    for (const { replay } of this.books) {
+      if (replay.position > 0) {
+        replay.reset();
+      }
+    }
+
+    const report = {
+      fromBlock,
+      toBlock,
+      checked: 0,
+      sources: {},
+      orderBooks: {},
+      mismatches: [],
+    };
+    for (let start = fromBlock; start <= toBlock; start += BLOCK_BATCH) {
+      const numbers = [];
+      for (
+        let n = start;
+        n <= Math.min(start + BLOCK_BATCH - 1, toBlock);
+        n++
+      ) {
+        numbers.push(n);
+      }
+      const blocks = await Promise.all(
+        numbers.map((n) => ethers.provider.getBlock(n))
+      );
+
+      for (const block of blocks) {
+        const expected = this.expectedAt(block.number, block.timestamp);
+        const onChain = await this.readOnChain(
+          expected.orderBook,
+          block.number,
+          expected.inputs.config.timeWindow
+        );
+        const matches = onChain.price === expected.price;
+
+        report.checked++;
+        report.sources[expected.source] =
+          (report.sources[expected.source] || 0) + 1;
+        report.orderBooks[expected.orderBook] =
+          (report.orderBooks[expected.orderBook] || 0) + 1;
+        if (!matches) {
+          report.mismatches.push({
+            blockNumber: block.number,
+            timestamp: block.timestamp,
+            orderBook: expected.orderBook,
+            expected,
+            onChain,
+            differing: differingInputs(expected.inputs, onChain.inputs),
+          });
+        }
+        await onBlock({
+          blockNumber: block.number,
+          timestamp: block.timestamp,
+          expected,
+          onChain,
+          matches,
+        });
+      }
+    }
+
+    return report;
+  }
+}
+
+/**
+ * Names of the inputs the contract saw differently
+ * @returns {string[]}
+ */
+function differingInputs(expected, onChain) {
+  const pairs = [
+    ["bestBid", expected.bestBid, onChain.bestBid],
+    ["bestAsk", expected.bestAsk, onChain.bestAsk],
+    ["lastTradePrice", expected.lastTradePrice, onChain.lastTradePrice],
+    ["vwapTimeWindow", expected.config.timeWindow, onChain.config.timeWindow],
+    ["minVolumeForVWAP", expected.config.minVolume, onChain.config.minVolume],
+    ["useVWAPForMarkPrice", expected.config.useVWAP, onChain.config.useVWAP],
+    ["vwap", expected.vwap.price, onChain.vwap.price],
+    ["vwapVolume", expected.vwap.volume, onChain.vwap.volume],
+  ];
+  return pairs
+    .filter(([, mine, theirs]) => mine !== theirs)
+    .map(([name]) => name);
+}
+
+module.exports = {
+  MarkPriceVerifier,
+  markPriceFrom,
+  DEFAULT_VWAP_CONFIG,
+};
@@ -0,0 +1,275 @@
+// multicall.js - Batch view calls into a single eth_call through Multicall3
+//
+// 🎯 PURPOSE:
+//   - Screens that read the book level by level or the account order by
+//     order make dozens of round trips per refresh. Any view calls on the
+//     OrderBook, vault, router or token can instead go to Multicall3's
+//     aggregate3 together and come back in one response
+//   - Every batch reads the same block, so a depth or portfolio snapshot is
+//     consistent even if a trade lands while it is being read
+//   - Results are decoded with the target contract's ABI, exactly as a
+//     direct call would return them; a failed call is decoded into a
+//     ContractError (sdk/errors.js)
+//
+// 📍 WHERE MULTICALL3 COMES FROM:
+//   The canonical deployment at 0xcA11bde05977b3631167028862bE2a173976CA11
+//   exists on Polygon and most public chains. On a local chain (31337 / 1337)
+//   scripts/deploy.js installs src/Multicall3.sol with installMulticall() -
+//   at the same address with hardhat_setCode, or deployed normally if the
+//   node doesn't support that (Ganache) - and records it as MULTICALL3 in
+//   the deployment manifest, where getMulticall() finds it. A Hardhat node
+//   deployed before that gets it through hardhat_setCode on first use.
+//
+// 🔄 USAGE:
+//   const { call, multicall, tryMulticall } = require('../sdk/multicall');
+//   const [balance, summary, bestBid] = await multicall([
+//     call(mockUSDC, "balanceOf", [trader]),
+//     call(vault, "getMarginSummary", [trader]),
+//     call(orderBook, "bestBid"),
+//   ]);
+//   const results = await tryMulticall(orderIds.map((id) => call(orderBook, "getOrder", [id])));
+//   // => [{ success: true, value: Result, error: null }, ...]
+//   const [markPrice] = await multicallAt([call(orderBook, "calculateMarkPrice")], 120);
+//
+const { ethers, network, artifacts } = require("hardhat");
+const { loadAddresses } = require("../config/contracts");
+const { decodeError, decodeRevertData, ContractError } = require("./errors");
+
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+// Calls per eth_call - keeps a large order list under the node's gas cap
+const MAX_BATCH_SIZE = 250;
+
+const LOCAL_CHAIN_IDS = [31337, 1337];
+
+// chainId -> Multicall3 contract
+const instances = new Map();
+
+/**
+ * Put Multicall3's code at the canonical address on a Hardhat node
+ * @returns {Promise<boolean>} false when the node has no hardhat_setCode
+ */
+async function setMulticallCode() {
+  try {
+    await network.provider.send("hardhat_setCode", [
+      MULTICALL3_ADDRESS,
+      artifacts.readArtifactSync("Multicall3").deployedBytecode,
+    ]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Put Multicall3 on a local chain: hardhat_setCode at the canonical address,
+ * or a regular deployment on a node without it. Meant for scripts/deploy.js,
+ * which records the address
+ * @returns {Promise<object>} { address, method: "setCode" | "deploy" }
+ */
+async function installMulticall() {
+  if (await setMulticallCode()) {
+    return { address: MULTICALL3_ADDRESS, method: "setCode" };
+  }
+  const factory = await ethers.getContractFactory("Multicall3");
+  const deployed = await factory.deploy();
+  await deployed.waitForDeployment();
+  return { address: await deployed.getAddress(), method: "deploy" };
+}
+
+/**
+ * Multicall3 on the connected chain: the canonical one, else the MULTICALL3
+ * the deployment manifest records
+ * @returns {Promise<Contract>}
+ * @throws {Error} When the chain has neither (a Hardhat node gets it
+ *   installed instead)
+ */
+async function getMulticall() {
+  const chainId = Number((await ethers.provider.getNetwork()).chainId);
+  if (instances.has(chainId)) {
+    return instances.get(chainId);
+  }
+
+  const hasCode = async (address) =>
+    Boolean(address) && (await ethers.provider.getCode(address)) !== "0x";
+  let address = MULTICALL3_ADDRESS;
+
+  if (!(await hasCode(address))) {
+    // No manifest yet is fine - there is nothing recorded to look up
+    const recorded = (await loadAddresses().catch(() => ({}))).MULTICALL3;
+    if (await hasCode(recorded)) {
+      address = recorded;
+    } else if (!LOCAL_CHAIN_IDS.includes(chainId)) {
+      throw new Error(
+        `❌ No Multicall3 at ${MULTICALL3_ADDRESS} on chainId ${chainId}. Deploy src/Multicall3.sol there first`
+      );
+    } else if (!(await setMulticallCode())) {
+      throw new Error(
+        `❌ No Multicall3 recorded for chainId ${chainId} - run scripts/deploy.js, which deploys it once and records it as MULTICALL3`
+      );
+    }
+  }
+
+  const multicall = new ethers.Contract(
+    address,
+    artifacts.readArtifactSync("Multicall3").abi,
+    ethers.provider
+  );
+  instances.set(chainId, multicall);
+  return multicall;
+}
+
+/**
+ * Describe one view call for multicall() / tryMulticall()
+ * @param {Contract} contract - Target contract (any runner)
+ * @param {string} method - Function name or signature
+ * @param {Array} args
+ * @returns {object} { contract, fragment, target, callData }
+ */
+function call(contract, method, args = []) {
+  const fragment = contract.interface.getFunction(method);
+  if (!fragment) {
+    throw new Error(`❌ ${method} is not a function of ${contract.target}`);
+  }
+  return {
+    contract,
+    fragment,
+    target: contract.target,
+    callData: contract.interface.encodeFunctionData(fragment, args),
+  };
+}
+
+/**
+ * Decode one aggregate3 result with the target's ABI
+ * @returns {object} { success, value, error }
+ */
+function decodeResult(request, { success, returnData }) {
+  if (!success) {
+    return {
+      success: false,
+      value: null,
+      error:
+        decodeRevertData(returnData) ||
+        new ContractError({
+          code: "REVERTED",
+          reason: `${request.fragment.name} reverted without a reason`,
+        }),
+    };
+  }
+  try {
+    const result = request.contract.interface.decodeFunctionResult(
+      request.fragment,
+      returnData
+    );
+    // Same shape as a direct call: one output is returned unwrapped
+    return {
+      success: true,
+      value: result.length === 1 ? result[0] : result,
+      error: null,
+    };
+  } catch (error) {
+    // e.g. "0x" back from an address with no code
+    return { success: false, value: null, error: decodeError(error) };
+  }
+}
+
+/**
+ * Run view calls and report each one's outcome, failed or not
+ * @param {object[]} calls - From call()
+ * @param {object} options - { blockTag } defaults to the latest block
+ * @returns {Promise<object[]>} [{ success, value, error }] in call order
+ */
+async function tryMulticall(calls, options = {}) {
+  if (calls.length === 0) {
+    return [];
+  }
+  const multicall = await getMulticall();
+
+  // Several batches must all read the same block
+  let { blockTag } = options;
+  if (blockTag === undefined && calls.length > MAX_BATCH_SIZE) {
+    blockTag = await ethers.provider.getBlockNumber();
+  }
+
+  const results = [];
+  for (let start = 0; start < calls.length; start += MAX_BATCH_SIZE) {
+    const batch = calls.slice(start, start + MAX_BATCH_SIZE);
+    let returned;
+    try {
+      returned = await multicall.aggregate3.staticCall(
+        batch.map(({ target, callData }) => ({
+          target,
+          allowFailure: true,
+          callData,
+        })),
+        { blockTag }
+      );
+    } catch (error) {
+      throw decodeError(error);
+    }
+    batch.forEach((request, i) =>
+      results.push(decodeResult(request, returned[i]))
+    );
+  }
+  return results;
+}
+
+/**
+ * Run view calls and return their values
+ * @param {object[]} calls - From call()
+ * @param {object} options - { blockTag }
+ * @returns {Promise<Array>} Decoded values in call order
+ * @throws {ContractError} The first failed call's error
+ */
+async function multicall(calls, options = {}) {
+  const results = await tryMulticall(calls, options);
+  const failed = results.find((result) => !result.success);
+  if (failed) {
+    throw failed.error;
+  }
+  return results.map((result) => result.value);
+}
+
+/**
+ * multicall() at a past block - one direct call per request for blocks from
+ * before Multicall3 was deployed (a node without state for the block, i.e.
+ * not an archive node, fails both ways)
+ * @param {object[]} calls - From call()
+ * @param {number} blockTag
+ * @returns {Promise<Array>} Decoded values in call order
+ */
+async function multicallAt(calls, blockTag) {
+  try {
+    return await multicall(calls, { blockTag });
+  } catch (error) {
+    const multicall3 = await getMulticall();
+    if ((await ethers.provider.getCode(multicall3.target, blockTag)) !== "0x") {
+      throw error;
+    }
+    return Promise.all(
+      calls.map(({ contract, fragment, callData }) =>
+        contract
+          .getFunction(fragment)
+          .staticCall(
+            ...contract.interface.decodeFunctionData(fragment, callData),
+            { blockTag }
+          )
+          .catch((callError) => {
+            throw decodeError(callError);
+          })
+      )
+    );
+  }
+}
+
+module.exports = {
+  MULTICALL3_ADDRESS,
+  MAX_BATCH_SIZE,
+  LOCAL_CHAIN_IDS,
+  installMulticall,
+  getMulticall,
+  call,
+  multicall,
+  multicallAt,
+  tryMulticall,
+};
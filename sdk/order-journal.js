@@ -0,0 +1,784 @@
+// order-journal.js - Client order ids and a local journal of their lifecycle
+//
+// 🎯 PURPOSE:
+//   - Bots name their own orders (clientOrderId) instead of waiting for the
+//     id nextOrderId hands out. modifyOrder cancels and re-places, so one
+//     client order can go through several on-chain ids; the journal follows
+//     them through OrderModified(oldOrderId, newOrderId)
+//   - Every step is recorded with its block, transaction and log index:
+//     placed, partially filled, filled, modified, cancelled, rejected
+//   - Kept in a JSON file. After a restart sync() replays the chain's events
+//     from the last block it processed (sdk/event-stream.js), so fills and
+//     cancels that happened while the bot was down are picked up
+//
+// 📐 HOW EVENTS MAP TO THE LIFECYCLE (one transaction at a time):
+//   OrderPlaced           the order's id. Limit orders report what rests
+//                         after the immediate match (0 = filled on entry);
+//                         market orders report the full amount and emit
+//                         nothing when nothing filled
+//   TradeExecuted         in the placing transaction: the immediate fills
+//                         (the taker is on every trade there)
+//   OrderPartiallyFilled  a resting order was partly taken
+//   MarginUnreserved      a resting margin order's reservation released
+//                         without a cancel or modify in the same transaction:
+//                         it filled completely - the book emits nothing for
+//                         the maker in that case
+//   OrderCancelled        cancelled
+//   OrderModified         the old id is gone; the client order continues as
+//                         newOrderId with the new price and amount
+//   The history is the source of truth - status, current id, filled and
+//   remaining are worked out from it, so a reorg only has to drop entries.
+//
+// 📁 FILE: deployments/<network>-order-journal.json. One process per file;
+//   give each bot its own path if several run at once.
+//
+// ⚠️  A transaction that was broadcast but never mined (node restarted,
+//   dropped from the mempool) leaves its order "submitted"; sync() lists it
+//   under `unresolved`.
+//
+// 🔄 USAGE:
+//   const { OrderJournal } = require('../sdk/order-journal');
+//   const journal = await OrderJournal.open();
+//   const client = await OrderBookClient.create({ market: "ALU-USD", signer, journal });
+//   await client.placeLimitOrder({ price: "2495", amount: "1", isBuy: true, clientOrderId: "grid-7" });
+//   await client.modifyOrder("grid-7", { price: "2490", amount: "1" });
+//   journal.get("grid-7");
+//   // => { status: "open", orderId: 43n, orderIds: [42n, 43n], filled: Amount(0), history: [...] }
+//   // after a restart:
+//   await journal.sync(); // => { fromBlock, toBlock, updated: ["grid-7"], unresolved: [] }
+//
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { getAddress, getNetworkConfig } = require("../config/contracts");
+const { Price, Amount } = require("./precision");
+const { EventStream, decodeEventLog } = require("./event-stream");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "../deployments");
+const JOURNAL_VERSION = 1;
+
+const JOURNAL_EVENTS = [
+  "OrderPlaced",
+  "OrderPartiallyFilled",
+  "OrderCancelled",
+  "OrderModified",
+  "TradeExecuted",
+  "MarginUnreserved",
+];
+
+// Statuses after which nothing more happens to an order
+const FINAL_STATUSES = ["filled", "cancelled", "rejected"];
+
+/**
+ * Get the journal path for a network
+ * @param {string} networkKey - Key from NETWORK_CONFIG
+ * @returns {string} Absolute path
+ */
+function getJournalPath(networkKey) {
+  return path.join(DEPLOYMENTS_DIR, `${networkKey}-order-journal.json`);
+}
+
+/**
+ * Work out an order's state from its history
+ * @param {object} order - Journal entry (units as strings)
+ * @returns {object} { status, orderId, orderIds, price, amount, filled,
+ *   remaining, cancelled } with bigint units
+ */
+function deriveState(order) {
+  const state = {
+    status: "submitted",
+    orderId: null,
+    orderIds: [],
+    price: BigInt(order.price),
+    amount: BigInt(order.amount),
+    filled: 0n,
+    remaining: 0n,
+    cancelled: 0n,
+  };
+
+  for (const entry of order.history) {
+    switch (entry.type) {
+      case "placed":
+      case "modified":
+        if (entry.orderId !== null) {
+          state.orderId = BigInt(entry.orderId);
+          state.orderIds.push(state.orderId);
+        }
+        if (entry.type === "modified") {
+          state.price = BigInt(entry.price);
+          state.amount = BigInt(entry.amount);
+        }
+        state.filled += BigInt(entry.filled);
+        state.remaining = BigInt(entry.remaining);
+        break;
+      case "partial":
+        state.filled += BigInt(entry.filled);
+        state.remaining = BigInt(entry.remaining);
+        break;
+      case "filled":
+        state.filled += BigInt(entry.filled);
+        state.remaining = 0n;
+        break;
+      case "cancelled":
+        state.cancelled += BigInt(entry.amount);
+        state.remaining = 0n;
+        break;
+    }
+
+    if (entry.type === "cancelled" || entry.type === "rejected") {
+      state.status = entry.type;
+    } else if (state.remaining > 0n) {
+      state.status = state.filled > 0n ? "partially-filled" : "open";
+    } else {
+      state.status = "filled";
+    }
+  }
+
+  return state;
+}
+
+// History entry with its ids as bigints and units as precision types
+function describeEntry(entry) {
+  const view = { ...entry };
+  for (const field of ["orderId", "fromOrderId"]) {
+    if (entry[field] != null) view[field] = BigInt(entry[field]);
+  }
+  for (const field of ["amount", "filled", "remaining"]) {
+    if (entry[field] != null) view[field] = Amount.fromUnits(entry[field]);
+  }
+  if (entry.price != null) view.price = Price.fromUnits(entry.price);
+  return view;
+}
+
+const sumAmounts = (events) =>
+  events.reduce((sum, event) => sum + event.amount.units, 0n);
+
+class OrderJournal {
+  /**
+   * Use OrderJournal.open()
+   * @param {string} filePath
+   * @param {object} data - File contents
+   * @param {string} vaultAddress - CentralizedVault, for MarginUnreserved
+   */
+  constructor(filePath, data, vaultAddress) {
+    this.filePath = filePath;
+    this.data = data;
+    this.vaultAddress = vaultAddress.toLowerCase();
+    // "orderBook:orderId" -> journal entry, for every id an order has had
+    this.index = new Map();
+    this.reindex();
+  }
+
+  /**
+   * Load the journal for the connected network (an empty one if there is
+   * no file yet)
+   * @param {object} options - { path } overrides the default file
+   * @returns {Promise<OrderJournal>}
+   */
+  static async open(options = {}) {
+    const networkConfig = await getNetworkConfig();
+    const filePath = options.path || getJournalPath(networkConfig.key);
+
+    let data = {
+      version: JOURNAL_VERSION,
+      network: networkConfig.key,
+      chainId: networkConfig.chainId,
+      lastBlock: null,
+      lastBlockHash: null,
+      orders: {},
+    };
+    if (fs.existsSync(filePath)) {
+      data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      if (data.chainId !== networkConfig.chainId) {
+        throw new Error(
+          `❌ ${filePath} is a journal for chainId ${data.chainId} - connected to ${networkConfig.name} (chainId ${networkConfig.chainId})`
+        );
+      }
+    }
+
+    return new OrderJournal(filePath, data, getAddress("CENTRALIZED_VAULT"));
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(
+      tempPath,
+      JSON.stringify(
+        { ...this.data, updatedAt: new Date().toISOString() },
+        null,
+        2
+      ) + "\n"
+    );
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  reindex() {
+    this.index.clear();
+    for (const order of Object.values(this.data.orders)) {
+      for (const orderId of deriveState(order).orderIds) {
+        this.index.set(`${order.orderBook.toLowerCase()}:${orderId}`, order);
+      }
+    }
+  }
+
+  /**
+   * A client order id that isn't in the journal yet
+   * @returns {string}
+   */
+  newClientOrderId() {
+    let id;
+    do {
+      id = `${Date.now().toString(36)}-${Math.random()
+        .toString(36)
+        .slice(2, 8)}`;
+    } while (this.data.orders[id]);
+    return id;
+  }
+
+  /**
+   * Record an order before it is sent
+   * @param {object} request - { clientOrderId, trader, orderBook, marketId,
+   *   type: "limit" or "market", isBuy, price, amount, slippageBps }
+   *   price and amount in on-chain units; clientOrderId is generated when
+   *   missing
+   * @returns {Promise<string>} The client order id
+   */
+  async register(request) {
+    const clientOrderId =
+      request.clientOrderId === undefined || request.clientOrderId === null
+        ? this.newClientOrderId()
+        : String(request.clientOrderId);
+    if (this.data.orders[clientOrderId]) {
+      throw new Error(
+        `❌ Client order id "${clientOrderId}" is already in the journal`
+      );
+    }
+
+    this.data.orders[clientOrderId] = {
+      clientOrderId,
+      trader: request.trader,
+      orderBook: request.orderBook,
+      marketId: request.marketId,
+      type: request.type,
+      isBuy: Boolean(request.isBuy),
+      price: String(request.price ?? 0n),
+      amount: String(request.amount),
+      slippageBps: request.slippageBps ?? null,
+      createdAt: new Date().toISOString(),
+      // Events are searched from here after a restart
+      sentAtBlock: await ethers.provider.getBlockNumber(),
+      txHash: null,
+      history: [],
+    };
+    this.save();
+    return clientOrderId;
+  }
+
+  /**
+   * Remember the placing transaction as soon as it is broadcast
+   */
+  submitted(clientOrderId, txHash) {
+    this.require(clientOrderId).txHash = txHash;
+    this.save();
+  }
+
+  /**
+   * The order never made it onto the book (estimate or send failed, or the
+   * transaction reverted)
+   * @param {string} clientOrderId
+   * @param {Error} error - ContractError when it came from the chain
+   */
+  rejected(clientOrderId, error) {
+    this.require(clientOrderId).history.push({
+      type: "rejected",
+      code: error.code || null,
+      reason: error.reason || error.message,
+      blockNumber: null,
+      txHash: error.txHash || null,
+      logIndex: null,
+    });
+    this.save();
+  }
+
+  require(clientOrderId) {
+    const order = this.data.orders[clientOrderId];
+    if (!order) {
+      throw new Error(`❌ No order "${clientOrderId}" in the journal`);
+    }
+    return order;
+  }
+
+  has(clientOrderId) {
+    return Boolean(this.data.orders[clientOrderId]);
+  }
+
+  /**
+   * The on-chain id a client order rests under now
+   * @param {string} clientOrderId
+   * @returns {bigint}
+   * @throws When the order isn't resting on the book
+   */
+  currentOrderId(clientOrderId) {
+    const state = deriveState(this.require(clientOrderId));
+    if (state.status !== "open" && state.status !== "partially-filled") {
+      throw new Error(
+        `❌ Order "${clientOrderId}" isn't on the book (${state.status})`
+      );
+    }
+    return state.orderId;
+  }
+
+  /**
+   * Client order behind an on-chain id
+   * @param {string} orderBook - OrderBook address
+   * @param {bigint|number|string} orderId - Current or earlier id
+   * @returns {string|null}
+   */
+  findClientOrderId(orderBook, orderId) {
+    const order = this.index.get(
+      `${orderBook.toLowerCase()}:${BigInt(orderId)}`
+    );
+    return order ? order.clientOrderId : null;
+  }
+
+  /**
+   * One order in precision types
+   * @param {string} clientOrderId
+   * @returns {object} { clientOrderId, trader, orderBook, marketId, type,
+   *   isBuy, status, orderId, orderIds, price, amount, filled, remaining,
+   *   cancelled, txHash, createdAt, history }
+   */
+  get(clientOrderId) {
+    const order = this.require(clientOrderId);
+    const state = deriveState(order);
+    return {
+      clientOrderId,
+      trader: order.trader,
+      orderBook: order.orderBook,
+      marketId: order.marketId,
+      type: order.type,
+      isBuy: order.isBuy,
+      status: state.status,
+      orderId: state.orderId,
+      orderIds: state.orderIds,
+      price: order.type === "market" ? null : Price.fromUnits(state.price),
+      amount: Amount.fromUnits(state.amount),
+      filled: Amount.fromUnits(state.filled),
+      remaining: Amount.fromUnits(state.remaining),
+      cancelled: Amount.fromUnits(state.cancelled),
+      txHash: order.txHash,
+      createdAt: order.createdAt,
+      history: order.history.map(describeEntry),
+    };
+  }
+
+  /**
+   * Orders in the journal, oldest first
+   * @param {object} filter - { trader, marketId, open } open: only orders
+   *   that are submitted or still on the book
+   * @returns {object[]} See get()
+   */
+  list(filter = {}) {
+    return Object.values(this.data.orders)
+      .filter(
+        (order) =>
+          (!filter.trader ||
+            order.trader.toLowerCase() === filter.trader.toLowerCase()) &&
+          (!filter.marketId ||
+            order.marketId.toLowerCase() === filter.marketId.toLowerCase())
+      )
+      .map((order) => this.get(order.clientOrderId))
+      .filter(
+        (order) => !filter.open || !FINAL_STATUSES.includes(order.status)
+      );
+  }
+
+  /**
+   * Apply the events of a mined transaction sent by this process
+   * @param {TransactionReceipt} receipt
+   * @returns {string[]} Client order ids that changed
+   */
+  applyReceipt(receipt) {
+    const orderBooks = new Set(
+      Object.values(this.data.orders).map((order) =>
+        order.orderBook.toLowerCase()
+      )
+    );
+    const events = receipt.logs
+      .map((log) => {
+        const address = log.address.toLowerCase();
+        if (address === this.vaultAddress) {
+          return decodeEventLog(log, "vault");
+        }
+        return orderBooks.has(address)
+          ? decodeEventLog(log, "orderBook")
+          : null;
+      })
+      .filter((event) => event && JOURNAL_EVENTS.includes(event.name));
+
+    const updated = this.applyTransaction(
+      receipt.hash,
+      receipt.blockNumber,
+      events
+    );
+    this.save();
+    return updated;
+  }
+
+  /**
+   * Apply one transaction's events (EventStream objects, in log order).
+   * A transaction already in an order's history is skipped for that order,
+   * so the same events can safely arrive twice (receipt, then sync)
+   * @param {string} txHash
+   * @param {number} blockNumber
+   * @param {object[]} events
+   * @returns {string[]} Client order ids that changed
+   */
+  applyTransaction(txHash, blockNumber, events) {
+    const applied = new Set(
+      Object.values(this.data.orders)
+        .filter((order) => order.history.some((e) => e.txHash === txHash))
+        .map((order) => order.clientOrderId)
+    );
+    const updated = new Set();
+    const record = (order, entry, event) => {
+      order.history.push({
+        ...entry,
+        blockNumber: event ? event.blockNumber : blockNumber,
+        txHash,
+        logIndex: event ? event.logIndex : null,
+      });
+      updated.add(order.clientOrderId);
+    };
+    const lookup = (address, orderId) => {
+      const order = this.index.get(`${address.toLowerCase()}:${orderId}`);
+      return order && !applied.has(order.clientOrderId) ? order : null;
+    };
+
+    const bookEvents = events.filter(
+      (event) => event.address.toLowerCase() !== this.vaultAddress
+    );
+    const ofBook = (address, name) =>
+      bookEvents.filter(
+        (event) =>
+          event.name === name &&
+          event.address.toLowerCase() === address.toLowerCase()
+      );
+
+    // Re-placed by modifyOrder: OrderPlaced(new) comes before the link
+    for (const event of bookEvents) {
+      if (event.name !== "OrderModified") continue;
+      const order = lookup(event.address, event.oldOrderId);
+      if (!order) continue;
+      const placed = ofBook(event.address, "OrderPlaced").find(
+        (placedEvent) => placedEvent.orderId === event.newOrderId
+      );
+      record(
+        order,
+        {
+          type: "modified",
+          fromOrderId: String(event.oldOrderId),
+          orderId: String(event.newOrderId),
+          price: String(event.price.units),
+          amount: String(event.amount.units),
+          filled: String(sumAmounts(ofBook(event.address, "TradeExecuted"))),
+          remaining: String(placed ? placed.amount.units : 0n),
+        },
+        event
+      );
+    }
+
+    // Sent by us in this transaction
+    for (const order of Object.values(this.data.orders)) {
+      if (order.txHash !== txHash || applied.has(order.clientOrderId)) {
+        continue;
+      }
+      const placed = ofBook(order.orderBook, "OrderPlaced").find(
+        (event) => event.trader === order.trader
+      );
+      const filled = sumAmounts(ofBook(order.orderBook, "TradeExecuted"));
+
+      if (order.type === "limit") {
+        if (!placed) continue;
+        record(
+          order,
+          {
+            type: "placed",
+            orderId: String(placed.orderId),
+            filled: String(filled),
+            remaining: String(placed.amount.units),
+          },
+          placed
+        );
+      } else {
+        // Market orders never rest; what didn't fill is cancelled
+        if (placed) {
+          record(
+            order,
+            {
+              type: "placed",
+              orderId: String(placed.orderId),
+              filled: String(filled),
+              remaining: "0",
+            },
+            placed
+          );
+        }
+        const unfilled = BigInt(order.amount) - filled;
+        if (unfilled > 0n) {
+          record(order, {
+            type: "cancelled",
+            orderId: placed ? String(placed.orderId) : null,
+            amount: String(unfilled),
+            reason: "not filled within the slippage limit",
+          });
+        }
+      }
+    }
+    this.reindex();
+
+    // Orders already resting
+    const closedHere = new Set();
+    for (const event of bookEvents) {
+      if (event.name === "OrderPartiallyFilled") {
+        const order = lookup(event.address, event.orderId);
+        if (!order) continue;
+        record(
+          order,
+          {
+            type: "partial",
+            orderId: String(event.orderId),
+            filled: String(event.filled.units),
+            remaining: String(event.remaining.units),
+          },
+          event
+        );
+      } else if (event.name === "OrderCancelled") {
+        const order = lookup(event.address, event.orderId);
+        if (!order) continue;
+        closedHere.add(order.clientOrderId);
+        record(
+          order,
+          {
+            type: "cancelled",
+            orderId: String(event.orderId),
+            amount: String(deriveState(order).remaining),
+          },
+          event
+        );
+      }
+    }
+
+    // A maker filled completely only shows as its margin being released.
+    // Vault events carry no market, so this needs the transaction to have
+    // touched exactly one OrderBook
+    const books = new Set(
+      bookEvents.map((event) => event.address.toLowerCase())
+    );
+    if (books.size === 1) {
+      const [book] = books;
+      for (const event of events) {
+        if (
+          event.name !== "MarginUnreserved" ||
+          event.address.toLowerCase() !== this.vaultAddress
+        ) {
+          continue;
+        }
+        const order = lookup(book, event.orderId);
+        if (
+          !order ||
+          order.trader !== event.user ||
+          closedHere.has(order.clientOrderId) ||
+          // Placed, re-placed or cancelled in this very transaction
+          order.history.some(
+            (entry) => entry.txHash === txHash && entry.type !== "partial"
+          )
+        ) {
+          continue;
+        }
+        const state = deriveState(order);
+        if (state.orderId !== event.orderId || state.remaining === 0n) {
+          continue;
+        }
+        record(
+          order,
+          {
+            type: "filled",
+            orderId: String(event.orderId),
+            filled: String(state.remaining),
+          },
+          event
+        );
+      }
+    }
+
+    return [...updated];
+  }
+
+  /**
+   * Drop everything recorded from a block on (chain reorganisation)
+   * @param {number} fromBlock
+   */
+  rollback(fromBlock) {
+    for (const order of Object.values(this.data.orders)) {
+      order.history = order.history.filter(
+        (entry) => entry.blockNumber === null || entry.blockNumber < fromBlock
+      );
+    }
+    if (this.data.lastBlock !== null && this.data.lastBlock >= fromBlock) {
+      this.data.lastBlock = fromBlock - 1;
+      this.data.lastBlockHash = null;
+    }
+    this.reindex();
+  }
+
+  /**
+   * Forget everything learned from the chain; only what this process knew
+   * on its own (the requests and their rejections) is kept
+   */
+  reset() {
+    for (const order of Object.values(this.data.orders)) {
+      order.history = order.history.filter(
+        (entry) => entry.type === "rejected"
+      );
+    }
+    this.data.lastBlock = null;
+    this.data.lastBlockHash = null;
+    this.reindex();
+  }
+
+  /**
+   * Bring the journal up to date with the chain: replay the events since
+   * the last block processed, then resolve transactions that left no event
+   * (a market order that filled nothing) from their receipts. A journal
+   * whose last block is no longer on the chain is rebuilt from scratch.
+   * @param {object} options - { rebuild, toBlock, confirmations }
+   * @returns {Promise<object>} { fromBlock, toBlock, rebuilt, updated,
+   *   unresolved } updated/unresolved: client order ids
+   */
+  async sync(options = {}) {
+    const networkConfig = await getNetworkConfig();
+    const confirmations = Math.max(
+      1,
+      options.confirmations ?? networkConfig.blockConfirmations ?? 1
+    );
+    const head = await ethers.provider.getBlockNumber();
+    const toBlock = Math.min(
+      options.toBlock ?? head,
+      head - (confirmations - 1)
+    );
+
+    let rebuilt = false;
+    if (options.rebuild || !(await this.isOnChain())) {
+      this.reset();
+      rebuilt = true;
+    }
+
+    const orders = Object.values(this.data.orders);
+    const following = orders.filter(
+      (order) => !FINAL_STATUSES.includes(deriveState(order).status)
+    );
+    const fromBlock =
+      this.data.lastBlock !== null
+        ? this.data.lastBlock + 1
+        : Math.min(...following.map((order) => order.sentAtBlock), toBlock + 1);
+
+    const updated = new Set();
+    if (following.length > 0 && fromBlock <= toBlock) {
+      const stream = await EventStream.create({
+        fromBlock,
+        toBlock,
+        events: JOURNAL_EVENTS,
+        markets: [...new Set(following.map((order) => order.marketId))],
+        confirmations,
+      });
+
+      let batch = [];
+      const flush = () => {
+        if (batch.length === 0) return;
+        const [first] = batch;
+        this.applyTransaction(
+          first.transactionHash,
+          first.blockNumber,
+          batch
+        ).forEach((id) => updated.add(id));
+        batch = [];
+      };
+      for await (const event of stream) {
+        if (
+          event.name === "Reorg" ||
+          (batch.length > 0 &&
+            event.transactionHash !== batch[0].transactionHash)
+        ) {
+          flush();
+        }
+        if (event.name === "Reorg") {
+          this.rollback(event.fromBlock);
+          continue;
+        }
+        batch.push(event);
+      }
+      flush();
+    }
+
+    // Mined transactions the events couldn't place
+    const unresolved = [];
+    for (const order of orders) {
+      if (deriveState(order).status !== "submitted") continue;
+      const receipt = order.txHash
+        ? await ethers.provider.getTransactionReceipt(order.txHash)
+        : null;
+      if (!receipt || receipt.blockNumber > toBlock) {
+        unresolved.push(order.clientOrderId);
+      } else if (receipt.status === 0) {
+        order.history.push({
+          type: "rejected",
+          code: "REVERTED",
+          reason: "transaction reverted",
+          blockNumber: receipt.blockNumber,
+          txHash: receipt.hash,
+          logIndex: null,
+        });
+        updated.add(order.clientOrderId);
+      } else {
+        this.applyReceipt(receipt).forEach((id) => updated.add(id));
+      }
+    }
+
+    if (toBlock >= 0) {
+      this.data.lastBlock = Math.max(this.data.lastBlock ?? -1, toBlock);
+      this.data.lastBlockHash = (
+        await ethers.provider.getBlock(this.data.lastBlock)
+      ).hash;
+    }
+    this.reindex();
+    this.save();
+
+    return {
+      fromBlock,
+      toBlock,
+      rebuilt,
+      updated: [...updated],
+      unresolved,
+    };
+  }
+
+  /**
+   * Whether the last block the journal processed is still on the chain
+   * @returns {Promise<boolean>}
+   */
+  async isOnChain() {
+    if (this.data.lastBlock === null) {
+      return true;
+    }
+    const block = await ethers.provider.getBlock(this.data.lastBlock);
+    return Boolean(block) && block.hash === this.data.lastBlockHash;
+  }
+}
+
+module.exports = {
+  OrderJournal,
+  JOURNAL_EVENTS,
+  getJournalPath,
+};
@@ -0,0 +1,621 @@
+// order-preflight.js - Predict what a margin order will do before it is sent
+//
+// 🎯 PURPOSE:
+//   - Show a trader, before they confirm, which levels a placeMarginLimitOrder
+//     or placeMarginMarketOrderWithSlippage would take, at what average
+//     price, what it costs in fees and margin, and what their position
+//     looks like afterwards
+//   - Walk the book the way the OrderBook does, off chain, from one
+//     consistent snapshot (getOrderBookDepth plus the account's vault state,
+//     batched through Multicall3 at a single block)
+//   - Then ask the chain itself: a staticCall of the real order at the same
+//     block says whether it would revert, and why (sdk/errors.js codes)
+//
+// 📐 RULES (OrderBook / CentralizedVault):
+//   Limit     margin(amount, limit price) is reserved up front - it must be
+//             positive and fit the available collateral
+//   Market    available collateral must cover margin(amount, worst price):
+//             best ask + slippage for a buy, best bid for a sell. Levels past
+//             the slippage bound don't fill and the rest is cancelled
+//   Buy limit filling below its price: the reservation drops to the margin
+//             at the execution price for what filled (summed per fill) plus
+//             the margin at the limit price for what is left
+//   Each fill locks margin(opening part, fill price), where the opening part
+//             is what doesn't close the OrderBook position, then nets into
+//             the vault position (sdk/position-netting.js) and pays
+//             floor(value x fee bps / 10000), which must not round to zero
+//   Filled in full: the reservation is released. Otherwise the remainder
+//             rests with its reservation
+//   margin(amount, price) = floor(amount x price / 1e18) x marginBps / 10000
+//
+// 🔄 USAGE:
+//   const { preflightOrder } = require('../sdk/order-preflight');
+//   const preview = await preflightOrder(client, { type: "limit", price: "2510", amount: "1", isBuy: true });
+//   // => { status: "filled", fills: [{ price: Price(2505), amount: Amount(1), fee, ... }],
+//   //      averagePrice, margin: { reserved, locked, released }, position, warnings,
+//   //      revert: null, staticCall: { ok: true, ... }, willRevert: false }
+//   Or through the client: client.previewLimitOrder({ price, amount, isBuy })
+//   and client.previewMarketOrder({ amount, isBuy, slippageBps })
+//
+// ⚠️ LIMITS:
+//   - The book is read per price level, not per order. The contract rounds
+//     margin, fees and netting per order, so with several orders on one level
+//     the prediction can differ from the receipt by a few wei
+//   - Only the trader's own side is simulated. A counterparty that can't
+//     cover its side shows up in the staticCall result rather than in the
+//     walk, and a level holding the trader's own resting order is flagged
+//     with a warning but walked as if someone else's
+//
+const { ethers } = require("hardhat");
+const { Price, Amount, Usdc } = require("./precision");
+const { decodeError, decodeRevertData } = require("./errors");
+const { call, multicall } = require("./multicall");
+const {
+  calculateNetting,
+  marginAfterNetting,
+  findPosition,
+  describeNetting,
+} = require("./position-netting");
+
+const AMOUNT_SCALE = 10n ** 18n;
+const BPS = 10000n;
+
+// placeMarginMarketOrderWithSlippage's ceiling
+const MAX_SLIPPAGE_BPS = 5000n;
+
+// Price levels read per side
+const DEPTH_LEVELS = 100;
+
+const abs = (value) => (value < 0n ? -value : value);
+
+/**
+ * The ContractError a revert string decodes to, so a predicted revert
+ * carries the same code and hint as a real one
+ * @param {string} reason - Revert string as the contract words it
+ * @returns {ContractError}
+ */
+function predictedRevert(reason) {
+  return decodeRevertData(
+    ethers.concat([
+      ethers.id("Error(string)").slice(0, 10),
+      ethers.AbiCoder.defaultAbiCoder().encode(["string"], [reason]),
+    ])
+  );
+}
+
+/**
+ * @param {bigint} code - Solidity panic code
+ * @returns {ContractError}
+ */
+function predictedPanic(code) {
+  return decodeRevertData(
+    ethers.concat([
+      ethers.id("Panic(uint256)").slice(0, 10),
+      ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [code]),
+    ])
+  );
+}
+
+/**
+ * Walk a margin order through a book snapshot
+ * @param {object} state - On-chain units (bigint):
+ *   { trader, bids, asks ([{ price, amount }] best first), depthLevels,
+ *     bestBid, bestAsk, marginRequirementBps, tradingFeeBps, leverageEnabled,
+ *     bookPosition (OrderBook.getUserPosition), position (vault position or
+ *     null), marketMargin (userMarginByMarket), collateral
+ *     (userCollateral), availableCollateral, ownOrders ([{ price, amount,
+ *     isBuy }] resting) }
+ * @param {object} order - { type: "limit" | "market", isBuy, amount, price
+ *   (limit), slippageBps (market) } on-chain units
+ * @returns {object} { fills, filled, remaining, cost, reserved,
+ *   restingReserve, locked, released, fees, realizedPnL, bookPosition,
+ *   position, closedUnits, availableAfter, limitPrice, warnings, revert }
+ *   fills: [{ price, amount, value, fee, marginLocked, marginReleased,
+ *   realizedPnL, result }] - all bigint, revert a ContractError or null
+ */
+function simulateOrder(state, order) {
+  const isBuy = Boolean(order.isBuy);
+  const isMarket = order.type === "market";
+  const amount = BigInt(order.amount);
+  const marginBps = BigInt(state.marginRequirementBps);
+  const feeBps = BigInt(state.tradingFeeBps);
+
+  const margin = (units, price) =>
+    (((units * price) / AMOUNT_SCALE) * marginBps) / BPS;
+
+  // getAvailableCollateral() = collateral - (margin used + reserved),
+  // floored at zero
+  let collateral = BigInt(state.collateral);
+  let committed = collateral - BigInt(state.availableCollateral);
+  const available = () =>
+    collateral > committed ? collateral - committed : 0n;
+
+  const sim = {
+    fills: [],
+    filled: 0n,
+    remaining: amount,
+    cost: 0n,
+    reserved: 0n,
+    restingReserve: 0n,
+    locked: 0n,
+    released: 0n,
+    fees: 0n,
+    realizedPnL: 0n,
+    bookPosition: BigInt(state.bookPosition),
+    position: state.position
+      ? { size: state.position.size, entryPrice: state.position.entryPrice }
+      : null,
+    closedUnits: 0n,
+    availableAfter: available(),
+    limitPrice: null,
+    warnings: [],
+    revert: null,
+  };
+  // A revert undoes everything, fills included
+  const fail = (error) => {
+    sim.revert = error;
+    sim.availableAfter = BigInt(state.availableCollateral);
+    return sim;
+  };
+
+  // Checked in the order the contract checks them: validOrder, then
+  // marginOrderAllowed, then the function body
+  if (!isMarket && BigInt(order.price) === 0n) {
+    return fail(predictedRevert("Price must be greater than 0"));
+  }
+  if (!isMarket && amount === 0n) {
+    return fail(predictedRevert("Amount must be greater than 0"));
+  }
+  if (!state.leverageEnabled && marginBps !== BPS) {
+    return fail(
+      predictedRevert(
+        "OrderBook: margin orders require leverage to be enabled or 1:1 margin"
+      )
+    );
+  }
+
+  // What the order will trade against and how far into the book it may go
+  let reservation = 0n;
+  if (isMarket) {
+    const slippageBps = BigInt(order.slippageBps);
+    if (slippageBps > MAX_SLIPPAGE_BPS) {
+      return fail(predictedRevert("OrderBook: slippage too high"));
+    }
+    if (amount === 0n) {
+      return fail(predictedRevert("Amount must be greater than 0"));
+    }
+    const referencePrice = BigInt(isBuy ? state.bestAsk : state.bestBid);
+    if (referencePrice === 0n) {
+      return fail(predictedRevert("OrderBook: no liquidity available"));
+    }
+    // An empty ask side reads as type(uint256).max - the slippage math
+    // overflows before anything else is checked
+    if (isBuy && referencePrice * (BPS + slippageBps) > ethers.MaxUint256) {
+      return fail(predictedPanic(0x11n));
+    }
+    const worstPrice = isBuy
+      ? (referencePrice * (BPS + slippageBps)) / BPS
+      : referencePrice;
+    if (available() < margin(amount, worstPrice)) {
+      return fail(
+        predictedRevert("OrderBook: insufficient collateral for market order")
+      );
+    }
+    sim.limitPrice = isBuy
+      ? (referencePrice * (BPS + slippageBps)) / BPS
+      : (referencePrice * (BPS - slippageBps)) / BPS;
+  } else {
+    sim.limitPrice = BigInt(order.price);
+    reservation = margin(amount, sim.limitPrice);
+    if (reservation === 0n) {
+      sim.warnings.push("The margin for this size rounds to zero");
+      return fail(predictedRevert("CentralizedVault: amount must be positive"));
+    }
+    if (reservation > available()) {
+      return fail(
+        predictedRevert(
+          `CentralizedVault: insufficient collateral to reserve margin. User: ${
+            state.trader
+          }, Requested: ${reservation}, Available: ${available()}`
+        )
+      );
+    }
+    sim.reserved = reservation;
+    committed += reservation;
+  }
+
+  const levels = isBuy ? state.asks : state.bids;
+  const crosses = (price) =>
+    isBuy ? price <= sim.limitPrice : price >= sim.limitPrice;
+
+  let marketMargin = BigInt(state.marketMargin);
+  let cumulativeMargin = 0n;
+  let levelsUsed = 0;
+  for (const level of levels) {
+    if (sim.remaining === 0n || !crosses(level.price)) {
+      break;
+    }
+    levelsUsed++;
+    const price = level.price;
+    if (
+      (state.ownOrders || []).some(
+        (own) => own.isBuy !== isBuy && own.price === price
+      )
+    ) {
+      sim.warnings.push(
+        `Your own ${isBuy ? "sell" : "buy"} order rests at ${Price.fromUnits(
+          price
+        )} - filling against it trades with yourself, which this preview doesn't net out`
+      );
+    }
+    const match = sim.remaining < level.amount ? sim.remaining : level.amount;
+
+    // A buy limit filling below its price gives back reservation
+    if (!isMarket && isBuy && price < sim.limitPrice) {
+      const executionMargin = margin(match, price);
+      let newReservation;
+      if (sim.remaining === match) {
+        newReservation = cumulativeMargin + executionMargin;
+      } else {
+        cumulativeMargin += executionMargin;
+        newReservation =
+          cumulativeMargin + margin(sim.remaining - match, sim.limitPrice);
+      }
+      committed -= reservation - newReservation;
+      reservation = newReservation;
+    }
+
+    // Margin for the part that opens or extends the position
+    const closable = isBuy
+      ? sim.bookPosition < 0n
+        ? -sim.bookPosition
+        : 0n
+      : sim.bookPosition > 0n
+      ? sim.bookPosition
+      : 0n;
+    const opening = match > closable ? match - closable : 0n;
+    const marginToLock = opening > 0n ? margin(opening, price) : 0n;
+    if (marginToLock > 0n && available() < marginToLock) {
+      return fail(
+        predictedRevert(
+          "CentralizedVault: insufficient collateral for position margin"
+        )
+      );
+    }
+
+    const sizeDelta = isBuy ? match : -match;
+    const result = calculateNetting(sim.position, sizeDelta, price);
+    // OrderBook fills go through vault.updatePositionWithMargin
+    const { released, remaining } = marginAfterNetting(
+      result,
+      marketMargin,
+      marginToLock
+    );
+    committed += marginToLock - released;
+    marketMargin = remaining;
+
+    const pnl = result.pnlIsProfit ? result.realizedPnL : -result.realizedPnL;
+    if (pnl < 0n && collateral < -pnl) {
+      return fail(
+        predictedRevert("CentralizedVault: insufficient collateral for loss")
+      );
+    }
+    collateral += pnl;
+
+    const value = (match * price) / AMOUNT_SCALE;
+    const fee = feeBps > 0n ? (value * feeBps) / BPS : 0n;
+    if (feeBps > 0n) {
+      if (fee === 0n) {
+        sim.warnings.push(
+          `The fee on ${Amount.fromUnits(match)} @ ${Price.fromUnits(
+            price
+          )} rounds to zero, which the vault rejects`
+        );
+        return fail(
+          predictedRevert("CentralizedVault: amount must be positive")
+        );
+      }
+      if (collateral < fee) {
+        return fail(
+          predictedRevert(
+            `CentralizedVault: insufficient collateral for fees. User: ${state.trader}, Required: ${fee}, Available: ${collateral}`
+          )
+        );
+      }
+      collateral -= fee;
+    }
+
+    sim.fills.push({
+      price,
+      amount: match,
+      value,
+      fee,
+      marginLocked: marginToLock,
+      marginReleased: released,
+      realizedPnL: pnl,
+      result,
+    });
+    sim.filled += match;
+    sim.remaining -= match;
+    sim.cost += match * price;
+    sim.locked += marginToLock;
+    sim.released += released;
+    sim.fees += fee;
+    sim.realizedPnL += pnl;
+    sim.closedUnits += result.closedUnits;
+    sim.bookPosition += sizeDelta;
+    sim.position = result.positionClosed
+      ? null
+      : { size: result.newSize, entryPrice: result.newEntryPrice };
+  }
+
+  if (!isMarket) {
+    if (sim.remaining === 0n) {
+      committed -= reservation;
+    } else {
+      sim.restingReserve = reservation;
+    }
+  }
+  sim.availableAfter = available();
+
+  // Ran off the end of what was read while the book goes on
+  if (
+    sim.remaining > 0n &&
+    levelsUsed === levels.length &&
+    levels.length >= state.depthLevels
+  ) {
+    sim.warnings.push(
+      `Only the best ${state.depthLevels} levels were read - the order may fill further than shown`
+    );
+  }
+  if (isMarket && sim.filled === 0n) {
+    sim.warnings.push(
+      "No level is within the slippage limit - the whole order is cancelled"
+    );
+  } else if (isMarket && sim.remaining > 0n) {
+    sim.warnings.push(
+      `${Amount.fromUnits(
+        sim.remaining
+      )} can't fill within the slippage limit and is cancelled`
+    );
+  }
+  return sim;
+}
+
+/**
+ * The whole order's effect on the position as one netting result
+ * @returns {object} PositionNettingResult
+ */
+function combinedResult(before, sim) {
+  const oldSize = before ? BigInt(before.size) : 0n;
+  const newSize = sim.position ? sim.position.size : 0n;
+  return {
+    positionExists: before !== null,
+    oldSize,
+    newSize,
+    newEntryPrice: sim.position ? sim.position.entryPrice : 0n,
+    realizedPnL: abs(sim.realizedPnL),
+    pnlIsProfit: sim.realizedPnL > 0n,
+    closedUnits: sim.closedUnits,
+    positionClosed: before !== null && sim.position === null,
+    positionFlipped:
+      before !== null && newSize !== 0n && oldSize > 0n !== newSize > 0n,
+  };
+}
+
+/**
+ * Read everything simulateOrder() needs in one batch at one block
+ * @param {OrderBookClient} client
+ * @param {string} trader
+ * @param {number} blockTag
+ * @returns {Promise<object>} state for simulateOrder()
+ */
+async function readState(client, trader, blockTag) {
+  const { orderBook, vault } = client;
+  const [
+    depth,
+    tradingParameters,
+    leverageInfo,
+    bestBid,
+    bestAsk,
+    bookPosition,
+    positions,
+    marketMargin,
+    collateral,
+    availableCollateral,
+    orderIds,
+  ] = await multicall(
+    [
+      call(orderBook, "getOrderBookDepth", [DEPTH_LEVELS]),
+      call(orderBook, "getTradingParameters"),
+      call(orderBook, "getLeverageInfo"),
+      call(orderBook, "bestBid"),
+      call(orderBook, "bestAsk"),
+      call(orderBook, "getUserPosition", [trader]),
+      call(vault, "getUserPositions", [trader]),
+      call(vault, "userMarginByMarket", [trader, client.marketId]),
+      call(vault, "userCollateral", [trader]),
+      call(vault, "getAvailableCollateral", [trader]),
+      call(orderBook, "getUserOrders", [trader]),
+    ],
+    { blockTag }
+  );
+  const ownOrders = await multicall(
+    [...orderIds].map((orderId) => call(orderBook, "getOrder", [orderId])),
+    { blockTag }
+  );
+
+  const [bidPrices, bidAmounts, askPrices, askAmounts] = depth;
+  const side = (prices, amounts) =>
+    [...prices].map((price, i) => ({ price, amount: amounts[i] }));
+  const position = findPosition([...positions], client.marketId);
+
+  return {
+    trader,
+    bids: side(bidPrices, bidAmounts),
+    asks: side(askPrices, askAmounts),
+    depthLevels: DEPTH_LEVELS,
+    bestBid,
+    bestAsk,
+    marginRequirementBps: tradingParameters.marginRequirement,
+    tradingFeeBps: tradingParameters.fee,
+    leverageEnabled: leverageInfo.enabled,
+    bookPosition,
+    position: position
+      ? { size: position.size, entryPrice: position.entryPrice }
+      : null,
+    marketMargin,
+    collateral,
+    availableCollateral,
+    // Filled and cancelled ids stay in the list with an emptied order
+    ownOrders: ownOrders
+      .filter((order) => order.amount > 0n)
+      .map(({ price, amount, isBuy }) => ({ price, amount, isBuy })),
+  };
+}
+
+/**
+ * Predict a margin order and check it with a staticCall at the same block
+ * @param {OrderBookClient} client - Its signer (or options.trader) is the
+ *   account the order is simulated for
+ * @param {object} order - { type: "limit" | "market", isBuy, amount,
+ *   price (limit), slippageBps (market, defaults to the book's
+ *   maxSlippageBps) } - human values or Price/Amount
+ * @param {object} options - { trader } to preview for an address without
+ *   a signer
+ * @returns {Promise<object>} { type, isBuy, blockNumber, status, requested,
+ *   filled, remaining, cancelled, averagePrice, limitPrice, fills, fees,
+ *   realizedPnL, margin: { reserved, resting, locked, released },
+ *   collateral: { before, after }, position, warnings, revert, staticCall:
+ *   { ok, filled, error }, willRevert, agrees }
+ *   status: "filled", "partially-filled", "resting" or "unfilled" as in
+ *   OrderBookClient.parseOrderReceipt(), or "reverts"; revert is the ContractError the
+ *   walk predicts, staticCall.error the one the chain returned
+ */
+async function preflightOrder(client, order, options = {}) {
+  const trader = options.trader || client.requireSigner().address;
+  const type = order.type === "market" ? "market" : "limit";
+  const isBuy = Boolean(order.isBuy);
+  const amount = Amount.from(order.amount).units;
+  const price = type === "limit" ? Price.from(order.price).units : null;
+  const slippageBps =
+    type === "market"
+      ? BigInt(
+          order.slippageBps === undefined
+            ? await client.orderBook.maxSlippageBps()
+            : order.slippageBps
+        )
+      : null;
+
+  const blockTag = await ethers.provider.getBlockNumber();
+  const state = await readState(client, trader, blockTag);
+  const sim = simulateOrder(state, {
+    type,
+    isBuy,
+    amount,
+    price,
+    slippageBps,
+  });
+
+  // The real thing, at the block the book was read at
+  const staticCall = { ok: false, filled: null, error: null };
+  try {
+    const overrides = { blockTag, from: trader };
+    if (type === "limit") {
+      await client.orderBook.placeMarginLimitOrder.staticCall(
+        price,
+        amount,
+        isBuy,
+        overrides
+      );
+    } else {
+      staticCall.filled = Amount.fromUnits(
+        await client.orderBook.placeMarginMarketOrderWithSlippage.staticCall(
+          amount,
+          isBuy,
+          slippageBps,
+          overrides
+        )
+      );
+    }
+    staticCall.ok = true;
+  } catch (error) {
+    staticCall.error = decodeError(error);
+  }
+
+  const willRevert = sim.revert !== null || !staticCall.ok;
+  // Same outcome both ways, and for a market order the same filled amount
+  let agrees = (sim.revert === null) === staticCall.ok;
+  if (agrees && staticCall.filled) {
+    agrees = staticCall.filled.units === sim.filled;
+  }
+  if (!agrees) {
+    sim.warnings.push(
+      staticCall.ok
+        ? "The staticCall disagrees with the book walk - trust the staticCall"
+        : "The book walk didn't predict this revert - a counterparty or a rule it doesn't model"
+    );
+  }
+
+  let status = "unfilled";
+  if (sim.revert !== null) {
+    status = "reverts";
+  } else if (type === "limit" && sim.remaining > 0n) {
+    status = sim.filled > 0n ? "partially-filled" : "resting";
+  } else if (sim.filled > 0n) {
+    status = "filled";
+  }
+
+  return {
+    type,
+    isBuy,
+    blockNumber: blockTag,
+    status,
+    requested: Amount.fromUnits(amount),
+    filled: Amount.fromUnits(sim.filled),
+    remaining: Amount.fromUnits(type === "limit" ? sim.remaining : 0n),
+    cancelled: Amount.fromUnits(type === "market" ? sim.remaining : 0n),
+    // Volume-weighted, truncated like the contract's integer math
+    averagePrice:
+      sim.filled > 0n ? Price.fromUnits(sim.cost / sim.filled) : null,
+    // The limit, or the slippage bound of a market order
+    limitPrice:
+      sim.limitPrice === null ? null : Price.fromUnits(sim.limitPrice),
+    fills: sim.fills.map((fill) => ({
+      price: Price.fromUnits(fill.price),
+      amount: Amount.fromUnits(fill.amount),
+      value: Usdc.fromUnits(fill.value),
+      fee: Usdc.fromUnits(fill.fee),
+      marginLocked: Usdc.fromUnits(fill.marginLocked),
+      marginReleased: Usdc.fromUnits(fill.marginReleased),
+      realizedPnL: Usdc.fromUnits(fill.realizedPnL),
+    })),
+    fees: Usdc.fromUnits(sim.fees),
+    realizedPnL: Usdc.fromUnits(sim.realizedPnL),
+    margin: {
+      reserved: Usdc.fromUnits(sim.reserved),
+      resting: Usdc.fromUnits(sim.restingReserve),
+      locked: Usdc.fromUnits(sim.locked),
+      released: Usdc.fromUnits(sim.released),
+    },
+    collateral: {
+      before: Usdc.fromUnits(state.availableCollateral),
+      after: Usdc.fromUnits(sim.availableAfter),
+    },
+    position:
+      sim.fills.length > 0
+        ? describeNetting(combinedResult(state.position, sim))
+        : null,
+    warnings: sim.warnings,
+    revert: sim.revert,
+    staticCall,
+    willRevert,
+    agrees,
+  };
+}
+
+module.exports = {
+  DEPTH_LEVELS,
+  simulateOrder,
+  preflightOrder,
+};
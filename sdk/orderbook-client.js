@@ -0,0 +1,630 @@
+// orderbook-client.js - OrderBook client that speaks human units
+//
+// 🎯 PURPOSE:
+//   - One place for placing, cancelling and reading orders instead of every
+//     script calling the contract and converting decimals on its own
+//   - Prices and amounts go in as human values ("2500.5", 1.25) or as
+//     Price/Amount from sdk/precision, and come back as Price/Amount/Usdc
+//   - Results are read from the receipt: the order id from OrderPlaced, the
+//     fills from TradeExecuted and the margin the vault still reserves
+//   - Reads that span many orders or levels are batched through Multicall3
+//     (sdk/multicall.js) into one eth_call each
+//   - Orders can be previewed before they are sent (sdk/order-preflight.js):
+//     the book walk plus a staticCall
+//   - With a journal (sdk/order-journal.js) orders take a clientOrderId that
+//     stays with them through modifyOrder, and their lifecycle is recorded
+//   - Failures are thrown as ContractError (sdk/errors.js) with a stable
+//     code, e.g. INSUFFICIENT_COLLATERAL or NO_LIQUIDITY
+//
+// 📏 UNITS (see sdk/precision.js):
+//   price   Price   USDC per unit, 6 decimals on chain
+//   amount  Amount  units of the market, 18 decimals on chain
+//   margin  Usdc    6 decimals on chain
+//
+// 🔄 USAGE:
+//   const { OrderBookClient } = require('../sdk/orderbook-client');
+//   const client = await OrderBookClient.create({ market: "ALU-USD", signer });
+//   const order = await client.placeLimitOrder({ price: "2495", amount: "1", isBuy: true });
+//   // => { orderId: 12n, status: "resting", remaining: Amount(1), marginReserved: Usdc(2495), fills: [] }
+//   const fill = await client.placeMarketOrder({ amount: "0.5", isBuy: false, slippageBps: 200 });
+//   const preview = await client.previewLimitOrder({ price: "2510", amount: "1", isBuy: true });
+//   await client.cancelOrder(order.orderId);
+//   // with create({ ..., journal }): placeLimitOrder({ ..., clientOrderId: "grid-7" }),
+//   // then modifyOrder("grid-7", { price: "2490" }) and cancelOrder("grid-7")
+//   const { bids, asks } = await client.getDepth(5);
+//   const book = await client.getDepthWithTraders(5); // + head trader per level
+//
+const { ethers } = require("hardhat");
+const { getContract, getAddress } = require("../config/contracts");
+const { getMarketOrderBook } = require("../config/markets");
+const { Price, Amount, Usdc } = require("./precision");
+const { TransactionManager } = require("./tx-manager");
+const { call, multicall, tryMulticall } = require("./multicall");
+const { preflightOrder } = require("./order-preflight");
+
+/**
+ * Read an order input as a positive value of a precision type
+ * @param {FixedPoint|string|number} value - e.g. "2500.5", 1.25 or a Price
+ * @param {Function} Type - Price or Amount
+ * @param {string} name - For the error message
+ * @returns {FixedPoint}
+ */
+function toPositive(value, Type, name) {
+  const parsed = Type.from(value);
+  if (!parsed.isPositive()) {
+    throw new Error(`❌ ${name} must be positive, got ${parsed}`);
+  }
+  return parsed;
+}
+
+class OrderBookClient {
+  /**
+   * @param {Contract} orderBook - OrderBook contract
+   * @param {Contract} vault - CentralizedVault contract
+   * @param {Signer} signer - Account that trades through this client
+   * @param {OrderJournal} journal - Records client orders (optional)
+   */
+  constructor(orderBook, vault, signer, journal) {
+    this.orderBook = signer ? orderBook.connect(signer) : orderBook;
+    this.vault = vault;
+    this.signer = signer || null;
+    this.journal = journal || null;
+    this.marketId = null;
+  }
+
+  /**
+   * Build a client for a market
+   * @param {object} options - { market, signer, journal }
+   *   market: symbol or marketId (from the factory catalog), an OrderBook
+   *   address, or a manifest key such as "ORDERBOOK" (the default)
+   *   journal: an OrderJournal - orders are then recorded in it
+   * @returns {Promise<OrderBookClient>}
+   */
+  static async create(options = {}) {
+    const { market = "ORDERBOOK", signer, journal } = options;
+
+    let orderBook;
+    if (ethers.isAddress(market)) {
+      orderBook = await ethers.getContractAt("OrderBook", market);
+    } else if (/^([A-Z0-9_]+_)?ORDERBOOK$/.test(market)) {
+      orderBook = await ethers.getContractAt("OrderBook", getAddress(market));
+    } else {
+      orderBook = await getMarketOrderBook(market);
+    }
+
+    const client = new OrderBookClient(
+      orderBook,
+      await getContract("CENTRALIZED_VAULT"),
+      signer,
+      journal
+    );
+    client.marketId = await orderBook.marketId();
+    return client;
+  }
+
+  /**
+   * Same market, different account
+   * @param {Signer} signer
+   * @returns {OrderBookClient}
+   */
+  connect(signer) {
+    const client = new OrderBookClient(
+      this.orderBook,
+      this.vault,
+      signer,
+      this.journal
+    );
+    client.marketId = this.marketId;
+    return client;
+  }
+
+  get address() {
+    return this.orderBook.target;
+  }
+
+  requireSigner() {
+    if (!this.signer) {
+      throw new Error(
+        "❌ This OrderBookClient has no signer - use create({ signer }) or connect(signer)"
+      );
+    }
+    return this.signer;
+  }
+
+  requireJournalFor(clientOrderId) {
+    if (clientOrderId !== undefined && !this.journal) {
+      throw new Error(
+        "❌ clientOrderId needs a journal - use create({ journal }) with an OrderJournal"
+      );
+    }
+  }
+
+  /**
+   * Send an OrderBook transaction and wait for it to be mined. Sends go
+   * through the signer's TransactionManager, so orders placed concurrently
+   * (Promise.all) are pipelined instead of fighting over nonces
+   * @param {string} method - OrderBook function
+   * @param {Array} args
+   * @returns {Promise<TransactionReceipt>}
+   * @throws {ContractError}
+   */
+  async send(method, ...args) {
+    const txs = TransactionManager.for(this.requireSigner());
+    return (await txs.execute(this.orderBook, method, args)).receipt;
+  }
+
+  /**
+   * send() for a new order. With a journal the order is recorded before it
+   * goes out and its hash as soon as it is broadcast, so a restart in
+   * between loses nothing the chain can't fill in (OrderJournal.sync())
+   * @param {object} request - Journal request (see OrderJournal.register())
+   * @param {string} method - OrderBook function
+   * @param {Array} args
+   * @returns {Promise<object>} { receipt, clientOrderId } clientOrderId is
+   *   null without a journal
+   * @throws {ContractError}
+   */
+  async sendOrder(request, method, args) {
+    const signer = this.requireSigner();
+    if (!this.journal) {
+      return { receipt: await this.send(method, ...args), clientOrderId: null };
+    }
+
+    const clientOrderId = await this.journal.register({
+      ...request,
+      trader: signer.address,
+      orderBook: this.address,
+      marketId: this.marketId,
+    });
+    const txs = TransactionManager.for(signer);
+
+    let sent;
+    try {
+      sent = await txs.send(this.orderBook, method, args);
+    } catch (error) {
+      // Never broadcast
+      this.journal.rejected(clientOrderId, error);
+      throw error;
+    }
+    this.journal.submitted(clientOrderId, sent.hash);
+
+    try {
+      const { receipt } = await sent.wait();
+      this.journal.applyReceipt(receipt);
+      return { receipt, clientOrderId };
+    } catch (error) {
+      // A revert is final; anything else may still be mined - sync() knows
+      const receipt = await ethers.provider.getTransactionReceipt(sent.hash);
+      if (receipt && receipt.status === 0) {
+        this.journal.rejected(clientOrderId, error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * On-chain id of an order given as an id or, with a journal, as its
+   * client order id (whichever id it rests under after modifications)
+   * @param {bigint|number|string} order
+   * @returns {bigint}
+   */
+  resolveOrderId(order) {
+    if (this.journal && typeof order === "string" && this.journal.has(order)) {
+      return this.journal.currentOrderId(order);
+    }
+    try {
+      return BigInt(order);
+    } catch {
+      throw new Error(
+        `❌ "${order}" is neither an order id nor a client order id in the journal`
+      );
+    }
+  }
+
+  /**
+   * Place a limit order
+   * @param {object} order - { price, amount, isBuy, margin = true,
+   *   clientOrderId } clientOrderId needs a journal; one is generated when
+   *   it is left out
+   * @returns {Promise<object>} Result - see parseOrderReceipt(), plus
+   *   clientOrderId
+   */
+  async placeLimitOrder({
+    price,
+    amount,
+    isBuy,
+    margin = true,
+    clientOrderId,
+  }) {
+    this.requireSigner();
+    const priceUnits = toPositive(price, Price, "price").units;
+    const amountUnits = toPositive(amount, Amount, "amount").units;
+    this.requireJournalFor(clientOrderId);
+
+    const sent = await this.sendOrder(
+      {
+        clientOrderId,
+        type: "limit",
+        isBuy,
+        price: priceUnits,
+        amount: amountUnits,
+      },
+      margin ? "placeMarginLimitOrder" : "placeLimitOrder",
+      [priceUnits, amountUnits, Boolean(isBuy)]
+    );
+
+    return {
+      ...(await this.parseOrderReceipt(sent.receipt, amountUnits)),
+      clientOrderId: sent.clientOrderId,
+    };
+  }
+
+  /**
+   * Place a market order; any part that can't fill within the slippage
+   * limit is cancelled
+   * @param {object} order - { amount, isBuy, slippageBps, margin = true,
+   *   clientOrderId } slippageBps defaults to the book's maxSlippageBps
+   * @returns {Promise<object>} Result - see parseOrderReceipt(), plus
+   *   clientOrderId
+   */
+  async placeMarketOrder({
+    amount,
+    isBuy,
+    slippageBps,
+    margin = true,
+    clientOrderId,
+  }) {
+    this.requireSigner();
+    const amountUnits = toPositive(amount, Amount, "amount").units;
+    const side = Boolean(isBuy);
+    this.requireJournalFor(clientOrderId);
+
+    const method = margin ? "placeMarginMarketOrder" : "placeMarketOrder";
+    const sent = await this.sendOrder(
+      {
+        clientOrderId,
+        type: "market",
+        isBuy: side,
+        amount: amountUnits,
+        slippageBps,
+      },
+      slippageBps === undefined ? method : `${method}WithSlippage`,
+      slippageBps === undefined
+        ? [amountUnits, side]
+        : [amountUnits, side, slippageBps]
+    );
+
+    const result = await this.parseOrderReceipt(sent.receipt, amountUnits);
+    // Market orders never rest - whatever didn't fill was cancelled
+    return {
+      ...result,
+      status: result.fills.length === 0 ? "unfilled" : result.status,
+      remaining: Amount.zero(),
+      cancelled: result.requested.sub(result.filled),
+      clientOrderId: sent.clientOrderId,
+    };
+  }
+
+  /**
+   * Change a resting order's price and amount. The book cancels it and
+   * places a new one under a new id; a client order id follows along
+   * @param {bigint|number|string} order - Order id or client order id
+   * @param {object} changes - { price, amount } either defaults to the
+   *   order's current value
+   * @returns {Promise<object>} Result for the new order - see
+   *   parseOrderReceipt(), plus previousOrderId and clientOrderId
+   */
+  async modifyOrder(order, { price, amount } = {}) {
+    this.requireSigner();
+    const orderId = this.resolveOrderId(order);
+    const current = await this.orderBook.getOrder(orderId);
+    const priceUnits =
+      price === undefined
+        ? current.price
+        : toPositive(price, Price, "price").units;
+    const amountUnits =
+      amount === undefined
+        ? current.amount
+        : toPositive(amount, Amount, "amount").units;
+
+    const receipt = await this.send(
+      "modifyOrder",
+      orderId,
+      priceUnits,
+      amountUnits
+    );
+    if (this.journal) {
+      this.journal.applyReceipt(receipt);
+    }
+
+    return {
+      ...(await this.parseOrderReceipt(receipt, amountUnits)),
+      previousOrderId: orderId,
+      clientOrderId: this.journal
+        ? this.journal.findClientOrderId(this.address, orderId)
+        : null,
+    };
+  }
+
+  /**
+   * What placeLimitOrder() would do, without sending it: the fills, fees,
+   * margin and resulting position, checked with a staticCall
+   * @param {object} order - { price, amount, isBuy }
+   * @returns {Promise<object>} See preflightOrder() in sdk/order-preflight.js
+   */
+  async previewLimitOrder({ price, amount, isBuy }) {
+    return preflightOrder(this, {
+      type: "limit",
+      price: toPositive(price, Price, "price"),
+      amount: toPositive(amount, Amount, "amount"),
+      isBuy,
+    });
+  }
+
+  /**
+   * What placeMarketOrder() would do, without sending it
+   * @param {object} order - { amount, isBuy, slippageBps } slippageBps
+   *   defaults to the book's maxSlippageBps
+   * @returns {Promise<object>} See preflightOrder() in sdk/order-preflight.js
+   */
+  async previewMarketOrder({ amount, isBuy, slippageBps }) {
+    return preflightOrder(this, {
+      type: "market",
+      amount: toPositive(amount, Amount, "amount"),
+      isBuy,
+      slippageBps,
+    });
+  }
+
+  /**
+   * Cancel an order
+   * @param {bigint|number|string} orderId - Or a client order id
+   * @returns {Promise<object>} { orderId, hash, gasUsed, marginReleased }
+   */
+  async cancelOrder(orderId) {
+    const signer = this.requireSigner();
+    const id = this.resolveOrderId(orderId);
+    const receipt = await this.send("cancelOrder", id);
+    if (this.journal) {
+      this.journal.applyReceipt(receipt);
+    }
+
+    const released = this.parseLogs(receipt, this.vault).find(
+      (event) =>
+        event.name === "MarginUnreserved" &&
+        event.args.user === signer.address &&
+        BigInt(event.args.orderId) === id
+    );
+
+    return {
+      orderId: id,
+      hash: receipt.hash,
+      gasUsed: receipt.gasUsed,
+      marginReleased: Usdc.fromUnits(released ? released.args.amount : 0n),
+    };
+  }
+
+  /**
+   * Aggregated book depth
+   * @param {number} levels - Price levels per side
+   * @returns {Promise<object>} { bids: [{ price, amount }], asks: [...] }
+   *   best price first
+   */
+  async getDepth(levels = 10) {
+    const [bidPrices, bidAmounts, askPrices, askAmounts] =
+      await this.orderBook.getOrderBookDepth(levels);
+
+    const side = (prices, amounts) =>
+      prices.map((price, i) => ({
+        price: Price.fromUnits(price),
+        amount: Amount.fromUnits(amounts[i]),
+      }));
+
+    return {
+      bids: side(bidPrices, bidAmounts),
+      asks: side(askPrices, askAmounts),
+    };
+  }
+
+  /**
+   * Aggregated book depth with the trader at the head of each level (the
+   * order that fills first). Read in three batched calls, all at one block
+   * @param {number} levels - Price levels per side
+   * @returns {Promise<object>} { bids: [{ price, amount, trader, orderId }],
+   *   asks: [...] } best price first
+   */
+  async getDepthWithTraders(levels = 10) {
+    const blockTag = await ethers.provider.getBlockNumber();
+    const [[bidPrices, bidAmounts, askPrices, askAmounts]] = await multicall(
+      [call(this.orderBook, "getOrderBookDepth", [levels])],
+      { blockTag }
+    );
+
+    const sides = [
+      { prices: bidPrices, amounts: bidAmounts, mapping: "buyLevels" },
+      { prices: askPrices, amounts: askAmounts, mapping: "sellLevels" },
+    ].map((side) => ({
+      ...side,
+      prices: side.prices.filter((price) => price > 0n),
+    }));
+
+    const levelResults = await tryMulticall(
+      sides.flatMap((side) =>
+        side.prices.map((price) => call(this.orderBook, side.mapping, [price]))
+      ),
+      { blockTag }
+    );
+    const heads = levelResults.map(({ success, value }) =>
+      success && value.exists ? value.firstOrderId : 0n
+    );
+
+    const orderResults = await tryMulticall(
+      heads.map((orderId) => call(this.orderBook, "getOrder", [orderId])),
+      { blockTag }
+    );
+
+    let index = 0;
+    const [bids, asks] = sides.map((side) =>
+      side.prices.map((price, i) => {
+        const orderId = heads[index];
+        const order = orderResults[index++];
+        return {
+          price: Price.fromUnits(price),
+          amount: Amount.fromUnits(side.amounts[i]),
+          trader:
+            orderId > 0n && order.success
+              ? order.value.trader
+              : ethers.ZeroAddress,
+          orderId,
+        };
+      })
+    );
+
+    return { bids, asks };
+  }
+
+  /**
+   * Resting orders for a trader, read in two batched calls
+   * @param {string} trader - Defaults to the client's signer
+   * @returns {Promise<object[]>} [{ orderId, price, amount, filled, isBuy,
+   *   isMarginOrder, marginRequired, timestamp }] oldest first
+   */
+  async getUserOrders(trader) {
+    const account = trader || this.requireSigner().address;
+    const blockTag = await ethers.provider.getBlockNumber();
+    const [orderIds] = await multicall(
+      [call(this.orderBook, "getUserOrders", [account])],
+      { blockTag }
+    );
+
+    const results = await multicall(
+      [...orderIds].flatMap((orderId) => [
+        call(this.orderBook, "getOrder", [orderId]),
+        call(this.orderBook, "getFilledAmount", [orderId]),
+      ]),
+      { blockTag }
+    );
+
+    const orders = [];
+    for (let i = 0; i < results.length; i += 2) {
+      const order = results[i];
+      // Filled and cancelled ids stay in the list with an emptied order
+      if (order.trader === ethers.ZeroAddress || order.amount === 0n) {
+        continue;
+      }
+      orders.push({
+        orderId: order.orderId,
+        price: Price.fromUnits(order.price),
+        amount: Amount.fromUnits(order.amount),
+        filled: Amount.fromUnits(results[i + 1]),
+        isBuy: order.isBuy,
+        isMarginOrder: order.isMarginOrder,
+        marginRequired: Usdc.fromUnits(order.marginRequired),
+        timestamp: Number(order.timestamp),
+      });
+    }
+
+    return orders;
+  }
+
+  /**
+   * Decode a receipt's logs with one contract's interface
+   * @returns {LogDescription[]} Logs emitted by that contract
+   */
+  parseLogs(receipt, contract) {
+    const address = contract.target.toLowerCase();
+    return receipt.logs
+      .filter((log) => log.address.toLowerCase() === address)
+      .map((log) => {
+        try {
+          return contract.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Turn an order receipt into a result in precision types
+   * @param {TransactionReceipt} receipt
+   * @param {bigint} requested - Amount sent with the order (18 decimals)
+   * @returns {Promise<object>} { orderId, status, requested, filled,
+   *   remaining, averagePrice, fills, marginReserved, hash, gasUsed }
+   *   status: "resting", "partially-filled", "filled" or "unfilled"
+   */
+  async parseOrderReceipt(receipt, requested) {
+    const trader = this.requireSigner().address;
+    const bookEvents = this.parseLogs(receipt, this.orderBook);
+
+    const placed = bookEvents.find(
+      (event) => event.name === "OrderPlaced" && event.args.trader === trader
+    );
+    const orderId = placed ? placed.args.orderId : null;
+
+    const fills = bookEvents
+      .filter(
+        (event) =>
+          event.name === "TradeExecuted" &&
+          (event.args.buyer === trader || event.args.seller === trader)
+      )
+      .map((event) => ({
+        tradeId: event.args.tradeId,
+        price: Price.fromUnits(event.args.price),
+        amount: Amount.fromUnits(event.args.amount),
+        value: Usdc.fromUnits(event.args.tradeValue),
+        counterparty:
+          event.args.buyer === trader ? event.args.seller : event.args.buyer,
+      }));
+
+    const filled = fills.reduce(
+      (sum, fill) => sum.add(fill.amount),
+      Amount.zero()
+    );
+    const value = fills.reduce((sum, fill) => sum.add(fill.value), Usdc.zero());
+
+    // What's left resting is in the book, not in the event (market orders
+    // report the requested amount there). Read at the receipt's block: with
+    // pipelined sends a later transaction may have touched the order already
+    const atReceipt = { blockTag: receipt.blockNumber };
+    const resting =
+      orderId !== null
+        ? (await this.orderBook.getOrder(orderId, atReceipt)).amount
+        : 0n;
+
+    let marginReserved = 0n;
+    if (orderId !== null && resting > 0n) {
+      const pending = await this.vault.getUserPendingOrders(trader, atReceipt);
+      const entry = pending.find(
+        (order) =>
+          BigInt(order.orderId) === orderId && order.marketId === this.marketId
+      );
+      marginReserved = entry ? entry.marginReserved : 0n;
+    }
+
+    let status = "unfilled";
+    if (resting > 0n) {
+      status = filled.isPositive() ? "partially-filled" : "resting";
+    } else if (filled.isPositive()) {
+      status = "filled";
+    }
+
+    return {
+      orderId,
+      status,
+      requested: Amount.fromUnits(requested),
+      filled,
+      remaining: Amount.fromUnits(resting),
+      // Volume-weighted fill price
+      averagePrice: filled.isPositive() ? value.per(filled) : null,
+      fills,
+      marginReserved: Usdc.fromUnits(marginReserved),
+      hash: receipt.hash,
+      gasUsed: receipt.gasUsed,
+    };
+  }
+}
+
+module.exports = {
+  OrderBookClient,
+};
@@ -0,0 +1,376 @@
+// portfolio.js - One consistent view of an account across every market
+//
+// 🎯 PURPOSE:
+//   - Combine what the vault and the router each know about an account into
+//     a single snapshot: equity, free collateral, margin used and reserved,
+//     and per market the position, its mark price, unrealized P&L and how
+//     much of the book it is
+//   - Everything is read in two Multicall3 rounds pinned to one block, so the
+//     numbers add up even while trades land
+//   - Reads only: any address works, no key needed
+//
+// 📐 WHAT THE NUMBERS MEAN:
+//   equity          collateral + unrealized P&L. Realized P&L and fees are
+//                   already settled into collateral
+//   freeCollateral  vault.getAvailableCollateral - what a new order can use
+//   markPrice       vault.getMarkPrice(marketId), the price the vault itself
+//                   values positions at (VWAP, mid or last trade)
+//   unrealizedPnL   (mark - entry) x size, as vault.getUnrealizedPnL works it
+//                   out; the total matches getMarginSummary().unrealizedPnL
+//   shareBps        the market's notional at mark over the account's total
+//                   notional; concentration is the largest share, the way
+//                   TradingRouter._calculatePortfolioConcentration measures it
+//
+// ⚠️  The vault's portfolioValue (and the router's getUserPortfolioValue,
+//   which passes it on) adds realized P&L to collateral that already
+//   contains it, and its unrealized P&L is 18-decimal against 6-decimal
+//   collateral. Both are kept under `reported` for comparison only.
+//
+// 🔄 USAGE:
+//   const { PortfolioService } = require('../sdk/portfolio');
+//   const portfolio = await PortfolioService.create();
+//   const snapshot = await portfolio.getSnapshot("0x70997970C51812dc3A010C7d01b50e0d17dc79C8");
+//   // => { equity: Usdc(9380.1), freeCollateral, marginUsed, marginReserved,
+//   //      unrealizedPnL, concentration: { bps: 10000n, symbol: "ALU-USD" },
+//   //      markets: [{ symbol, size: Amount(0.25), markPrice, unrealizedPnL, shareBps, ... }] }
+//   const snapshots = await portfolio.getSnapshots([addressA, addressB]); // same block
+//
+const { ethers } = require("hardhat");
+const { getContract } = require("../config/contracts");
+const { getMarkets } = require("../config/markets");
+const { Price, Amount, Usdc, ROUNDING } = require("./precision");
+const { call, multicall, tryMulticall } = require("./multicall");
+
+// vault.getUnrealizedPnL divides by TICK_PRECISION (1e6), leaving 18 decimals
+const TICK_PRECISION = 10n ** 6n;
+const AMOUNT_SCALE = 10n ** 18n;
+const BPS = 10000n;
+
+const PNL_18 = { decimals: 18, rounding: ROUNDING.HALF_UP };
+
+class PortfolioService {
+  /**
+   * @param {Contract} vault - CentralizedVault
+   * @param {Contract|null} router - TradingRouter, when deployed
+   * @param {Contract} collateralToken - MockUSDC, for wallet balances
+   * @param {object[]} markets - Factory catalog (config/markets.js)
+   */
+  constructor(vault, router, collateralToken, markets) {
+    this.vault = vault;
+    this.router = router;
+    this.collateralToken = collateralToken;
+    this.markets = new Map(
+      markets.map((market) => [market.marketId.toLowerCase(), market])
+    );
+  }
+
+  /**
+   * Build a service for the connected network
+   * @param {object} options - { refresh } re-reads the market catalog
+   * @returns {Promise<PortfolioService>}
+   */
+  static async create(options = {}) {
+    const [vault, collateralToken, markets] = await Promise.all([
+      getContract("CENTRALIZED_VAULT"),
+      getContract("MOCK_USDC"),
+      getMarkets({ refresh: options.refresh }),
+    ]);
+
+    let router = null;
+    try {
+      router = await getContract("TRADING_ROUTER");
+    } catch {
+      // Not every deployment has a router - the vault alone is enough
+    }
+
+    return new PortfolioService(vault, router, collateralToken, markets);
+  }
+
+  /**
+   * Snapshot of one account
+   * @param {string} address
+   * @param {object} options - { blockTag } defaults to the latest block
+   * @returns {Promise<object>} See getSnapshots()
+   */
+  async getSnapshot(address, options = {}) {
+    const [snapshot] = await this.getSnapshots([address], options);
+    return snapshot;
+  }
+
+  /**
+   * Snapshots of several accounts, all read at the same block
+   * @param {string[]} addresses
+   * @param {object} options - { blockTag }
+   * @returns {Promise<object[]>} [{ address, blockNumber, wallet,
+   *   collateral, equity, freeCollateral, marginUsed, marginReserved,
+   *   realizedPnL, unrealizedPnL, notional, openOrders, concentration:
+   *   { bps, marketId, symbol, router }, markets, reported, warnings }]
+   *   markets: [{ marketId, symbol, orderBook, size, isLong, entryPrice,
+   *   markPrice, notional, marginLocked, marginReserved, openOrders,
+   *   unrealizedPnL, shareBps, realizedPnLGross, openedAt,
+   *   router: { price, unrealizedPnL } or null }] largest notional first
+   */
+  async getSnapshots(addresses, options = {}) {
+    const accounts = addresses.map((address) => ethers.getAddress(address));
+    const blockTag =
+      options.blockTag === undefined
+        ? await ethers.provider.getBlockNumber()
+        : options.blockTag;
+    const { vault, router } = this;
+
+    // Round 1: everything keyed by account
+    const perAccount = [
+      (user) => call(this.collateralToken, "balanceOf", [user]),
+      (user) => call(vault, "getMarginSummary", [user]),
+      (user) => call(vault, "getUserPositions", [user]),
+      (user) => call(vault, "getUserPendingOrders", [user]),
+    ];
+    const accountReads = await multicall(
+      accounts.flatMap((user) => perAccount.map((read) => read(user))),
+      { blockTag }
+    );
+    // The router is optional and read separately so a failure there
+    // doesn't cost the vault's numbers
+    const routerReads = router
+      ? await tryMulticall(
+          accounts.flatMap((user) => [
+            call(router, "getUserPositionBreakdowns", [user]),
+            call(router, "getUserPortfolioValue", [user]),
+          ]),
+          { blockTag }
+        )
+      : [];
+
+    const raw = accounts.map((address, i) => {
+      const [balance, marginSummary, positions, pendingOrders] =
+        accountReads.slice(i * perAccount.length, (i + 1) * perAccount.length);
+      const [breakdowns, portfolioValue] = router
+        ? routerReads.slice(i * 2, i * 2 + 2)
+        : [null, null];
+      return {
+        address,
+        balance,
+        marginSummary,
+        positions: [...positions],
+        pendingOrders: [...pendingOrders],
+        breakdowns,
+        portfolioValue,
+      };
+    });
+
+    // Round 2: per market - mark prices once, enhanced positions per account
+    const marketIds = [
+      ...new Set(
+        raw.flatMap((account) => [
+          ...account.positions.map((position) => position.marketId),
+          ...account.pendingOrders.map((order) => order.marketId),
+        ])
+      ),
+    ];
+    const positionKeys = raw.flatMap((account) =>
+      account.positions.map((position) => [account.address, position.marketId])
+    );
+    const marketReads = await multicall(
+      [
+        ...marketIds.map((marketId) => call(vault, "getMarkPrice", [marketId])),
+        ...positionKeys.map((key) => call(vault, "getEnhancedPosition", key)),
+      ],
+      { blockTag }
+    );
+    const markPrices = new Map(
+      marketIds.map((marketId, i) => [marketId, marketReads[i]])
+    );
+    const enhanced = new Map(
+      positionKeys.map(([address, marketId], i) => [
+        `${address}:${marketId}`,
+        marketReads[marketIds.length + i],
+      ])
+    );
+
+    return raw.map((account) =>
+      this.buildSnapshot(account, { blockTag, markPrices, enhanced })
+    );
+  }
+
+  /**
+   * Turn one account's raw reads into a snapshot
+   * @returns {object} See getSnapshots()
+   */
+  buildSnapshot(account, { blockTag, markPrices, enhanced }) {
+    const { address, marginSummary } = account;
+    const warnings = [];
+
+    const reservedByMarket = new Map();
+    const ordersByMarket = new Map();
+    for (const order of account.pendingOrders) {
+      reservedByMarket.set(
+        order.marketId,
+        (reservedByMarket.get(order.marketId) || 0n) + order.marginReserved
+      );
+      ordersByMarket.set(
+        order.marketId,
+        (ordersByMarket.get(order.marketId) || 0) + 1
+      );
+    }
+
+    const breakdowns = new Map();
+    let routerConcentration = null;
+    if (account.breakdowns && account.breakdowns.success) {
+      const [list, summary] = account.breakdowns.value;
+      for (const breakdown of list) {
+        breakdowns.set(breakdown.marketId, breakdown);
+      }
+      routerConcentration = summary.portfolioConcentration;
+    } else if (account.breakdowns) {
+      warnings.push(
+        `TradingRouter.getUserPositionBreakdowns failed: ${account.breakdowns.error.reason}`
+      );
+    }
+
+    let unrealizedRaw = 0n;
+    let totalNotional = 0n;
+    const markets = account.positions.map((position) => {
+      const markPrice = markPrices.get(position.marketId);
+      const absSize = position.size < 0n ? -position.size : position.size;
+      // Same skip and truncation as vault.getUnrealizedPnL
+      const pnlRaw =
+        markPrice > 0n
+          ? ((markPrice - position.entryPrice) * position.size) / TICK_PRECISION
+          : 0n;
+      const notional = (absSize * markPrice) / AMOUNT_SCALE;
+      unrealizedRaw += pnlRaw;
+      totalNotional += notional;
+
+      const details = enhanced.get(`${address}:${position.marketId}`);
+      const breakdown = breakdowns.get(position.marketId);
+      return {
+        ...this.describeMarket(position.marketId),
+        size: Amount.fromUnits(position.size),
+        isLong: position.size > 0n,
+        entryPrice: Price.fromUnits(position.entryPrice),
+        markPrice: Price.fromUnits(markPrice),
+        notional: Usdc.fromUnits(notional),
+        notionalUnits: notional,
+        marginLocked: Usdc.fromUnits(position.marginLocked),
+        marginReserved: Usdc.fromUnits(
+          reservedByMarket.get(position.marketId) || 0n
+        ),
+        openOrders: ordersByMarket.get(position.marketId) || 0,
+        unrealizedPnL: Usdc.fromUnits(pnlRaw, PNL_18),
+        // The vault adds |P&L| of every partial close, profit or loss
+        realizedPnLGross: Usdc.fromUnits(details ? details.realizedPnL : 0n),
+        openedAt: Number(position.timestamp),
+        // The router prices at the book's mid (or last trade) instead
+        router: breakdown
+          ? {
+              price: Price.fromUnits(breakdown.currentPrice),
+              unrealizedPnL: Usdc.fromUnits(breakdown.unrealizedPnL),
+            }
+          : null,
+      };
+    });
+
+    // Markets with resting orders but no position yet
+    for (const [marketId, reserved] of reservedByMarket) {
+      if (!markets.some((market) => market.marketId === marketId)) {
+        markets.push({
+          ...this.describeMarket(marketId),
+          size: Amount.zero(),
+          isLong: false,
+          entryPrice: Price.zero(),
+          markPrice: Price.fromUnits(markPrices.get(marketId)),
+          notional: Usdc.zero(),
+          notionalUnits: 0n,
+          marginLocked: Usdc.zero(),
+          marginReserved: Usdc.fromUnits(reserved),
+          openOrders: ordersByMarket.get(marketId),
+          unrealizedPnL: Usdc.zero(),
+          realizedPnLGross: Usdc.zero(),
+          openedAt: null,
+          router: null,
+        });
+      }
+    }
+
+    for (const market of markets) {
+      market.shareBps =
+        totalNotional > 0n ? (market.notionalUnits * BPS) / totalNotional : 0n;
+      delete market.notionalUnits;
+    }
+    markets.sort((a, b) =>
+      a.shareBps === b.shareBps ? 0 : a.shareBps > b.shareBps ? -1 : 1
+    );
+
+    // Everything above should add up to what the vault reports
+    if (unrealizedRaw !== marginSummary.unrealizedPnL) {
+      warnings.push(
+        `Unrealized P&L per market doesn't add up to the vault's total (${Usdc.fromUnits(
+          unrealizedRaw,
+          PNL_18
+        )} vs ${Usdc.fromUnits(marginSummary.unrealizedPnL, PNL_18)})`
+      );
+    }
+    if (account.portfolioValue && account.portfolioValue.success) {
+      const exposures = [...account.portfolioValue.value.marketExposures];
+      const sizes = account.positions.map((position) => position.size);
+      if (exposures.some((size, i) => size !== sizes[i])) {
+        warnings.push(
+          "TradingRouter exposures don't match the vault positions"
+        );
+      }
+    }
+
+    const collateral = Usdc.fromUnits(marginSummary.totalCollateral);
+    const unrealizedPnL = Usdc.fromUnits(unrealizedRaw, PNL_18);
+    const largest = markets.find((market) => market.shareBps > 0n);
+
+    return {
+      address,
+      blockNumber: blockTag,
+      wallet: Usdc.fromUnits(account.balance),
+      collateral,
+      equity: collateral.add(unrealizedPnL),
+      freeCollateral: Usdc.fromUnits(marginSummary.availableCollateral),
+      marginUsed: Usdc.fromUnits(marginSummary.marginUsed),
+      marginReserved: Usdc.fromUnits(marginSummary.marginReserved),
+      realizedPnL: Usdc.fromUnits(marginSummary.realizedPnL),
+      unrealizedPnL,
+      notional: Usdc.fromUnits(totalNotional),
+      openOrders: account.pendingOrders.length,
+      concentration: {
+        bps: largest ? largest.shareBps : 0n,
+        marketId: largest ? largest.marketId : null,
+        symbol: largest ? largest.symbol : null,
+        router: routerConcentration,
+      },
+      markets,
+      // Raw, mixed-decimal values - see ⚠️ above
+      reported: {
+        vaultPortfolioValue: marginSummary.portfolioValue,
+        routerPortfolioValue:
+          account.portfolioValue && account.portfolioValue.success
+            ? account.portfolioValue.value.totalValue
+            : null,
+      },
+      warnings,
+    };
+  }
+
+  /**
+   * Catalog fields for a market
+   * @param {string} marketId
+   * @returns {object} { marketId, symbol, orderBook }
+   */
+  describeMarket(marketId) {
+    const market = this.markets.get(marketId.toLowerCase());
+    return {
+      marketId,
+      symbol: market ? market.symbol : `${marketId.slice(0, 10)}…`,
+      orderBook: market ? market.orderBook : null,
+    };
+  }
+}
+
+module.exports = {
+  PortfolioService,
+};
@@ -0,0 +1,323 @@
+// position-netting.js - CentralizedVault's position netting, off chain
+//
+// 🎯 PURPOSE:
+//   - Answer "what happens to my position if this fills" without an RPC:
+//     the new size, the new entry price, the P&L realized and whether the
+//     position closes or flips
+//   - Same integer math as the vault, step for step, so results match
+//     previewPositionNetting() to the wei (scripts/verify-position-netting.js
+//     checks that against a live vault)
+//
+// 📐 RULES (CentralizedVault._calculateDetailedPositionNetting):
+//   No position        new position at the fill price
+//   Same direction     entry = (|size| x entry + |delta| x price) / |new size|,
+//                      rounded to nearest (half up)
+//   Opposite, smaller  reduced, entry price unchanged
+//   Opposite, equal    closed, size and entry price 0
+//   Opposite, larger   flipped, the remainder opens at the fill price
+//   Whenever units are netted: realized P&L = (price - entry) x closed units
+//   x direction / 1e18, truncated toward zero, in 6-decimal USDC
+//
+// 📏 UNITS:
+//   The calculate* functions take and return on-chain integers (bigint):
+//   sizes 18 decimals (positive long, negative short), prices and P&L 6
+//   decimals. previewFill() and describeNetting() speak Price/Amount/Usdc.
+//
+// 🔄 USAGE:
+//   const { previewFill, calculateNetting } = require('../sdk/position-netting');
+//   const preview = previewFill(position, { amount: "2", isBuy: false, price: "2510" });
+//   // => { status: "flipped", newSize: Amount(-1), newEntryPrice: Price(2510), realizedPnL: Usdc(10), ... }
+//   const result = calculateNetting(position, -2n * 10n ** 18n, 2510000000n);
+//   // => same fields as the vault's PositionNettingResult, as bigints
+//
+const { Price, Amount, Usdc } = require("./precision");
+
+const AMOUNT_SCALE = 10n ** 18n;
+
+// getPositionNettingSummary() wording
+const NETTING_SUMMARIES = Object.freeze({
+  NEW: "New position will be created",
+  CLOSED: "Position will be fully closed",
+  FLIPPED: "Position will flip direction",
+  REDUCED: "Position will be partially reduced",
+});
+
+const abs = (value) => (value < 0n ? -value : value);
+
+/**
+ * A PositionNettingResult with every field at its zero value
+ * @returns {object}
+ */
+function emptyResult() {
+  return {
+    positionExists: false,
+    oldSize: 0n,
+    newSize: 0n,
+    newEntryPrice: 0n,
+    realizedPnL: 0n,
+    pnlIsProfit: false,
+    closedUnits: 0n,
+    positionClosed: false,
+    positionFlipped: false,
+  };
+}
+
+/**
+ * Same-direction increase (_calculateSameDirectionPosition)
+ * @param {object} position - { size, entryPrice } on-chain units
+ * @param {bigint} sizeDelta - Signed fill size, 18 decimals
+ * @param {bigint} price - Fill price, 6 decimals
+ * @returns {object} PositionNettingResult
+ * @throws {Error} When the new size is zero (the vault reverts too)
+ */
+function calculateSameDirectionPosition(position, sizeDelta, price) {
+  const result = emptyResult();
+  result.positionExists = true;
+  result.oldSize = position.size;
+  result.newSize = position.size + sizeDelta;
+
+  const newAbsSize = abs(result.newSize);
+  if (newAbsSize === 0n) {
+    throw new Error("❌ CentralizedVault: invalid position size after netting");
+  }
+
+  const totalVolume =
+    abs(position.size) * position.entryPrice + abs(sizeDelta) * price;
+  // Round to nearest
+  result.newEntryPrice = (totalVolume + newAbsSize / 2n) / newAbsSize;
+  return result;
+}
+
+/**
+ * Opposite-direction netting (_calculateOppositeDirectionNetting)
+ * @param {object} position - { size, entryPrice } on-chain units
+ * @param {bigint} sizeDelta - Signed fill size, 18 decimals
+ * @param {bigint} price - Fill price, 6 decimals
+ * @returns {object} PositionNettingResult
+ */
+function calculateOppositeDirectionNetting(position, sizeDelta, price) {
+  const result = emptyResult();
+  result.positionExists = true;
+  result.oldSize = position.size;
+
+  const existingAbsSize = abs(position.size);
+  const newOrderAbsSize = abs(sizeDelta);
+  const nettedUnits =
+    existingAbsSize < newOrderAbsSize ? existingAbsSize : newOrderAbsSize;
+  result.closedUnits = nettedUnits;
+
+  // 6-decimal price x 18-decimal units / 1e18 = 6-decimal USDC. BigInt
+  // division truncates toward zero, like int256 division
+  const direction = position.size > 0n ? 1n : -1n;
+  const realized =
+    ((price - position.entryPrice) * nettedUnits * direction) / AMOUNT_SCALE;
+  result.realizedPnL = abs(realized);
+  result.pnlIsProfit = realized > 0n;
+
+  if (existingAbsSize === newOrderAbsSize) {
+    result.newSize = 0n;
+    result.newEntryPrice = 0n;
+    result.positionClosed = true;
+  } else if (existingAbsSize > newOrderAbsSize) {
+    const remaining = existingAbsSize - newOrderAbsSize;
+    result.newSize = position.size > 0n ? remaining : -remaining;
+    result.newEntryPrice = position.entryPrice;
+  } else {
+    const residual = newOrderAbsSize - existingAbsSize;
+    result.newSize = sizeDelta > 0n ? residual : -residual;
+    result.newEntryPrice = price;
+    result.positionFlipped = true;
+  }
+  return result;
+}
+
+/**
+ * Net a fill into a position (_executePositionNetting)
+ * @param {object|null} position - { size, entryPrice } in on-chain units
+ *   (a vault Position works as is), or null when there is none
+ * @param {bigint} sizeDelta - Signed fill size, 18 decimals
+ * @param {bigint} price - Fill price, 6 decimals
+ * @returns {object} { positionExists, oldSize, newSize, newEntryPrice,
+ *   realizedPnL, pnlIsProfit, closedUnits, positionClosed, positionFlipped }
+ */
+function calculateNetting(position, sizeDelta, price) {
+  const delta = BigInt(sizeDelta);
+  const fillPrice = BigInt(price);
+
+  if (!position) {
+    return { ...emptyResult(), newSize: delta, newEntryPrice: fillPrice };
+  }
+
+  const existing = {
+    size: BigInt(position.size),
+    entryPrice: BigInt(position.entryPrice),
+  };
+  const isNetting =
+    (existing.size > 0n && delta < 0n) || (existing.size < 0n && delta > 0n);
+
+  return isNetting
+    ? calculateOppositeDirectionNetting(existing, delta, fillPrice)
+    : calculateSameDirectionPosition(existing, delta, fillPrice);
+}
+
+/**
+ * The sentence getPositionNettingSummary() returns for a result
+ * @param {object} result - From calculateNetting()
+ * @returns {string} One of NETTING_SUMMARIES
+ */
+function nettingSummary(result) {
+  if (!result.positionExists) {
+    return NETTING_SUMMARIES.NEW;
+  }
+  if (result.positionClosed) {
+    return NETTING_SUMMARIES.CLOSED;
+  }
+  if (result.positionFlipped) {
+    return NETTING_SUMMARIES.FLIPPED;
+  }
+  // The vault says "reduced" for same-direction increases as well
+  return NETTING_SUMMARIES.REDUCED;
+}
+
+/**
+ * Margin locked for a market after the vault applies a result. The vault
+ * has two entry points with different locking rules, both followed by the
+ * proportional release in _applyNettingResult:
+ *   updatePosition            raises the market's margin to
+ *                             max(|new size| x new entry price, current)
+ *                             while the position stays open
+ *   updatePositionWithMargin  adds the marginToLock the OrderBook passes
+ *                             (what OrderBook fills use). It is locked
+ *                             before netting, so a close releases it too
+ * @param {object} result - From calculateNetting()
+ * @param {bigint} marginLocked - Margin locked for the market before the fill
+ * @param {bigint} [marginToLock] - Given for updatePositionWithMargin;
+ *   omitted for updatePosition
+ * @returns {object} { locked, released, remaining } 6-decimal USDC
+ */
+function marginAfterNetting(result, marginLocked, marginToLock) {
+  let current = BigInt(marginLocked);
+  let locked = 0n;
+  if (marginToLock !== undefined) {
+    locked = BigInt(marginToLock);
+  } else if (!result.positionClosed && result.newSize !== 0n) {
+    const required =
+      (abs(result.newSize) * result.newEntryPrice) / AMOUNT_SCALE;
+    locked = required > current ? required - current : 0n;
+  }
+  current += locked;
+
+  let released = 0n;
+  if (result.positionExists && result.positionClosed) {
+    released = current;
+  } else if (result.positionExists && result.closedUnits > 0n) {
+    const oldAbsSize = abs(result.oldSize);
+    if (oldAbsSize > 0n) {
+      released = (current * result.closedUnits) / oldAbsSize;
+    }
+  }
+
+  return { locked, released, remaining: current - released };
+}
+
+/**
+ * Find a market's entry in a list of vault positions
+ * @param {object[]} positions - vault.getUserPositions(user)
+ * @param {string} marketId - bytes32
+ * @returns {object|null}
+ */
+function findPosition(positions, marketId) {
+  return (
+    positions.find(
+      (position) => position.marketId.toLowerCase() === marketId.toLowerCase()
+    ) || null
+  );
+}
+
+/**
+ * A netting result in precision types
+ * @param {object} result - From calculateNetting()
+ * @returns {object} { status, summary, oldSize, newSize, newEntryPrice,
+ *   realizedPnL (negative for a loss), closedUnits }
+ *   status: "new", "increased", "reduced", "closed" or "flipped"
+ */
+function describeNetting(result) {
+  let status = "reduced";
+  if (!result.positionExists) {
+    status = "new";
+  } else if (result.positionClosed) {
+    status = "closed";
+  } else if (result.positionFlipped) {
+    status = "flipped";
+  } else if (result.closedUnits === 0n) {
+    status = "increased";
+  }
+
+  return {
+    status,
+    summary: nettingSummary(result),
+    oldSize: Amount.fromUnits(result.oldSize),
+    newSize: Amount.fromUnits(result.newSize),
+    newEntryPrice: Price.fromUnits(result.newEntryPrice),
+    realizedPnL: Usdc.fromUnits(
+      result.pnlIsProfit ? result.realizedPnL : -result.realizedPnL
+    ),
+    closedUnits: Amount.fromUnits(result.closedUnits),
+  };
+}
+
+/**
+ * What a fill would do to a position, in human units
+ * @param {object|null} position - Vault position or null
+ * @param {object} fill - { amount, isBuy, price } as strings, numbers or
+ *   Amount/Price
+ * @returns {object} See describeNetting(), plus the raw result
+ */
+function previewFill(position, { amount, isBuy, price }) {
+  const size = Amount.from(amount).units;
+  const result = calculateNetting(
+    position,
+    isBuy ? size : -size,
+    Price.from(price).units
+  );
+  return { ...describeNetting(result), result };
+}
+
+/**
+ * Run fills through the netting one after another, as the vault would
+ * @param {object[]} fills - [{ sizeDelta, price }] on-chain units
+ * @param {object|null} position - Starting position, or null
+ * @returns {object} { position: { size, entryPrice } or null once closed,
+ *   results: PositionNettingResult per fill, realizedPnL: signed bigint total }
+ */
+function replayFills(fills, position = null) {
+  let current = position;
+  let realizedPnL = 0n;
+  const results = [];
+
+  for (const { sizeDelta, price } of fills) {
+    const result = calculateNetting(current, sizeDelta, price);
+    results.push(result);
+    realizedPnL += result.pnlIsProfit
+      ? result.realizedPnL
+      : -result.realizedPnL;
+    current = result.positionClosed
+      ? null
+      : { size: result.newSize, entryPrice: result.newEntryPrice };
+  }
+
+  return { position: current, results, realizedPnL };
+}
+
+module.exports = {
+  NETTING_SUMMARIES,
+  calculateNetting,
+  calculateSameDirectionPosition,
+  calculateOppositeDirectionNetting,
+  nettingSummary,
+  marginAfterNetting,
+  findPosition,
+  describeNetting,
+  previewFill,
+  replayFills,
+};
@@ -0,0 +1,523 @@
+// precision.js - Exact fixed-point values for prices, amounts and USDC
+//
+// 🎯 PURPOSE:
+//   - Values from the contracts are integers with a known number of
+//     decimals; keep them that way instead of guessing decimals or going
+//     through JavaScript floats
+//   - Price, Amount and Usdc are immutable and hold a bigint of on-chain
+//     units; arithmetic is exact and anything that drops digits takes an
+//     explicit rounding mode
+//   - Parsing never rounds silently: more decimals than the type holds is an
+//     error unless a rounding mode is given
+//
+// 📏 TYPES:
+//   Price   USDC per unit of the market   6 decimals
+//   Amount  units of the market           18 decimals
+//   Usdc    collateral, margin, fees, PnL 6 decimals
+//
+// ↕️ ROUNDING (for negative values DOWN/UP are toward/away from zero):
+//   DOWN       toward zero - what Solidity integer division does
+//   UP         away from zero
+//   FLOOR      toward -infinity
+//   CEIL       toward +infinity
+//   HALF_UP    nearest, ties away from zero - the default for display
+//   HALF_EVEN  nearest, ties to even
+//
+// 🔄 USAGE:
+//   const { Price, Amount, Usdc, ROUNDING } = require('../sdk/precision');
+//   const price = Price.parse("2500.5");
+//   const amount = Amount.fromUnits(position.size);        // bigint from chain
+//   const value = price.notional(amount);                 // Usdc, rounded DOWN like the OrderBook
+//   value.format(2);                                      // "1250.25"
+//   Usdc.fromUnits(unrealizedPnL, { decimals: 18, rounding: ROUNDING.HALF_UP });
+//   Price.parse("0.1234567", { rounding: ROUNDING.DOWN }).toString();  // "0.123456"
+//
+const ROUNDING = Object.freeze({
+  DOWN: "down",
+  UP: "up",
+  FLOOR: "floor",
+  CEIL: "ceil",
+  HALF_UP: "half-up",
+  HALF_EVEN: "half-even",
+});
+
+const ROUNDING_MODES = Object.values(ROUNDING);
+
+const AMOUNT_SCALE = 10n ** 18n;
+
+/**
+ * Divide two bigints with an explicit rounding mode
+ * @param {bigint} numerator
+ * @param {bigint} denominator - Non-zero
+ * @param {string} rounding - One of ROUNDING
+ * @returns {bigint}
+ */
+function divRound(numerator, denominator, rounding) {
+  if (!ROUNDING_MODES.includes(rounding)) {
+    throw new Error(
+      `❌ Unknown rounding mode "${rounding}". Use one of: ${ROUNDING_MODES.join(
+        ", "
+      )}`
+    );
+  }
+  if (denominator === 0n) {
+    throw new Error("❌ Division by zero");
+  }
+
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  if (remainder === 0n) {
+    return quotient;
+  }
+
+  // Sign of the exact result, and the step that moves away from zero
+  const negative = numerator < 0n !== denominator < 0n;
+  const away = negative ? quotient - 1n : quotient + 1n;
+  const absRemainder = remainder < 0n ? -remainder : remainder;
+  const absDenominator = denominator < 0n ? -denominator : denominator;
+  const twice = absRemainder * 2n;
+
+  switch (rounding) {
+    case ROUNDING.DOWN:
+      return quotient;
+    case ROUNDING.UP:
+      return away;
+    case ROUNDING.FLOOR:
+      return negative ? away : quotient;
+    case ROUNDING.CEIL:
+      return negative ? quotient : away;
+    case ROUNDING.HALF_UP:
+      return twice >= absDenominator ? away : quotient;
+    case ROUNDING.HALF_EVEN:
+      if (twice === absDenominator) {
+        return quotient % 2n === 0n ? quotient : away;
+      }
+      return twice > absDenominator ? away : quotient;
+  }
+}
+
+/**
+ * Rescale integer units from one number of decimals to another
+ * @param {bigint} units
+ * @param {number} from - Decimals of units
+ * @param {number} to - Decimals wanted
+ * @param {string} [rounding] - Required when digits are dropped
+ * @returns {bigint}
+ */
+function rescale(units, from, to, rounding) {
+  if (to >= from) {
+    return units * 10n ** BigInt(to - from);
+  }
+  const divisor = 10n ** BigInt(from - to);
+  if (units % divisor !== 0n && !rounding) {
+    throw new Error(
+      `❌ ${units} has more than ${to} decimals - pass a rounding mode to drop digits`
+    );
+  }
+  return divRound(units, divisor, rounding || ROUNDING.DOWN);
+}
+
+/**
+ * Parse a decimal string into integer units
+ * @param {string|number} value - e.g. "2500.5", "-0.25", 1.5 (not bigint)
+ * @param {number} decimals
+ * @param {string} [rounding] - Required when value has more decimals
+ * @param {string} name - Type name for error messages
+ * @returns {bigint}
+ */
+function parseDecimal(value, decimals, rounding, name) {
+  if (typeof value === "bigint") {
+    throw new Error(
+      `❌ ${name} from bigint ${value} is ambiguous - use ${name}.fromUnits() or a string`
+    );
+  }
+  if (typeof value === "number" && !Number.isFinite(value)) {
+    throw new Error(`❌ ${name} must be a finite number, got ${value}`);
+  }
+
+  const text = String(value).trim();
+  const match = /^([+-]?)(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (match[2] === "" && !match[3])) {
+    throw new Error(
+      `❌ ${name} must be a decimal number like "12.5", got "${value}"`
+    );
+  }
+
+  const [, sign, whole, fraction = ""] = match;
+  const digits = fraction.length;
+  const units = BigInt((whole || "0") + fraction);
+  const signed = sign === "-" ? -units : units;
+
+  try {
+    return rescale(signed, digits, decimals, rounding);
+  } catch (error) {
+    if (error.message.startsWith("❌ Unknown rounding")) {
+      throw error;
+    }
+    throw new Error(
+      `❌ ${name} "${value}" has more than ${decimals} decimal places - pass a rounding mode to round it`
+    );
+  }
+}
+
+/**
+ * Format integer units as an exact decimal string
+ * @param {bigint} units
+ * @param {number} decimals
+ * @returns {string} No trailing zeros, e.g. "2500.5", "-3", "0.000001"
+ */
+function formatDecimal(units, decimals) {
+  const negative = units < 0n;
+  const digits = (negative ? -units : units)
+    .toString()
+    .padStart(decimals + 1, "0");
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, "");
+  return `${negative ? "-" : ""}${whole}${fraction ? `.${fraction}` : ""}`;
+}
+
+class FixedPoint {
+  /**
+   * @param {bigint} units - Integer on-chain units
+   */
+  constructor(units) {
+    if (typeof units !== "bigint") {
+      throw new Error(
+        `❌ ${this.constructor.name} needs bigint units, got ${typeof units}`
+      );
+    }
+    this.units = units;
+    Object.freeze(this);
+  }
+
+  static get DECIMALS() {
+    throw new Error("❌ FixedPoint is abstract - use Price, Amount or Usdc");
+  }
+
+  /**
+   * Wrap on-chain units
+   * @param {bigint|number|string} units - Integer units (a uint/int from a contract)
+   * @param {object} [options] - { decimals, rounding }: the units have a
+   *   different number of decimals (e.g. a PnL with 18); rounding is
+   *   required when digits are dropped
+   */
+  static fromUnits(units, options = {}) {
+    const { decimals = this.DECIMALS, rounding } = options;
+    return new this(rescale(BigInt(units), decimals, this.DECIMALS, rounding));
+  }
+
+  /**
+   * Parse a human value
+   * @param {string|number} value - e.g. "2500.5"
+   * @param {object} [options] - { rounding } to accept extra decimals
+   */
+  static parse(value, options = {}) {
+    return new this(
+      parseDecimal(value, this.DECIMALS, options.rounding, this.name)
+    );
+  }
+
+  /**
+   * Accept an instance of this type or a human value
+   * @param {FixedPoint|string|number} value - bigint is refused: it is
+   *   ambiguous whether it holds units or a whole number
+   */
+  static from(value, options = {}) {
+    if (value instanceof this) {
+      return value;
+    }
+    if (value instanceof FixedPoint) {
+      throw new Error(
+        `❌ Expected ${this.name}, got ${value.constructor.name} ${value}`
+      );
+    }
+    return this.parse(value, options);
+  }
+
+  static zero() {
+    return new this(0n);
+  }
+
+  /**
+   * Largest of the given values
+   * @param {...FixedPoint} values
+   */
+  static max(...values) {
+    return values.reduce((best, value) => (value.gt(best) ? value : best));
+  }
+
+  /**
+   * Smallest of the given values
+   * @param {...FixedPoint} values
+   */
+  static min(...values) {
+    return values.reduce((best, value) => (value.lt(best) ? value : best));
+  }
+
+  get decimals() {
+    return this.constructor.DECIMALS;
+  }
+
+  assertSameType(other) {
+    if (!(other instanceof this.constructor)) {
+      throw new Error(
+        `❌ Cannot combine ${this.constructor.name} with ${
+          other instanceof FixedPoint ? other.constructor.name : typeof other
+        }`
+      );
+    }
+    return other;
+  }
+
+  add(other) {
+    return new this.constructor(this.units + this.assertSameType(other).units);
+  }
+
+  sub(other) {
+    return new this.constructor(this.units - this.assertSameType(other).units);
+  }
+
+  neg() {
+    return new this.constructor(-this.units);
+  }
+
+  abs() {
+    return this.units < 0n ? this.neg() : this;
+  }
+
+  /**
+   * Multiply by an integer
+   * @param {bigint|number} factor - Integer
+   */
+  mul(factor) {
+    return new this.constructor(this.units * BigInt(factor));
+  }
+
+  /**
+   * Divide by an integer
+   * @param {bigint|number} divisor - Integer
+   * @param {string} rounding - Required: division can drop digits
+   */
+  div(divisor, rounding) {
+    if (!rounding) {
+      throw new Error(`❌ ${this.constructor.name}.div needs a rounding mode`);
+    }
+    return new this.constructor(
+      divRound(this.units, BigInt(divisor), rounding)
+    );
+  }
+
+  /**
+   * Scale by a ratio of integers, e.g. basis points: value.mulDiv(slippageBps, 10000, ROUNDING.UP)
+   * @param {bigint|number} numerator
+   * @param {bigint|number} denominator
+   * @param {string} rounding
+   */
+  mulDiv(numerator, denominator, rounding) {
+    return new this.constructor(
+      divRound(this.units * BigInt(numerator), BigInt(denominator), rounding)
+    );
+  }
+
+  /**
+   * Round to fewer decimals, keeping the type
+   * @param {number} decimals
+   * @param {string} [rounding] - Default HALF_UP
+   */
+  round(decimals, rounding = ROUNDING.HALF_UP) {
+    if (decimals >= this.decimals) {
+      return this;
+    }
+    const step = 10n ** BigInt(this.decimals - decimals);
+    return new this.constructor(divRound(this.units, step, rounding) * step);
+  }
+
+  /**
+   * @returns {number} -1, 0 or 1
+   */
+  cmp(other) {
+    const { units } = this.assertSameType(other);
+    return this.units < units ? -1 : this.units > units ? 1 : 0;
+  }
+
+  eq(other) {
+    return this.cmp(other) === 0;
+  }
+
+  lt(other) {
+    return this.cmp(other) < 0;
+  }
+
+  lte(other) {
+    return this.cmp(other) <= 0;
+  }
+
+  gt(other) {
+    return this.cmp(other) > 0;
+  }
+
+  gte(other) {
+    return this.cmp(other) >= 0;
+  }
+
+  isZero() {
+    return this.units === 0n;
+  }
+
+  isNegative() {
+    return this.units < 0n;
+  }
+
+  isPositive() {
+    return this.units > 0n;
+  }
+
+  /**
+   * Exact value, no trailing zeros: "2500.5"
+   * @returns {string}
+   */
+  toString() {
+    return formatDecimal(this.units, this.decimals);
+  }
+
+  /**
+   * Fixed number of decimals for display: format(2) => "2500.50"
+   * @param {number} [displayDecimals] - Default: all of the type's decimals
+   * @param {object} [options] - { rounding = HALF_UP, sign: prefix "+" on
+   *   positive values, group: thousands separators }
+   * @returns {string}
+   */
+  format(displayDecimals = this.decimals, options = {}) {
+    const {
+      rounding = ROUNDING.HALF_UP,
+      sign = false,
+      group = false,
+    } = options;
+    const places = Math.min(displayDecimals, this.decimals);
+    const units = rescale(this.units, this.decimals, places, rounding);
+
+    let text = formatDecimal(units < 0n ? -units : units, places);
+    let [whole, fraction = ""] = text.split(".");
+    if (group) {
+      whole = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+    }
+    fraction = fraction.padEnd(displayDecimals, "0");
+    text = fraction ? `${whole}.${fraction}` : whole;
+
+    if (units < 0n) {
+      return `-${text}`;
+    }
+    return sign && units > 0n ? `+${text}` : text;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+
+  [Symbol.for("nodejs.util.inspect.custom")]() {
+    return `${this.constructor.name}(${this.toString()})`;
+  }
+}
+
+class Price extends FixedPoint {
+  static get DECIMALS() {
+    return 6;
+  }
+
+  /**
+   * Notional value of an amount at this price, like the OrderBook's
+   * tradeValue = amount * price / 1e18
+   * @param {Amount} amount
+   * @param {string} [rounding] - Default DOWN, which matches the contracts
+   * @returns {Usdc}
+   */
+  notional(amount, rounding = ROUNDING.DOWN) {
+    if (!(amount instanceof Amount)) {
+      throw new Error("❌ Price.notional needs an Amount");
+    }
+    return new Usdc(
+      divRound(this.units * amount.units, AMOUNT_SCALE, rounding)
+    );
+  }
+
+  /**
+   * Midpoint of two prices
+   * @param {Price} other
+   * @param {string} [rounding] - Default DOWN
+   * @returns {Price}
+   */
+  mid(other, rounding = ROUNDING.DOWN) {
+    return this.add(other).div(2n, rounding);
+  }
+}
+
+class Amount extends FixedPoint {
+  static get DECIMALS() {
+    return 18;
+  }
+
+  /**
+   * Notional value of this amount at a price
+   * @param {Price} price
+   * @param {string} [rounding] - Default DOWN
+   * @returns {Usdc}
+   */
+  notional(price, rounding = ROUNDING.DOWN) {
+    if (!(price instanceof Price)) {
+      throw new Error("❌ Amount.notional needs a Price");
+    }
+    return price.notional(this, rounding);
+  }
+}
+
+class Usdc extends FixedPoint {
+  static get DECIMALS() {
+    return 6;
+  }
+
+  /**
+   * Price per unit for this value spread over an amount (average fill price)
+   * @param {Amount} amount - Non-zero
+   * @param {string} [rounding] - Default HALF_UP
+   * @returns {Price}
+   */
+  per(amount, rounding = ROUNDING.HALF_UP) {
+    if (!(amount instanceof Amount)) {
+      throw new Error("❌ Usdc.per needs an Amount");
+    }
+    if (amount.isZero()) {
+      throw new Error("❌ Usdc.per: amount is zero");
+    }
+    return new Price(
+      divRound(this.units * AMOUNT_SCALE, amount.units, rounding)
+    );
+  }
+
+  /**
+   * Amount this value buys at a price
+   * @param {Price} price - Non-zero
+   * @param {string} [rounding] - Default DOWN, so the notional of the
+   *   result never exceeds this value
+   * @returns {Amount}
+   */
+  amountAt(price, rounding = ROUNDING.DOWN) {
+    if (!(price instanceof Price)) {
+      throw new Error("❌ Usdc.amountAt needs a Price");
+    }
+    if (price.isZero()) {
+      throw new Error("❌ Usdc.amountAt: price is zero");
+    }
+    return new Amount(
+      divRound(this.units * AMOUNT_SCALE, price.units, rounding)
+    );
+  }
+}
+
+module.exports = {
+  ROUNDING,
+  FixedPoint,
+  Price,
+  Amount,
+  Usdc,
+  divRound,
+};
@@ -0,0 +1,430 @@
+// supabase-sync.js - Mirror the event index into Supabase
+//
+// 🎯 PURPOSE:
+//   - Lets the web frontend read trading history from Supabase instead of
+//     hammering the RPC
+//   - Drives sdk/event-indexer.js (catch up, then follow) and, after every
+//     chunk it commits, upserts that chunk's markets, trades, orders,
+//     positions and collateral events - schema in
+//     supabase/migrations/20261019000000_trading_history.sql
+//   - Idempotent: event rows are keyed by (chain_id, tx_hash, log_index), so
+//     pushing a block range twice changes nothing; markets and orders are
+//     state rows keyed by their on-chain ids
+//
+// 🔌 TARGET (from the environment, or create() options):
+//   SUPABASE_URL + SUPABASE_SERVICE_ROLE_KEY   a Supabase project
+//   SUPABASE_REST_URL (+ the key)              a bare PostgREST, e.g. the
+//                                              stand-in in supabase/local
+//
+// ⛓️  REORGS: sync_state holds the last block pushed and its hash.
+//   - A rollback in the index deletes the same block range here and pushes
+//     the orders it refolded
+//   - If sync_state's block is no longer on the chain at start-up (the
+//     index was rolled back while no worker ran), every row of this chain
+//     is deleted and pushed again from the index
+//
+// 🔄 USAGE:
+//   const { SupabaseSync } = require('../sdk/supabase-sync');
+//   const indexer = await EventIndexer.open();
+//   const sync = await SupabaseSync.create({ indexer });
+//   await sync.run({ follow: true, onProgress: console.log });
+//
+const { createClient } = require("@supabase/supabase-js");
+const { PostgrestClient } = require("@supabase/postgrest-js");
+const { ethers } = require("hardhat");
+const { getNetworkConfig } = require("../config/contracts");
+
+// Rows per upsert request
+const BATCH_SIZE = 500;
+// Blocks per push when catching up with an index that is already ahead
+const PUSH_WINDOW = 10000;
+
+// Mirrored table -> the columns its upserts are keyed by
+const TABLE_KEYS = {
+  markets: "chain_id,market_id",
+  trades: "chain_id,tx_hash,log_index",
+  orders: "chain_id,order_book,order_id",
+  positions: "chain_id,tx_hash,log_index",
+  collateral_events: "chain_id,tx_hash,log_index,kind",
+};
+
+// Tables whose rows belong to one block
+const BLOCK_TABLES = ["trades", "positions", "collateral_events"];
+
+/**
+ * PostgREST client for the configured target
+ * @param {object} options - { url, key, restUrl } override the environment
+ * @returns {object} Client with .from(table)
+ */
+function connect(options = {}) {
+  const key = options.key || process.env.SUPABASE_SERVICE_ROLE_KEY;
+  const restUrl = options.restUrl || process.env.SUPABASE_REST_URL;
+  const url = options.url || process.env.SUPABASE_URL;
+
+  if (restUrl) {
+    return new PostgrestClient(restUrl, {
+      headers: key ? { apikey: key, Authorization: `Bearer ${key}` } : {},
+    });
+  }
+  if (!url || !key) {
+    throw new Error(
+      "❌ Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY (or SUPABASE_REST_URL for a plain PostgREST)"
+    );
+  }
+  return createClient(url, key, { auth: { persistSession: false } });
+}
+
+class SupabaseSync {
+  /**
+   * Use SupabaseSync.create()
+   * @param {object} client - From connect()
+   * @param {EventIndexer} indexer - Source of the rows
+   * @param {number} chainId
+   */
+  constructor(client, indexer, chainId) {
+    this.client = client;
+    this.indexer = indexer;
+    this.chainId = chainId;
+    // Last block pushed and its hash, null before the first push
+    this.cursor = null;
+    this.cursorHash = null;
+  }
+
+  /**
+   * @param {object} options - { indexer } plus connect() options
+   * @returns {Promise<SupabaseSync>}
+   */
+  static async create(options = {}) {
+    if (!options.indexer) {
+      throw new Error("❌ SupabaseSync needs an EventIndexer");
+    }
+    const networkConfig = await getNetworkConfig();
+    return new SupabaseSync(
+      connect(options),
+      options.indexer,
+      networkConfig.chainId
+    );
+  }
+
+  /**
+   * Run a PostgREST request and throw on its error
+   * @param {string} action - For the message
+   * @param {Promise<object>} request
+   * @returns {Promise<Array|null>} Response data
+   */
+  async request(action, request) {
+    const { data, error } = await request;
+    if (error) {
+      throw new Error(
+        `❌ Supabase ${action} failed: ${error.message}${
+          error.hint ? ` (${error.hint})` : ""
+        }`
+      );
+    }
+    return data;
+  }
+
+  async upsert(table, rows) {
+    for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+      await this.request(
+        `upsert into ${table}`,
+        this.client.from(table).upsert(rows.slice(i, i + BATCH_SIZE), {
+          onConflict: TABLE_KEYS[table],
+        })
+      );
+    }
+  }
+
+  /**
+   * Catch up, then (with follow) keep mirroring new blocks until stop()
+   * @param {object} options
+   *   follow         Keep following after catching up
+   *   resync         Delete this chain's rows and push everything again
+   *   confirmations  Passed to the indexer
+   *   onProgress     ({ fromBlock, toBlock, rows }) after every push,
+   *                  ({ reorg: fromBlock }) after every rollback and
+   *                  ({ resync: true }) before a full resync
+   * @returns {Promise<object>} { lastBlock } - last block pushed
+   */
+  async run(options = {}) {
+    const onProgress = options.onProgress || (() => {});
+
+    const state = await this.request(
+      "read of sync_state",
+      this.client
+        .from("sync_state")
+        .select("block_number, block_hash")
+        .eq("chain_id", this.chainId)
+        .maybeSingle()
+    );
+    this.cursor = state ? Number(state.block_number) : null;
+    this.cursorHash = state ? state.block_hash : null;
+
+    // A fork the index can place is undone block-exactly...
+    const rollback = await this.indexer.checkChain();
+    if (rollback) {
+      await this.rollback(rollback.fromBlock, rollback.orders);
+      onProgress({ reorg: rollback.fromBlock });
+    }
+
+    // ...one it already undid without us means starting over
+    let resync = Boolean(options.resync);
+    if (this.cursor !== null && !resync) {
+      const block = await ethers.provider.getBlock(this.cursor);
+      resync = !block || block.hash !== this.cursorHash;
+    }
+    if (resync) {
+      onProgress({ resync: true });
+      await this.clear();
+    }
+
+    // The index may already be ahead - a previous index-events.js run
+    await this.pushThrough(this.indexer.lastBlock, onProgress);
+
+    await this.indexer.run({
+      toBlock: options.follow ? undefined : "latest",
+      confirmations: options.confirmations,
+      onProgress: async (progress) => {
+        if (progress.reorg !== undefined) {
+          await this.rollback(progress.reorg, progress.orders);
+          onProgress({ reorg: progress.reorg });
+        } else {
+          await this.pushThrough(progress.toBlock, onProgress);
+        }
+      },
+    });
+
+    return { lastBlock: this.cursor };
+  }
+
+  /**
+   * End a following run() after the chunk in progress
+   */
+  stop() {
+    this.indexer.stop();
+  }
+
+  /**
+   * Push everything the index has after the cursor, up to a block
+   */
+  async pushThrough(toBlock, onProgress) {
+    if (toBlock === null) {
+      return;
+    }
+    let fromBlock =
+      this.cursor === null
+        ? Number(this.indexer.getMeta("first_block") ?? 0)
+        : this.cursor + 1;
+    while (fromBlock <= toBlock) {
+      const windowEnd = Math.min(fromBlock + PUSH_WINDOW - 1, toBlock);
+      const rows = await this.push(fromBlock, windowEnd);
+      onProgress({ fromBlock, toBlock: windowEnd, rows });
+      fromBlock = windowEnd + 1;
+    }
+  }
+
+  /**
+   * Upsert one block range from the index, then move sync_state to its end
+   * @returns {Promise<number>} Rows upserted
+   */
+  async push(fromBlock, toBlock) {
+    const db = this.indexer.db;
+    const between = (table, column) =>
+      db
+        .prepare(`SELECT * FROM ${table} WHERE ${column} BETWEEN ? AND ?`)
+        .all(fromBlock, toBlock);
+
+    const markets = db
+      .prepare(
+        "SELECT * FROM markets WHERE created_block BETWEEN @from AND @to OR deactivated_block BETWEEN @from AND @to OR settled_block BETWEEN @from AND @to"
+      )
+      .all({ from: fromBlock, to: toBlock })
+      .map((row) => this.marketRow(row));
+    const trades = between("trades", "block_number").map((row) => ({
+      chain_id: this.chainId,
+      tx_hash: row.tx_hash,
+      log_index: row.log_index,
+      block_number: row.block_number,
+      order_book: row.order_book,
+      trade_id: row.trade_id,
+      market_id: row.market_id,
+      buyer: row.buyer,
+      seller: row.seller,
+      price: row.price,
+      amount: row.amount,
+      value: row.value,
+      traded_at: new Date(row.timestamp * 1000).toISOString(),
+    }));
+    const orders = between("orders", "updated_block").map((row) =>
+      this.orderRow(row)
+    );
+    const positions = between("positions", "block_number").map((row) => ({
+      chain_id: this.chainId,
+      tx_hash: row.tx_hash,
+      log_index: row.log_index,
+      block_number: row.block_number,
+      account: row.user,
+      market_id: row.market_id,
+      old_size: row.old_size,
+      new_size: row.new_size,
+      entry_price: row.entry_price,
+    }));
+    const collateralEvents = [
+      ...between("collateral_movements", "block_number").map((row) => ({
+        chain_id: this.chainId,
+        tx_hash: row.tx_hash,
+        log_index: row.log_index,
+        kind: row.kind,
+        block_number: row.block_number,
+        account: row.user,
+        market_id: null,
+        amount: row.amount,
+        counterparty: row.counterparty,
+        balance_after: row.balance_after,
+      })),
+      // Netting P&L is settled into collateral; the settlement system's
+      // PnLRealized only moves a counter
+      ...db
+        .prepare(
+          "SELECT * FROM pnl_events WHERE kind = 'netting' AND block_number BETWEEN ? AND ?"
+        )
+        .all(fromBlock, toBlock)
+        .map((row) => ({
+          chain_id: this.chainId,
+          tx_hash: row.tx_hash,
+          log_index: row.log_index,
+          kind: "realized_pnl",
+          block_number: row.block_number,
+          account: row.user,
+          market_id: row.market_id,
+          amount: row.pnl,
+          counterparty: null,
+          balance_after: null,
+        })),
+    ];
+
+    // Markets first, so a frontend never sees a trade of an unknown market
+    await this.upsert("markets", markets);
+    await this.upsert("trades", trades);
+    await this.upsert("orders", orders);
+    await this.upsert("positions", positions);
+    await this.upsert("collateral_events", collateralEvents);
+    await this.saveCursor(toBlock);
+
+    return (
+      markets.length +
+      trades.length +
+      orders.length +
+      positions.length +
+      collateralEvents.length
+    );
+  }
+
+  /**
+   * Undo everything from a block on, as the index just did
+   * @param {number} fromBlock
+   * @param {object[]} orders - { orderBook, orderId } the index refolded
+   */
+  async rollback(fromBlock, orders = []) {
+    const remove = (table, column) =>
+      this.request(
+        `delete from ${table}`,
+        this.client
+          .from(table)
+          .delete()
+          .eq("chain_id", this.chainId)
+          .gte(column, fromBlock)
+      );
+
+    for (const table of BLOCK_TABLES) {
+      await remove(table, "block_number");
+    }
+    await remove("orders", "placed_block");
+    await remove("markets", "created_block");
+
+    // Put back what the index still has: deactivations and settlements
+    // undone, orders as they were before the fork
+    const db = this.indexer.db;
+    await this.upsert(
+      "markets",
+      db
+        .prepare("SELECT * FROM markets")
+        .all()
+        .map((row) => this.marketRow(row))
+    );
+    const order = db.prepare(
+      "SELECT * FROM orders WHERE order_book = ? AND order_id = ?"
+    );
+    await this.upsert(
+      "orders",
+      orders
+        .map(({ orderBook, orderId }) => order.get(orderBook, orderId))
+        .filter(Boolean)
+        .map((row) => this.orderRow(row))
+    );
+
+    if (this.cursor !== null && this.cursor >= fromBlock) {
+      await this.saveCursor(fromBlock - 1);
+    }
+  }
+
+  /**
+   * Delete every row of this chain
+   */
+  async clear() {
+    for (const table of [...Object.keys(TABLE_KEYS), "sync_state"]) {
+      await this.request(
+        `delete from ${table}`,
+        this.client.from(table).delete().eq("chain_id", this.chainId)
+      );
+    }
+    this.cursor = null;
+    this.cursorHash = null;
+  }
+
+  async saveCursor(blockNumber) {
+    if (blockNumber < 0) {
+      await this.request(
+        "delete from sync_state",
+        this.client.from("sync_state").delete().eq("chain_id", this.chainId)
+      );
+      this.cursor = null;
+      this.cursorHash = null;
+      return;
+    }
+    const block = await ethers.provider.getBlock(blockNumber);
+    await this.request(
+      "update of sync_state",
+      this.client.from("sync_state").upsert(
+        {
+          chain_id: this.chainId,
+          block_number: blockNumber,
+          block_hash: block.hash,
+          updated_at: new Date().toISOString(),
+        },
+        { onConflict: "chain_id" }
+      )
+    );
+    this.cursor = blockNumber;
+    this.cursorHash = block.hash;
+  }
+
+  marketRow(row) {
+    return { chain_id: this.chainId, ...row };
+  }
+
+  orderRow(row) {
+    return {
+      chain_id: this.chainId,
+      ...row,
+      is_buy: row.is_buy === 1,
+      is_margin: row.is_margin === 1,
+    };
+  }
+}
+
+module.exports = {
+  SupabaseSync,
+  TABLE_KEYS,
+  connect,
+};
@@ -0,0 +1,244 @@
+// tx-manager.js - Pipelined transactions with local nonce tracking
+//
+// 🎯 PURPOSE:
+//   - Send many transactions from one signer without waiting for each to be
+//     mined: nonces are handed out locally, so dozens can be in flight
+//   - Gas is estimated first (a revert fails fast, before a nonce is used)
+//     and padded with a safety margin
+//   - Nonce collisions (nonce too low, replacement underpriced - something
+//     else sent from the same account) resync from the node and retry
+//   - Receipts come back with their events decoded against every project
+//     ABI, and failures as ContractError (sdk/errors.js)
+//
+// ⚙️  OPTIONS (TransactionManager.for(signer, options)):
+//   gasMarginBps   Added on top of the gas estimate      (default 2000 = +20%)
+//   maxRetries     Resends after a nonce collision        (default 3)
+//   maxInFlight    Sent but not yet mined, per signer     (default 32)
+//   confirmations  Blocks to wait for each receipt        (default 1)
+//
+// ⚠️  Gas is estimated against the latest block. A transaction that only
+//   works after an earlier one in the same batch is mined (a cancel of an
+//   order that is still being placed) will fail its estimate - await the
+//   first one before sending the second.
+//
+// 🔄 USAGE:
+//   const { TransactionManager } = require('../sdk/tx-manager');
+//   const txs = TransactionManager.for(signer);
+//   const sent = await Promise.all(
+//     orderIds.map((id) => txs.send(orderBook, "cancelOrder", [id]))
+//   );
+//   const results = await Promise.all(sent.map((tx) => tx.wait()));
+//   // => [{ hash, nonce, receipt, gasUsed, events: [{ name: "OrderCancelled", ... }] }]
+//
+const { decodeError, replayRevert } = require("./errors");
+const { decodeReceipt } = require("./abis");
+
+const DEFAULT_OPTIONS = {
+  gasMarginBps: 2000,
+  maxRetries: 3,
+  maxInFlight: 32,
+  confirmations: 1,
+};
+
+const RETRY_DELAY_MS = 250;
+
+// One manager per account, so every caller shares the same nonce sequence
+const managers = new Map();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class TransactionManager {
+  /**
+   * @param {Signer} signer - Account that sends the transactions
+   * @param {object} options - See ⚙️ OPTIONS
+   */
+  constructor(signer, options = {}) {
+    this.signer = signer;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.nextNonce = null;
+    this.inFlight = 0;
+    this.slotQueue = [];
+    // Nonce assignment and broadcast happen one at a time
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * The shared manager for a signer (created on first use)
+   * @param {Signer} signer
+   * @param {object} options - Only applied when the manager is created
+   * @returns {TransactionManager}
+   */
+  static for(signer, options = {}) {
+    const key = signer.address.toLowerCase();
+    if (!managers.has(key)) {
+      managers.set(key, new TransactionManager(signer, options));
+    }
+    return managers.get(key);
+  }
+
+  get address() {
+    return this.signer.address;
+  }
+
+  /**
+   * Forget the local nonce; the next send reads it from the node again.
+   * Call after sending from this account outside the manager.
+   */
+  resetNonce() {
+    this.nextNonce = null;
+  }
+
+  async syncNonce() {
+    this.nextNonce = await this.signer.provider.getTransactionCount(
+      this.address,
+      "pending"
+    );
+    return this.nextNonce;
+  }
+
+  // Run fn after everything queued before it, even if that failed
+  serialize(fn) {
+    const run = this.queue.then(fn);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async acquireSlot() {
+    if (this.inFlight >= this.options.maxInFlight) {
+      await new Promise((resolve) => this.slotQueue.push(resolve));
+    }
+    this.inFlight++;
+  }
+
+  releaseSlot() {
+    this.inFlight--;
+    const next = this.slotQueue.shift();
+    if (next) {
+      next();
+    }
+  }
+
+  /**
+   * Gas estimate plus the safety margin
+   * @param {object} tx - Populated transaction
+   * @returns {Promise<bigint>}
+   * @throws {ContractError} When the call would revert
+   */
+  async estimateGas(tx) {
+    let estimate;
+    try {
+      estimate = await this.signer.provider.estimateGas(tx);
+    } catch (error) {
+      throw decodeError(error);
+    }
+    return (estimate * BigInt(10000 + this.options.gasMarginBps)) / 10000n;
+  }
+
+  /**
+   * Broadcast with the next local nonce, resyncing and retrying when the
+   * node says the nonce is taken
+   * @param {object} tx - Populated transaction with gasLimit
+   * @returns {Promise<TransactionResponse>}
+   */
+  broadcast(tx) {
+    return this.serialize(async () => {
+      for (let attempt = 0; ; attempt++) {
+        const nonce = this.nextNonce ?? (await this.syncNonce());
+        try {
+          const response = await this.signer.sendTransaction({ ...tx, nonce });
+          this.nextNonce = nonce + 1;
+          return response;
+        } catch (error) {
+          const decoded = decodeError(error);
+          // Whatever happened, the node knows which nonce comes next
+          await this.syncNonce();
+          if (
+            decoded.code !== "NONCE_CONFLICT" ||
+            attempt >= this.options.maxRetries
+          ) {
+            throw decoded;
+          }
+          await sleep(RETRY_DELAY_MS * (attempt + 1));
+        }
+      }
+    });
+  }
+
+  /**
+   * Send a contract call without waiting for it to be mined
+   * @param {Contract} contract - Any runner; the manager's signer sends it
+   * @param {string} method - Function name or signature
+   * @param {Array} args
+   * @param {object} overrides - e.g. { value, gasLimit }
+   * @returns {Promise<object>} { hash, nonce, method, gasLimit, response,
+   *   wait() } - wait() resolves to { hash, nonce, receipt, gasUsed, events }
+   * @throws {ContractError} When the estimate reverts or the send fails
+   */
+  async send(contract, method, args = [], overrides = {}) {
+    const tx = await contract
+      .getFunction(method)
+      .populateTransaction(...args, overrides);
+    tx.from = this.address;
+
+    await this.acquireSlot();
+    let response;
+    try {
+      tx.gasLimit = overrides.gasLimit ?? (await this.estimateGas(tx));
+      response = await this.broadcast(tx);
+    } catch (error) {
+      this.releaseSlot();
+      throw error;
+    }
+
+    const mined = this.waitForReceipt(response).finally(() =>
+      this.releaseSlot()
+    );
+    // The caller may never wait() - don't let a failure go unhandled
+    mined.catch(() => {});
+
+    return {
+      hash: response.hash,
+      nonce: response.nonce,
+      method,
+      gasLimit: tx.gasLimit,
+      response,
+      wait: () => mined,
+    };
+  }
+
+  /**
+   * Send and wait for the receipt
+   * @returns {Promise<object>} { hash, nonce, receipt, gasUsed, events }
+   * @throws {ContractError}
+   */
+  async execute(contract, method, args = [], overrides = {}) {
+    return (await this.send(contract, method, args, overrides)).wait();
+  }
+
+  async waitForReceipt(response) {
+    let receipt;
+    try {
+      receipt = await response.wait(this.options.confirmations);
+    } catch (error) {
+      const decoded = decodeError(error);
+      // Mined but reverted: the receipt has no reason, the replay does
+      if (decoded.code === "REVERTED") {
+        throw (await replayRevert(response.hash)) || decoded;
+      }
+      throw decoded;
+    }
+
+    return {
+      hash: receipt.hash,
+      nonce: response.nonce,
+      receipt,
+      gasUsed: receipt.gasUsed,
+      events: await decodeReceipt(receipt),
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  TransactionManager,
+};
@@ -0,0 +1,7 @@
+#!/bin/sh
+# Apply supabase/migrations in order (mounted at /migrations)
+set -e
+for migration in /migrations/*.sql; do
+  echo "Applying $migration"
+  psql -v ON_ERROR_STOP=1 --username "$POSTGRES_USER" --dbname "$POSTGRES_DB" -f "$migration"
+done
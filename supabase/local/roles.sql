@@ -0,0 +1,9 @@
+-- The roles a Supabase project comes with, for the local PostgREST
+create role anon nologin;
+create role service_role nologin bypassrls;
+create role authenticator login noinherit password 'authenticator';
+grant anon, service_role to authenticator;
+
+grant usage on schema public to anon, service_role;
+alter default privileges in schema public grant select on tables to anon;
+alter default privileges in schema public grant all on tables to service_role;
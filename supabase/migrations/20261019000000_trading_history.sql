@@ -0,0 +1,154 @@
+-- Trading history mirrored from the chain by scripts/sync-supabase.js
+--
+-- Amounts, prices and ids are numeric(78, 0) in on-chain units: 18 decimals
+-- for amounts and sizes, 6 for prices and USDC. They don't fit a JS number -
+-- frontends should select them as text, e.g.
+--   /rest/v1/trades?select=price::text,amount::text,traded_at&market_id=eq.0x...
+--
+-- Event rows are keyed by (chain_id, tx_hash, log_index), so replaying a
+-- block range upserts the same rows again; markets and orders are state rows
+-- keyed by their on-chain ids. Rows from blocks a reorg replaced are deleted
+-- by the worker. Clients get read access only - the worker writes with the
+-- service role key, which bypasses row level security.
+
+create table if not exists public.sync_state (
+  chain_id bigint primary key,
+  block_number bigint not null,
+  block_hash text not null,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.markets (
+  chain_id bigint not null,
+  market_id text not null,
+  order_book text not null,
+  symbol text not null,
+  creator text,
+  creation_fee numeric(78, 0),
+  metric_url text,
+  settlement_date bigint,
+  start_price numeric(78, 0),
+  created_block bigint,
+  created_tx text,
+  deactivated_block bigint,
+  settlement_price numeric(78, 0),
+  settled_block bigint,
+  primary key (chain_id, market_id)
+);
+
+create table if not exists public.trades (
+  chain_id bigint not null,
+  tx_hash text not null,
+  log_index integer not null,
+  block_number bigint not null,
+  order_book text not null,
+  trade_id numeric(78, 0) not null,
+  market_id text,
+  buyer text not null,
+  seller text not null,
+  price numeric(78, 0) not null,
+  amount numeric(78, 0) not null,
+  value numeric(78, 0) not null,
+  traded_at timestamptz not null,
+  primary key (chain_id, tx_hash, log_index)
+);
+create index if not exists trades_by_market
+  on public.trades (chain_id, market_id, traded_at desc);
+create index if not exists trades_by_buyer on public.trades (chain_id, buyer);
+create index if not exists trades_by_seller on public.trades (chain_id, seller);
+create index if not exists trades_by_block on public.trades (chain_id, block_number);
+
+create table if not exists public.orders (
+  chain_id bigint not null,
+  order_book text not null,
+  order_id numeric(78, 0) not null,
+  market_id text,
+  trader text not null,
+  routed_for text,
+  type text not null check (type in ('limit', 'market')),
+  is_buy boolean not null,
+  is_margin boolean not null,
+  price numeric(78, 0) not null,
+  amount numeric(78, 0) not null,
+  filled numeric(78, 0) not null,
+  remaining numeric(78, 0) not null,
+  cancelled numeric(78, 0) not null,
+  status text not null
+    check (status in ('open', 'partially-filled', 'filled', 'cancelled', 'modified')),
+  replaces numeric(78, 0),
+  replaced_by numeric(78, 0),
+  placed_block bigint not null,
+  placed_tx text not null,
+  updated_block bigint not null,
+  primary key (chain_id, order_book, order_id)
+);
+create index if not exists orders_by_trader
+  on public.orders (chain_id, trader, status);
+create index if not exists orders_by_market
+  on public.orders (chain_id, market_id, status);
+
+-- Every PositionUpdated; the latest row per (account, market) is the position
+create table if not exists public.positions (
+  chain_id bigint not null,
+  tx_hash text not null,
+  log_index integer not null,
+  block_number bigint not null,
+  account text not null,
+  market_id text not null,
+  old_size numeric(78, 0) not null,
+  new_size numeric(78, 0) not null,
+  entry_price numeric(78, 0) not null,
+  primary key (chain_id, tx_hash, log_index)
+);
+create index if not exists positions_by_account
+  on public.positions (chain_id, account, market_id, block_number desc, log_index desc);
+
+-- Changes to an account's vault collateral, signed from its side. A
+-- transfer is one log and two rows (transfer_out, transfer_in), hence kind
+-- in the key. Summing amount per account gives its collateral.
+create table if not exists public.collateral_events (
+  chain_id bigint not null,
+  tx_hash text not null,
+  log_index integer not null,
+  kind text not null
+    check (kind in ('deposit', 'withdrawal', 'transfer_in', 'transfer_out', 'fee', 'realized_pnl')),
+  block_number bigint not null,
+  account text not null,
+  market_id text,
+  amount numeric(78, 0) not null,
+  counterparty text,
+  balance_after numeric(78, 0),
+  primary key (chain_id, tx_hash, log_index, kind)
+);
+create index if not exists collateral_events_by_account
+  on public.collateral_events (chain_id, account, block_number desc);
+
+create or replace view public.current_positions as
+  select * from (
+    select distinct on (chain_id, account, market_id)
+      chain_id, account, market_id, new_size as size, entry_price,
+      block_number as updated_block
+    from public.positions
+    order by chain_id, account, market_id, block_number desc, log_index desc
+  ) latest
+  where size <> 0;
+
+alter table public.sync_state enable row level security;
+alter table public.markets enable row level security;
+alter table public.trades enable row level security;
+alter table public.orders enable row level security;
+alter table public.positions enable row level security;
+alter table public.collateral_events enable row level security;
+
+drop policy if exists "read sync_state" on public.sync_state;
+create policy "read sync_state" on public.sync_state for select using (true);
+drop policy if exists "read markets" on public.markets;
+create policy "read markets" on public.markets for select using (true);
+drop policy if exists "read trades" on public.trades;
+create policy "read trades" on public.trades for select using (true);
+drop policy if exists "read orders" on public.orders;
+create policy "read orders" on public.orders for select using (true);
+drop policy if exists "read positions" on public.positions;
+create policy "read positions" on public.positions for select using (true);
+drop policy if exists "read collateral_events" on public.collateral_events;
+create policy "read collateral_events" on public.collateral_events for select using (true);
@@ -0,0 +1,205 @@
+// precision.test.js - Fixed-point Price, Amount and Usdc
+//
+// 🎯 COVERS:
+//   - Every rounding mode on positive, negative and exact-half values
+//   - parse/format round-trips at the full 18 decimals
+//   - Refusing to drop digits without a rounding mode
+//   - notional = price × amount scaling, matching the OrderBook
+//
+const { expect } = require("chai");
+const { ROUNDING, Price, Amount, Usdc, divRound } = require("../sdk/precision");
+
+describe("sdk/precision", function () {
+  describe("divRound", function () {
+    // [numerator, denominator, { mode: expected }] - the cases are
+    // 2.5, -2.5 (exact halves), 2.7, -2.7, 2.3, -2.3 and 3.5 (odd half)
+    const cases = [
+      [25n, 10n, { down: 2n, up: 3n, floor: 2n, ceil: 3n, hu: 3n, he: 2n }],
+      [
+        -25n,
+        10n,
+        { down: -2n, up: -3n, floor: -3n, ceil: -2n, hu: -3n, he: -2n },
+      ],
+      [27n, 10n, { down: 2n, up: 3n, floor: 2n, ceil: 3n, hu: 3n, he: 3n }],
+      [
+        -27n,
+        10n,
+        { down: -2n, up: -3n, floor: -3n, ceil: -2n, hu: -3n, he: -3n },
+      ],
+      [23n, 10n, { down: 2n, up: 3n, floor: 2n, ceil: 3n, hu: 2n, he: 2n }],
+      [
+        -23n,
+        10n,
+        { down: -2n, up: -3n, floor: -3n, ceil: -2n, hu: -2n, he: -2n },
+      ],
+      [35n, 10n, { down: 3n, up: 4n, floor: 3n, ceil: 4n, hu: 4n, he: 4n }],
+    ];
+    const modes = {
+      down: ROUNDING.DOWN,
+      up: ROUNDING.UP,
+      floor: ROUNDING.FLOOR,
+      ceil: ROUNDING.CEIL,
+      hu: ROUNDING.HALF_UP,
+      he: ROUNDING.HALF_EVEN,
+    };
+
+    for (const [numerator, denominator, expected] of cases) {
+      for (const [key, mode] of Object.entries(modes)) {
+        it(`${numerator}/${denominator} ${mode} = ${expected[key]}`, function () {
+          expect(divRound(numerator, denominator, mode)).to.equal(
+            expected[key]
+          );
+        });
+      }
+    }
+
+    it("rounds a negative denominator by the sign of the result", function () {
+      expect(divRound(25n, -10n, ROUNDING.FLOOR)).to.equal(-3n);
+      expect(divRound(-25n, -10n, ROUNDING.HALF_EVEN)).to.equal(2n);
+    });
+
+    it("returns exact quotients unchanged in every mode", function () {
+      for (const mode of Object.values(ROUNDING)) {
+        expect(divRound(-30n, 10n, mode)).to.equal(-3n);
+      }
+    });
+
+    it("rejects an unknown mode and division by zero", function () {
+      expect(() => divRound(1n, 2n, "nearest")).to.throw(/Unknown rounding/);
+      expect(() => divRound(1n, 0n, ROUNDING.DOWN)).to.throw(
+        /Division by zero/
+      );
+    });
+  });
+
+  describe("parse and format", function () {
+    it("round-trips 18 decimals exactly", function () {
+      const values = [
+        "0.000000000000000001",
+        "-0.000000000000000001",
+        "123456789.123456789012345678",
+        "-98765.432109876543210987",
+        "1",
+      ];
+      for (const value of values) {
+        const amount = Amount.parse(value);
+        expect(amount.toString()).to.equal(value);
+        expect(amount.format()).to.equal(
+          value.includes(".") ? value : `${value}.000000000000000000`
+        );
+        expect(Amount.parse(amount.format()).units).to.equal(amount.units);
+        expect(Amount.fromUnits(amount.units).eq(amount)).to.equal(true);
+      }
+    });
+
+    it("keeps integers beyond 2^53 exact", function () {
+      const units = 2n ** 200n + 1n;
+      const amount = Amount.fromUnits(units);
+      expect(Amount.parse(amount.toString()).units).to.equal(units);
+    });
+
+    it("formats with a rounding mode for display", function () {
+      const price = Price.parse("2500.125");
+      expect(price.format(2)).to.equal("2500.13");
+      expect(price.format(2, { rounding: ROUNDING.HALF_EVEN })).to.equal(
+        "2500.12"
+      );
+      expect(price.format(2, { rounding: ROUNDING.DOWN })).to.equal("2500.12");
+      expect(Price.parse("-2500.125").format(2)).to.equal("-2500.13");
+      expect(price.format(8)).to.equal("2500.12500000");
+    });
+
+    it("formats signs and thousands separators", function () {
+      expect(Usdc.parse("1234567.5").format(2, { group: true })).to.equal(
+        "1,234,567.50"
+      );
+      expect(Usdc.parse("0.5").format(2, { sign: true })).to.equal("+0.50");
+      expect(Usdc.parse("-0.5").format(2, { sign: true })).to.equal("-0.50");
+      expect(Usdc.parse("0.001").format(2)).to.equal("0.00");
+    });
+  });
+
+  describe("precision loss", function () {
+    it("refuses more decimals than the type holds", function () {
+      expect(() => Price.parse("0.1234567")).to.throw(/more than 6 decimal/);
+      expect(() => Amount.parse("1.0000000000000000001")).to.throw(
+        /more than 18 decimal/
+      );
+      expect(() => Usdc.fromUnits(1n, { decimals: 18 })).to.throw(
+        /pass a rounding mode/
+      );
+    });
+
+    it("drops digits only with an explicit rounding mode", function () {
+      expect(
+        Price.parse("0.1234565", { rounding: ROUNDING.HALF_EVEN }).toString()
+      ).to.equal("0.123456");
+      expect(
+        Price.parse("-0.1234561", { rounding: ROUNDING.FLOOR }).toString()
+      ).to.equal("-0.123457");
+      expect(
+        Usdc.fromUnits(1500000000000n, {
+          decimals: 18,
+          rounding: ROUNDING.HALF_UP,
+        }).units
+      ).to.equal(2n);
+    });
+
+    it("accepts trailing zeros past the type's decimals", function () {
+      expect(Price.parse("1.50000000").units).to.equal(1500000n);
+    });
+
+    it("refuses ambiguous or malformed input", function () {
+      expect(() => Price.parse(10n)).to.throw(/ambiguous/);
+      expect(() => Price.parse("1e6")).to.throw(/decimal number/);
+      expect(() => Price.parse(NaN)).to.throw(/finite/);
+      expect(() => Price.from(Usdc.parse("1"))).to.throw(/Expected Price/);
+      expect(() => Price.parse("1").div(3n)).to.throw(/rounding mode/);
+    });
+
+    it("refuses arithmetic across types", function () {
+      expect(() => Price.parse("1").add(Usdc.parse("1"))).to.throw();
+    });
+  });
+
+  describe("notional", function () {
+    it("scales price × amount down by 1e18 into USDC", function () {
+      const value = Price.parse("2500.5").notional(Amount.parse("0.5"));
+      expect(value).to.be.instanceOf(Usdc);
+      expect(value.units).to.equal(1250250000n);
+      expect(value.toString()).to.equal("1250.25");
+    });
+
+    it("matches the OrderBook's amount * price / 1e18", function () {
+      const price = 2500123456n;
+      const amount = 333333333333333333n;
+      expect(
+        Price.fromUnits(price).notional(Amount.fromUnits(amount)).units
+      ).to.equal((amount * price) / 10n ** 18n);
+    });
+
+    it("rounds DOWN by default and follows the given mode", function () {
+      const price = Price.parse("0.000001");
+      const amount = Amount.parse("0.5");
+      expect(price.notional(amount).units).to.equal(0n);
+      expect(price.notional(amount, ROUNDING.UP).units).to.equal(1n);
+      expect(
+        Price.parse("-0.000001").notional(amount, ROUNDING.FLOOR).units
+      ).to.equal(-1n);
+    });
+
+    it("is the same from either side", function () {
+      const price = Price.parse("3.1");
+      const amount = Amount.parse("7.25");
+      expect(amount.notional(price).eq(price.notional(amount))).to.equal(true);
+    });
+
+    it("inverts through per() and amountAt()", function () {
+      const price = Price.parse("2500");
+      const amount = Amount.parse("2");
+      const value = price.notional(amount);
+      expect(value.per(amount).eq(price)).to.equal(true);
+      expect(value.amountAt(price).eq(amount)).to.equal(true);
+    });
+  });
+});
@@ -16,6 +16,9 @@
 const { spawn } = require("child_process");
 const path = require("path");
 const { ethers } = require("hardhat");
+const { Price, Amount, Usdc, ROUNDING } = require("./sdk/precision");
+const { decodeError } = require("./sdk/errors");
+const { call, multicall } = require("./sdk/multicall");
 
 // Import contract utilities
 let contractUtils;
@@ -76,6 +79,11 @@ class OrderModifier {
       );
       this.contracts.router = await contractUtils.getContract("TRADING_ROUTER");
 
+      const { OrderBookClient } = require("./sdk/orderbook-client");
+      this.client = await OrderBookClient.create({
+        market: "ALUMINUM_ORDERBOOK",
+      });
+
       this.initialized = true;
       console.log(
         colorText("✅ Contracts initialized successfully!", colors.brightGreen)
@@ -94,8 +102,8 @@ class OrderModifier {
    * @param {Object} params - Modification parameters
    * @param {string} params.userAddress - User wallet address
    * @param {number} params.orderId - ID of order to modify
-   * @param {number} [params.newPrice] - New price (if changing price)
-   * @param {number} [params.newAmount] - New amount (if changing amount)
+   * @param {Price|string|number} [params.newPrice] - New price (if changing price)
+   * @param {Amount|string|number} [params.newAmount] - New amount (if changing amount)
    * @param {Object} params.signer - Ethers signer object
    * @returns {Object} Result with new order ID and transaction details
    */
@@ -128,13 +136,11 @@ class OrderModifier {
         );
       }
 
-      // Display current order info with enhanced precision
-      const currentPriceFormatted = Number(
-        ethers.formatUnits(currentOrder.price, 6)
-      ).toFixed(4); // Increased to 4 decimal places for better accuracy
-      const currentAmountFormatted = Number(
-        ethers.formatUnits(currentOrder.amount, 18)
-      ).toFixed(4);
+      // Exact values from the book; only the display is rounded
+      const currentPrice = Price.fromUnits(currentOrder.price);
+      const currentAmount = Amount.fromUnits(currentOrder.amount);
+      const currentPriceFormatted = currentPrice.format(4);
+      const currentAmountFormatted = currentAmount.format(4);
       const side = currentOrder.isBuy ? "BUY" : "SELL";
       const sideColor = currentOrder.isBuy ? colors.green : colors.red;
 
@@ -163,27 +169,21 @@ class OrderModifier {
         )
       );
 
+      // An unchanged side keeps the order's exact on-chain value
       const finalPrice =
-        newPrice !== undefined ? newPrice : parseFloat(currentPriceFormatted);
+        newPrice !== undefined ? Price.from(newPrice) : currentPrice;
       const finalAmount =
-        newAmount !== undefined
-          ? newAmount
-          : parseFloat(currentAmountFormatted);
+        newAmount !== undefined ? Amount.from(newAmount) : currentAmount;
 
-      if (finalPrice <= 0) {
+      if (!finalPrice.isPositive()) {
         throw new Error("New price must be greater than 0");
       }
-      if (finalAmount <= 0) {
+      if (!finalAmount.isPositive()) {
         throw new Error("New amount must be greater than 0");
       }
 
-      // Check if anything actually changed
-      const priceChanged =
-        newPrice !== undefined &&
-        Math.abs(finalPrice - parseFloat(currentPriceFormatted)) > 0.001;
-      const amountChanged =
-        newAmount !== undefined &&
-        Math.abs(finalAmount - parseFloat(currentAmountFormatted)) > 0.0001;
+      const priceChanged = !finalPrice.eq(currentPrice);
+      const amountChanged = !finalAmount.eq(currentAmount);
 
       if (!priceChanged && !amountChanged) {
         console.log(
@@ -208,8 +208,8 @@ class OrderModifier {
       if (priceChanged) {
         console.log(
           colorText(
-            `   • Price: $${currentPriceFormatted} → $${finalPrice.toFixed(
-              2
+            `   • Price: $${currentPriceFormatted} → $${finalPrice.format(
+              4
             )} USDC`,
             colors.brightYellow
           )
@@ -218,7 +218,7 @@ class OrderModifier {
       if (amountChanged) {
         console.log(
           colorText(
-            `   • Amount: ${currentAmountFormatted} → ${finalAmount.toFixed(
+            `   • Amount: ${currentAmountFormatted} → ${finalAmount.format(
               4
             )} ALU`,
             colors.brightCyan
@@ -231,21 +231,15 @@ class OrderModifier {
         colorText("\n📋 Step 3: Cancelling existing order...", colors.yellow)
       );
 
-      const cancelTx = await this.contracts.orderBook
-        .connect(signer)
-        .cancelOrder(orderId);
-
-      console.log(
-        colorText("   ⏳ Cancel transaction submitted...", colors.yellow)
-      );
-      const cancelReceipt = await cancelTx.wait();
+      const client = this.client.connect(signer);
+      const cancelled = await client.cancelOrder(orderId);
       console.log(
         colorText(
           `   ✅ Order ${orderId} cancelled successfully!`,
           colors.brightGreen
         )
       );
-      console.log(colorText(`   📄 Cancel TX: ${cancelTx.hash}`, colors.dim));
+      console.log(colorText(`   📄 Cancel TX: ${cancelled.hash}`, colors.dim));
 
       // Step 4: Place new order with updated parameters
       console.log(
@@ -255,41 +249,13 @@ class OrderModifier {
         )
       );
 
-      const priceWei = ethers.parseUnits(finalPrice.toString(), 6);
-      const amountWei = ethers.parseUnits(finalAmount.toString(), 18);
-
-      let newOrderTx;
-      if (currentOrder.isMarginOrder) {
-        newOrderTx = await this.contracts.orderBook
-          .connect(signer)
-          .placeMarginLimitOrder(priceWei, amountWei, currentOrder.isBuy);
-      } else {
-        newOrderTx = await this.contracts.orderBook
-          .connect(signer)
-          .placeLimitOrder(priceWei, amountWei, currentOrder.isBuy);
-      }
-
-      console.log(
-        colorText("   ⏳ New order transaction submitted...", colors.yellow)
-      );
-      const newOrderReceipt = await newOrderTx.wait();
-
-      // Extract new order ID from transaction logs
-      const orderPlacedEvent = newOrderReceipt.logs.find((log) => {
-        try {
-          const parsed = this.contracts.orderBook.interface.parseLog(log);
-          return parsed.name === "OrderPlaced";
-        } catch {
-          return false;
-        }
+      const placed = await client.placeLimitOrder({
+        price: finalPrice,
+        amount: finalAmount,
+        isBuy: currentOrder.isBuy,
+        margin: currentOrder.isMarginOrder,
       });
-
-      let newOrderId = "Unknown";
-      if (orderPlacedEvent) {
-        const parsed =
-          this.contracts.orderBook.interface.parseLog(orderPlacedEvent);
-        newOrderId = parsed.args.orderId.toString();
-      }
+      const newOrderId = placed.orderId.toString();
 
       console.log(
         colorText(
@@ -297,9 +263,7 @@ class OrderModifier {
           colors.brightGreen
         )
       );
-      console.log(
-        colorText(`   📄 New Order TX: ${newOrderTx.hash}`, colors.dim)
-      );
+      console.log(colorText(`   📄 New Order TX: ${placed.hash}`, colors.dim));
 
       // Step 5: Summary
       console.log(
@@ -312,9 +276,9 @@ class OrderModifier {
       );
       console.log(
         colorText(
-          `📊 Final Parameters: $${finalPrice.toFixed(
-            2
-          )} USDC × ${finalAmount.toFixed(4)} ALU`,
+          `📊 Final Parameters: $${finalPrice.format(
+            4
+          )} USDC × ${finalAmount.format(4)} ALU`,
           colors.brightCyan
         )
       );
@@ -323,47 +287,28 @@ class OrderModifier {
         success: true,
         oldOrderId: orderId.toString(),
         newOrderId: newOrderId,
-        cancelTxHash: cancelTx.hash,
-        newOrderTxHash: newOrderTx.hash,
+        cancelTxHash: cancelled.hash,
+        newOrderTxHash: placed.hash,
         finalPrice: finalPrice,
         finalAmount: finalAmount,
         side: side,
         gasUsed: {
-          cancel: cancelReceipt.gasUsed.toString(),
-          newOrder: newOrderReceipt.gasUsed.toString(),
-          total: (cancelReceipt.gasUsed + newOrderReceipt.gasUsed).toString(),
+          cancel: cancelled.gasUsed.toString(),
+          newOrder: placed.gasUsed.toString(),
+          total: (cancelled.gasUsed + placed.gasUsed).toString(),
         },
       };
     } catch (error) {
+      const failure = decodeError(error);
       console.error(
-        colorText(`❌ Order modification failed: ${error.message}`, colors.red)
+        colorText(
+          `❌ Order modification failed: ${failure.reason} [${failure.code}]`,
+          colors.red
+        )
       );
+      console.log(colorText(`💡 Tip: ${failure.hint}`, colors.cyan));
 
-      // Enhanced error handling
-      if (error.message.includes("Order does not exist")) {
-        console.log(
-          colorText(
-            "💡 Tip: Check if the order ID is correct and still active",
-            colors.cyan
-          )
-        );
-      } else if (error.message.includes("Not order owner")) {
-        console.log(
-          colorText(
-            "💡 Tip: Ensure you're using the correct wallet that placed the order",
-            colors.cyan
-          )
-        );
-      } else if (error.message.includes("insufficient")) {
-        console.log(
-          colorText(
-            "💡 Tip: Check your collateral balance for the new order parameters",
-            colors.cyan
-          )
-        );
-      }
-
-      throw error;
+      throw failure;
     }
   }
 
@@ -402,16 +347,18 @@ class OrderModifier {
           )
         );
       } catch (error) {
+        const failure = decodeError(error);
         console.error(
           colorText(
-            `❌ Failed to modify order ${mod.orderId}: ${error.message}`,
+            `❌ Failed to modify order ${mod.orderId}: ${failure.reason}`,
             colors.red
           )
         );
         results.push({
           success: false,
           orderId: mod.orderId,
-          error: error.message,
+          error: failure.reason,
+          code: failure.code,
         });
       }
 
@@ -453,37 +400,15 @@ class OrderModifier {
     }
 
     try {
-      const orderIds = await this.contracts.orderBook.getUserOrders(
-        userAddress
-      );
-      const orders = [];
-
-      for (const orderId of orderIds) {
-        try {
-          const order = await this.contracts.orderBook.getOrder(orderId);
-          if (order.trader !== ethers.ZeroAddress && order.amount > 0) {
-            orders.push({
-              orderId: orderId.toString(),
-              price: Number(ethers.formatUnits(order.price, 6)),
-              amount: Number(ethers.formatUnits(order.amount, 18)),
-              side: order.isBuy ? "BUY" : "SELL",
-              isMargin: order.isMarginOrder,
-              timestamp: new Date(
-                Number(order.timestamp) * 1000
-              ).toLocaleString(),
-            });
-          }
-        } catch (error) {
-          console.warn(
-            colorText(
-              `⚠️ Could not fetch details for order ${orderId}`,
-              colors.yellow
-            )
-          );
-        }
-      }
-
-      return orders;
+      const orders = await this.client.getUserOrders(userAddress);
+      return orders.map((order) => ({
+        orderId: order.orderId.toString(),
+        price: order.price,
+        amount: order.amount,
+        side: order.isBuy ? "BUY" : "SELL",
+        isMargin: order.isMarginOrder,
+        timestamp: new Date(order.timestamp * 1000).toLocaleString(),
+      }));
     } catch (error) {
       console.error(
         colorText("❌ Failed to fetch user orders:", colors.red),
@@ -602,8 +527,8 @@ class OrderModifier {
         )
       );
 
-      let totalVolume = 0;
-      let totalFees = 0;
+      let totalVolume = Usdc.zero();
+      let totalFees = Usdc.zero();
 
       for (const trade of trades) {
         try {
@@ -617,15 +542,15 @@ class OrderModifier {
           const side = isBuyer ? "BUY" : "SELL";
           const sideColor = isBuyer ? colors.green : colors.red;
 
-          const amount = Number(ethers.formatUnits(trade.amount, 18));
-          const price = Number(ethers.formatUnits(trade.price, 6));
-          const tradeValue = Number(ethers.formatUnits(trade.tradeValue, 6));
-          const userFee = Number(
-            ethers.formatUnits(isBuyer ? trade.buyerFee : trade.sellerFee, 6)
+          const amount = Amount.fromUnits(trade.amount);
+          const price = Price.fromUnits(trade.price);
+          const tradeValue = Usdc.fromUnits(trade.tradeValue);
+          const userFee = Usdc.fromUnits(
+            isBuyer ? trade.buyerFee : trade.sellerFee
           );
 
-          totalVolume += tradeValue;
-          totalFees += userFee;
+          totalVolume = totalVolume.add(tradeValue);
+          totalFees = totalFees.add(userFee);
 
           const timestamp = new Date(Number(trade.timestamp) * 1000);
           const timeStr = timestamp.toLocaleString();
@@ -646,13 +571,13 @@ class OrderModifier {
               `│ ${shortId.padEnd(8)} │ ${colorText(
                 side.padEnd(8),
                 sideColor
-              )} │ ${amount.toFixed(4).padStart(13)} │ ${(
-                "$" + price.toFixed(4)
-              ).padStart(12)} │ ${("$" + tradeValue.toFixed(2)).padStart(
+              )} │ ${amount.format(4).padStart(13)} │ ${(
+                "$" + price.format(4)
+              ).padStart(12)} │ ${("$" + tradeValue.format(2)).padStart(
                 12
-              )} │ ${("$" + userFee.toFixed(4)).padStart(
-                12
-              )} │ ${timeStr.padEnd(19)} │`,
+              )} │ ${("$" + userFee.format(4)).padStart(12)} │ ${timeStr.padEnd(
+                19
+              )} │`,
               colors.white
             )
           );
@@ -678,9 +603,9 @@ class OrderModifier {
         colorText(
           `│ 📊 SUMMARY: ${
             trades.length
-          } trades │ Total Volume: $${totalVolume.toFixed(
+          } trades │ Total Volume: $${totalVolume.format(
             2
-          )} USDC │ Total Fees: $${totalFees.toFixed(4)} USDC │`,
+          )} USDC │ Total Fees: $${totalFees.format(4)} USDC │`,
           colors.brightGreen
         )
       );
@@ -743,10 +668,12 @@ class OrderModifier {
     );
 
     try {
-      const [buyCount, sellCount] =
-        await this.contracts.orderBook.getActiveOrdersCount();
-      const bestBid = await this.contracts.orderBook.bestBid();
-      const bestAsk = await this.contracts.orderBook.bestAsk();
+      const { orderBook } = this.contracts;
+      const [[buyCount, sellCount], bestBid, bestAsk] = await multicall([
+        call(orderBook, "getActiveOrdersCount"),
+        call(orderBook, "bestBid"),
+        call(orderBook, "bestAsk"),
+      ]);
 
       console.log(
         colorText(
@@ -788,7 +715,7 @@ class OrderModifier {
       // Get enhanced order book depth with user info
       try {
         const depth = 5;
-        const enhancedBookData = await this.getEnhancedOrderBookDepth(depth);
+        const enhancedBookData = await this.client.getDepthWithTraders(depth);
 
         const maxRows = Math.max(
           enhancedBookData.bids.length,
@@ -802,10 +729,8 @@ class OrderModifier {
 
           if (i < enhancedBookData.bids.length) {
             const bid = enhancedBookData.bids[i];
-            const price = Number(ethers.formatUnits(bid.price, 6)).toFixed(4);
-            const amount = Number(ethers.formatUnits(bid.amount, 18)).toFixed(
-              4
-            );
+            const price = bid.price.format(4);
+            const amount = bid.amount.format(4);
             const user = this.formatUserDisplay(bid.trader);
             bidInfo = colorText(
               `$${price.padStart(6)} ${amount.padStart(8)} ${user.padEnd(8)}`,
@@ -815,10 +740,8 @@ class OrderModifier {
 
           if (i < enhancedBookData.asks.length) {
             const ask = enhancedBookData.asks[i];
-            const price = Number(ethers.formatUnits(ask.price, 6)).toFixed(4);
-            const amount = Number(ethers.formatUnits(ask.amount, 18)).toFixed(
-              4
-            );
+            const price = ask.price.format(4);
+            const amount = ask.amount.format(4);
             const user = this.formatUserDisplay(ask.trader);
             askInfo = colorText(
               `$${price.padStart(6)} ${amount.padStart(8)} ${user.padEnd(8)}`,
@@ -857,13 +780,9 @@ class OrderModifier {
       );
 
       const bestBidPrice =
-        bestBid > 0
-          ? Number(ethers.formatUnits(bestBid, 6)).toFixed(4)
-          : "0.0000";
+        bestBid > 0 ? Price.fromUnits(bestBid).format(4) : "0.0000";
       const bestAskPrice =
-        bestAsk < ethers.MaxUint256
-          ? Number(ethers.formatUnits(bestAsk, 6)).toFixed(4)
-          : "∞";
+        bestAsk < ethers.MaxUint256 ? Price.fromUnits(bestAsk).format(4) : "∞";
 
       console.log(
         colorText(
@@ -900,77 +819,6 @@ class OrderModifier {
     }
   }
 
-  // Helper function to get enhanced order book data with trader information
-  async getEnhancedOrderBookDepth(depth) {
-    const [bidPrices, bidAmounts, askPrices, askAmounts] =
-      await this.contracts.orderBook.getOrderBookDepth(depth);
-
-    const bids = [];
-    const asks = [];
-
-    // Get detailed bid information
-    for (let i = 0; i < bidPrices.length && bidPrices[i] > 0; i++) {
-      const price = bidPrices[i];
-      const totalAmount = bidAmounts[i];
-
-      // Get the first order at this price level to show as representative trader
-      try {
-        const buyLevel = await this.contracts.orderBook.buyLevels(price);
-        if (buyLevel.exists && buyLevel.firstOrderId > 0) {
-          const firstOrder = await this.contracts.orderBook.getOrder(
-            buyLevel.firstOrderId
-          );
-          bids.push({
-            price: price,
-            amount: totalAmount,
-            trader: firstOrder.trader,
-            orderId: buyLevel.firstOrderId,
-          });
-        }
-      } catch (error) {
-        // Fallback if we can't get order details
-        bids.push({
-          price: price,
-          amount: totalAmount,
-          trader: ethers.ZeroAddress,
-          orderId: 0,
-        });
-      }
-    }
-
-    // Get detailed ask information
-    for (let i = 0; i < askPrices.length && askPrices[i] > 0; i++) {
-      const price = askPrices[i];
-      const totalAmount = askAmounts[i];
-
-      // Get the first order at this price level to show as representative trader
-      try {
-        const sellLevel = await this.contracts.orderBook.sellLevels(price);
-        if (sellLevel.exists && sellLevel.firstOrderId > 0) {
-          const firstOrder = await this.contracts.orderBook.getOrder(
-            sellLevel.firstOrderId
-          );
-          asks.push({
-            price: price,
-            amount: totalAmount,
-            trader: firstOrder.trader,
-            orderId: sellLevel.firstOrderId,
-          });
-        }
-      } catch (error) {
-        // Fallback if we can't get order details
-        asks.push({
-          price: price,
-          amount: totalAmount,
-          trader: ethers.ZeroAddress,
-          orderId: 0,
-        });
-      }
-    }
-
-    return { bids, asks };
-  }
-
   // Helper function to format user display
   formatUserDisplay(traderAddress) {
     if (!traderAddress || traderAddress === ethers.ZeroAddress) {
@@ -1033,31 +881,35 @@ async function showTradeHistory() {
       console.log(colorText(`📈 Total Trades: ${totalTrades}`, colors.white));
       console.log(
         colorText(
-          `💰 Total Volume: $${ethers.formatUnits(totalVolume, 6)} USDC`,
+          `💰 Total Volume: $${Usdc.fromUnits(totalVolume)} USDC`,
           colors.white
         )
       );
       console.log(
         colorText(
-          `💸 Total Fees: $${ethers.formatUnits(totalFees, 6)} USDC`,
+          `💸 Total Fees: $${Usdc.fromUnits(totalFees)} USDC`,
           colors.white
         )
       );
 
       if (totalTrades > 0) {
-        const avgTradeSize =
-          Number(ethers.formatUnits(totalVolume, 6)) / Number(totalTrades);
-        const avgFeePerTrade =
-          Number(ethers.formatUnits(totalFees, 6)) / Number(totalTrades);
+        const avgTradeSize = Usdc.fromUnits(totalVolume).div(
+          totalTrades,
+          ROUNDING.HALF_UP
+        );
+        const avgFeePerTrade = Usdc.fromUnits(totalFees).div(
+          totalTrades,
+          ROUNDING.HALF_UP
+        );
         console.log(
           colorText(
-            `📊 Avg Trade Size: $${avgTradeSize.toFixed(2)} USDC`,
+            `📊 Avg Trade Size: $${avgTradeSize.format(2)} USDC`,
             colors.cyan
           )
         );
         console.log(
           colorText(
-            `📊 Avg Fee per Trade: $${avgFeePerTrade.toFixed(4)} USDC`,
+            `📊 Avg Fee per Trade: $${avgFeePerTrade.format(4)} USDC`,
             colors.cyan
           )
         );
@@ -1241,8 +1093,8 @@ async function demonstrateOrderModification() {
           `│ ${shortId.padEnd(9)} │ ${colorText(
             order.side.padEnd(4),
             sideColor
-          )} │ ${("$" + order.price.toFixed(2)).padStart(9)} │ ${order.amount
-            .toFixed(4)
+          )} │ ${("$" + order.price.format(2)).padStart(9)} │ ${order.amount
+            .format(4)
             .padStart(9)} │ ${order.isMargin ? "MARGIN" : "SPOT  "} │`,
           colors.white
         )
@@ -1267,20 +1119,20 @@ async function demonstrateOrderModification() {
     console.log(
       colorText(
         "   Original: $" +
-          firstOrder.price.toFixed(2) +
+          firstOrder.price.format(2) +
           " × " +
-          firstOrder.amount.toFixed(4),
+          firstOrder.amount.format(4),
         colors.white
       )
     );
 
     // Modify price by 1% and amount by 5%
-    const newPrice = firstOrder.price * 1.01; // Increase price by 1%
-    const newAmount = firstOrder.amount * 0.95; // Decrease amount by 5%
+    const newPrice = firstOrder.price.mulDiv(101, 100, ROUNDING.HALF_UP); // Increase price by 1%
+    const newAmount = firstOrder.amount.mulDiv(95, 100, ROUNDING.DOWN); // Decrease amount by 5%
 
     console.log(
       colorText(
-        "   Modified: $" + newPrice.toFixed(2) + " × " + newAmount.toFixed(4),
+        "   Modified: $" + newPrice.format(2) + " × " + newAmount.format(4),
         colors.brightCyan
       )
     );
@@ -1368,21 +1220,22 @@ async function listUserOrders() {
           )
         );
 
-        let totalOrderValue = 0;
+        let totalOrderValue = Usdc.zero();
         orders.forEach((order) => {
           const shortId = order.orderId.substring(0, 9);
           const sideColor = order.side === "BUY" ? colors.green : colors.red;
-          const orderValue = order.price * order.amount;
-          totalOrderValue += orderValue;
+          totalOrderValue = totalOrderValue.add(
+            order.price.notional(order.amount)
+          );
 
           console.log(
             colorText(
               `   │ ${shortId.padEnd(9)} │ ${colorText(
                 order.side.padEnd(4),
                 sideColor
-              )} │ ${("$" + order.price.toFixed(2)).padStart(
-                9
-              )} │ ${order.amount.toFixed(4).padStart(9)} │ ${
+              )} │ ${("$" + order.price.format(2)).padStart(9)} │ ${order.amount
+                .format(4)
+                .padStart(9)} │ ${
                 order.isMargin ? "MARGIN" : "SPOT  "
               } │ ${order.timestamp.padEnd(20)} │`,
               colors.white
@@ -1400,7 +1253,7 @@ async function listUserOrders() {
           colorText(
             `   │ 📊 SUMMARY: ${
               orders.length
-            } orders │ Total Value: $${totalOrderValue.toFixed(
+            } orders │ Total Value: $${totalOrderValue.format(
               2
             )} USDC                     │`,
             colors.brightGreen
@@ -1441,13 +1294,13 @@ async function listUserOrders() {
           usersWithOrders++;
           totalOrdersAcrossUsers += orders.length;
           const totalValue = orders.reduce(
-            (sum, order) => sum + order.price * order.amount,
-            0
+            (sum, order) => sum.add(order.price.notional(order.amount)),
+            Usdc.zero()
           );
 
           console.log(
             colorText(
-              `   ${userType}: ${orders.length} orders ($${totalValue.toFixed(
+              `   ${userType}: ${orders.length} orders ($${totalValue.format(
                 2
               )} USDC)`,
               colors.white
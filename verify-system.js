@@ -4,7 +4,6 @@ const {
   getCoreContracts,
   ADDRESSES,
   ROLES,
-  MARKET_INFO,
   checkAuthorization,
 } = require("./config/contracts");
 